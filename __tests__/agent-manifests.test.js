@@ -0,0 +1,159 @@
+/**
+ * Tests for agent manifests and their reconciliation with the database
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentRegistry = require('../server/agent-registry');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { AgentManifestSync, DEFAULT_MANIFEST_DIR, loadManifests } = require('../server/agent-manifests');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Agent Manifests', () => {
+  let db;
+  let manifestDir;
+  let sync;
+  let registry;
+
+  const writeManifest = (file, manifest) => {
+    const content = typeof manifest === 'string' ? manifest : JSON.stringify(manifest);
+    fs.writeFileSync(path.join(manifestDir, file), content);
+  };
+
+  const compliance = {
+    agentId: 'sub-ai-compliance',
+    name: 'Compliance Reviewer',
+    specialization: 'Regulatory Compliance',
+    expertiseAreas: ['GDPR'],
+    allowedBotTypes: ['research', 'analysis'],
+    maxWorkBots: 2
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-agents-'));
+    sync = new AgentManifestSync(db, { dir: manifestDir });
+    registry = new AgentRegistry(db);
+  });
+
+  afterEach(() => {
+    sync.close();
+    db.close();
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  test('should ship valid manifests for the built-in agents', () => {
+    const { manifests, errors } = loadManifests(DEFAULT_MANIFEST_DIR);
+
+    expect(errors).toEqual([]);
+    expect(manifests).toHaveLength(12);
+    expect(manifests.every(m => `${m.agentId}.json` === m.file)).toBe(true);
+  });
+
+  test('should create, update and retire agents to match the manifests', () => {
+    writeManifest('sub-ai-code.json', {
+      agentId: 'sub-ai-code', name: 'Code Architect', specialization: 'Code Development', expertiseAreas: ['Elixir']
+    });
+    writeManifest('compliance.json', compliance);
+
+    expect(sync.reconcile()).toEqual({
+      created: ['sub-ai-compliance'], updated: ['sub-ai-code'], retired: [], errors: []
+    });
+    expect(registry.getAgent('sub-ai-code')).toMatchObject({
+      expertiseAreas: ['Elixir'], manifest: 'sub-ai-code.json', maxCapacity: 10, revision: 1
+    });
+    expect(registry.getAgent('sub-ai-compliance')).toMatchObject({
+      allowedBotTypes: ['research', 'analysis'], maxWorkBots: 2, manifest: 'compliance.json', status: 'active'
+    });
+
+    // Unchanged manifests leave the agents alone
+    expect(sync.reconcile()).toMatchObject({ created: [], updated: [], retired: [] });
+    expect(registry.getAgent('sub-ai-code').revision).toBe(1);
+
+    // The API may not change what a manifest defines
+    expect(registry.updateAgent('sub-ai-code', { name: 'Other' })).toEqual({
+      success: false, error: 'Agent is defined by manifest sub-ai-code.json', conflict: true
+    });
+    expect(registry.retireAgent('sub-ai-code').conflict).toBe(true);
+
+    fs.unlinkSync(path.join(manifestDir, 'compliance.json'));
+    expect(sync.reconcile().retired).toEqual(['sub-ai-compliance']);
+    expect(registry.getAgent('sub-ai-compliance')).toMatchObject({ status: 'retired', manifest: null });
+
+    // Restoring the manifest brings the agent back
+    writeManifest('compliance.json', compliance);
+    expect(sync.reconcile().updated).toEqual(['sub-ai-compliance']);
+    expect(registry.getAgent('sub-ai-compliance').status).toBe('active');
+  });
+
+  test('should report invalid manifests and keep their agents', () => {
+    writeManifest('compliance.json', compliance);
+    sync.reconcile();
+
+    writeManifest('compliance.json', { ...compliance, maxWorkBots: 'two' });
+    writeManifest('broken.json', '{ "agentId": ');
+    writeManifest('typo.json', { ...compliance, agentId: 'sub-ai-typo', expertise: ['GDPR'] });
+    writeManifest('copy.json', { ...compliance, agentId: 'sub-ai-copy' });
+    writeManifest('duplicate.json', { ...compliance, agentId: 'sub-ai-copy' });
+    writeManifest('zero.json', { ...compliance, agentId: 'sub-ai-zero', maxCapacity: 0 });
+
+    const result = sync.reconcile();
+    expect(result.errors).toEqual([
+      { file: 'broken.json', error: expect.stringMatching(/^Invalid JSON/) },
+      { file: 'compliance.json', error: '$.maxWorkBots: expected integer, got string' },
+      { file: 'duplicate.json', error: 'Agent sub-ai-copy is already defined by copy.json' },
+      { file: 'typo.json', error: '$.expertise: is not a manifest field' },
+      { file: 'zero.json', error: 'maxCapacity must be a positive integer' }
+    ]);
+    expect(result).toMatchObject({ created: ['sub-ai-copy'], updated: [], retired: [] });
+    expect(registry.getAgent('sub-ai-compliance')).toMatchObject({ status: 'active', maxWorkBots: 2 });
+    expect(registry.getAgent('sub-ai-zero').error).toBe('Agent not found');
+
+    // A missing directory retires nothing
+    const missingDir = path.join(manifestDir, 'missing');
+    const missing = new AgentManifestSync(db, { dir: missingDir }).reconcile();
+    expect(missing.errors).toEqual([{ file: missingDir, error: 'Manifest directory not found' }]);
+    expect(registry.getAgent('sub-ai-compliance').status).toBe('active');
+  });
+
+  test('should keep an agent with unfinished work until its assignments are done', () => {
+    writeManifest('compliance.json', compliance);
+    sync.reconcile();
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Audit')").run();
+    db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, status)
+      SELECT 'assign-1', 1, id, 'assigned' FROM sub_ai_agents WHERE agent_id = 'sub-ai-compliance'
+    `).run();
+
+    fs.unlinkSync(path.join(manifestDir, 'compliance.json'));
+    expect(sync.reconcile()).toMatchObject({
+      retired: [], errors: [{ file: 'compliance.json', error: 'Agent has 1 unfinished assignment(s)' }]
+    });
+
+    db.prepare("UPDATE task_assignments SET status = 'completed'").run();
+    expect(sync.reconcile().retired).toEqual(['sub-ai-compliance']);
+  });
+
+  test('should apply manifest edits to running managers while watching', async () => {
+    const manager = new SubAIManager(db, {}, { llm: new LLMRouter({}, { mode: 'scripted' }) });
+    sync.watch();
+    writeManifest('compliance.json', compliance);
+
+    let agent;
+    for (let i = 0; i < 100 && !agent; i++) {
+      await new Promise((resolve) => { setTimeout(resolve, 50); });
+      agent = manager.getAgent('sub-ai-compliance');
+    }
+
+    expect(agent.allowedBotTypes).toEqual(['research', 'analysis']);
+    expect(agent.maxWorkBots).toBe(2);
+    expect(agent.orderAnalysisTasks([
+      { id: 't1', description: 'Write code', botType: 'code-generation' },
+      { id: 't2', description: 'Analyze', botType: 'analysis' }
+    ]).map(task => task.botType)).toEqual(['research', 'analysis']);
+  });
+});
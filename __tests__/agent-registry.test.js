@@ -0,0 +1,130 @@
+/**
+ * Tests for creating, updating and retiring sub-AI agents at runtime
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const AgentRegistry = require('../server/agent-registry');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Agent Registry', () => {
+  let db;
+  let registry;
+
+  const compliance = {
+    name: 'Compliance Reviewer',
+    specialization: 'Regulatory Compliance',
+    expertiseAreas: ['GDPR', 'SOC 2'],
+    systemPrompt: 'Cite the regulation behind every finding.',
+    maxCapacity: 3
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    registry = new AgentRegistry(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should create, update and retire agents that a running manager picks up', () => {
+    const manager = new SubAIManager(db, {}, { llm: new LLMRouter({}, { mode: 'scripted' }) });
+    expect(manager.getAgent('sub-ai-compliance-reviewer')).toBeUndefined();
+
+    const created = registry.createAgent(compliance);
+    expect(created.agent).toMatchObject({
+      agentId: 'sub-ai-compliance-reviewer', status: 'active', maxCapacity: 3, maxConcurrentBots: null, revision: 0
+    });
+
+    const agent = manager.getAgent('sub-ai-compliance-reviewer');
+    expect(agent.systemPrompt).toBe('Cite the regulation behind every finding.');
+    expect(manager.getAgent('sub-ai-compliance-reviewer')).toBe(agent);
+
+    const updated = registry.updateAgent('sub-ai-compliance-reviewer', {
+      systemPrompt: null, llmProvider: 'openai', llmModel: 'gpt-4o'
+    });
+    expect(updated.agent).toMatchObject({
+      systemPrompt: null, llmProvider: 'openai', revision: 1, name: compliance.name
+    });
+
+    const rebuilt = manager.getAgent('sub-ai-compliance-reviewer');
+    expect(rebuilt).not.toBe(agent);
+    expect(rebuilt.systemPrompt).toBeNull();
+    expect(rebuilt.llmOverride).toEqual({ provider: 'openai', model: 'gpt-4o' });
+
+    expect(registry.retireAgent('sub-ai-compliance-reviewer').agent.status).toBe('retired');
+    expect(manager.getAgent('sub-ai-compliance-reviewer')).toBeUndefined();
+    expect(registry.listAgents().map(a => a.agentId)).not.toContain('sub-ai-compliance-reviewer');
+    expect(registry.listAgents({ includeRetired: true })).toHaveLength(13);
+  });
+
+  test('should plan with the current agents and pass the system prompt to their work', async () => {
+    registry.createAgent({ ...compliance, agentId: 'sub-ai-compliance' });
+    registry.retireAgent('sub-ai-uiux');
+
+    const prompts = [];
+    const llm = new LLMRouter({}, {
+      mode: 'scripted',
+      script: {
+        planning: ({ messages }) => {
+          prompts.push(messages[0].content);
+          return {
+            overview: 'Audit',
+            workPackages: [{ id: 'wp-1', name: 'Audit', assignedTo: 'sub-ai-compliance', elements: ['Review'] }]
+          };
+        },
+        analysis: ({ messages }) => {
+          prompts.push(messages[0].content);
+          return { tasks: [{ id: 't1', description: 'Review data flows', botType: 'analysis' }] };
+        },
+        execution: ({ messages }) => {
+          prompts.push(messages[0].content);
+          return 'No findings';
+        }
+      }
+    });
+
+    const atlantis = new AtlantisAI(db, {}, { llm });
+    const { assignments } = await atlantis.receiveTask({ userId: 1, title: 'GDPR audit' });
+    await new SubAIManager(db, {}, { llm }).processPendingAssignments();
+
+    const [planning, analysis, execution] = prompts;
+    expect(planning).toContain('- sub-ai-compliance: Compliance Reviewer, Regulatory Compliance (GDPR, SOC 2)');
+    expect(planning).toContain('- sub-ai-code: Code Architect');
+    expect(planning).not.toContain('sub-ai-uiux');
+    expect(assignments).toEqual([expect.objectContaining({ agentName: 'Compliance Reviewer' })]);
+    expect(analysis).toContain('Your areas of expertise: GDPR, SOC 2\n\nCite the regulation behind every finding.');
+    expect(execution).toContain('Instructions from Compliance Reviewer:\nCite the regulation behind every finding.');
+  });
+
+  test('should reject invalid agents and retiring agents with unfinished work', () => {
+    expect(registry.createAgent({ name: 'No specialization' })).toEqual({
+      success: false, error: 'specialization must be a non-empty string'
+    });
+    expect(registry.createAgent({ ...compliance, llmProvider: 'mistral' }).error)
+      .toBe('llmProvider must be one of anthropic, openai or null');
+    expect(registry.createAgent({ ...compliance, llmProvider: 'anthropic', llmModel: 'gpt-4o' }).error)
+      .toBe('llmModel gpt-4o belongs to openai, not anthropic');
+    expect(registry.createAgent({ ...compliance, llmProvider: null, llmModel: 'mistral-large' }).error)
+      .toBe('llmProvider must be set for llmModel mistral-large, whose provider is not recognized');
+    expect(registry.createAgent({ ...compliance, agentId: 'sub-ai-code' })).toEqual({
+      success: false, error: 'Agent sub-ai-code already exists', conflict: true
+    });
+    expect(registry.updateAgent('sub-ai-code', { maxCapacity: 0 }).error)
+      .toBe('maxCapacity must be a positive integer');
+    expect(registry.updateAgent('missing', { name: 'x' })).toEqual({ success: false, error: 'Agent not found' });
+
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Busy')").run();
+    db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, status)
+      SELECT 'assign-1', 1, id, 'in-progress' FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'
+    `).run();
+    expect(registry.retireAgent('sub-ai-code')).toEqual({
+      success: false, error: 'Agent has 1 unfinished assignment(s)', conflict: true
+    });
+  });
+});
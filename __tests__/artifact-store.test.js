@@ -0,0 +1,165 @@
+/**
+ * Tests for work bot artifacts and their zip download
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { SubAIAgent } = require('../server/sub-ai-agents');
+const { ArtifactStore, extractArtifacts } = require('../server/artifact-store');
+const { BotTypeRegistry, workBotPrompt } = require('../server/bot-types');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Artifact Store', () => {
+  let db;
+  let artifactDir;
+  let store;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Files')").run();
+    artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-artifacts-'));
+    store = new ArtifactStore(db, { rootDir: artifactDir });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(artifactDir, { recursive: true, force: true });
+  });
+
+  test('should extract artifact blocks and skip paths outside the project', () => {
+    const output = `Done.
+<artifact path="./src/app.js" language="javascript">
+console.log('hi');
+</artifact>
+<artifact path="../etc/passwd">x</artifact>
+<artifact path="README.md">
+# App
+</artifact>`;
+
+    expect(extractArtifacts(output)).toEqual([
+      { path: 'src/app.js', language: 'javascript', content: "console.log('hi');" },
+      { path: 'README.md', language: null, content: '# App' }
+    ]);
+  });
+
+  test('should store the files of work bots and version revised paths', async () => {
+    const agentData = db.prepare("SELECT * FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get();
+    const assignment = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, assigned_elements, status)
+      VALUES ('assign-1', 1, ?, '["Build it"]', 'in-progress') RETURNING *
+    `).get(agentData.id);
+
+    const prompts = [];
+    const create = jest.fn(async ({ messages }) => {
+      const prompt = messages[0].content;
+      prompts.push(prompt);
+      const version = prompt.includes('Task: Revise') ? 2 : 1;
+      const text = prompt.includes('Task: Research')
+        ? 'Findings'
+        : `<artifact path="src/app.js" language="javascript">\nconst version = ${version};\n</artifact>`;
+      return { content: [{ text }] };
+    });
+    const agent = new SubAIAgent(db, agentData, { claude: { messages: { create } } }, {
+      artifactDir, workspaceDir: path.join(artifactDir, 'workspaces')
+    });
+
+    const workBots = await agent.createWorkBots(assignment, {
+      tasks: [
+        { id: 'write', description: 'Write app', botType: 'code-generation' },
+        { id: 'revise', description: 'Revise app', botType: 'code-generation', dependencies: ['write'] },
+        { id: 'research', description: 'Research options', botType: 'research' }
+      ]
+    });
+    await agent.executeWorkBots(workBots, assignment);
+
+    expect(prompts.find(p => p.includes('Task: Write app'))).toContain('<artifact path="src/example.js"');
+    expect(prompts.find(p => p.includes('Task: Research options'))).not.toContain('<artifact');
+
+    const { artifacts } = store.listArtifacts('task-1', { allVersions: true });
+    expect(artifacts.map(a => [a.path, a.version, a.language, a.agentId])).toEqual([
+      ['src/app.js', 1, 'javascript', 'sub-ai-code'],
+      ['src/app.js', 2, 'javascript', 'sub-ai-code']
+    ]);
+
+    const [latest] = store.listArtifacts('task-1').artifacts;
+    expect(latest.version).toBe(2);
+    expect(store.getArtifact('task-1', latest.artifactId).content.toString()).toBe('const version = 2;');
+    expect(store.getArtifact('task-1', artifacts[0].artifactId).content.toString()).toBe('const version = 1;');
+
+    const bot = db.prepare("SELECT result FROM work_bots WHERE task_key = 'revise'").get();
+    expect(JSON.parse(bot.result).artifacts).toEqual([
+      { artifactId: latest.artifactId, path: 'src/app.js', version: 2 }
+    ]);
+  });
+
+  test('should store nothing for an attempt whose result is rejected', async () => {
+    const agentData = db.prepare("SELECT * FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get();
+    const assignment = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, assigned_elements, status)
+      VALUES ('assign-1', 1, ?, '["Build it"]', 'in-progress') RETURNING *
+    `).get(agentData.id);
+    const registry = new BotTypeRegistry();
+    registry.register({
+      type: 'reviewed-code',
+      tools: ['artifacts', 'workspace'],
+      buildPrompt: context => workBotPrompt(context, 'Write and review the code.'),
+      validate: result => (result.output.includes('Reviewed') ? [] : ['not reviewed'])
+    });
+
+    let attempts = 0;
+    const create = jest.fn(async () => {
+      attempts++;
+      const text = `<artifact path="src/app.js">\nconst attempt = ${attempts};\n</artifact>`;
+      return { content: [{ text: attempts === 1 ? text : `${text}\nReviewed` }] };
+    });
+    const agent = new SubAIAgent(db, agentData, { claude: { messages: { create } } }, {
+      artifactDir,
+      workspaceDir: path.join(artifactDir, 'workspaces'),
+      botTypes: registry,
+      retryPolicies: { default: { baseDelayMs: 1 } }
+    });
+
+    const workBots = await agent.createWorkBots(assignment, {
+      tasks: [{ id: 'write', description: 'Write app', botType: 'reviewed-code' }]
+    });
+    await agent.executeWorkBots(workBots, assignment);
+
+    expect(create).toHaveBeenCalledTimes(2);
+    const { artifacts } = store.listArtifacts('task-1', { allVersions: true });
+    expect(artifacts.map(a => [a.path, a.version])).toEqual([['src/app.js', 1]]);
+    expect(store.getArtifact('task-1', artifacts[0].artifactId).content.toString()).toBe('const attempt = 2;');
+    expect(JSON.parse(db.prepare('SELECT result FROM work_bots').get().result).workspace.files)
+      .toEqual(['src/app.js']);
+  });
+
+  test('should zip the latest version of every artifact', async () => {
+    const bot = { botId: 'bot-1', agentId: null };
+    store.save(bot, 1, { path: 'src/app.js', content: 'v1' });
+    store.save(bot, 1, { path: 'src/app.js', content: 'v2' });
+    store.save(bot, 1, { path: 'docs/README.md', content: '# Files'.repeat(100) });
+
+    const { archive } = await store.createArchive('task-1');
+
+    // Walk the central directory, which the end record points to, to the entries
+    const end = archive.length - 22;
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+    const entries = {};
+    let offset = archive.readUInt32LE(end + 16);
+    for (let i = 0; i < archive.readUInt16LE(end + 10); i += 1) {
+      const compressedSize = archive.readUInt32LE(offset + 20);
+      const nameLength = archive.readUInt16LE(offset + 28);
+      const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const local = archive.readUInt32LE(offset + 42);
+      const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+      entries[name] = zlib.inflateRawSync(archive.subarray(start, start + compressedSize)).toString();
+      offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+    }
+
+    expect(entries).toEqual({ 'docs/README.md': '# Files'.repeat(100), 'src/app.js': 'v2' });
+    expect(await store.createArchive('missing')).toEqual({ error: 'Task not found' });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for capacity-aware assignment routing
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const AssignmentBroker = require('../server/assignment-broker');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Assignment Broker', () => {
+  let db;
+  let atlantis;
+  let broker;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    atlantis = new AtlantisAI(db, { claude: null });
+    broker = new AssignmentBroker(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const setCapacity = (agentId, load, max) => {
+    db.prepare(
+      'UPDATE sub_ai_agents SET current_load = ?, max_capacity = ? WHERE agent_id = ?'
+    ).run(load, max, agentId);
+  };
+
+  const loadOf = agentId => db.prepare(
+    'SELECT current_load FROM sub_ai_agents WHERE agent_id = ?'
+  ).get(agentId).current_load;
+
+  test('should route to the requested agent when it has capacity', async () => {
+    const task = await atlantis.createTask({ userId: 1, title: 'Primary' });
+    const route = broker.route(task.id, { id: 'wp-1', assignedTo: 'sub-ai-code', elements: [] });
+
+    expect(route.decision).toBe('primary');
+    expect(route.agent.agent_id).toBe('sub-ai-code');
+  });
+
+  test('should fall back to an agent with overlapping expertise when the requested one is saturated', async () => {
+    setCapacity('sub-ai-code', 2, 2);
+    const task = await atlantis.createTask({ userId: 1, title: 'Overflow' });
+
+    const [assignment] = await atlantis.delegateToSubAIs(task, {
+      workPackages: [{ id: 'wp-1', name: 'Widget', assignedTo: 'sub-ai-code', elements: ['Build widget'] }]
+    });
+
+    expect(assignment.agentName).toBe('Frontend Specialist');
+    expect(assignment.routing.decision).toBe('fallback');
+    expect(assignment.routing.reason).toContain('Code Architect is at capacity (2/2)');
+    expect(assignment.routing.reason).toContain('JavaScript');
+    expect(loadOf('sub-ai-frontend')).toBe(1);
+  });
+
+  test('should fall back when the requested agent does not exist', async () => {
+    const task = await atlantis.createTask({ userId: 1, title: 'Unknown' });
+    const route = broker.route(task.id, {
+      id: 'wp-1', assignedTo: 'sub-ai-mobile', name: 'Query Optimization', elements: ['Tune SQL']
+    });
+
+    expect(route.decision).toBe('fallback');
+    expect(route.agent.agent_id).toBe('sub-ai-database');
+    expect(route.reason).toContain('Agent sub-ai-mobile does not exist');
+  });
+
+  test('should queue when no agent has capacity and admit the work when capacity frees up', async () => {
+    setCapacity('sub-ai-docs', 1, 1);
+    const task = await atlantis.createTask({ userId: 1, title: 'Queue' });
+
+    const [assignment] = await atlantis.delegateToSubAIs(task, {
+      workPackages: [{ id: 'wp-1', name: 'Guide', assignedTo: 'sub-ai-docs', elements: ['Write guide'] }]
+    });
+
+    expect(assignment.status).toBe('queued');
+    expect(assignment.routing.decision).toBe('queued');
+
+    const agentRecordId = db.prepare("SELECT id FROM sub_ai_agents WHERE agent_id = 'sub-ai-docs'").get().id;
+    expect(broker.releaseCapacity(agentRecordId)).toEqual([assignment.assignmentId]);
+    expect(loadOf('sub-ai-docs')).toBe(1);
+
+    const { decisions } = atlantis.getRoutingDecisions(task.task_id);
+    expect(decisions).toHaveLength(1);
+    expect(decisions[0].reason).toContain('queued for Documentation Expert');
+  });
+});
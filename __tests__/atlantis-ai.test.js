@@ -14,6 +14,7 @@ describe('ATLANTIS Master AI', () => {
     // Create in-memory database for testing
     db = initializeDatabase(':memory:');
     seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
 
     // Mock AI clients
     mockAIClients = {
@@ -0,0 +1,138 @@
+/**
+ * Tests for the work bot type registry and typed work bot execution
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubAIAgent } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { BotTypeRegistry, workBotPrompt } = require('../server/bot-types');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Bot Types', () => {
+  let db;
+  let artifactDir;
+  let assignment;
+  let agentData;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Typed bots')").run();
+    agentData = db.prepare("SELECT * FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get();
+    assignment = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, assigned_elements, status)
+      VALUES ('assign-1', 1, ?, '["Build it"]', 'in-progress') RETURNING *
+    `).get(agentData.id);
+    artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-bot-types-'));
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(artifactDir, { recursive: true, force: true });
+  });
+
+  const createAgent = (execution, botTypes) => {
+    const llm = new LLMRouter({}, { mode: 'scripted', script: { execution } });
+    return new SubAIAgent(db, agentData, {}, {
+      llm,
+      artifactDir,
+      workspaceDir: path.join(artifactDir, 'workspaces'),
+      botTypes,
+      retryPolicies: { default: { maxAttempts: 1 } }
+    });
+  };
+
+  test('should resolve unknown and aliased types to registered ones', () => {
+    const registry = new BotTypeRegistry();
+
+    expect(registry.resolve('testing')).toBe('testing');
+    expect(registry.resolve(' Code ')).toBe('code-generation');
+    expect(registry.resolve('QA')).toBe('testing');
+    expect(registry.resolve('database')).toBe('general');
+    expect(registry.resolve(undefined)).toBe('general');
+
+    const agent = createAgent('Done', registry);
+    const tasks = agent.orderAnalysisTasks([
+      { id: 't1', description: 'Build', botType: 'implementation' },
+      { id: 't2', description: 'Tables', botType: 'database' },
+      { id: 't3', description: 'Docs', botType: 'documentation', expectedOutput: 42 }
+    ]);
+    expect(tasks.map(task => task.botType)).toEqual(['code-generation', 'general', 'general']);
+    expect(agent.describeBotTypes()).toContain('   - testing: designs and writes tests');
+    expect(agent.describeBotTypes()).not.toContain('general');
+  });
+
+  test('should give each type its own prompt and tools', async () => {
+    const prompts = [];
+    const agent = createAgent(({ messages }) => {
+      prompts.push(messages[0].content);
+      return messages[0].content.includes('Task: Write')
+        ? '<artifact path="src/app.js">\nmodule.exports = 1;\n</artifact>'
+        : 'Findings';
+    });
+
+    const code = await agent.executeWorkBot(
+      { botId: 'bot-1', type: 'code-generation', description: 'Write app' }, '', [], assignment
+    );
+    const research = await agent.executeWorkBot(
+      { botId: 'bot-2', type: 'research', description: 'Compare options' }, '', [], assignment
+    );
+
+    expect(prompts[0]).toMatch(/^You are a specialized work bot of type: code-generation/);
+    expect(prompts[0]).toContain('Write the code for this task');
+    expect(prompts[0]).toContain('<artifact path="src/example.js"');
+    expect(prompts[1]).toContain('Research this topic');
+    expect(prompts[1]).not.toContain('<artifact');
+    expect(code.artifacts).toEqual([{ artifactId: expect.any(String), path: 'src/app.js', version: 1 }]);
+    expect(research).toEqual({ success: true, output: 'Findings', timestamp: expect.any(String) });
+
+    // Artifact blocks that cannot be read fail the attempt
+    const broken = createAgent('<artifact path="src/app.js">never closed');
+    await expect(broken.executeWorkBot(
+      { botId: 'bot-3', type: 'code-generation', description: 'Write app' }, '', [], assignment
+    )).rejects.toThrow('Invalid code-generation result: artifact blocks could not be read');
+  });
+
+  test('should run types and tools registered by third parties', async () => {
+    const registry = new BotTypeRegistry();
+    const scanned = [];
+    registry.registerTool('severity-count', {
+      instructions: '\nTag every finding with [high], [medium] or [low].\n',
+      run: (context, output) => {
+        scanned.push(output);
+        return { findings: (output.match(/\[(high|medium|low)\]/g) || []).length };
+      }
+    });
+    registry.register({
+      type: 'security-scan',
+      description: 'reviews code for vulnerabilities',
+      aliases: ['security'],
+      tools: ['severity-count'],
+      buildPrompt: context => workBotPrompt(context, 'List every vulnerability.'),
+      // Checks run on the model output, before the tools add their fields
+      validate: result => (/\[(high|medium|low)\]/.test(result.output) ? [] : ['no tagged findings'])
+    });
+    expect(() => registry.register({ type: 'x', buildPrompt: () => '', tools: ['missing'] }))
+      .toThrow('Bot type x uses unknown tools: missing');
+
+    const prompts = [];
+    const agent = createAgent(({ messages }) => {
+      prompts.push(messages[0].content);
+      return prompts.length === 1 ? '[high] SQL injection in login' : 'Nothing found';
+    }, registry);
+
+    expect(agent.orderAnalysisTasks([{ id: 't1', description: 'Scan', botType: 'Security' }])[0].botType)
+      .toBe('security-scan');
+    const bot = { botId: 'bot-1', type: 'security-scan', description: 'Scan login' };
+    await expect(agent.executeWorkBot(bot, '', [], assignment)).resolves.toMatchObject({ findings: 1 });
+    expect(prompts[0]).toContain('List every vulnerability.\n\nTag every finding with [high]');
+
+    await expect(agent.executeWorkBot(bot, '', [], assignment))
+      .rejects.toThrow('Invalid security-scan result: no tagged findings');
+    // The tool only ran on the accepted result
+    expect(scanned).toEqual(['[high] SQL injection in login']);
+  });
+});
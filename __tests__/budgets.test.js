@@ -0,0 +1,132 @@
+/**
+ * Tests for per-task and per-user spending budgets
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { BudgetManager } = require('../server/budget-manager');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Budgets', () => {
+  let db;
+  let atlantis;
+  let budgets;
+
+  // Every call uses 1000 input and 100 output tokens
+  const reply = content => ({
+    content: [{ text: typeof content === 'string' ? content : JSON.stringify(content) }],
+    usage: { input_tokens: 1000, output_tokens: 100 }
+  });
+
+  const create = jest.fn(async ({ messages }) => {
+    const prompt = messages[0].content;
+    if (prompt.includes('Analyze the following task')) {
+      return reply({ primaryIntent: 'Build', complexity: 'Simple', requiredExpertise: ['Databases'] });
+    }
+    if (prompt.includes('Create a comprehensive project plan')) {
+      return reply({
+        overview: 'Plan',
+        workPackages: [{ id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'] }]
+      });
+    }
+    if (prompt.includes('break them down into specific, actionable tasks')) {
+      return reply({
+        tasks: [
+          { id: 't1', description: 'Tables', botType: 'database' },
+          { id: 't2', description: 'Indexes', botType: 'database', dependencies: ['t1'] },
+          { id: 't3', description: 'Seeds', botType: 'database', dependencies: ['t2'] }
+        ]
+      });
+    }
+    return reply('Bot output');
+  });
+  const aiClients = { claude: { messages: { create } } };
+
+  const taskStatus = taskId => db.prepare('SELECT status FROM tasks WHERE task_id = ?').get(taskId).status;
+  const botStatuses = () => db.prepare('SELECT status FROM work_bots ORDER BY id').all().map(b => b.status);
+  const load = () => db.prepare(
+    "SELECT current_load FROM sub_ai_agents WHERE agent_id = 'sub-ai-database'"
+  ).get().current_load;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    atlantis = new AtlantisAI(db, aiClients);
+    budgets = new BudgetManager(db);
+    create.mockClear();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should hold a task that reaches its budget and resume it once the limit is raised', async () => {
+    // Intent, plan, analysis and one work bot fit in 4400 tokens
+    const result = await atlantis.receiveTask({ userId: 1, title: 'Budgeted', budget: { tokens: 4400 } });
+    const manager = new SubAIManager(db, aiClients);
+    await manager.processPendingAssignments();
+
+    expect(taskStatus(result.taskId)).toBe('budget-exceeded');
+    expect(botStatuses()).toEqual(['completed', 'paused', 'paused']);
+    expect(db.prepare('SELECT status, paused_status FROM task_assignments').get())
+      .toEqual({ status: 'paused', paused_status: 'in-progress' });
+    expect(load()).toBe(0);
+    expect(create).toHaveBeenCalledTimes(4);
+
+    const update = db.prepare("SELECT message FROM progress_updates WHERE message LIKE 'Task paused%'").get();
+    expect(update.message).toContain('task budget reached (4400 of 4400 tokens used)');
+
+    expect(atlantis.resumeTask(result.taskId).error).toBe(
+      'The task tokens budget is still exhausted, raise it before resuming'
+    );
+
+    budgets.setTaskBudget(result.taskId, { tokens: 10000 });
+    expect(atlantis.resumeTask(result.taskId, 'test-user')).toMatchObject({
+      success: true,
+      status: 'in-progress',
+      assignments: [{ status: 'assigned' }]
+    });
+    await manager.processPendingAssignments();
+
+    expect(botStatuses()).toEqual(['completed', 'completed', 'completed']);
+    expect(db.prepare('SELECT status FROM task_assignments').get().status).toBe('completed');
+    expect(budgets.getTaskBudget(result.taskId).task.tokens).toEqual({ limit: 10000, used: 6600 });
+  });
+
+  test('should stop planning when the user budget runs out and restart it on resume', async () => {
+    budgets.setUserBudget('test-user', { tokens: 1000 });
+
+    const result = await atlantis.receiveTask({ userId: 1, title: 'Over budget' });
+
+    expect(result).toMatchObject({ success: false, status: 'budget-exceeded' });
+    expect(result.error).toBe('user budget reached (1100 of 1000 tokens used)');
+    expect(taskStatus(result.taskId)).toBe('budget-exceeded');
+    expect(db.prepare("SELECT COUNT(*) as count FROM system_metrics WHERE metric_name LIKE '%fallback'")
+      .get().count).toBe(0);
+
+    budgets.setUserBudget('test-user', { tokens: null });
+    expect(atlantis.resumeTask(result.taskId)).toMatchObject({ success: true, status: 'pending' });
+    await atlantis.planning;
+
+    expect(taskStatus(result.taskId)).toBe('in-progress');
+    expect(db.prepare('SELECT COUNT(*) as count FROM task_assignments').get().count).toBe(1);
+    // The understood intent is reused, so only planning is repeated
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  test('should validate budgets and keep limits that are not changed', () => {
+    db.prepare(`
+      INSERT INTO tasks (task_id, user_id, title, budget_tokens) VALUES ('task-1', 1, 'Limits', 500)
+    `).run();
+
+    expect(budgets.setTaskBudget('task-1', { tokens: -1 })).toEqual({
+      error: 'Budget tokens must be a non-negative number or null'
+    });
+    expect(budgets.setTaskBudget('missing', { tokens: 1 })).toEqual({ error: 'Task not found' });
+
+    const updated = budgets.setTaskBudget('task-1', { cost: 0.5 });
+    expect(updated.task).toEqual({ tokens: { limit: 500, used: 0 }, cost: { limit: 0.5, used: 0 } });
+    expect(updated.user).toEqual({ tokens: { limit: null, used: 0 }, cost: { limit: null, used: 0 } });
+  });
+});
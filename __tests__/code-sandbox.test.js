@@ -0,0 +1,154 @@
+/**
+ * Tests for sandboxed code execution and testing work bots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SubAIAgent } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { CodeSandbox, formatRuns } = require('../server/code-sandbox');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+
+describe('Code Sandbox', () => {
+  const sandbox = new CodeSandbox({ enabled: true, limits: { timeoutMs: 10000 } });
+  // Hosts without network namespaces or the permission model cannot run the sandbox
+  const isolated = sandbox.enabled ? test : test.skip;
+  const isolatedPython = sandbox.enabled && hasPython ? test : test.skip;
+
+  test('should stay disabled unless it is turned on', () => {
+    const previous = process.env.ATLANTIS_SANDBOX_ENABLED;
+    delete process.env.ATLANTIS_SANDBOX_ENABLED;
+    try {
+      expect(new CodeSandbox().enabled).toBe(false);
+    } finally {
+      if (previous !== undefined) process.env.ATLANTIS_SANDBOX_ENABLED = previous;
+    }
+    expect(new CodeSandbox({ enabled: false }).enabled).toBe(false);
+  });
+
+  isolated('should run JavaScript tests and report them', async () => {
+    const [run] = await sandbox.runFiles([
+      { path: 'src/sum.js', content: 'module.exports = (a, b) => a + b;' },
+      {
+        path: 'src/sum.test.js',
+        content: `const test = require('node:test');
+const assert = require('node:assert');
+const sum = require('./sum');
+test('adds', () => assert.strictEqual(sum(1, 2), 3));
+test('subtracts', () => assert.strictEqual(sum(1, -1), 1));
+test('reads outside', () => require('fs').readFileSync('/etc/hostname'));
+test('starts a process', () => require('child_process').execFileSync('/bin/echo', ['escaped']));`
+      }
+    ], ['src/sum.test.js']);
+
+    expect(run).toMatchObject({
+      language: 'javascript', mode: 'test', entries: ['src/sum.test.js'], timedOut: false,
+      command: 'node --test-reporter=tap src/sum.test.js',
+      tests: { total: 4, passed: 1, failed: 3, skipped: 0 }
+    });
+    expect(run.exitCode).not.toBe(0);
+    expect(run.stdout.match(/ERR_ACCESS_DENIED/g)).toHaveLength(2);
+    expect(run.stdout).not.toContain('escaped');
+    expect(formatRuns([run])).toContain('1/4 tests passed, 3 failed');
+  });
+
+  isolatedPython('should run Python tests and keep writes in the directory', async () => {
+    const [run] = await sandbox.runFiles([
+      {
+        path: 'test_app.py',
+        content: `import unittest
+class AppTest(unittest.TestCase):
+    def test_math(self):
+        self.assertEqual(2 + 2, 4)
+    def test_write_outside(self):
+        with self.assertRaises(PermissionError):
+            open('/tmp/escaped.txt', 'w')
+`
+      }
+    ], ['test_app.py']);
+
+    expect(run).toMatchObject({
+      language: 'python', exitCode: 0, tests: { total: 2, passed: 2, failed: 0, skipped: 0 }
+    });
+  });
+
+  isolated('should block the network and stop runs that exceed the timeout', async () => {
+    const [network] = await sandbox.runFiles([{
+      path: 'fetch.js',
+      content: "require('net').connect(443, '1.1.1.1').on('error', e => console.log('error', e.code));"
+    }], ['fetch.js']);
+    expect(network.stdout).toBe('error ENETUNREACH\n');
+
+    const quick = new CodeSandbox({ enabled: true, limits: { timeoutMs: 500 } });
+    const [loop] = await quick.runFiles([{ path: 'loop.js', content: 'while (true) {}' }], ['loop.js']);
+    expect(loop).toMatchObject({ timedOut: true, exitCode: null, signal: 'SIGKILL' });
+  });
+
+  describe('testing work bots', () => {
+    let db;
+    let artifactDir;
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+      seedSubAIAgents(db);
+      db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+      db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Tested code')").run();
+      artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-sandbox-test-'));
+    });
+
+    afterEach(() => {
+      db.close();
+      fs.rmSync(artifactDir, { recursive: true, force: true });
+    });
+
+    isolated('should run the tests they write against the task files', async () => {
+      const agentData = db.prepare("SELECT * FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get();
+      const assignment = db.prepare(`
+        INSERT INTO task_assignments (assignment_id, task_id, agent_id, assigned_elements, status)
+        VALUES ('assign-1', 1, ?, '["Test it"]', 'in-progress') RETURNING *
+      `).get(agentData.id);
+      const outputs = {
+        'Write sum': '<artifact path="sum.js">\nmodule.exports = (a, b) => a + b;\n</artifact>',
+        'Test sum': `Cases: 1 + 2 = 3
+<artifact path="sum.test.js">
+const test = require('node:test');
+const assert = require('node:assert');
+test('adds', () => assert.strictEqual(require('./sum')(1, 2), 3));
+</artifact>`
+      };
+      const llm = new LLMRouter({}, {
+        mode: 'scripted',
+        script: { execution: ({ messages }) => outputs[messages[0].content.match(/^Task: (.*)$/m)[1]] }
+      });
+      const workspaceDir = path.join(artifactDir, 'workspaces');
+      const agent = new SubAIAgent(db, agentData, {}, { llm, artifactDir, workspaceDir, sandbox });
+
+      await agent.executeWorkBot({ botId: 'bot-1', type: 'code-generation', description: 'Write sum' },
+        '', [], assignment);
+      const result = await agent.executeWorkBot({ botId: 'bot-2', type: 'testing', description: 'Test sum' },
+        '', [], assignment);
+
+      expect(result.artifacts).toEqual([{ artifactId: expect.any(String), path: 'sum.test.js', version: 1 }]);
+      expect(result.execution.runs).toEqual([expect.objectContaining({
+        command: 'node --test-reporter=tap sum.test.js',
+        exitCode: 0,
+        tests: { total: 1, passed: 1, failed: 0, skipped: 0 }
+      })]);
+      // The output is the model's stream; the runs are only in execution
+      expect(result.output).not.toContain('## Sandbox Execution');
+
+      // Without the sandbox the tests are only stored
+      const disabled = new SubAIAgent(db, agentData, {}, {
+        llm, artifactDir, workspaceDir, sandbox: new CodeSandbox({ enabled: false })
+      });
+      const stored = await disabled.executeWorkBot({ botId: 'bot-3', type: 'testing', description: 'Test sum' },
+        '', [], assignment);
+      expect(stored.execution).toBeUndefined();
+      expect(stored.artifacts[0].version).toBe(2);
+    });
+  });
+});
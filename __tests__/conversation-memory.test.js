@@ -0,0 +1,110 @@
+/**
+ * Tests for per-task chat threads of ATLANTIS
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const ConversationMemory = require('../server/conversation-memory');
+const { initializeDatabase } = require('../scripts/init-database');
+
+describe('Conversation Memory', () => {
+  let db;
+  let atlantis;
+
+  const create = jest.fn(async ({ messages }) => {
+    const prompt = messages[messages.length - 1].content;
+    const text = prompt.startsWith('Summarize this conversation')
+      ? 'The user wants PostgreSQL'
+      : `Reply ${prompt.match(/User Message: (.*)/)[1]}`;
+    return { content: [{ text }], usage: { input_tokens: 10, output_tokens: 5 } };
+  });
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Chat')").run();
+    atlantis = new AtlantisAI(db, { claude: { messages: { create } } });
+    create.mockClear();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should replay earlier messages of the task as conversation turns', async () => {
+    expect(await atlantis.interactWithUser('task-1', 'Use PostgreSQL'))
+      .toEqual({ success: true, response: 'Reply Use PostgreSQL' });
+    await atlantis.interactWithUser('task-1', 'Which database?');
+
+    const { messages } = create.mock.calls[1][0];
+    expect(messages.slice(0, 2)).toEqual([
+      { role: 'user', content: 'Use PostgreSQL' },
+      { role: 'assistant', content: 'Reply Use PostgreSQL' }
+    ]);
+    expect(messages[2].content).toContain('User Message: Which database?');
+
+    const conversation = atlantis.conversations.getConversation('task-1');
+    expect(conversation.conversationId).toMatch(/^conv-/);
+    expect(conversation.messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'Use PostgreSQL'],
+      ['assistant', 'Reply Use PostgreSQL'],
+      ['user', 'Which database?'],
+      ['assistant', 'Reply Which database?']
+    ]);
+    expect(db.prepare('SELECT user_id, task_id, ai_system FROM conversations').all())
+      .toEqual([{ user_id: 1, task_id: 1, ai_system: 'atlantis' }]);
+  });
+
+  test('should leave the status line sent when the model fails out of the thread', async () => {
+    create.mockRejectedValueOnce(new Error('offline'));
+
+    expect(await atlantis.interactWithUser('task-1', 'Are you there?'))
+      .toEqual({ success: true, response: "I'm monitoring your task. Status: pending" });
+    await atlantis.interactWithUser('task-1', 'Hello');
+
+    expect(create.mock.calls[1][0].messages).toHaveLength(1);
+    expect(atlantis.conversations.getConversation('task-1').messages.map(m => m.content))
+      .toEqual(['Hello', 'Reply Hello']);
+  });
+
+  test('should report unknown tasks and exhausted budgets instead of replying', async () => {
+    expect(await atlantis.interactWithUser('task-2', 'Hello')).toEqual({ success: false, error: 'Task not found' });
+
+    await atlantis.interactWithUser('task-1', 'Hello');
+    db.prepare("UPDATE tasks SET budget_tokens = 15 WHERE task_id = 'task-1'").run();
+    expect(await atlantis.interactWithUser('task-1', 'Still there?')).toEqual({
+      success: false, status: 'budget-exceeded', error: 'task budget reached (15 of 15 tokens used)'
+    });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(atlantis.conversations.getConversation('task-1').messages).toHaveLength(2);
+  });
+
+    test('should summarize older messages once the thread outgrows the replayed history', async () => {
+    atlantis.conversations = new ConversationMemory(db, { historyLimit: 4 });
+    for (const message of ['One', 'Two', 'Three']) {
+      await atlantis.interactWithUser('task-1', message);
+    }
+    expect(create).toHaveBeenCalledTimes(3);
+
+    await atlantis.interactWithUser('task-1', 'Four');
+
+    const summaryPrompt = create.mock.calls[3][0].messages[0].content;
+    expect(summaryPrompt).toContain('User: One\n\nATLANTIS: Reply One\n\nUser: Two\n\nATLANTIS: Reply Two');
+    expect(summaryPrompt).not.toContain('Three');
+
+    const { messages } = create.mock.calls[4][0];
+    expect(messages.slice(0, 2).map(m => m.content)).toEqual(['Three', 'Reply Three']);
+    expect(messages[2].content).toContain('Summary of the earlier conversation: The user wants PostgreSQL');
+
+    const conversation = atlantis.conversations.getConversation('task-1');
+    expect(conversation.summary).toBe('The user wants PostgreSQL');
+    expect(conversation.messages).toHaveLength(8);
+    expect(db.prepare("SELECT COUNT(*) as count FROM llm_usage WHERE stage = 'conversation'").get().count).toBe(5);
+  });
+
+  test('should return an empty thread for a task without messages and an error for unknown tasks', () => {
+    expect(atlantis.conversations.getConversation('task-1')).toEqual({
+      taskId: 'task-1', conversationId: null, summary: null, messages: []
+    });
+    expect(atlantis.conversations.getConversation('missing')).toEqual({ error: 'Task not found' });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for the event bus and WebSocket channel subscriptions
+ */
+
+const EventEmitter = require('events');
+const AtlantisAI = require('../server/atlantis-ai');
+const ChannelHub = require('../server/channel-hub');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { EventBus, getEventBus } = require('../server/event-bus');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Event Bus', () => {
+  let db;
+  let events;
+  let atlantis;
+  let manager;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    events = [];
+    getEventBus(db).on('event', event => events.push(event));
+
+    const llm = new LLMRouter({}, { mode: 'scripted' });
+    atlantis = new AtlantisAI(db, {}, { llm });
+    manager = new SubAIManager(db, {}, { llm });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const ofType = type => events.filter(e => e.type === type);
+
+  test('should publish every status transition and progress update of a task', async () => {
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Observed' });
+    await manager.processPendingAssignments();
+    await manager.processPendingAssignments();
+    await atlantis.monitorProgress(db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId).id);
+
+    expect(ofType('task-created')).toEqual([expect.objectContaining({
+      taskId, title: 'Observed', userId: 'test-user', channels: [`task:${taskId}`, 'user:test-user', 'system']
+    })]);
+    expect(ofType('task-status-changed').map(e => e.status)).toEqual(['in-progress', 'completed']);
+
+    const database = ofType('assignment-status-changed').filter(e => e.agentId === 'sub-ai-database');
+    expect(database.map(e => e.status)).toEqual(['assigned', 'in-progress', 'completed']);
+    expect(database[0].channels).toEqual([`task:${taskId}`, 'user:test-user', 'agent:sub-ai-database']);
+    expect(ofType('assignment-status-changed').filter(e => e.agentId === 'sub-ai-code').map(e => e.status))
+      .toEqual(['blocked', 'assigned', 'in-progress', 'completed']);
+
+    expect(ofType('bot-status-changed').map(e => e.status)).toEqual([
+      'created', 'running', 'completed', 'created', 'running', 'completed'
+    ]);
+
+    const updates = db.prepare('SELECT update_id, message FROM progress_updates ORDER BY id').all();
+    expect(ofType('progress-update').map(e => [e.updateId, e.message]))
+      .toEqual(updates.map(u => [u.update_id, u.message]));
+  });
+
+  test('should publish held assignments and bots when a task is paused', async () => {
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Paused' });
+    events.length = 0;
+
+    atlantis.pauseTask(taskId, 'test-user');
+
+    expect(ofType('task-status-changed')).toEqual([expect.objectContaining({ taskId, status: 'paused' })]);
+    expect(ofType('assignment-status-changed').map(e => e.status)).toEqual(['paused', 'paused']);
+    expect(ofType('progress-update')).toHaveLength(1);
+  });
+
+  describe('Channel Hub', () => {
+    let hub;
+
+    const client = () => {
+      const ws = Object.assign(new EventEmitter(), {
+        readyState: 1, send: jest.fn(), ping: jest.fn(), terminate: jest.fn()
+      });
+      hub.addClient(ws);
+      return ws;
+    };
+    const received = ws => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+
+    beforeEach(() => {
+      hub = new ChannelHub(getEventBus(db));
+    });
+
+    test('should deliver events only on the channels a client subscribed to', async () => {
+      const taskClient = client();
+      const otherUser = client();
+      const system = client();
+      const idle = client();
+
+      const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Channels', requireApproval: true });
+      hub.handleMessage(taskClient, { type: 'subscribe-task', taskId });
+      hub.handleMessage(otherUser, { type: 'subscribe', channels: ['user:someone-else'] });
+      hub.handleMessage(system, { type: 'subscribe', channels: ['system'] });
+      [taskClient, otherUser, system].forEach(ws => ws.send.mockClear());
+
+      atlantis.addProgressUpdate(db.prepare('SELECT id FROM tasks').get().id, 'atlantis', 'ATLANTIS', 'Hello');
+      atlantis.cancelTask(taskId);
+
+      expect(received(taskClient).map(e => e.type))
+        .toEqual(['progress-update', 'task-status-changed', 'progress-update']);
+      expect(received(system).map(e => e.type)).toEqual(['task-status-changed']);
+      expect(otherUser.send).not.toHaveBeenCalled();
+      expect(idle.send).not.toHaveBeenCalled();
+    });
+
+    test('should send an event once to a client subscribed to several of its channels', () => {
+      const ws = client();
+      hub.handleMessage(ws, { type: 'subscribe', channels: ['task:task-1', 'user:test-user'] });
+      expect(received(ws)).toEqual([{ type: 'subscribed', channels: ['task:task-1', 'user:test-user'] }]);
+
+      getEventBus(db).publish('progress-update', ['task:task-1', 'user:test-user'], { message: 'Once' });
+      hub.handleMessage(ws, { type: 'unsubscribe', channels: ['task:task-1', 'user:test-user'] });
+      getEventBus(db).publish('progress-update', ['task:task-1', 'user:test-user'], { message: 'Never' });
+
+      expect(received(ws).filter(e => e.type === 'progress-update').map(e => e.message)).toEqual(['Once']);
+    });
+
+    test('should count the clients subscribed to a channel', () => {
+      const bus = getEventBus(db);
+      const first = client();
+      const second = client();
+
+      hub.handleMessage(first, { type: 'subscribe-task', taskId: 'task-1' });
+      hub.handleMessage(first, { type: 'subscribe-task', taskId: 'task-1' });
+      hub.handleMessage(second, { type: 'subscribe', channels: ['task:task-1', 'system'] });
+      hub.handleMessage(first, { type: 'unsubscribe', channels: ['task:task-1'] });
+      expect(bus.hasSubscribers('task:task-1')).toBe(true);
+
+      hub.removeClient(second);
+      expect(bus.hasSubscribers('task:task-1')).toBe(false);
+      expect(bus.hasSubscribers('system')).toBe(false);
+    });
+
+    test('should reject invalid channels and unknown messages', () => {
+      const ws = client();
+
+      hub.handleMessage(ws, { type: 'subscribe', channels: ['system', 'everything'] });
+      hub.handleMessage(ws, { type: 'shout' });
+
+      expect(received(ws)).toEqual([
+        { type: 'error', message: 'Invalid channel(s): everything' },
+        { type: 'error', message: 'Unknown message type: shout' }
+      ]);
+      expect(hub.clients.get(ws).channels.size).toBe(0);
+    });
+
+    test('should replay the missed events of a reconnecting client before live events', async () => {
+      const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Resumed', requireApproval: true });
+      const taskRecordId = db.prepare('SELECT id FROM tasks').get().id;
+      const lastSeq = events[events.length - 1].seq;
+      expect(events.map(e => e.seq)).toEqual(events.map((e, index) => events[0].seq + index));
+
+      atlantis.addProgressUpdate(taskRecordId, 'atlantis', 'ATLANTIS', 'While offline', 40);
+      getEventBus(db).publish('progress-update', ['task:other-task'], { message: 'Not subscribed' });
+      atlantis.cancelTask(taskId);
+      const missed = events.filter(e => e.seq > lastSeq && e.channels.includes(`task:${taskId}`));
+
+      const ws = client();
+      hub.handleMessage(ws, { type: 'resume-from', lastSeq, channels: [`task:${taskId}`] });
+      atlantis.addProgressUpdate(taskRecordId, 'atlantis', 'ATLANTIS', 'Live');
+
+      const messages = received(ws).slice(1);
+      expect(messages.slice(0, missed.length)).toEqual(missed);
+      expect(messages[0]).toMatchObject({ message: 'While offline', progress: 40, sourceType: 'atlantis' });
+      expect(messages[missed.length]).toEqual({
+        type: 'replay-complete', lastSeq: missed[missed.length - 1].seq, replayed: missed.length, truncated: false
+      });
+      expect(messages[missed.length + 1]).toMatchObject({ type: 'progress-update', message: 'Live' });
+    });
+
+    test('should flag a replay that starts before the retained events', () => {
+      const bus = new EventBus(db, { retention: 10 });
+      for (let i = 0; i < 100; i++) {
+        bus.publish('progress-update', ['system'], { message: `Event ${i + 1}` });
+      }
+      expect(bus.getSeqRange()).toEqual({ oldest: 91, latest: 100 });
+
+      hub = new ChannelHub(bus);
+      const behind = client();
+      const ahead = client();
+      hub.handleMessage(behind, { type: 'resume-from', lastSeq: 50, channels: ['system'] });
+      hub.handleMessage(ahead, { type: 'resume-from', lastSeq: 500, channels: ['system'] });
+      hub.handleMessage(ahead, { type: 'resume-from', lastSeq: -1 });
+
+      const replayed = received(behind).filter(e => e.type === 'progress-update');
+      expect(replayed.map(e => e.message)).toEqual(Array.from({ length: 10 }, (_, i) => `Event ${i + 91}`));
+      expect(received(behind).pop()).toEqual({ type: 'replay-complete', lastSeq: 100, replayed: 10, truncated: true });
+      expect(received(ahead).slice(1)).toEqual([
+        { type: 'replay-complete', lastSeq: 100, replayed: 0, truncated: true },
+        { type: 'error', message: 'lastSeq must be a non-negative integer' }
+      ]);
+    });
+
+    test('should terminate clients that do not answer heartbeat pings', () => {
+      const alive = client();
+      const dead = client();
+
+      hub.checkHeartbeats();
+      alive.emit('pong');
+      hub.checkHeartbeats();
+
+      expect(alive.ping).toHaveBeenCalledTimes(2);
+      expect(alive.terminate).not.toHaveBeenCalled();
+      expect(dead.ping).toHaveBeenCalledTimes(1);
+      expect(dead.terminate).toHaveBeenCalled();
+      expect(hub.clients.has(dead)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the durable job queue and crash recovery of assignments
+ */
+
+const JobQueue = require('../server/job-queue');
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Job Queue', () => {
+  let db;
+
+  const aiClients = {
+    claude: {
+      messages: {
+        create: jest.fn(async ({ messages }) => {
+          if (messages[0].content.startsWith('You are a specialized work bot')) {
+            return { content: [{ text: 'Bot output' }] };
+          }
+          throw new Error('offline');
+        })
+      }
+    }
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const expireLeases = () => db.prepare(
+    "UPDATE jobs SET lease_expires_at = 0 WHERE status = 'leased'"
+  ).run();
+
+  test('should lease, heartbeat and complete jobs once per key', () => {
+    const queue = new JobQueue(db, { leaseMs: 1000 });
+
+    const jobId = queue.enqueue('test', { n: 1 }, 'key-1');
+    expect(queue.enqueue('test', { n: 2 }, 'key-1')).toBeNull();
+
+    const job = queue.claim('worker-a');
+    expect(job).toMatchObject({ job_id: jobId, status: 'leased', attempts: 1, payload: { n: 1 } });
+    expect(queue.claim('worker-b')).toBeNull();
+
+    expect(queue.heartbeat(jobId, 'worker-b')).toBe(false);
+    expect(queue.heartbeat(jobId, 'worker-a')).toBe(true);
+    expect(queue.complete(jobId, 'worker-a')).toBe(true);
+
+    // A finished job frees its key
+    expect(queue.enqueue('test', { n: 3 }, 'key-1')).not.toBeNull();
+    expect(queue.getStats()).toEqual({ completed: 1, pending: 1 });
+  });
+
+  test('should reclaim expired leases until the job runs out of attempts', () => {
+    const queue = new JobQueue(db, { maxAttempts: 2 });
+    const jobId = queue.enqueue('test', {});
+
+    queue.claim('worker-a');
+    expireLeases();
+    expect(queue.reclaimExpired().map(j => j.status)).toEqual(['pending']);
+
+    queue.claim('worker-b');
+    expireLeases();
+    expect(queue.reclaimExpired().map(j => j.status)).toEqual(['failed']);
+    expect(queue.getJob(jobId).last_error).toBe('Lease held by worker-b expired');
+  });
+
+  describe('Assignment processing', () => {
+    let atlantis;
+    let task;
+
+    const plan = {
+      workPackages: [
+        { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] }
+      ]
+    };
+
+    const load = () => db.prepare(
+      "SELECT current_load FROM sub_ai_agents WHERE agent_id = 'sub-ai-database'"
+    ).get().current_load;
+
+    const assignmentStatus = () => db.prepare(
+      'SELECT status FROM task_assignments WHERE task_id = ?'
+    ).get(task.id).status;
+
+    beforeEach(async () => {
+      atlantis = new AtlantisAI(db, aiClients);
+      task = await atlantis.createTask({ userId: 1, title: 'Queue Test' });
+      await atlantis.delegateToSubAIs(task, plan);
+    });
+
+    test('should not run overlapping ticks', async () => {
+      const manager = new SubAIManager(db, aiClients);
+
+      const [first, second] = await Promise.all([
+        manager.processPendingAssignments(),
+        manager.processPendingAssignments()
+      ]);
+
+      expect(first).toEqual({ skipped: false, processed: 1 });
+      expect(second).toEqual({ skipped: true });
+      expect(assignmentStatus()).toBe('completed');
+      expect(manager.jobQueue.getStats()).toEqual({ completed: 1 });
+    });
+
+    test('should requeue an assignment whose worker died and finish it on the next tick', async () => {
+      // A worker leases the job, starts the assignment and dies
+      const crashed = new SubAIManager(db, aiClients, { workerId: 'crashed' });
+      crashed.enqueueAssignedWork();
+      crashed.jobQueue.claim('crashed');
+      db.prepare("UPDATE task_assignments SET status = 'in-progress' WHERE task_id = ?").run(task.id);
+      expect(load()).toBe(1);
+
+      const manager = new SubAIManager(db, aiClients, { workerId: 'survivor' });
+      await manager.processPendingAssignments();
+      expect(assignmentStatus()).toBe('in-progress');
+
+      expireLeases();
+      await manager.processPendingAssignments();
+
+      expect(assignmentStatus()).toBe('completed');
+      expect(load()).toBe(0);
+    });
+
+    test('should fail the assignment and release capacity once the job is out of attempts', async () => {
+      const manager = new SubAIManager(db, aiClients, { jobQueue: { maxAttempts: 1 } });
+      manager.enqueueAssignedWork();
+      manager.jobQueue.claim('crashed');
+      db.prepare("UPDATE task_assignments SET status = 'in-progress' WHERE task_id = ?").run(task.id);
+
+      expireLeases();
+      await manager.processPendingAssignments();
+
+      expect(assignmentStatus()).toBe('failed');
+      expect(load()).toBe(0);
+    });
+
+    test('should requeue in-progress assignments without a job on startup', () => {
+      const manager = new SubAIManager(db, aiClients);
+      db.prepare("UPDATE task_assignments SET status = 'in-progress' WHERE task_id = ?").run(task.id);
+
+      expect(manager.recoverOrphanedAssignments()).toHaveLength(1);
+      expect(assignmentStatus()).toBe('assigned');
+      expect(load()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the LLM provider adapters, stage routing and failover
+ */
+
+const { LLMRouter, parseModelSpec } = require('../server/llm-providers');
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('LLM Providers', () => {
+  const anthropicClient = (create) => ({ messages: { create: jest.fn(create) } });
+  const openaiClient = (create) => ({ chat: { completions: { create: jest.fn(create) } } });
+
+  const anthropicReply = text => async () => ({
+    content: [{ text }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+  });
+  const openaiReply = text => async () => ({
+    choices: [{ message: { content: text } }],
+    usage: { prompt_tokens: 7, completion_tokens: 3 }
+  });
+
+  const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  const request = { stage: 'intent', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 100 };
+
+  test('should parse provider:model settings', () => {
+    expect(parseModelSpec('openai:gpt-4o-mini')).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+    expect(parseModelSpec('anthropic')).toEqual({ provider: 'anthropic', model: null });
+    expect(parseModelSpec(':claude-haiku-4-5')).toEqual({ provider: null, model: 'claude-haiku-4-5' });
+    expect(parseModelSpec('')).toBeNull();
+  });
+
+  test('should resolve models by stage and let agents override them', () => {
+    const router = new LLMRouter({}, {
+      defaultProvider: 'anthropic',
+      stages: { planning: { provider: 'openai', model: 'gpt-4.1' }, analysis: { model: 'claude-opus-4-1' } }
+    });
+
+    expect(router.resolve('intent')).toEqual({ provider: 'anthropic', model: 'claude-sonnet-4-5' });
+    expect(router.resolve('planning')).toEqual({ provider: 'openai', model: 'gpt-4.1' });
+    expect(router.resolve('analysis')).toEqual({ provider: 'anthropic', model: 'claude-opus-4-1' });
+
+    // An agent switching provider does not inherit the stage's model of the other provider
+    expect(router.resolve('analysis', { provider: 'openai' })).toEqual({ provider: 'openai', model: 'gpt-4o' });
+    expect(router.resolve('planning', { model: 'gpt-4o-mini' })).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+
+    // A model named without its provider is sent to the provider that serves it
+    expect(router.resolve('intent', { model: 'gpt-4o-mini' })).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+    expect(router.resolve('planning', { model: 'claude-haiku-4-5' }))
+      .toEqual({ provider: 'anthropic', model: 'claude-haiku-4-5' });
+    expect(router.resolve('intent', { model: 'custom-finetune' }))
+      .toEqual({ provider: 'anthropic', model: 'custom-finetune' });
+  });
+
+  test('should normalize both providers to the same response shape', async () => {
+    const router = new LLMRouter({
+      claude: anthropicClient(anthropicReply('from claude')),
+      openai: openaiClient(openaiReply('from openai'))
+    }, { stages: { conversation: { provider: 'openai' } } });
+
+    expect(await router.complete(request)).toEqual({
+      text: 'from claude',
+      usage: { inputTokens: 10, outputTokens: 5 },
+      provider: 'anthropic',
+      model: 'claude-sonnet-4-5'
+    });
+    expect(await router.complete({ ...request, stage: 'conversation' })).toEqual({
+      text: 'from openai',
+      usage: { inputTokens: 7, outputTokens: 3 },
+      provider: 'openai',
+      model: 'gpt-4o'
+    });
+  });
+
+  test('should use the only configured provider', async () => {
+    const openai = openaiClient(openaiReply('ok'));
+    const router = new LLMRouter({ claude: null, openai });
+
+    const result = await router.complete(request);
+
+    expect(result.provider).toBe('openai');
+    expect(openai.chat.completions.create.mock.calls[0][0]).toMatchObject({ model: 'gpt-4o', max_tokens: 100 });
+  });
+
+  test('should fail over when a provider is down and try it last while it cools down', async () => {
+    const claude = anthropicClient(async () => { throw httpError(529); });
+    const openai = openaiClient(openaiReply('ok'));
+    const router = new LLMRouter({ claude, openai }, { cooldownMs: 60000 });
+
+    expect((await router.complete(request)).provider).toBe('openai');
+    expect((await router.complete(request)).provider).toBe('openai');
+
+    expect(claude.messages.create).toHaveBeenCalledTimes(1);
+    expect(router.getStatus().providers.anthropic).toEqual({ configured: true, healthy: false });
+  });
+
+  test('should not fail over on a rejected request', async () => {
+    const openai = openaiClient(openaiReply('ok'));
+    const router = new LLMRouter({
+      claude: anthropicClient(async () => { throw httpError(400); }),
+      openai
+    });
+
+    await expect(router.complete(request)).rejects.toThrow('HTTP 400');
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('should throw the last error when every provider fails', async () => {
+    const router = new LLMRouter({
+      claude: anthropicClient(async () => { throw httpError(500); }),
+      openai: openaiClient(async () => { throw httpError(503); })
+    });
+
+    await expect(router.complete(request)).rejects.toThrow('HTTP 503');
+    await expect(new LLMRouter({}).complete(request)).rejects.toThrow('No LLM provider is configured');
+  });
+
+  describe('Pipeline', () => {
+    let db;
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+      seedSubAIAgents(db);
+      db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('should run the whole pipeline with only an OpenAI key', async () => {
+      const openai = openaiClient(async ({ messages }) => {
+        const prompt = messages[0].content;
+        let content = 'Bot output';
+        if (prompt.includes('Analyze the following task')) {
+          content = JSON.stringify({ primaryIntent: 'Build', complexity: 'Simple', requiredExpertise: ['APIs'] });
+        } else if (prompt.includes('Create a comprehensive project plan')) {
+          content = JSON.stringify({
+            overview: 'Plan',
+            workPackages: [{ id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'] }]
+          });
+        } else if (prompt.includes('break them down into specific, actionable tasks')) {
+          content = JSON.stringify({ tasks: [{ id: 't1', description: 'Tables', botType: 'database' }] });
+        }
+        return { choices: [{ message: { content } }] };
+      });
+      const llm = new LLMRouter({ claude: null, openai });
+
+      const atlantis = new AtlantisAI(db, { openai }, { llm });
+      const result = await atlantis.receiveTask({ userId: 1, title: 'OpenAI only' });
+      const manager = new SubAIManager(db, { openai }, { llm });
+      await manager.processPendingAssignments();
+
+      expect(result.projectPlan.overview).toBe('Plan');
+      const assignment = db.prepare('SELECT status FROM task_assignments').get();
+      expect(assignment.status).toBe('completed');
+      expect(db.prepare("SELECT COUNT(*) as count FROM system_metrics WHERE metric_name LIKE '%fallback'")
+        .get().count).toBe(0);
+    });
+
+    test('should run an agent on its own provider and model', async () => {
+      const claude = anthropicClient(async () => ({ content: [{ text: 'Bot output' }] }));
+      const openai = openaiClient(openaiReply('Bot output'));
+      db.prepare(
+        "UPDATE sub_ai_agents SET llm_provider = 'openai', llm_model = 'gpt-4.1' WHERE agent_id = 'sub-ai-database'"
+      ).run();
+
+      const manager = new SubAIManager(db, { claude, openai });
+      const agent = manager.agents.get('sub-ai-database');
+      await agent.executeWorkBot({ type: 'database', description: 'Tables' });
+
+      expect(openai.chat.completions.create.mock.calls[0][0].model).toBe('gpt-4.1');
+      expect(claude.messages.create).not.toHaveBeenCalled();
+    });
+  });
+});
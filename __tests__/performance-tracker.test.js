@@ -0,0 +1,101 @@
+/**
+ * Tests for agent performance scoring
+ */
+
+const PerformanceTracker = require('../server/performance-tracker');
+const AssignmentBroker = require('../server/assignment-broker');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Performance Tracker', () => {
+  let db;
+  let tracker;
+  let agentId;
+  let taskId;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    taskId = db.prepare(
+      "INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Scoring')"
+    ).run().lastInsertRowid;
+    agentId = db.prepare("SELECT id FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get().id;
+
+    tracker = new PerformanceTracker(db, { halfLifeDays: 14, targetMinutes: 30 });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const addAssignment = (status, botStatuses, daysAgo = 0) => {
+    const assignmentId = `assign-${Math.random()}`;
+    const id = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, status, started_at, completed_at)
+      VALUES (?, ?, ?, ?, datetime('now', ?, '-10 minutes'), datetime('now', ?))
+    `).run(assignmentId, taskId, agentId, status, `-${daysAgo} days`, `-${daysAgo} days`).lastInsertRowid;
+
+    botStatuses.forEach((botStatus, i) => {
+      db.prepare(`
+        INSERT INTO work_bots (bot_id, assignment_id, agent_id, bot_type, status)
+        VALUES (?, ?, ?, 'analysis', ?)
+      `).run(`bot-${assignmentId}-${i}`, id, agentId, botStatus);
+    });
+
+    return assignmentId;
+  };
+
+  test('should lower the score when work bots fail and record history', () => {
+    addAssignment('completed', ['completed']);
+    addAssignment('partial', ['completed', 'failed', 'failed', 'failed']);
+
+    const { score, summary } = tracker.recomputeScore(agentId, 'test');
+
+    expect(score).toBeLessThan(100);
+    expect(summary.assignments).toBe(2);
+    expect(summary.success).toBe(0.625);
+
+    const history = tracker.getHistory('sub-ai-code');
+    expect(history.performanceScore).toBe(score);
+    expect(history.history[0].reason).toBe('test');
+  });
+
+  test('should weigh old outcomes less than recent ones', () => {
+    addAssignment('failed', ['failed']);
+    const recentScore = tracker.recomputeScore(agentId, 'recent').score;
+
+    db.prepare(`
+      UPDATE task_assignments
+      SET completed_at = datetime('now', '-60 days'), started_at = datetime('now', '-60 days', '-10 minutes')
+    `).run();
+    const decayedScore = tracker.recomputeScore(agentId, 'decayed').score;
+
+    expect(decayedScore).toBeGreaterThan(recentScore);
+    expect(decayedScore).toBeLessThan(100);
+  });
+
+  test('should include user ratings and reject ratings of unfinished assignments', () => {
+    const rated = addAssignment('completed', ['completed']);
+    const before = tracker.recomputeScore(agentId, 'before').score;
+
+    const result = tracker.rateAssignment(rated, 1, 1, 'Not useful');
+    expect(result.success).toBe(true);
+    expect(result.performanceScore).toBeLessThan(before);
+
+    const running = addAssignment('in-progress', []);
+    expect(tracker.rateAssignment(running, 1, 5).error)
+      .toBe('Assignment is in-progress, only finished assignments can be rated');
+  });
+
+  test('should route away from low-scoring agents when a peer is available', () => {
+    db.prepare("UPDATE sub_ai_agents SET performance_score = 20 WHERE agent_id = 'sub-ai-code'").run();
+
+    const route = new AssignmentBroker(db).route(taskId, {
+      id: 'wp-1', assignedTo: 'sub-ai-code', elements: ['Build UI']
+    });
+
+    expect(route.decision).toBe('fallback');
+    expect(route.agent.agent_id).toBe('sub-ai-frontend');
+    expect(route.reason).toContain('performance score 20 is below 50');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the plan approval and revision workflow
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { diffPlans } = require('../server/plan-diff');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Plan Approval', () => {
+  let db;
+  let atlantis;
+  let mockAIClients;
+  let plannerDown = false;
+
+  const initialPlan = {
+    overview: 'Build an API',
+    workPackages: [
+      { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] }
+    ]
+  };
+
+  const revisedPlan = {
+    overview: 'Build an API with docs',
+    workPackages: [
+      { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables', 'Indexes'], dependencies: [] },
+      { id: 'wp-2', name: 'Docs', assignedTo: 'sub-ai-docs', elements: ['README'], dependencies: ['wp-1'] }
+    ]
+  };
+
+  beforeAll(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    mockAIClients = {
+      claude: {
+        messages: {
+          create: jest.fn().mockImplementation(({ messages }) => {
+            const prompt = messages[0].content;
+            if (plannerDown && prompt.includes('Create a comprehensive project plan')) {
+              return Promise.reject(new Error('Planner unavailable'));
+            }
+            let body = { primaryIntent: 'Build an API', complexity: 'Moderate', requiredExpertise: ['APIs'] };
+            if (prompt.includes('Revise the current project plan')) body = revisedPlan;
+            else if (prompt.includes('Create a comprehensive project plan')) body = initialPlan;
+            return Promise.resolve({ content: [{ text: JSON.stringify(body) }] });
+          })
+        }
+      }
+    };
+
+    atlantis = new AtlantisAI(db, mockAIClients);
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  const createTaskAwaitingApproval = async () => {
+    const result = await atlantis.receiveTask({ userId: 1, title: 'API', requireApproval: true });
+    expect(result.status).toBe('awaiting-approval');
+    return result.taskId;
+  };
+
+  test('should diff work packages between plan versions', () => {
+    const diff = diffPlans(initialPlan, revisedPlan);
+
+    expect(diff.fields.overview).toEqual({ from: 'Build an API', to: 'Build an API with docs' });
+    expect(diff.workPackages.added.map(wp => wp.id)).toEqual(['wp-2']);
+    expect(diff.workPackages.changed).toEqual([{
+      id: 'wp-1',
+      changes: { elements: { from: ['Tables'], to: ['Tables', 'Indexes'] } }
+    }]);
+    expect(diff.hasChanges).toBe(true);
+  });
+
+  test('should hold the task without delegating until approved', async () => {
+    const taskId = await createTaskAwaitingApproval();
+    const status = atlantis.getTaskStatus(taskId);
+
+    expect(status.task.status).toBe('awaiting-approval');
+    expect(status.assignments).toHaveLength(0);
+  });
+
+  test('should store a new plan version when changes are requested', async () => {
+    const taskId = await createTaskAwaitingApproval();
+
+    const result = await atlantis.requestPlanChanges(taskId, 'reviewer', 'Add documentation');
+    expect(result.success).toBe(true);
+    expect(result.version).toBe(2);
+    expect(result.diff.workPackages.added.map(wp => wp.id)).toEqual(['wp-2']);
+
+    const { plans } = atlantis.getPlanVersions(taskId);
+    expect(plans.map(p => [p.version, p.status])).toEqual([[2, 'pending'], [1, 'changes-requested']]);
+    expect(plans[1].feedback).toBe('Add documentation');
+
+    const approval = await atlantis.approvePlan(taskId, 'reviewer');
+    expect(approval.success).toBe(true);
+    expect(approval.version).toBe(2);
+    expect(approval.assignments.map(a => a.status)).toEqual(['assigned', 'blocked']);
+    expect(atlantis.getTaskStatus(taskId).task.status).toBe('in-progress');
+  });
+
+  test('should save the fallback plan for review when planning fails', async () => {
+    plannerDown = true;
+    const taskId = await createTaskAwaitingApproval();
+    plannerDown = false;
+
+    const { plans } = atlantis.getPlanVersions(taskId);
+    expect(plans.map(p => [p.version, p.status])).toEqual([[1, 'pending']]);
+    expect(plans[0].plan_data.overview).toBe('Auto-generated basic plan');
+
+    const approval = await atlantis.approvePlan(taskId, 'reviewer');
+    expect(approval.success).toBe(true);
+    expect(approval.assignments.map(a => a.workPackageId)).toEqual(['wp-1']);
+  });
+
+  test('should reject a plan and refuse further review', async () => {
+    const taskId = await createTaskAwaitingApproval();
+
+    expect(atlantis.rejectPlan(taskId, 'reviewer', 'Out of scope').success).toBe(true);
+    expect(atlantis.getTaskStatus(taskId).task.status).toBe('rejected');
+
+    const approval = await atlantis.approvePlan(taskId, 'reviewer');
+    expect(approval).toEqual({ success: false, error: 'Task is rejected, not awaiting approval' });
+  });
+});
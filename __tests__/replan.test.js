@@ -0,0 +1,104 @@
+/**
+ * Tests for re-planning in-progress tasks
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Re-planning', () => {
+  let db;
+  let atlantis;
+  let mockAIClients;
+
+  const initialPlan = {
+    overview: 'Build an API',
+    workPackages: [
+      { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] },
+      { id: 'wp-2', name: 'Endpoints', assignedTo: 'sub-ai-backend', elements: ['CRUD'], dependencies: ['wp-1'] },
+      { id: 'wp-3', name: 'Docs', assignedTo: 'sub-ai-docs', elements: ['README'], dependencies: [] }
+    ]
+  };
+
+  const revisedPlan = {
+    overview: 'Build a GraphQL API',
+    workPackages: [
+      { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] },
+      { id: 'wp-2', name: 'Endpoints', assignedTo: 'sub-ai-backend', elements: ['GraphQL'], dependencies: ['wp-1'] },
+      { id: 'wp-4', name: 'Client', assignedTo: 'sub-ai-frontend', elements: ['Queries'], dependencies: ['wp-2'] }
+    ]
+  };
+
+  beforeAll(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    mockAIClients = {
+      claude: {
+        messages: {
+          create: jest.fn().mockImplementation(({ messages }) => {
+            const prompt = messages[0].content;
+            let body = { primaryIntent: 'Build an API', complexity: 'Moderate', requiredExpertise: ['APIs'] };
+            if (prompt.includes('Revise the current project plan')) body = revisedPlan;
+            else if (prompt.includes('Create a comprehensive project plan')) body = initialPlan;
+            return Promise.resolve({ content: [{ text: JSON.stringify(body) }] });
+          })
+        }
+      }
+    };
+
+    atlantis = new AtlantisAI(db, mockAIClients);
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  test('should keep finished work, cancel stale assignments and delegate new packages', async () => {
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'API' });
+    const task = db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+
+    // Schema work is done
+    db.prepare(
+      "UPDATE task_assignments SET status = 'completed' WHERE task_id = ? AND work_package_id = 'wp-1'"
+    ).run(task.id);
+    atlantis.scheduler.releaseBlockedAssignments(task.id);
+
+    const before = db.prepare(
+      'SELECT assignment_id, work_package_id FROM task_assignments WHERE task_id = ? ORDER BY id'
+    ).all(task.id);
+    const idOf = packageId => before.find(a => a.work_package_id === packageId).assignment_id;
+
+    const result = await atlantis.replanTask(taskId, 'Use GraphQL and add a client', 'reviewer');
+
+    expect(result.success).toBe(true);
+    expect(result.version).toBe(2);
+    expect(result.kept).toEqual([idOf('wp-1')]);
+    expect(result.cancelled.sort()).toEqual([idOf('wp-2'), idOf('wp-3')].sort());
+    expect(result.created.map(a => a.workPackageId)).toEqual(['wp-2', 'wp-4']);
+
+    const after = db.prepare(`
+      SELECT work_package_id, status FROM task_assignments
+      WHERE task_id = ? AND status != 'cancelled' ORDER BY id
+    `).all(task.id);
+    expect(after).toEqual([
+      { work_package_id: 'wp-1', status: 'completed' },
+      { work_package_id: 'wp-2', status: 'assigned' },
+      { work_package_id: 'wp-4', status: 'blocked' }
+    ]);
+
+    const { plans } = atlantis.getPlanVersions(taskId);
+    expect(plans[0].status).toBe('approved');
+    expect(plans[0].feedback).toBe('Use GraphQL and add a client');
+  });
+
+  test('should only re-plan in-progress tasks', async () => {
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Pending', requireApproval: true });
+
+    const result = await atlantis.replanTask(taskId, 'Change it');
+    expect(result).toEqual({
+      success: false,
+      error: 'Task is awaiting-approval, only in-progress tasks can be re-planned'
+    });
+  });
+});
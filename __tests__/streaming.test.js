@@ -0,0 +1,178 @@
+/**
+ * Tests for streamed completions and bot-output-delta events
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { getEventBus } = require('../server/event-bus');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Streaming', () => {
+  const request = { stage: 'execution', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 100 };
+
+  // Anthropic stream events for a text split into pieces
+  async function* anthropicEvents(pieces, failAfter = Infinity) {
+    yield { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } };
+    for (const [index, text] of pieces.entries()) {
+      if (index === failAfter) {
+        throw Object.assign(new Error('Overloaded'), { status: 529 });
+      }
+      yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } };
+    }
+    yield { type: 'message_delta', usage: { output_tokens: pieces.length } };
+  }
+
+  async function* openaiChunks(pieces) {
+    for (const content of pieces) {
+      yield { choices: [{ delta: { content } }] };
+    }
+    yield { choices: [], usage: { prompt_tokens: 7, completion_tokens: 3 } };
+  }
+
+  test('should stream both providers and return the concatenated text', async () => {
+    const claude = { messages: { create: jest.fn(async () => anthropicEvents(['Hel', 'lo', '!'])) } };
+    const openai = { chat: { completions: { create: jest.fn(async () => openaiChunks(['Wor', 'ld'])) } } };
+    const router = new LLMRouter({ claude, openai }, { stages: { conversation: { provider: 'openai' } } });
+
+    const deltas = [];
+    const streamed = await router.complete({ ...request, onDelta: delta => deltas.push(delta) });
+
+    expect(deltas).toEqual(['Hel', 'lo', '!']);
+    expect(streamed).toEqual({
+      text: 'Hello!',
+      usage: { inputTokens: 10, outputTokens: 3 },
+      provider: 'anthropic',
+      model: 'claude-sonnet-4-5'
+    });
+    expect(claude.messages.create.mock.calls[0][0]).toMatchObject({ stream: true, max_tokens: 100 });
+
+    const fromOpenAI = await router.complete({ ...request, stage: 'conversation', onDelta: () => {} });
+    expect(fromOpenAI).toMatchObject({ text: 'World', usage: { inputTokens: 7, outputTokens: 3 } });
+    expect(openai.chat.completions.create.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+  });
+
+  test('should not fail over once part of the response was streamed', async () => {
+    const claude = { messages: { create: jest.fn(async () => anthropicEvents(['Par', 'tial'], 1)) } };
+    const openai = { chat: { completions: { create: jest.fn(async () => openaiChunks(['Other'])) } } };
+    const router = new LLMRouter({ claude, openai });
+
+    const deltas = [];
+    await expect(router.complete({ ...request, onDelta: delta => deltas.push(delta) }))
+      .rejects.toThrow('Overloaded');
+
+    expect(deltas).toEqual(['Par']);
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('should deliver a scripted response as a single delta', async () => {
+    const router = new LLMRouter({}, { mode: 'scripted', script: { conversation: 'All done' } });
+
+    const deltas = [];
+    const result = await router.complete({ ...request, stage: 'conversation', onDelta: delta => deltas.push(delta) });
+
+    expect(deltas).toEqual(['All done']);
+    expect(result.text).toBe('All done');
+  });
+
+  describe('bot-output-delta events', () => {
+    let db;
+
+    const reply = content => ({
+      content: [{ text: JSON.stringify(content) }],
+      usage: { input_tokens: 10, output_tokens: 5 }
+    });
+
+    const create = jest.fn(async ({ messages, stream }) => {
+      const prompt = messages[0].content;
+      if (stream) {
+        return anthropicEvents(prompt.includes('Task: ') ? ['## Tables', '\nCreated ', 'users'] : ['On ', 'track']);
+      }
+      if (prompt.includes('Analyze the following task')) {
+        return reply({ primaryIntent: 'Build', complexity: 'Simple', requiredExpertise: ['Databases'] });
+      }
+      if (prompt.includes('Create a comprehensive project plan')) {
+        return reply({
+          overview: 'Plan',
+          workPackages: [{ id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'] }]
+        });
+      }
+      return reply({ tasks: [{ id: 't1', description: 'Tables', botType: 'database' }] });
+    });
+    const aiClients = { claude: { messages: { create } } };
+
+    beforeEach(() => {
+      db = initializeDatabase(':memory:');
+      seedSubAIAgents(db);
+      db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    // Subscribe a client to the task and collect the streamed output published on the database's event bus
+    const collectDeltas = (taskId) => {
+      const deltas = [];
+      getEventBus(db).subscribe(`task:${taskId}`);
+      getEventBus(db).on('event', (event) => {
+        if (event.type === 'bot-output-delta') deltas.push(event);
+      });
+      return deltas;
+    };
+
+    test('should stream work bot output and save the concatenated stream', async () => {
+      const atlantis = new AtlantisAI(db, aiClients);
+      const result = await atlantis.receiveTask({ userId: 1, title: 'Streamed' });
+      const deltas = collectDeltas(result.taskId);
+      await new SubAIManager(db, aiClients).processPendingAssignments();
+
+      const bot = db.prepare('SELECT bot_id, result FROM work_bots').get();
+      expect(deltas).toEqual([
+        {
+          type: 'bot-output-delta',
+          channels: [`task:${result.taskId}`],
+          timestamp: expect.any(String),
+          taskId: result.taskId,
+          source: 'work-bot',
+          agentId: 'sub-ai-database',
+          botId: bot.bot_id,
+          offset: 0,
+          delta: '## Tables'
+        },
+        expect.objectContaining({ offset: 9, delta: '\nCreated ' }),
+        expect.objectContaining({ offset: 18, delta: 'users' })
+      ]);
+      expect(JSON.parse(bot.result).output).toBe(deltas.map(d => d.delta).join(''));
+      // Deltas are live only, so they never take up the replay window
+      expect(getEventBus(db).getEventsSince(0).some(e => e.type === 'bot-output-delta')).toBe(false);
+    });
+
+    test('should stream ATLANTIS replies to the task', async () => {
+      const atlantis = new AtlantisAI(db, aiClients);
+      const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Chat' });
+      const deltas = collectDeltas(taskId);
+      const response = await atlantis.interactWithUser(taskId, 'How is it going?');
+
+      expect(response).toEqual({ success: true, response: 'On track' });
+      expect(deltas.map(d => [d.taskId, d.source, d.botId, d.offset, d.delta])).toEqual([
+        [taskId, 'atlantis', null, 0, 'On '],
+        [taskId, 'atlantis', null, 3, 'track']
+      ]);
+    });
+
+    test('should not stream when no client follows the task', async () => {
+      const atlantis = new AtlantisAI(db, aiClients);
+      const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Quiet' });
+      // A listener on the bus and subscribers of other channels do not count
+      collectDeltas('other-task');
+      getEventBus(db).subscribe('system');
+      create.mockClear();
+
+      await new SubAIManager(db, aiClients).processPendingAssignments();
+      await atlantis.interactWithUser(taskId, 'Status?');
+
+      expect(create.mock.calls.some(([params]) => params.stream)).toBe(false);
+    });
+  });
+});
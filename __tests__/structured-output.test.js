@@ -0,0 +1,95 @@
+/**
+ * Tests for schema-validated model output and repair re-prompts
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const {
+  requestStructuredOutput, parseJson, validate, getOutputStats, StructuredOutputError
+} = require('../server/structured-output');
+const { ANALYSIS_SCHEMA, buildPlanSchema } = require('../server/output-schemas');
+const { LLMRouter } = require('../server/llm-providers');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Structured Output', () => {
+  let db;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const respond = (...texts) => ({
+    messages: {
+      create: texts.reduce(
+        (mock, text) => mock.mockResolvedValueOnce({ content: [{ text }] }),
+        jest.fn()
+      )
+    }
+  });
+
+  const validAnalysis = { tasks: [{ id: 't1', description: 'Do it', botType: 'analysis' }] };
+
+  test('should parse JSON wrapped in prose and code fences', () => {
+    expect(parseJson('Here is the plan:\n```json\n{"a": 1}\n```\nDone.')).toEqual({ a: 1 });
+    expect(parseJson('Sure! {"a": {"b": 2}} Hope this helps')).toEqual({ a: { b: 2 } });
+    expect(() => parseJson('No JSON here')).toThrow('no JSON object found');
+  });
+
+  test('should report every validation error with its path', () => {
+    const errors = validate({
+      overview: 'x',
+      workPackages: [{ id: 'wp-1', name: '', assignedTo: 'sub-ai-unknown', elements: 'Tables' }]
+    }, buildPlanSchema(['sub-ai-code', 'sub-ai-database']));
+
+    expect(errors).toEqual([
+      '$.workPackages[0].name: must not be empty',
+      '$.workPackages[0].assignedTo: must be one of "sub-ai-code", "sub-ai-database"',
+      '$.workPackages[0].elements: expected array, got string'
+    ]);
+
+    const flags = { type: 'object', properties: { done: { type: 'boolean' }, note: { type: 'null' } } };
+    expect(validate({ done: false, note: null }, flags)).toEqual([]);
+    expect(validate({ done: 'yes', note: 0 }, flags)).toEqual([
+      '$.done: expected boolean, got string',
+      '$.note: expected null, got number'
+    ]);
+  });
+
+  test('should re-prompt with the validation errors and record the repair', async () => {
+    const client = respond('{"tasks": []}', JSON.stringify(validAnalysis));
+
+    const result = await requestStructuredOutput(new LLMRouter({ claude: client }), db, {
+      name: 'analysis', stage: 'analysis', schema: ANALYSIS_SCHEMA, prompt: 'Analyze', maxTokens: 100
+    });
+
+    expect(result).toEqual(validAnalysis);
+    const repairMessages = client.messages.create.mock.calls[1][0].messages;
+    expect(repairMessages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(repairMessages[2].content).toContain('$.tasks: must have at least 1 item(s)');
+    expect(getOutputStats(db)).toEqual({ analysis: { 'validation-failed': 1, repaired: 1 } });
+  });
+
+  test('should give up after the repair budget', async () => {
+    const client = respond('nope', 'still nope');
+
+    await expect(requestStructuredOutput(new LLMRouter({ claude: client }), db, {
+      name: 'analysis', stage: 'analysis', schema: ANALYSIS_SCHEMA, prompt: 'Analyze', maxTokens: 100, maxRepairs: 1
+    })).rejects.toBeInstanceOf(StructuredOutputError);
+    expect(client.messages.create).toHaveBeenCalledTimes(2);
+  });
+
+  test('should record a fallback when no valid plan is produced', async () => {
+    const atlantis = new AtlantisAI(db, { claude: respond('prose', 'prose', 'prose') });
+    const task = await atlantis.createTask({ userId: 1, title: 'Fallback Test' });
+
+    const plan = await atlantis.createProjectPlan(task, {});
+
+    expect(plan.overview).toBe('Auto-generated basic plan');
+    expect(getOutputStats(db)).toEqual({ plan: { 'validation-failed': 3, fallback: 1 } });
+  });
+});
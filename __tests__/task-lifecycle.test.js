@@ -0,0 +1,155 @@
+/**
+ * Tests for cancelling, pausing and resuming tasks
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Task Lifecycle', () => {
+  let db;
+  let atlantis;
+  let manager;
+  let task;
+
+  const plan = {
+    workPackages: [
+      { id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] },
+      { id: 'wp-2', name: 'API', assignedTo: 'sub-ai-backend', elements: ['Endpoints'], dependencies: ['wp-1'] }
+    ]
+  };
+
+  const aiClients = {
+    claude: {
+      messages: {
+        create: jest.fn(async ({ messages }) => {
+          if (messages[0].content.startsWith('You are a specialized work bot')) {
+            return { content: [{ text: 'Bot output' }] };
+          }
+          throw new Error('offline');
+        })
+      }
+    }
+  };
+
+  const load = agentId => db.prepare(
+    'SELECT current_load FROM sub_ai_agents WHERE agent_id = ?'
+  ).get(agentId).current_load;
+
+  const statuses = () => db.prepare(
+    'SELECT work_package_id, status FROM task_assignments WHERE task_id = ? ORDER BY id'
+  ).all(task.id).map(a => a.status);
+
+  beforeEach(async () => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    atlantis = new AtlantisAI(db, aiClients);
+    manager = new SubAIManager(db, aiClients);
+
+    task = await atlantis.createTask({ userId: 1, title: 'Lifecycle Test' });
+    atlantis.updateTaskStatus(task.id, 'in-progress');
+    await atlantis.delegateToSubAIs(task, plan);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should pause assignments, release capacity and skip them until resumed', async () => {
+    expect(load('sub-ai-database')).toBe(1);
+
+    const paused = atlantis.pauseTask(task.task_id, 'test-user');
+    expect(paused).toMatchObject({ success: true, status: 'paused' });
+    expect(statuses()).toEqual(['paused', 'paused']);
+    expect(load('sub-ai-database')).toBe(0);
+
+    await manager.processPendingAssignments();
+    expect(db.prepare('SELECT COUNT(*) as count FROM work_bots').get().count).toBe(0);
+
+    expect(atlantis.pauseTask(task.task_id).error).toContain('only in-progress tasks can be paused');
+
+    const resumed = atlantis.resumeTask(task.task_id, 'test-user');
+    expect(resumed.assignments.map(a => a.status)).toEqual(['assigned', 'blocked']);
+    expect(load('sub-ai-database')).toBe(1);
+
+    await manager.processPendingAssignments();
+    expect(statuses()).toEqual(['completed', 'assigned']);
+  });
+
+  test('should stop starting work bots when paused mid-assignment and continue on resume', async () => {
+    const agent = manager.getAgent('sub-ai-database');
+    const assignment = db.prepare(
+      "SELECT * FROM task_assignments WHERE task_id = ? AND work_package_id = 'wp-1'"
+    ).get(task.id);
+
+    agent.maxConcurrentBots = 1;
+    agent.analyzeAssignment = jest.fn().mockResolvedValue({
+      tasks: [
+        { id: 'a', description: 'First', botType: 'analysis', dependencies: [] },
+        { id: 'b', description: 'Second', botType: 'analysis', dependencies: ['a'] }
+      ]
+    });
+    agent.executeWorkBot = jest.fn(async (bot) => {
+      if (bot.taskKey === 'a') atlantis.pauseTask(task.task_id);
+      return { success: true, output: `${bot.description} done` };
+    });
+
+    await agent.processAssignment(assignment);
+
+    const bots = () => db.prepare('SELECT task_key, status FROM work_bots ORDER BY id').all();
+    expect(bots()).toEqual([{ task_key: 'a', status: 'completed' }, { task_key: 'b', status: 'paused' }]);
+    expect(statuses()[0]).toBe('paused');
+    expect(load('sub-ai-database')).toBe(0);
+
+    atlantis.resumeTask(task.task_id);
+    await manager.processPendingAssignments();
+
+    expect(agent.analyzeAssignment).toHaveBeenCalledTimes(1);
+    expect(agent.executeWorkBot.mock.calls.map(([bot]) => bot.taskKey)).toEqual(['a', 'b']);
+    expect(bots()).toEqual([{ task_key: 'a', status: 'completed' }, { task_key: 'b', status: 'completed' }]);
+    expect(statuses()[0]).toBe('completed');
+    expect(load('sub-ai-database')).toBe(0);
+  });
+
+  test('should keep an assignment paused when its work ends with an error after the pause', async () => {
+    const agent = manager.getAgent('sub-ai-database');
+    const assignment = db.prepare(
+      "SELECT * FROM task_assignments WHERE task_id = ? AND work_package_id = 'wp-1'"
+    ).get(task.id);
+    agent.analyzeAssignment = jest.fn(async () => {
+      atlantis.pauseTask(task.task_id);
+      throw new Error('Request aborted');
+    });
+
+    const result = await agent.processAssignment(assignment);
+
+    expect(result).toEqual({ success: false, error: 'Request aborted' });
+    expect(statuses()).toEqual(['paused', 'paused']);
+    expect(load('sub-ai-database')).toBe(0);
+
+    const resumed = atlantis.resumeTask(task.task_id);
+    expect(resumed.assignments.map(a => a.status)).toEqual(['assigned', 'blocked']);
+    expect(load('sub-ai-database')).toBe(1);
+  });
+
+  test('should cancel assignments and work bots and release capacity', () => {
+    const assignment = db.prepare('SELECT * FROM task_assignments WHERE task_id = ? ORDER BY id').get(task.id);
+    db.prepare(`
+      INSERT INTO work_bots (bot_id, assignment_id, agent_id, bot_type, status)
+      VALUES ('bot-1', ?, ?, 'analysis', 'created')
+    `).run(assignment.id, assignment.agent_id);
+
+    const result = atlantis.cancelTask(task.task_id, 'test-user');
+
+    expect(result.assignments).toHaveLength(2);
+    expect(statuses()).toEqual(['cancelled', 'cancelled']);
+    expect(db.prepare("SELECT status FROM work_bots WHERE bot_id = 'bot-1'").get().status).toBe('cancelled');
+    expect(db.prepare('SELECT status FROM tasks WHERE id = ?').get(task.id).status).toBe('cancelled');
+    expect(load('sub-ai-database')).toBe(0);
+
+    expect(atlantis.cancelTask(task.task_id).error).toBe('Task is cancelled and cannot be cancelled');
+    expect(atlantis.resumeTask('missing').error).toBe('Task not found');
+  });
+});
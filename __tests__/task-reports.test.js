@@ -0,0 +1,219 @@
+/**
+ * Tests for deliverable synthesis and versioned task reports
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const { renderMarkdown } = require('../server/task-reports');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Task Reports', () => {
+  let db;
+
+  const report = {
+    executiveSummary: 'Schema and implementation delivered',
+    deliverables: [
+      { workPackage: 'Data model', summary: 'Tables', content: 'CREATE TABLE users' },
+      { workPackage: 'Implementation', summary: 'Service', content: 'class UserService' }
+    ],
+    unresolvedIssues: [],
+    nextSteps: ['Add indexes']
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  // Run a task to completion in scripted mode with the given synthesis response; the
+  // agents tell ATLANTIS when an assignment finishes, as the server wires them
+  const runTask = async (synthesis, script = {}) => {
+    const llm = new LLMRouter({}, { mode: 'scripted', script: { synthesis, ...script } });
+    const atlantis = new AtlantisAI(db, {}, { llm });
+    const manager = new SubAIManager(db, {}, {
+      llm,
+      retryPolicies: { default: { maxAttempts: 1 } },
+      onAssignmentFinished: (id, details) => atlantis.monitorProgress(id, details)
+    });
+
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Users', description: 'User storage' });
+    await manager.processPendingAssignments();
+    await manager.processPendingAssignments();
+    return { atlantis, manager, taskId };
+  };
+
+  test('should synthesize the work bot outputs into a report when the task completes', async () => {
+    const synthesis = jest.fn(() => report);
+    const { atlantis, taskId } = await runTask(synthesis);
+
+    const prompt = synthesis.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain('Task: Users');
+    expect(prompt).toContain('Work package: Data model (Database Expert, completed)');
+    expect(prompt).toContain('Scripted work bot output for: Complete the assigned elements');
+    expect(prompt).toContain('Known issues: None');
+
+    const stored = atlantis.reports.getReport(taskId);
+    expect(stored).toMatchObject({ taskId, version: 1, source: 'model', ...report });
+    expect(db.prepare('SELECT message FROM progress_updates ORDER BY id DESC').get().message)
+      .toContain('Deliverable report v1 is ready');
+    expect(db.prepare('SELECT stage FROM llm_usage ORDER BY id DESC').get().stage).toBe('synthesis');
+
+    const markdown = renderMarkdown(stored);
+    expect(markdown).toContain('# Deliverable Report (version 1)');
+    expect(markdown).toContain('### Data model\n\nTables\n\nCREATE TABLE users');
+    expect(markdown).toContain('## Unresolved Issues\n\n_None_');
+  });
+
+  test('should keep earlier versions and fall back to the raw outputs when synthesis fails', async () => {
+    let response = report;
+    const { atlantis, taskId } = await runTask(() => response);
+
+    db.prepare(`
+      UPDATE work_bots SET status = 'dead-letter', result = ?
+      WHERE id = (SELECT MAX(id) FROM work_bots)
+    `).run(JSON.stringify({ error: 'Timed out' }));
+    response = 'Not a report';
+
+    const result = await atlantis.regenerateReport(taskId);
+
+    expect(result.success).toBe(true);
+    expect(result.report).toMatchObject({ version: 2, source: 'fallback' });
+    expect(result.report.executiveSummary).toBe('Users: 2 of 2 work packages completed.');
+    expect(result.report.deliverables.map(d => [d.workPackage, d.content])).toEqual([
+      ['Data model', 'Scripted work bot output for: Complete the assigned elements'],
+      ['Implementation', '']
+    ]);
+    expect(result.report.unresolvedIssues).toEqual([
+      'Implementation: "Complete the assigned elements" is dead-letter (Timed out)'
+    ]);
+    expect(db.prepare("SELECT COUNT(*) as count FROM system_metrics WHERE metric_name = 'report:fallback'")
+      .get().count).toBe(1);
+
+    expect(atlantis.reports.getReport(taskId, 1)).toMatchObject({ version: 1, source: 'model' });
+    expect(atlantis.reports.listReports(taskId).reports.map(r => [r.version, r.source]))
+      .toEqual([[1, 'model'], [2, 'fallback']]);
+    expect(atlantis.reports.getReport(taskId, 3)).toEqual({ error: 'Report version 3 not found' });
+  });
+
+  test('should add the sandbox runs of a bot after its output', async () => {
+    const synthesis = jest.fn(() => report);
+    const { atlantis, taskId } = await runTask(synthesis);
+
+    const run = {
+      command: 'node --test-reporter=tap sum.test.js', exitCode: 1, timedOut: false, stdout: 'not ok 1', stderr: ''
+    };
+    db.prepare('UPDATE work_bots SET result = ? WHERE id = (SELECT MIN(id) FROM work_bots)')
+      .run(JSON.stringify({ success: true, output: 'Tests written', execution: { runs: [run] } }));
+    synthesis.mockReturnValue('Not a report');
+
+    const result = await atlantis.regenerateReport(taskId);
+
+    const sandbox = '## Sandbox Execution\n\n- `node --test-reporter=tap sum.test.js`: exit code 1';
+    expect(synthesis.mock.calls[1][0].messages[0].content).toContain(`Tests written\n\n${sandbox}`);
+    expect(result.report.deliverables[0].content).toContain(`Tests written\n\n${sandbox}`);
+    expect(result.report.deliverables[1].content).not.toContain('Sandbox Execution');
+  });
+
+  test('should finalize a task whose assignments ended partial', async () => {
+    const synthesis = jest.fn(() => report);
+    const { atlantis, taskId } = await runTask(synthesis, {
+      execution: () => {
+        throw new Error('Model unavailable');
+      }
+    });
+
+    expect(db.prepare('SELECT status FROM task_assignments').all().map(a => a.status)).toEqual(['partial', 'partial']);
+    expect(db.prepare('SELECT status FROM tasks').get().status).toBe('completed');
+    expect(synthesis).toHaveBeenCalledTimes(1);
+    expect(synthesis.mock.calls[0][0].messages[0].content)
+      .toContain('Work package: Implementation (Code Architect, partial)');
+    expect(atlantis.reports.listReports(taskId).reports).toHaveLength(1);
+  });
+
+  test('should not complete a task that was paused while its report was written', async () => {
+    const { atlantis, taskId } = await runTask(() => {
+      db.prepare("UPDATE tasks SET status = 'paused'").run();
+      return report;
+    });
+
+    expect(db.prepare('SELECT status, completed_at FROM tasks').get())
+      .toEqual({ status: 'paused', completed_at: null });
+    expect(atlantis.reports.getReport(taskId)).toEqual({ error: 'Task has no report' });
+    expect(db.prepare("SELECT COUNT(*) as count FROM progress_updates WHERE message LIKE 'Task completed%'")
+      .get().count).toBe(0);
+  });
+
+  test('should run the dependents of a re-run bot and report the revised work', async () => {
+    let offline = true;
+    const synthesis = jest.fn(() => report);
+    const { atlantis, manager, taskId } = await runTask(synthesis, {
+      analysis: {
+        tasks: [
+          { id: 'draft', description: 'Draft', botType: 'analysis', dependencies: [] },
+          { id: 'review', description: 'Review', botType: 'analysis', dependencies: ['draft'] }
+        ],
+        strategy: 'Draft, then review'
+      },
+      execution: ({ messages }) => {
+        const step = messages[0].content.match(/^Task: (.*)$/m)[1];
+        if (step === 'Draft' && offline) throw new Error('Model unavailable');
+        return `${step} done`;
+      }
+    });
+    const bots = () => db.prepare('SELECT bot_id, task_key, status FROM work_bots ORDER BY id').all();
+    const assignments = () => db.prepare('SELECT status FROM task_assignments ORDER BY id').all().map(a => a.status);
+
+    expect(bots().map(b => [b.task_key, b.status])).toEqual([
+      ['draft', 'dead-letter'], ['review', 'failed'], ['draft', 'dead-letter'], ['review', 'failed']
+    ]);
+    expect(assignments()).toEqual(['partial', 'partial']);
+    expect(db.prepare('SELECT status FROM tasks').get().status).toBe('completed');
+
+    offline = false;
+    const result = await manager.rerunWorkBot(bots()[0].bot_id);
+
+    expect(result).toMatchObject({ success: true, status: 'completed', output: 'Draft done' });
+    expect(bots().map(b => b.status)).toEqual(['completed', 'completed', 'dead-letter', 'failed']);
+    expect(assignments()).toEqual(['completed', 'partial']);
+    expect(synthesis).toHaveBeenCalledTimes(2);
+    expect(synthesis.mock.calls[1][0].messages[0].content).toContain('Review done');
+    expect(atlantis.reports.listReports(taskId).reports).toHaveLength(2);
+    expect(db.prepare('SELECT message FROM progress_updates ORDER BY id DESC').get().message)
+      .toBe('Work re-run after dead-letter review: deliverable report v2 is ready.');
+  });
+
+  test('should fail a task whose assignments all failed, ignoring cancelled ones', async () => {
+    const atlantis = new AtlantisAI(db, {}, { llm: new LLMRouter({}, { mode: 'scripted' }) });
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Doomed' });
+    const task = db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+
+    db.prepare("UPDATE task_assignments SET status = 'failed' WHERE id = (SELECT MIN(id) FROM task_assignments)").run();
+    expect(await atlantis.monitorProgress(task.id)).toEqual({ completed: 0, finished: 1, total: 2, progress: 50 });
+    expect(db.prepare('SELECT status FROM tasks').get().status).toBe('in-progress');
+
+    db.prepare("UPDATE task_assignments SET status = 'cancelled' WHERE id = (SELECT MAX(id) FROM task_assignments)")
+      .run();
+    expect(await atlantis.monitorProgress(task.id)).toEqual({ completed: 0, finished: 1, total: 1, progress: 100 });
+    expect(db.prepare('SELECT status FROM tasks').get().status).toBe('failed');
+    expect(db.prepare('SELECT message FROM progress_updates ORDER BY id DESC').get().message)
+      .toBe('Task failed: every assignment failed, so there is no deliverable');
+    expect(atlantis.reports.getReport(taskId)).toEqual({ error: 'Task has no report' });
+  });
+
+  test('should only regenerate reports of completed tasks', async () => {
+    const atlantis = new AtlantisAI(db, {}, { llm: new LLMRouter({}, { mode: 'scripted' }) });
+    const { taskId } = await atlantis.receiveTask({ userId: 1, title: 'Unfinished' });
+
+    expect(await atlantis.regenerateReport(taskId)).toEqual({
+      success: false, error: 'Task is in-progress, only completed tasks have a deliverable report'
+    });
+    expect(await atlantis.regenerateReport('missing')).toEqual({ success: false, error: 'Task not found' });
+    expect(atlantis.reports.getReport(taskId)).toEqual({ error: 'Task has no report' });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for dependency-aware scheduling of work packages
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { topologicalSort } = require('../server/dependency-graph');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Task Scheduler', () => {
+  let db;
+  let atlantis;
+  let mockAIClients;
+
+  beforeAll(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+
+    mockAIClients = {
+      claude: {
+        messages: {
+          // Planning and analysis fall back to defaults, work bots succeed
+          create: jest.fn(async ({ messages }) => {
+            if (messages[0].content.startsWith('You are a specialized work bot')) {
+              return { content: [{ text: 'Bot output' }] };
+            }
+            throw new Error('offline');
+          })
+        }
+      }
+    };
+
+    atlantis = new AtlantisAI(db, mockAIClients);
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  const plan = {
+    workPackages: [
+      { id: 'wp-api', name: 'API', assignedTo: 'sub-ai-backend', elements: ['Endpoints'], dependencies: ['wp-schema'] },
+      { id: 'wp-schema', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'], dependencies: [] }
+    ]
+  };
+
+  describe('Dependency Graph', () => {
+    test('should order items after their dependencies', () => {
+      const ordered = topologicalSort(plan.workPackages, wp => wp.id, wp => wp.dependencies);
+      expect(ordered.map(wp => wp.id)).toEqual(['wp-schema', 'wp-api']);
+    });
+
+    test('should reject cycles', () => {
+      const cyclic = [
+        { id: 'a', dependencies: ['b'] },
+        { id: 'b', dependencies: ['a'] }
+      ];
+      expect(() => topologicalSort(cyclic, i => i.id, i => i.dependencies))
+        .toThrow('Dependency cycle detected: a -> b -> a');
+    });
+  });
+
+  describe('Delegation', () => {
+    test('should block dependent assignments and release them when upstream completes', async () => {
+      const task = await atlantis.createTask({ userId: 1, title: 'DAG Test' });
+      const assignments = await atlantis.delegateToSubAIs(task, plan);
+
+      expect(assignments.map(a => a.status)).toEqual(['assigned', 'blocked']);
+      expect(assignments[1].dependencies).toEqual([assignments[0].assignmentId]);
+
+      const manager = new SubAIManager(db, mockAIClients);
+      await manager.processPendingAssignments();
+
+      const statuses = db.prepare(
+        'SELECT work_package_id, status FROM task_assignments WHERE task_id = ? ORDER BY id'
+      ).all(task.id);
+
+      expect(statuses).toEqual([
+        { work_package_id: 'wp-schema', status: 'completed' },
+        { work_package_id: 'wp-api', status: 'assigned' }
+      ]);
+    });
+
+    test('should pass upstream outputs to the downstream agent', async () => {
+      const manager = new SubAIManager(db, mockAIClients);
+      mockAIClients.claude.messages.create.mockClear();
+
+      await manager.processPendingAssignments();
+
+      const prompts = mockAIClients.claude.messages.create.mock.calls.map(c => c[0].messages[0].content);
+      expect(prompts[0]).toContain('Outputs from upstream work packages you depend on');
+      expect(prompts[0]).toContain('### Schema (by Database Expert)');
+    });
+
+    test('should not assign packages whose upstream package could not be assigned', async () => {
+      const task = await atlantis.createTask({ userId: 1, title: 'Unroutable Test' });
+      const assignments = await atlantis.delegateToSubAIs(task, {
+        workPackages: [
+          { id: 'wp-poem', name: 'Poem', assignedTo: 'sub-ai-poet', elements: ['Haiku'], dependencies: [] },
+          { id: 'wp-page', name: 'Page', assignedTo: 'sub-ai-frontend', elements: [], dependencies: ['wp-poem'] },
+          { id: 'wp-site', name: 'Site', assignedTo: 'sub-ai-devops', elements: [], dependencies: ['wp-page'] },
+          { id: 'wp-docs', name: 'Docs', assignedTo: 'sub-ai-docs', elements: [], dependencies: [] }
+        ]
+      });
+
+      expect(assignments.map(a => a.workPackageId)).toEqual(['wp-docs']);
+      const updates = db.prepare('SELECT message FROM progress_updates WHERE task_id = ? ORDER BY id').all(task.id);
+      expect(updates.map(u => u.message)).toEqual(expect.arrayContaining([
+        'Could not assign "Page": it depends on "Poem", which was not assigned',
+        'Could not assign "Site": it depends on "Page", which was not assigned'
+      ]));
+    });
+
+    test('should refuse a cyclic plan without creating assignments', async () => {
+      const task = await atlantis.createTask({ userId: 1, title: 'Cycle Test' });
+      const cyclicPlan = {
+        workPackages: [
+          { id: 'wp-1', name: 'One', assignedTo: 'sub-ai-code', elements: [], dependencies: ['wp-2'] },
+          { id: 'wp-2', name: 'Two', assignedTo: 'sub-ai-code', elements: [], dependencies: ['wp-1'] }
+        ]
+      };
+
+      await expect(atlantis.delegateToSubAIs(task, cyclicPlan)).rejects.toThrow('Dependency cycle detected');
+
+      const count = db.prepare('SELECT COUNT(*) as count FROM task_assignments WHERE task_id = ?').get(task.id);
+      expect(count.count).toBe(0);
+    });
+  });
+});
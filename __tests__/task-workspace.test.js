@@ -0,0 +1,154 @@
+/**
+ * Tests for task workspace repositories and their diffs and patches
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { SubAIAgent } = require('../server/sub-ai-agents');
+const { LLMRouter } = require('../server/llm-providers');
+const TaskWorkspace = require('../server/task-workspace');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Task Workspace', () => {
+  let db;
+  let tempDir;
+  let workspace;
+
+  const outputs = {
+    'Write server': '<artifact path="src/server.js">\nmodule.exports = 1;\n</artifact>',
+    'Revise server': 'Same file.\n<artifact path="src/server.js">\nmodule.exports = 1;\n</artifact>',
+    'Write page': '<artifact path="public/index.html">\n<h1>Hi</h1>\n</artifact>\n'
+      + '<artifact path=".git/config">\n[core]\n</artifact>'
+  };
+
+  const createAgent = (agentId) => {
+    const agentData = db.prepare('SELECT * FROM sub_ai_agents WHERE agent_id = ?').get(agentId);
+    const llm = new LLMRouter({}, {
+      mode: 'scripted',
+      script: { execution: ({ messages }) => outputs[messages[0].content.match(/^Task: (.*)$/m)[1]] }
+    });
+    const agent = new SubAIAgent(db, agentData, {}, {
+      llm, artifactDir: path.join(tempDir, 'artifacts'), workspaceDir: path.join(tempDir, 'workspaces')
+    });
+    const assignment = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, status)
+      VALUES (?, 1, ?, 'in-progress') RETURNING *
+    `).get(`assign-${agentId}`, agentData.id);
+    return { agent, assignment };
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    db.prepare("INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Web app')").run();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-workspace-'));
+    workspace = new TaskWorkspace(db, { rootDir: path.join(tempDir, 'workspaces') });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should commit code-generation output on a branch per assignment', async () => {
+    expect(await workspace.listBranches('task-1')).toEqual({ error: 'Task has no workspace' });
+    expect(await workspace.listBranches('task-2')).toEqual({ error: 'Task not found' });
+
+    const backend = createAgent('sub-ai-code');
+    const frontend = createAgent('sub-ai-frontend');
+    const written = await backend.agent.executeWorkBot(
+      { botId: 'bot-1', type: 'code-generation', description: 'Write server' }, '', [], backend.assignment
+    );
+    const unchanged = await backend.agent.executeWorkBot(
+      { botId: 'bot-2', type: 'code-generation', description: 'Revise server' }, '', [], backend.assignment
+    );
+    const page = await frontend.agent.executeWorkBot(
+      { botId: 'bot-3', type: 'code-generation', description: 'Write page' }, '', [], frontend.assignment
+    );
+
+    expect(written.workspace).toEqual({
+      branch: 'assignment/assign-sub-ai-code', commit: expect.stringMatching(/^[0-9a-f]{40}$/), files: ['src/server.js']
+    });
+    expect(unchanged.workspace).toBeUndefined();
+    // The .git path is kept as an artifact but never written to the repository
+    expect(page.workspace.files).toEqual(['public/index.html']);
+    expect(page.artifacts.map(artifact => artifact.path)).toEqual(['public/index.html', '.git/config']);
+
+    expect((await workspace.listBranches('task-1')).branches).toEqual([
+      {
+        assignmentId: 'assign-sub-ai-code',
+        agentId: 'sub-ai-code',
+        branch: 'assignment/assign-sub-ai-code',
+        head: written.workspace.commit,
+        commits: 1,
+        files: ['src/server.js']
+      },
+      expect.objectContaining({ agentId: 'sub-ai-frontend', commits: 1, files: ['public/index.html'] })
+    ]);
+
+    const { diff } = await workspace.getDiff('task-1', 'assign-sub-ai-frontend');
+    expect(diff).toContain('diff --git a/public/index.html b/public/index.html\nnew file mode 100644');
+    expect(diff).not.toContain('src/server.js');
+    expect((await workspace.getDiff('task-1')).diff).toContain('+module.exports = 1;');
+    expect(await workspace.getDiff('task-1', 'assign-other')).toEqual({ error: 'Assignment has no workspace branch' });
+  });
+
+  test('should commit the files of assignments running side by side', async () => {
+    const agentIds = ['sub-ai-code', 'sub-ai-frontend', 'sub-ai-database'];
+    const assignments = agentIds.map(agentId => createAgent(agentId).assignment);
+    const author = { name: 'Agent', email: 'agent@atlantis.local' };
+
+    const commits = await Promise.all(assignments.map((assignment, index) => workspace.commitFiles(
+      assignment, [{ path: `src/part-${index}.js`, content: `module.exports = ${index};` }], { message: 'Part', author }
+    )));
+
+    expect(commits.map(commit => commit.files)).toEqual([['src/part-0.js'], ['src/part-1.js'], ['src/part-2.js']]);
+    const { branches } = await workspace.listBranches('task-1');
+    expect(branches.map(branch => [branch.branch, branch.commits]))
+      .toEqual(agentIds.map(agentId => [`assignment/assign-${agentId}`, 1]));
+  });
+
+  test('should record a failed commit on the bot result', async () => {
+    const backend = createAgent('sub-ai-code');
+    backend.agent.workspace.commitFiles = jest.fn().mockRejectedValue(new Error('git is not installed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await backend.agent.executeWorkBot(
+      { botId: 'bot-1', type: 'code-generation', description: 'Write server' }, '', [], backend.assignment
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.workspace).toEqual({ error: 'git is not installed' });
+    expect(result.artifacts.map(artifact => artifact.path)).toEqual(['src/server.js']);
+    console.error.mockRestore();
+  });
+
+  test('should produce patches that git am applies', async () => {
+    const backend = createAgent('sub-ai-code');
+    await backend.agent.executeWorkBot(
+      { botId: 'bot-1', type: 'code-generation', description: 'Write server' }, '', [], backend.assignment
+    );
+
+    const { patch } = await workspace.getPatch('task-1');
+    expect(patch).toMatch(/^From [0-9a-f]{40} /);
+    expect(patch).toContain(`From: ${backend.agent.name} <sub-ai-code@atlantis.local>`);
+    expect(patch).toContain('Subject: [PATCH] Write server\n\nWork bot: bot-1 (code-generation)');
+
+    const target = path.join(tempDir, 'target');
+    const git = (...args) => execFileSync('git', args, {
+      cwd: target,
+      encoding: 'utf8',
+      input: args[0] === 'am' ? patch : undefined,
+      env: { ...process.env, GIT_COMMITTER_NAME: 'Reviewer', GIT_COMMITTER_EMAIL: 'reviewer@example.com' }
+    });
+    fs.mkdirSync(target);
+    git('init', '-q');
+    git('am', '-q');
+
+    expect(fs.readFileSync(path.join(target, 'src/server.js'), 'utf8')).toBe('module.exports = 1;');
+    expect(git('log', '--format=%an: %s')).toBe(`${backend.agent.name}: Write server\n`);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for LLM token usage and cost accounting
+ */
+
+const AtlantisAI = require('../server/atlantis-ai');
+const UsageTracker = require('../server/usage-tracker');
+const { SubAIManager } = require('../server/sub-ai-agents');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Usage Tracker', () => {
+  let db;
+
+  // Every call uses 1000 input and 100 output tokens
+  const reply = content => ({
+    content: [{ text: typeof content === 'string' ? content : JSON.stringify(content) }],
+    usage: { input_tokens: 1000, output_tokens: 100 }
+  });
+
+  const aiClients = {
+    claude: {
+      messages: {
+        create: jest.fn(async ({ messages }) => {
+          const prompt = messages[0].content;
+          if (prompt.includes('Analyze the following task')) {
+            return reply({ primaryIntent: 'Build', complexity: 'Simple', requiredExpertise: ['Databases'] });
+          }
+          if (prompt.includes('Create a comprehensive project plan')) {
+            // The first plan fails validation, so planning takes a repair call
+            return messages.length === 1
+              ? reply('Here is my plan')
+              : reply({
+                overview: 'Plan',
+                workPackages: [{ id: 'wp-1', name: 'Schema', assignedTo: 'sub-ai-database', elements: ['Tables'] }]
+              });
+          }
+          if (prompt.includes('break them down into specific, actionable tasks')) {
+            return reply({
+              tasks: [
+                { id: 't1', description: 'Tables', botType: 'database' },
+                { id: 't2', description: 'Indexes', botType: 'database', dependencies: ['t1'] }
+              ]
+            });
+          }
+          return reply('Bot output');
+        })
+      }
+    }
+  };
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should price calls with the price table and its overrides', () => {
+    const tracker = new UsageTracker(db, { prices: { 'custom-model': { input: 1, output: 2 } } });
+
+    expect(tracker.calculateCost('claude-sonnet-4-5', 1000, 100)).toBeCloseTo(0.0045);
+    expect(tracker.calculateCost('custom-model', 1e6, 1e6)).toBe(3);
+    expect(tracker.calculateCost('unknown-model', 1000, 100)).toBe(0);
+  });
+
+  test('should roll up the usage of a task by stage, agent and work bot', async () => {
+    const atlantis = new AtlantisAI(db, aiClients);
+    const result = await atlantis.receiveTask({ userId: 1, title: 'Usage Test' });
+    await new SubAIManager(db, aiClients).processPendingAssignments();
+    await atlantis.interactWithUser(result.taskId, 'How is it going?');
+
+    const usage = new UsageTracker(db).getTaskUsage(result.taskId);
+
+    // intent, 2 planning calls, analysis, 2 work bots and the conversation
+    expect(usage.totals).toEqual({ calls: 7, inputTokens: 7000, outputTokens: 700, cost: 0.0315 });
+    expect(usage.byStage.map(s => [s.stage, s.calls])).toEqual([
+      ['analysis', 1], ['conversation', 1], ['execution', 2], ['intent', 1], ['planning', 2]
+    ]);
+    expect(usage.byAgent).toEqual([{
+      agentId: 'sub-ai-database',
+      name: 'Database Expert',
+      calls: 3,
+      inputTokens: 3000,
+      outputTokens: 300,
+      cost: 0.0135
+    }]);
+    expect(usage.byBot).toHaveLength(2);
+    expect(usage.byBot[0]).toMatchObject({ calls: 1, inputTokens: 1000, outputTokens: 100 });
+  });
+
+  test('should roll up usage per agent, user and model', async () => {
+    const atlantis = new AtlantisAI(db, aiClients);
+    await atlantis.receiveTask({ userId: 1, title: 'First' });
+    await atlantis.receiveTask({ userId: 1, title: 'Second' });
+    await new SubAIManager(db, aiClients).processPendingAssignments();
+
+    const tracker = new UsageTracker(db);
+
+    const user = tracker.getUserUsage('test-user');
+    expect(user.totals.calls).toBe(12);
+    expect(user.byTask.map(t => [t.title, t.calls])).toEqual([['Second', 6], ['First', 6]]);
+    expect(tracker.getUserUsage('nobody')).toEqual({ error: 'User not found' });
+
+    const agents = tracker.getAgentUsage();
+    expect(agents[0]).toMatchObject({ agentId: 'sub-ai-database', calls: 6 });
+    expect(agents[1].calls).toBe(0);
+
+    expect(tracker.getTotals()).toEqual({
+      calls: 12,
+      inputTokens: 12000,
+      outputTokens: 1200,
+      cost: 0.054,
+      byModel: [{
+        provider: 'anthropic',
+        model: 'claude-sonnet-4-5',
+        calls: 12,
+        inputTokens: 12000,
+        outputTokens: 1200,
+        cost: 0.054
+      }]
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for parallel, dependency-ordered work bot execution and retries
+ */
+
+const { SubAIAgent, SubAIManager } = require('../server/sub-ai-agents');
+const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+
+describe('Work Bot Execution', () => {
+  let db;
+  let assignment;
+
+  beforeEach(() => {
+    db = initializeDatabase(':memory:');
+    seedSubAIAgents(db);
+    db.prepare('INSERT INTO users (github_username) VALUES (?)').run('test-user');
+    db.prepare(
+      "UPDATE sub_ai_agents SET max_concurrent_bots = 2 WHERE agent_id = 'sub-ai-code'"
+    ).run();
+
+    const taskId = db.prepare(
+      "INSERT INTO tasks (task_id, user_id, title) VALUES ('task-1', 1, 'Bots')"
+    ).run().lastInsertRowid;
+    const agentId = db.prepare("SELECT id FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get().id;
+    const id = db.prepare(`
+      INSERT INTO task_assignments (assignment_id, task_id, agent_id, assigned_elements, status)
+      VALUES ('assign-1', ?, ?, '["Build it"]', 'in-progress')
+    `).run(taskId, agentId).lastInsertRowid;
+    assignment = db.prepare('SELECT * FROM task_assignments WHERE id = ?').get(id);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const createAgent = (aiClients) => {
+    const agentData = db.prepare("SELECT * FROM sub_ai_agents WHERE agent_id = 'sub-ai-code'").get();
+    return new SubAIAgent(db, agentData, aiClients, { retryPolicies: { default: { baseDelayMs: 1 } } });
+  };
+
+  const analysis = {
+    tasks: [
+      { id: 'report', description: 'Write report', botType: 'documentation', dependencies: ['api', 'schema'] },
+      { id: 'api', description: 'Design API', botType: 'code-generation', dependencies: [] },
+      { id: 'schema', description: 'Design schema', botType: 'code-generation', dependencies: [] },
+      { id: 'tests', description: 'Write tests', botType: 'testing', dependencies: [] }
+    ]
+  };
+
+  test('should run bots concurrently up to the agent limit in dependency order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const prompts = [];
+
+    const agent = createAgent({
+      claude: {
+        messages: {
+          create: jest.fn(async ({ messages }) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            prompts.push(messages[0].content);
+            await new Promise((resolve) => { setTimeout(resolve, 10); });
+            running--;
+            const task = messages[0].content.match(/Task: (.*)/)[1];
+            return { content: [{ text: `Output of ${task}` }] };
+          })
+        }
+      }
+    });
+
+    const workBots = await agent.createWorkBots(assignment, analysis);
+    expect(workBots.map(b => b.taskKey)).toEqual(['api', 'schema', 'report', 'tests']);
+
+    await agent.executeWorkBots(workBots, assignment);
+
+    expect(maxRunning).toBe(2);
+
+    const reportIndex = prompts.findIndex(p => p.includes('Task: Write report'));
+    expect(prompts.findIndex(p => p.includes('Task: Design API'))).toBeLessThan(reportIndex);
+    expect(prompts.findIndex(p => p.includes('Task: Design schema'))).toBeLessThan(reportIndex);
+    expect(prompts[reportIndex]).toContain('Outputs from the work bots this task depends on');
+    expect(prompts[reportIndex]).toContain('Output of Design API');
+    expect(prompts[reportIndex]).toContain('Output of Design schema');
+
+    const bots = db.prepare('SELECT status FROM work_bots WHERE assignment_id = ?').all(assignment.id);
+    expect(bots.every(b => b.status === 'completed')).toBe(true);
+    expect(db.prepare('SELECT progress FROM task_assignments WHERE id = ?').get(assignment.id).progress).toBe(100);
+  });
+
+  test('should fail dependents of a failed bot without running them', async () => {
+    const agent = createAgent({ claude: { messages: { create: jest.fn() } } });
+    agent.executeWorkBot = jest.fn(async (bot) => {
+      if (bot.taskKey === 'api') throw new Error('boom');
+      return { success: true, output: 'ok' };
+    });
+
+    const workBots = await agent.createWorkBots(assignment, analysis);
+    await agent.executeWorkBots(workBots, assignment);
+
+    const statuses = Object.fromEntries(db.prepare(
+      'SELECT task_key, status FROM work_bots WHERE assignment_id = ?'
+    ).all(assignment.id).map(b => [b.task_key, b.status]));
+
+    expect(statuses).toEqual({ api: 'dead-letter', schema: 'completed', report: 'failed', tests: 'completed' });
+    expect(agent.executeWorkBot.mock.calls.map(([bot]) => bot.taskKey)).not.toContain('report');
+  });
+
+  test('should reject cyclic task dependencies', async () => {
+    const agent = createAgent({ claude: { messages: { create: jest.fn() } } });
+    const cyclic = {
+      tasks: [
+        { id: 'a', description: 'A', botType: 'analysis', dependencies: ['b'] },
+        { id: 'b', description: 'B', botType: 'analysis', dependencies: ['a'] }
+      ]
+    };
+
+    await expect(agent.createWorkBots(assignment, cyclic)).rejects.toThrow('Dependency cycle detected');
+  });
+
+  describe('Retries and dead-letter', () => {
+    const single = {
+      tasks: [{ id: 'api', description: 'Design API', botType: 'code-generation', dependencies: [] }]
+    };
+
+    test('should retry a failed bot with backoff until it succeeds', async () => {
+      const agent = createAgent({ claude: { messages: { create: jest.fn() } } });
+      agent.executeWorkBot = jest.fn()
+        .mockRejectedValueOnce(new Error('rate limited'))
+        .mockResolvedValueOnce({ success: true, output: 'ok' });
+
+      const workBots = await agent.createWorkBots(assignment, single);
+      await agent.executeWorkBots(workBots, assignment);
+
+      const bot = db.prepare('SELECT status, attempts FROM work_bots WHERE bot_id = ?').get(workBots[0].botId);
+      expect(bot).toEqual({ status: 'completed', attempts: 2 });
+    });
+
+    test('should dead-letter a bot after its max attempts and re-run it on request', async () => {
+      const manager = new SubAIManager(db, { claude: { messages: { create: jest.fn() } } },
+        { retryPolicies: { default: { baseDelayMs: 1 } } });
+      const agent = manager.getAgent('sub-ai-code');
+      agent.executeWorkBot = jest.fn().mockRejectedValue(new Error('offline'));
+
+      const workBots = await agent.createWorkBots(assignment, single);
+      await agent.executeWorkBots(workBots, assignment);
+      await agent.reportToAtlantis(assignment);
+
+      expect(agent.executeWorkBot).toHaveBeenCalledTimes(3);
+      const deadLetter = manager.getDeadLetterBots('task-1');
+      expect(deadLetter).toHaveLength(1);
+      expect(deadLetter[0]).toMatchObject({ bot_id: workBots[0].botId, attempts: 3, lastError: 'offline' });
+      expect(db.prepare('SELECT status FROM task_assignments WHERE id = ?').get(assignment.id).status)
+        .toBe('partial');
+
+      agent.executeWorkBot.mockResolvedValue({ success: true, output: 'recovered' });
+      const result = await manager.rerunWorkBot(workBots[0].botId);
+
+      expect(result).toMatchObject({ success: true, status: 'completed', attempts: 4, output: 'recovered' });
+      expect(manager.getDeadLetterBots()).toHaveLength(0);
+      expect(db.prepare('SELECT status, progress FROM task_assignments WHERE id = ?').get(assignment.id))
+        .toEqual({ status: 'completed', progress: 100 });
+    });
+
+    test('should discard a dead-lettered bot', async () => {
+      const manager = new SubAIManager(db, { claude: { messages: { create: jest.fn() } } },
+        { retryPolicies: { default: { maxAttempts: 1 } } });
+      const agent = manager.getAgent('sub-ai-code');
+      agent.executeWorkBot = jest.fn().mockRejectedValue(new Error('offline'));
+
+      const workBots = await agent.createWorkBots(assignment, single);
+      await agent.executeWorkBots(workBots, assignment);
+
+      expect(manager.discardWorkBot('bot-missing')).toEqual({ success: false, error: 'Work bot not found' });
+      expect(manager.discardWorkBot(workBots[0].botId, 'Not needed')).toMatchObject({ status: 'discarded' });
+      expect(manager.discardWorkBot(workBots[0].botId).error).toContain('only dead-lettered bots');
+      expect(manager.getDeadLetterBots()).toHaveLength(0);
+    });
+  });
+});
@@ -8,7 +8,9 @@ class AtlantisApp {
         this.apiUrl = window.location.origin + '/api';
         this.ws = null;
         this.currentUser = localStorage.getItem('atlantis-user') || '';
-        this.currentTask = null;
+        this.currentTask = localStorage.getItem('atlantis-task');
+        this.streamingReply = null;
+        this.lastSeq = null;
         this.selectedComponents = new Set();
         this.uploadedFiles = [];
         
@@ -39,6 +41,10 @@ class AtlantisApp {
         if (this.currentUser) {
             await this.loadUserTasks();
         }
+
+        if (this.currentTask) {
+            await this.loadConversation(this.currentTask);
+        }
         
         console.log('✅ ATLANTIS-AI initialized');
     }
@@ -51,8 +57,14 @@ class AtlantisApp {
 
         // User input
         document.getElementById('username').addEventListener('change', (e) => {
+            if (this.currentUser) {
+                this.unsubscribe([`user:${this.currentUser}`]);
+            }
             this.currentUser = e.target.value;
             localStorage.setItem('atlantis-user', this.currentUser);
+            if (this.currentUser) {
+                this.subscribe([`user:${this.currentUser}`]);
+            }
             if (this.currentUser) {
                 this.loadUserTasks();
             }
@@ -225,6 +237,7 @@ class AtlantisApp {
         const outcomes = document.getElementById('task-outcomes').value;
         const resources = document.getElementById('task-resources').value;
         const priority = document.getElementById('task-priority').value;
+        const requireApproval = document.getElementById('task-require-approval').checked;
 
         if (!this.currentUser) {
             this.showToast('Please enter your GitHub username', 'error');
@@ -276,7 +289,8 @@ class AtlantisApp {
             timeline,
             desiredOutcomes: outcomes,
             availableResources: fullResources,
-            priority
+            priority,
+            requireApproval
         };
 
         try {
@@ -291,7 +305,12 @@ class AtlantisApp {
             const result = await response.json();
 
             if (result.success) {
-                this.showToast('Task submitted successfully! ATLANTIS is processing...', 'success');
+                this.subscribeToTask(result.taskId);
+                if (result.status === 'awaiting-approval') {
+                    this.showToast('Project plan created and awaiting your approval', 'success');
+                } else {
+                    this.showToast('Task submitted successfully! ATLANTIS is processing...', 'success');
+                }
                 
                 // Clear form
                 document.getElementById('task-title').value = '';
@@ -299,6 +318,7 @@ class AtlantisApp {
                 document.getElementById('task-timeline').value = '';
                 document.getElementById('task-outcomes').value = '';
                 document.getElementById('task-resources').value = '';
+                document.getElementById('task-require-approval').checked = false;
                 document.getElementById('drop-zone').innerHTML = '<p class="drop-hint">Drag components here</p>';
                 document.getElementById('uploaded-files').innerHTML = '';
                 this.selectedComponents.clear();
@@ -359,6 +379,10 @@ class AtlantisApp {
             const response = await fetch(`${this.apiUrl}/tasks/${taskId}`);
             const data = await response.json();
 
+            // Streamed output survives re-rendering the details of the same task
+            const previousOutput = this.currentTask === taskId ? document.getElementById('live-output') : null;
+            this.subscribeToTask(taskId);
+
             const modal = document.getElementById('task-modal');
             const modalTitle = document.getElementById('modal-title');
             const modalBody = document.getElementById('modal-body');
@@ -372,6 +396,12 @@ class AtlantisApp {
                     <h4>Status: ${data.task.status}</h4>
                     <p><strong>Priority:</strong> ${data.task.priority}</p>
                     <p><strong>Created:</strong> ${new Date(data.task.created_at).toLocaleString()}</p>
+                    <div class="task-actions">
+                        ${data.task.status === 'in-progress' ? `<button class="btn" onclick="app.changeTaskStatus('${taskId}', 'pause')">Pause</button>` : ''}
+                        ${['paused', 'budget-exceeded'].includes(data.task.status) ? `<button class="btn" onclick="app.changeTaskStatus('${taskId}', 'resume')">Resume</button>` : ''}
+                        ${!['completed', 'rejected', 'cancelled'].includes(data.task.status) ? `<button class="btn btn-danger" onclick="app.changeTaskStatus('${taskId}', 'cancel')">Cancel Task</button>` : ''}
+                        ${data.task.status === 'completed' ? `<a class="btn" href="${this.apiUrl}/tasks/${taskId}/report?format=markdown" target="_blank">Deliverable Report</a>` : ''}
+                    </div>
                 </div>
                 
                 <div style="margin-bottom: 1.5rem;">
@@ -391,6 +421,8 @@ class AtlantisApp {
                 </div>
                 ` : ''}
                 
+                <div id="live-output" style="margin-bottom: 1.5rem;"></div>
+                
                 ${updates.length > 0 ? `
                 <div>
                     <h4>Progress Updates</h4>
@@ -406,12 +438,37 @@ class AtlantisApp {
                 ` : ''}
             `;
 
+            if (previousOutput) {
+                document.getElementById('live-output').replaceWith(previousOutput);
+            }
+
             modal.classList.add('active');
         } catch (error) {
             console.error('Error loading task details:', error);
         }
     }
 
+    async changeTaskStatus(taskId, action) {
+        try {
+            const response = await fetch(`${this.apiUrl}/tasks/${taskId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ requestedBy: this.currentUser })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                await this.showTaskDetails(taskId);
+            } else {
+                this.showToast('Error: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Task status change error:', error);
+            this.showToast(`Failed to ${action} task`, 'error');
+        }
+    }
+
     async loadMetrics() {
         try {
             const response = await fetch(`${this.apiUrl}/metrics`);
@@ -433,7 +490,7 @@ class AtlantisApp {
 
             const agentsGrid = document.getElementById('agents-grid');
             agentsGrid.innerHTML = agents.map(agent => {
-                const loadPercentage = (agent.current_load / agent.max_capacity) * 100;
+                const loadPercentage = (agent.currentLoad / agent.maxCapacity) * 100;
                 return `
                     <div class="agent-card">
                         <div class="agent-header">
@@ -445,7 +502,7 @@ class AtlantisApp {
                         </div>
                         <div class="agent-load">
                             <div style="display: flex; justify-content: space-between; font-size: 0.9rem; margin-bottom: 0.25rem;">
-                                <span>Load: ${agent.current_load}/${agent.max_capacity}</span>
+                                <span>Load: ${agent.currentLoad}/${agent.maxCapacity}</span>
                                 <span>${Math.round(loadPercentage)}%</span>
                             </div>
                             <div class="load-bar">
@@ -453,7 +510,7 @@ class AtlantisApp {
                             </div>
                         </div>
                         <div style="margin-top: 0.75rem; font-size: 0.9rem; color: var(--gray);">
-                            Performance: ${agent.performance_score.toFixed(1)}%
+                            Performance: ${agent.performanceScore.toFixed(1)}%
                         </div>
                     </div>
                 `;
@@ -472,18 +529,54 @@ class AtlantisApp {
         this.ws.onopen = () => {
             console.log('🔌 WebSocket connected');
             document.getElementById('connection-status').style.color = 'var(--success)';
+            const channels = [
+                'system',
+                ...(this.currentUser ? [`user:${this.currentUser}`] : []),
+                ...(this.currentTask ? [`task:${this.currentTask}`] : [])
+            ];
+            // After a dropped connection, catch up on the events missed meanwhile
+            if (this.lastSeq !== null) {
+                this.ws.send(JSON.stringify({ type: 'resume-from', lastSeq: this.lastSeq, channels }));
+            } else {
+                this.subscribe(channels);
+            }
         };
 
         this.ws.onmessage = (event) => {
             const data = JSON.parse(event.data);
             console.log('📨 WebSocket message:', data.type);
 
-            if (data.type === 'task-created') {
+            // Events already received before a reconnect are skipped
+            if (data.seq !== undefined) {
+                if (data.seq <= this.lastSeq) return;
+                this.lastSeq = data.seq;
+            }
+
+            if (data.type === 'connected') {
+                if (this.lastSeq === null) {
+                    this.lastSeq = data.lastSeq;
+                }
+            } else if (data.type === 'replay-complete') {
+                this.lastSeq = data.lastSeq;
+                if (data.truncated) {
+                    this.showToast('Some updates were missed while offline, reloading', 'info');
+                    this.loadUserTasks();
+                    this.loadMetrics();
+                }
+            } else if (data.type === 'task-created') {
                 this.showToast('New task created!', 'success');
                 this.loadUserTasks();
                 this.loadMetrics();
+            } else if (data.type === 'task-status-changed') {
+                this.showToast(`Task ${data.status.replace('-', ' ')}`, 'info');
+                this.loadUserTasks();
+                this.loadMetrics();
             } else if (data.type === 'progress-update') {
                 this.showToast(data.message, 'info');
+            } else if (data.type === 'assignment-status-changed' || data.type === 'bot-status-changed') {
+                this.refreshOpenTask(data.taskId);
+            } else if (data.type === 'bot-output-delta') {
+                this.showOutputDelta(data);
             }
         };
 
@@ -501,6 +594,88 @@ class AtlantisApp {
         };
     }
 
+    subscribe(channels, type = 'subscribe') {
+        if (channels.length > 0 && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type, channels }));
+        }
+    }
+
+    unsubscribe(channels) {
+        this.subscribe(channels, 'unsubscribe');
+    }
+
+    subscribeToTask(taskId) {
+        if (this.currentTask === taskId) return;
+        if (this.currentTask) {
+            this.unsubscribe([`task:${this.currentTask}`]);
+        }
+        this.currentTask = taskId;
+        localStorage.setItem('atlantis-task', taskId);
+        this.subscribe([`task:${taskId}`]);
+        this.loadConversation(taskId);
+    }
+
+    async loadConversation(taskId) {
+        try {
+            const response = await fetch(`${this.apiUrl}/tasks/${taskId}/conversation`);
+            if (!response.ok) return;
+            const conversation = await response.json();
+
+            // Keep the greeting and replace the messages of the previous task
+            const messagesDiv = document.getElementById('chat-messages');
+            while (messagesDiv.children.length > 1) {
+                messagesDiv.lastElementChild.remove();
+            }
+            conversation.messages.forEach(message => {
+                this.addChatMessage(message.content, message.role === 'user' ? 'user' : 'bot');
+            });
+        } catch (error) {
+            console.error('Error loading conversation:', error);
+        }
+    }
+
+    refreshOpenTask(taskId) {
+        const modal = document.getElementById('task-modal');
+        if (taskId === this.currentTask && modal.classList.contains('active')) {
+            this.showTaskDetails(taskId);
+        }
+    }
+
+    showOutputDelta(data) {
+        // The delta continues the output at offset; offset 0 starts a new attempt
+        const append = (element) => {
+            element.textContent = element.textContent.substring(0, data.offset) + data.delta;
+        };
+
+        if (data.source === 'atlantis') {
+            if (this.streamingReply) {
+                append(this.streamingReply);
+            }
+            return;
+        }
+
+        const liveOutput = document.getElementById('live-output');
+        if (!liveOutput || data.taskId !== this.currentTask) return;
+
+        let output = liveOutput.querySelector(`[data-bot-id="${data.botId}"] pre`);
+        if (!output) {
+            if (!liveOutput.hasChildNodes()) {
+                liveOutput.innerHTML = '<h4>Live Work Bot Output</h4>';
+            }
+            const block = document.createElement('div');
+            block.dataset.botId = data.botId;
+            block.className = 'live-output';
+            const label = document.createElement('div');
+            label.className = 'live-output-label';
+            label.textContent = `${data.agentId} - ${data.botId}`;
+            output = document.createElement('pre');
+            block.appendChild(label);
+            block.appendChild(output);
+            liveOutput.appendChild(block);
+        }
+        append(output);
+    }
+
     async sendChatMessage() {
         const input = document.getElementById('chat-input');
         const message = input.value.trim();
@@ -513,6 +688,8 @@ class AtlantisApp {
 
         // If there's a current task, interact with it
         if (this.currentTask) {
+            // Filled in as the reply streams over the WebSocket
+            this.streamingReply = this.addChatMessage('', 'bot');
             try {
                 const response = await fetch(`${this.apiUrl}/tasks/${this.currentTask}/interact`, {
                     method: 'POST',
@@ -521,10 +698,11 @@ class AtlantisApp {
                 });
 
                 const result = await response.json();
-                this.addChatMessage(result.response, 'bot');
+                this.streamingReply.textContent = response.ok ? result.response : result.error;
             } catch (error) {
-                this.addChatMessage('Sorry, I encountered an error processing your message.', 'bot');
+                this.streamingReply.textContent = 'Sorry, I encountered an error processing your message.';
             }
+            this.streamingReply = null;
         } else {
             this.addChatMessage('Create a task first, and I can help you track its progress!', 'bot');
         }
@@ -552,6 +730,8 @@ class AtlantisApp {
         
         messagesDiv.appendChild(messageDiv);
         messagesDiv.scrollTop = messagesDiv.scrollHeight;
+
+        return messagePara;
     }
 
     showToast(message, type = 'info') {
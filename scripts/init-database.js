@@ -1,11 +1,18 @@
 /**
  * Database Schema for ATLANTIS-AI System
  * SQLite database for easy setup with upgrade path to PostgreSQL
+ *
+ * Usage: npm run db:init
+ * Creates the tables in DATABASE_PATH and adds the agents of the bundled
+ * manifests that are missing. Agents that already exist are not changed:
+ * edits to their manifests are only applied when the server starts and
+ * reconciles the manifests with the database
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { loadManifests, DEFAULT_MANIFEST_DIR } = require('../server/agent-manifests');
 
 /**
  * Initialize the ATLANTIS-AI database
@@ -33,6 +40,8 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       email TEXT,
       role TEXT DEFAULT 'user',
       preferences TEXT,
+      budget_tokens INTEGER,
+      budget_cost REAL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -52,6 +61,9 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       available_resources TEXT,
       priority TEXT DEFAULT 'normal',
       status TEXT DEFAULT 'pending',
+      approval_required BOOLEAN DEFAULT 0,
+      budget_tokens INTEGER,
+      budget_cost REAL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       completed_at DATETIME,
@@ -70,8 +82,17 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       status TEXT DEFAULT 'active',
       current_load INTEGER DEFAULT 0,
       max_capacity INTEGER DEFAULT 10,
+      max_concurrent_bots INTEGER,
+      llm_provider TEXT,
+      llm_model TEXT,
+      system_prompt TEXT,
+      allowed_bot_types TEXT,
+      max_work_bots INTEGER,
+      manifest_path TEXT,
       performance_score REAL DEFAULT 100.0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      revision INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
     )
   `);
 
@@ -83,11 +104,16 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       task_id INTEGER NOT NULL,
       agent_id INTEGER NOT NULL,
       assigned_elements TEXT,
+      work_package_id TEXT,
+      work_package_name TEXT,
+      dependencies TEXT,
       status TEXT DEFAULT 'assigned',
       progress INTEGER DEFAULT 0,
       assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       started_at DATETIME,
       completed_at DATETIME,
+      updated_at DATETIME,
+      paused_status TEXT,
       FOREIGN KEY (task_id) REFERENCES tasks(id),
       FOREIGN KEY (agent_id) REFERENCES sub_ai_agents(id)
     )
@@ -104,6 +130,9 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       task_description TEXT,
       status TEXT DEFAULT 'created',
       result TEXT,
+      attempts INTEGER DEFAULT 1,
+      task_key TEXT,
+      dependencies TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       started_at DATETIME,
       completed_at DATETIME,
@@ -112,6 +141,51 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
     )
   `);
 
+  // Routing Decisions - Why each work package went to its agent
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS routing_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      decision_id TEXT UNIQUE NOT NULL,
+      task_id INTEGER NOT NULL,
+      work_package_id TEXT,
+      requested_agent_id TEXT,
+      selected_agent_id TEXT,
+      decision TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      candidates TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id)
+    )
+  `);
+
+  // Agent Performance History - Score changes over time
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS agent_performance_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      score REAL NOT NULL,
+      components TEXT,
+      reason TEXT,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES sub_ai_agents(id)
+    )
+  `);
+
+  // Assignment Ratings - User ratings of assignment deliverables
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS assignment_ratings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rating_id TEXT UNIQUE NOT NULL,
+      assignment_id INTEGER NOT NULL,
+      user_id INTEGER,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignment_id) REFERENCES task_assignments(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
   // Project Plans - ATLANTIS-generated project plans
   db.exec(`
     CREATE TABLE IF NOT EXISTS project_plans (
@@ -121,6 +195,10 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
       plan_data TEXT NOT NULL,
       version INTEGER DEFAULT 1,
       approved BOOLEAN DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      diff TEXT,
+      feedback TEXT,
+      reviewed_by TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       approved_at DATETIME,
       FOREIGN KEY (task_id) REFERENCES tasks(id)
@@ -204,6 +282,140 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
     )
   `);
 
+  // Jobs - Durable background work with worker leases
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      dedupe_key TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      available_at INTEGER NOT NULL,
+      lease_owner TEXT,
+      lease_expires_at INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // LLM Usage - Tokens and cost of every model call
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER,
+      agent_id INTEGER,
+      bot_id TEXT,
+      stage TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (agent_id) REFERENCES sub_ai_agents(id)
+    )
+  `);
+
+  // Events - Published events kept for replay to reconnecting clients; the id is the
+  // event sequence number, and progress update events are read from progress_updates
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      channels TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      progress_update_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (progress_update_id) REFERENCES progress_updates(id)
+    )
+  `);
+
+  // Task Reports - Final deliverables synthesized from the work bot outputs, one version per synthesis
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id TEXT UNIQUE NOT NULL,
+      task_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      report_data TEXT NOT NULL,
+      source TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      UNIQUE (task_id, version)
+    )
+  `);
+
+  // Artifacts - Files produced by work bots; content lives on disk, one row per version of a path
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS artifacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      artifact_id TEXT UNIQUE NOT NULL,
+      task_id INTEGER NOT NULL,
+      bot_id TEXT,
+      agent_id INTEGER,
+      path TEXT NOT NULL,
+      language TEXT,
+      version INTEGER NOT NULL,
+      size INTEGER NOT NULL,
+      checksum TEXT NOT NULL,
+      storage_path TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (agent_id) REFERENCES sub_ai_agents(id),
+      UNIQUE (task_id, path, version)
+    )
+  `);
+
+  // Upgrade databases created before these columns existed
+  ensureColumns(db, 'users', {
+    budget_tokens: 'INTEGER',
+    budget_cost: 'REAL'
+  });
+
+  ensureColumns(db, 'tasks', {
+    approval_required: 'BOOLEAN DEFAULT 0',
+    budget_tokens: 'INTEGER',
+    budget_cost: 'REAL'
+  });
+
+  ensureColumns(db, 'task_assignments', {
+    work_package_id: 'TEXT',
+    work_package_name: 'TEXT',
+    dependencies: 'TEXT',
+    updated_at: 'DATETIME',
+    paused_status: 'TEXT'
+  });
+
+  ensureColumns(db, 'sub_ai_agents', {
+    max_concurrent_bots: 'INTEGER',
+    llm_provider: 'TEXT',
+    llm_model: 'TEXT',
+    system_prompt: 'TEXT',
+    allowed_bot_types: 'TEXT',
+    max_work_bots: 'INTEGER',
+    manifest_path: 'TEXT',
+    revision: 'INTEGER DEFAULT 0',
+    updated_at: 'DATETIME'
+  });
+
+  ensureColumns(db, 'work_bots', {
+    attempts: 'INTEGER DEFAULT 1',
+    task_key: 'TEXT',
+    dependencies: 'TEXT'
+  });
+
+  ensureColumns(db, 'project_plans', {
+    status: "TEXT DEFAULT 'pending'",
+    diff: 'TEXT',
+    feedback: 'TEXT',
+    reviewed_by: 'TEXT'
+  });
+
   // Create indexes for performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
@@ -215,6 +427,15 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
     CREATE INDEX IF NOT EXISTS idx_conversations_task_id ON conversations(task_id);
     CREATE INDEX IF NOT EXISTS idx_uploaded_files_task_id ON uploaded_files(task_id);
     CREATE INDEX IF NOT EXISTS idx_progress_updates_task_id ON progress_updates(task_id);
+    CREATE INDEX IF NOT EXISTS idx_project_plans_task_id ON project_plans(task_id);
+    CREATE INDEX IF NOT EXISTS idx_routing_decisions_task_id ON routing_decisions(task_id);
+    CREATE INDEX IF NOT EXISTS idx_agent_performance_history_agent_id ON agent_performance_history(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_assignment_ratings_assignment_id ON assignment_ratings(assignment_id);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, available_at);
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_task_id ON llm_usage(task_id);
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_agent_id ON llm_usage(agent_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_dedupe_key ON jobs(dedupe_key)
+      WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'leased');
   `);
 
   console.log('✅ Database schema initialized');
@@ -223,86 +444,30 @@ function initializeDatabase(dbPath = './database/atlantis.db') {
 }
 
 /**
- * Seed initial sub-AI agents
+ * Add missing columns to an existing table
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {Object} columns - Map of column name to column definition
+ */
+function ensureColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/**
+ * Seed initial sub-AI agents from the bundled manifests. Existing agents are
+ * left as they are; the server reconciles them with the manifests at startup
  * @param {Object} db - Database instance
  */
 function seedSubAIAgents(db) {
   console.log('🌱 Seeding Sub-AI Agents...');
 
-  const subAIs = [
-    {
-      agent_id: 'sub-ai-code',
-      name: 'Code Architect',
-      specialization: 'Code Development',
-      expertise_areas: JSON.stringify(['JavaScript', 'Python', 'Java', 'TypeScript', 'Go', 'Rust', 'C#'])
-    },
-    {
-      agent_id: 'sub-ai-architecture',
-      name: 'System Architect',
-      specialization: 'Software Architecture',
-      expertise_areas: JSON.stringify(['Microservices', 'Monoliths', 'Event-Driven', 'Serverless', 'Design Patterns'])
-    },
-    {
-      agent_id: 'sub-ai-testing',
-      name: 'Quality Assurance',
-      specialization: 'Testing & QA',
-      expertise_areas: JSON.stringify(['Unit Testing', 'Integration Testing', 'E2E Testing', 'Performance Testing'])
-    },
-    {
-      agent_id: 'sub-ai-security',
-      name: 'Security Guardian',
-      specialization: 'Security & Compliance',
-      expertise_areas: JSON.stringify(['Vulnerability Assessment', 'Penetration Testing', 'Security Audits', 'Compliance'])
-    },
-    {
-      agent_id: 'sub-ai-docs',
-      name: 'Documentation Expert',
-      specialization: 'Documentation',
-      expertise_areas: JSON.stringify(['API Docs', 'User Guides', 'Technical Writing', 'Architecture Diagrams'])
-    },
-    {
-      agent_id: 'sub-ai-devops',
-      name: 'DevOps Engineer',
-      specialization: 'DevOps & CI/CD',
-      expertise_areas: JSON.stringify(['Docker', 'Kubernetes', 'GitHub Actions', 'Jenkins', 'Terraform'])
-    },
-    {
-      agent_id: 'sub-ai-datascience',
-      name: 'Data Scientist',
-      specialization: 'Data Science & ML',
-      expertise_areas: JSON.stringify(['Machine Learning', 'Data Analysis', 'Neural Networks', 'NLP', 'Computer Vision'])
-    },
-    {
-      agent_id: 'sub-ai-uiux',
-      name: 'UI/UX Designer',
-      specialization: 'User Interface & Experience',
-      expertise_areas: JSON.stringify(['React', 'Vue', 'Angular', 'Design Systems', 'Accessibility'])
-    },
-    {
-      agent_id: 'sub-ai-backend',
-      name: 'Backend Specialist',
-      specialization: 'Backend Development',
-      expertise_areas: JSON.stringify(['REST APIs', 'GraphQL', 'Databases', 'Caching', 'Message Queues'])
-    },
-    {
-      agent_id: 'sub-ai-frontend',
-      name: 'Frontend Specialist',
-      specialization: 'Frontend Development',
-      expertise_areas: JSON.stringify(['HTML/CSS', 'JavaScript', 'Responsive Design', 'PWAs', 'Performance'])
-    },
-    {
-      agent_id: 'sub-ai-database',
-      name: 'Database Expert',
-      specialization: 'Database Design & Optimization',
-      expertise_areas: JSON.stringify(['SQL', 'NoSQL', 'Query Optimization', 'Data Modeling', 'Migrations'])
-    },
-    {
-      agent_id: 'sub-ai-api',
-      name: 'API Designer',
-      specialization: 'API Design & Integration',
-      expertise_areas: JSON.stringify(['REST', 'GraphQL', 'gRPC', 'WebSockets', 'API Security'])
-    }
-  ];
+  const { manifests } = loadManifests(DEFAULT_MANIFEST_DIR);
 
   const insert = db.prepare(`
     INSERT OR IGNORE INTO sub_ai_agents (agent_id, name, specialization, expertise_areas)
@@ -310,16 +475,29 @@ function seedSubAIAgents(db) {
   `);
 
   const insertMany = db.transaction((agents) => {
-    for (const agent of agents) {
-      insert.run(agent);
+    for (const { agentId, input } of agents) {
+      insert.run({
+        agent_id: agentId,
+        name: input.name,
+        specialization: input.specialization,
+        expertise_areas: JSON.stringify(input.expertiseAreas)
+      });
     }
   });
 
-  insertMany(subAIs);
+  insertMany(manifests);
   console.log('✅ Sub-AI Agents seeded');
 }
 
+if (require.main === module) {
+  const db = initializeDatabase(process.env.DATABASE_PATH);
+  seedSubAIAgents(db);
+  db.close();
+  console.log('ℹ️ Existing agents were left unchanged; the server applies manifest edits when it starts');
+}
+
 module.exports = {
   initializeDatabase,
+  ensureColumns,
   seedSubAIAgents
 };
@@ -0,0 +1,222 @@
+/**
+ * Agent Manifests
+ * Sub-AI agents defined as JSON files in a version-controlled directory.
+ * The manifests are checked against a schema and reconciled with the
+ * sub_ai_agents table: new agents are created, changed ones updated and
+ * agents whose manifest was deleted retired. The directory is watched, so
+ * edits are applied while the server runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AgentRegistry = require('./agent-registry');
+const { validate } = require('./structured-output');
+
+// Manifests bundled with ATLANTIS, used unless ATLANTIS_AGENT_DIR points elsewhere
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, '..', 'agents');
+
+// Editors save a file in several steps, so reloads wait for changes to settle
+const RELOAD_DELAY_MS = 250;
+
+// Values of the optional fields a manifest leaves out; a manifest describes the whole agent
+const MANIFEST_DEFAULTS = {
+  expertiseAreas: [],
+  systemPrompt: null,
+  allowedBotTypes: null,
+  llmProvider: null,
+  llmModel: null,
+  maxCapacity: 10,
+  maxConcurrentBots: null,
+  maxWorkBots: null
+};
+
+// Structure of a manifest; field values are then checked like API input
+const AGENT_MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['agentId', 'name', 'specialization'],
+  properties: {
+    agentId: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    specialization: { type: 'string', minLength: 1 },
+    expertiseAreas: { type: 'array', items: { type: 'string', minLength: 1 } },
+    systemPrompt: { type: 'string' },
+    allowedBotTypes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    llmProvider: { type: 'string' },
+    llmModel: { type: 'string', minLength: 1 },
+    maxCapacity: { type: 'integer' },
+    maxConcurrentBots: { type: 'integer' },
+    maxWorkBots: { type: 'integer' }
+  }
+};
+
+class AgentManifestSync {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Sync options
+   * @param {string} options.dir - Manifest directory (ATLANTIS_AGENT_DIR)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.dir = options.dir || process.env.ATLANTIS_AGENT_DIR || DEFAULT_MANIFEST_DIR;
+    this.registry = new AgentRegistry(db);
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Bring the sub_ai_agents table in line with the manifests. Agents of
+   * invalid manifests are left as they are, and agents created through the
+   * API are not touched unless a manifest with their ID appears
+   * @returns {Object} - Agent IDs { created, updated, retired } and { file, error } errors
+   */
+  reconcile() {
+    const result = { created: [], updated: [], retired: [], errors: [] };
+    if (!fs.existsSync(this.dir)) {
+      // A missing directory must not retire every agent defined by a manifest
+      result.errors.push({ file: this.dir, error: 'Manifest directory not found' });
+      console.warn(`⚠️ Agent manifest directory not found: ${this.dir}`);
+      return result;
+    }
+
+    const { manifests, errors } = loadManifests(this.dir);
+    result.errors.push(...errors);
+
+    for (const { file, agentId, input } of manifests) {
+      const agent = this.registry.getAgent(agentId);
+      let outcome;
+      if (agent.error) {
+        outcome = this.registry.createAgent({ agentId, ...input }, { manifest: file });
+        if (outcome.success) result.created.push(agentId);
+      } else if (!matchesManifest(agent, file, input)) {
+        outcome = this.registry.updateAgent(agentId, input, { manifest: file });
+        if (outcome.success) result.updated.push(agentId);
+      }
+      if (outcome && !outcome.success) {
+        result.errors.push({ file, error: outcome.error });
+      }
+    }
+
+    const defined = new Set(manifests.map(m => m.agentId));
+    const invalidFiles = new Set(errors.map(e => e.file));
+    const orphans = this.db.prepare(`
+      SELECT agent_id, manifest_path FROM sub_ai_agents WHERE manifest_path IS NOT NULL
+    `).all().filter(agent => !defined.has(agent.agent_id) && !invalidFiles.has(agent.manifest_path));
+    for (const agent of orphans) {
+      const outcome = this.registry.retireAgent(agent.agent_id, { manifestRemoved: true });
+      if (outcome.success) {
+        result.retired.push(agent.agent_id);
+      } else {
+        // Retried on the next reload, once the agent's assignments have finished
+        result.errors.push({ file: agent.manifest_path, error: outcome.error });
+      }
+    }
+
+    for (const { file, error } of result.errors) {
+      console.warn(`⚠️ Agent manifest ${file}: ${error}`);
+    }
+    const changes = ['created', 'updated', 'retired'].map(change => `${result[change].length} ${change}`);
+    console.log(`📜 Agent manifests reconciled: ${changes.join(', ')}`);
+    return result;
+  }
+
+  /**
+   * Watch the manifest directory and reconcile after its files change
+   */
+  watch() {
+    if (this.watcher || !fs.existsSync(this.dir)) return;
+
+    this.watcher = fs.watch(this.dir, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY_MS);
+    });
+    this.watcher.on('error', (error) => {
+      console.error('Agent manifest watcher error:', error);
+    });
+  }
+
+  /**
+   * Reconcile after a change, without letting an error reach the watcher
+   * @returns {Object|null} - Reconcile result, null if it failed
+   */
+  reload() {
+    try {
+      return this.reconcile();
+    } catch (error) {
+      console.error('Agent manifest reload error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop watching the manifest directory
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * Load and check the manifests of a directory
+ * @param {string} dir - Manifest directory
+ * @returns {Object} - { manifests, errors }; manifests as { file, agentId, input } with
+ *   input holding every agent field, errors as { file, error }
+ */
+function loadManifests(dir) {
+  const manifests = [];
+  const errors = [];
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      errors.push({ file, error: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+
+    const problems = validate(manifest, AGENT_MANIFEST_SCHEMA);
+    if (problems.length === 0) {
+      const unknown = Object.keys(manifest).filter(key => !AGENT_MANIFEST_SCHEMA.properties[key]);
+      problems.push(...unknown.map(key => `$.${key}: is not a manifest field`));
+    }
+    if (problems.length > 0) {
+      errors.push({ file, error: problems.join('; ') });
+      continue;
+    }
+
+    const duplicate = manifests.find(m => m.agentId === manifest.agentId);
+    if (duplicate) {
+      errors.push({ file, error: `Agent ${manifest.agentId} is already defined by ${duplicate.file}` });
+      continue;
+    }
+
+    const { agentId, ...fields } = manifest;
+    manifests.push({ file, agentId, input: { ...MANIFEST_DEFAULTS, ...fields } });
+  }
+
+  return { manifests, errors };
+}
+
+/**
+ * Check whether an agent is active and matches its manifest
+ * @param {Object} agent - Agent as returned by AgentRegistry.getAgent
+ * @param {string} file - Manifest file name
+ * @param {Object} input - Agent fields of the manifest
+ * @returns {boolean} - Whether the agent is up to date
+ */
+function matchesManifest(agent, file, input) {
+  return agent.manifest === file && agent.status === 'active'
+    && Object.entries(input).every(([field, value]) => JSON.stringify(agent[field]) === JSON.stringify(value));
+}
+
+module.exports = {
+  AgentManifestSync,
+  AGENT_MANIFEST_SCHEMA,
+  DEFAULT_MANIFEST_DIR,
+  loadManifests
+};
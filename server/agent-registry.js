@@ -0,0 +1,304 @@
+/**
+ * Agent Registry
+ * Creates, updates and retires sub-AI agents. Every change bumps the agent's
+ * revision, which running SubAIManagers compare to rebuild their agents
+ * without a restart. Retired agents keep their history but get no new work.
+ * Agents defined by a manifest can only be changed through that manifest
+ */
+
+const { ACTIVE_STATUSES } = require('./task-scheduler');
+const { inferProvider } = require('./llm-providers');
+
+// Agent IDs: lowercase letters, digits and dashes, also used in agent:<agentId> channels
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Providers an agent can be pinned to
+const LLM_PROVIDERS = ['anthropic', 'openai'];
+
+// Assignment statuses that keep an agent from being retired
+const UNFINISHED_STATUSES = [...ACTIVE_STATUSES, 'paused'];
+
+// API fields of an agent and their columns
+const FIELDS = {
+  name: 'name',
+  specialization: 'specialization',
+  expertiseAreas: 'expertise_areas',
+  systemPrompt: 'system_prompt',
+  allowedBotTypes: 'allowed_bot_types',
+  llmProvider: 'llm_provider',
+  llmModel: 'llm_model',
+  maxCapacity: 'max_capacity',
+  maxConcurrentBots: 'max_concurrent_bots',
+  maxWorkBots: 'max_work_bots'
+};
+
+// API fields stored as JSON arrays
+const ARRAY_FIELDS = ['expertiseAreas', 'allowedBotTypes'];
+
+class AgentRegistry {
+  /**
+   * @param {Object} db - Database instance
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * List agents
+   * @param {Object} options - List options
+   * @param {boolean} options.includeRetired - Include retired agents
+   * @returns {Array} - Agents
+   */
+  listAgents(options = {}) {
+    return this.db.prepare(`
+      SELECT * FROM sub_ai_agents WHERE ? OR status = 'active' ORDER BY id
+    `).all(options.includeRetired ? 1 : 0).map(formatAgent);
+  }
+
+  /**
+   * Get an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Object} - Agent, or error
+   */
+  getAgent(agentId) {
+    const agent = this.db.prepare('SELECT * FROM sub_ai_agents WHERE agent_id = ?').get(agentId);
+    return agent ? formatAgent(agent) : { error: 'Agent not found' };
+  }
+
+  /**
+   * Create an agent
+   * @param {Object} input - Agent fields; name and specialization are required
+   * @param {Object} options - Create options
+   * @param {string} options.manifest - Path of the manifest that defines the agent
+   * @returns {Object} - { success, agent } or error
+   */
+  createAgent(input, options = {}) {
+    const error = validateAgent(input, { partial: false });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const agentId = input.agentId || `sub-ai-${slugify(input.name)}`;
+    if (!AGENT_ID_PATTERN.test(agentId)) {
+      return { success: false, error: 'agentId may only contain lowercase letters, digits and dashes' };
+    }
+    if (this.db.prepare('SELECT 1 FROM sub_ai_agents WHERE agent_id = ?').get(agentId)) {
+      return { success: false, error: `Agent ${agentId} already exists`, conflict: true };
+    }
+
+    const values = { ...toColumns({ expertiseAreas: [], ...input }), manifest_path: options.manifest || null };
+    const columns = Object.keys(values);
+    this.db.prepare(`
+      INSERT INTO sub_ai_agents (agent_id, ${columns.join(', ')}, updated_at)
+      VALUES (?, ${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+    `).run(agentId, ...Object.values(values));
+
+    return { success: true, agent: this.getAgent(agentId) };
+  }
+
+  /**
+   * Update the fields of an agent that are present in the input
+   * @param {string} agentId - Agent ID
+   * @param {Object} input - Agent fields; null clears an optional field
+   * @param {Object} options - Update options
+   * @param {string} options.manifest - Path of the manifest the update comes from. The
+   *   agent is then defined by that manifest, and reactivated if it was retired
+   * @returns {Object} - { success, agent } or error
+   */
+  updateAgent(agentId, input, options = {}) {
+    const agent = this.db.prepare('SELECT * FROM sub_ai_agents WHERE agent_id = ?').get(agentId);
+    if (!agent) {
+      return { success: false, error: 'Agent not found' };
+    }
+    if (!options.manifest && agent.manifest_path) {
+      return { success: false, error: `Agent is defined by manifest ${agent.manifest_path}`, conflict: true };
+    }
+    if (!options.manifest && agent.status === 'retired') {
+      return { success: false, error: 'Agent is retired', conflict: true };
+    }
+
+    const error = validateAgent(input, { partial: true });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const values = toColumns(input);
+    if (options.manifest) {
+      values.manifest_path = options.manifest;
+      values.status = 'active';
+    }
+    this.db.prepare(`
+      UPDATE sub_ai_agents
+      SET ${Object.keys(values).map(column => `${column} = ?, `).join('')}
+          revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...Object.values(values), agent.id);
+
+    return { success: true, agent: this.getAgent(agentId) };
+  }
+
+  /**
+   * Retire an agent, so it is no longer planned for or routed to
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Retire options
+   * @param {boolean} options.manifestRemoved - The agent's manifest was deleted; the agent
+   *   is retired and no longer defined by a manifest
+   * @returns {Object} - { success, agent } or error
+   */
+  retireAgent(agentId, options = {}) {
+    const agent = this.db.prepare('SELECT * FROM sub_ai_agents WHERE agent_id = ?').get(agentId);
+    if (!agent) {
+      return { success: false, error: 'Agent not found' };
+    }
+    if (!options.manifestRemoved && agent.manifest_path) {
+      return { success: false, error: `Agent is defined by manifest ${agent.manifest_path}`, conflict: true };
+    }
+    if (agent.status === 'retired') {
+      return { success: false, error: 'Agent is already retired', conflict: true };
+    }
+
+    const { count } = this.db.prepare(`
+      SELECT COUNT(*) as count FROM task_assignments
+      WHERE agent_id = ? AND status IN (${UNFINISHED_STATUSES.map(() => '?').join(', ')})
+    `).get(agent.id, ...UNFINISHED_STATUSES);
+    if (count > 0) {
+      return { success: false, error: `Agent has ${count} unfinished assignment(s)`, conflict: true };
+    }
+
+    this.db.prepare(`
+      UPDATE sub_ai_agents
+      SET status = 'retired', manifest_path = NULL, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(agent.id);
+
+    return { success: true, agent: this.getAgent(agentId) };
+  }
+}
+
+/**
+ * Validate agent fields
+ * @param {Object} input - Agent fields
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Whether required fields may be omitted, as in updates
+ * @returns {string|null} - Validation error, null if the fields are valid
+ */
+function validateAgent(input, { partial }) {
+  if (!input || typeof input !== 'object') {
+    return 'Agent must be an object';
+  }
+
+  for (const field of ['name', 'specialization']) {
+    if ((!partial || input[field] !== undefined) && !isNonEmptyString(input[field])) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+
+  const isSet = field => input[field] !== undefined && input[field] !== null;
+  if (isSet('expertiseAreas')
+    && !(Array.isArray(input.expertiseAreas) && input.expertiseAreas.every(isNonEmptyString))) {
+    return 'expertiseAreas must be an array of non-empty strings';
+  }
+  if (isSet('systemPrompt') && typeof input.systemPrompt !== 'string') {
+    return 'systemPrompt must be a string or null';
+  }
+  if (isSet('allowedBotTypes') && !(Array.isArray(input.allowedBotTypes)
+    && input.allowedBotTypes.length > 0 && input.allowedBotTypes.every(isNonEmptyString))) {
+    return 'allowedBotTypes must be a non-empty array of non-empty strings or null';
+  }
+  if (isSet('llmProvider') && !LLM_PROVIDERS.includes(input.llmProvider)) {
+    return `llmProvider must be one of ${LLM_PROVIDERS.join(', ')} or null`;
+  }
+  if (isSet('llmModel') && !isNonEmptyString(input.llmModel)) {
+    return 'llmModel must be a non-empty string or null';
+  }
+  if (isSet('llmModel')) {
+    // The model must reach a provider that serves it, or the calls fail without failing over
+    const modelProvider = inferProvider(input.llmModel);
+    if (isSet('llmProvider') && modelProvider && modelProvider !== input.llmProvider) {
+      return `llmModel ${input.llmModel} belongs to ${modelProvider}, not ${input.llmProvider}`;
+    }
+    if (!isSet('llmProvider') && !modelProvider && !(partial && input.llmProvider === undefined)) {
+      return `llmProvider must be set for llmModel ${input.llmModel}, whose provider is not recognized`;
+    }
+  }
+  if (input.maxCapacity !== undefined && !isPositiveInteger(input.maxCapacity)) {
+    return 'maxCapacity must be a positive integer';
+  }
+  if (isSet('maxConcurrentBots') && !isPositiveInteger(input.maxConcurrentBots)) {
+    return 'maxConcurrentBots must be a positive integer or null';
+  }
+  if (isSet('maxWorkBots') && !isPositiveInteger(input.maxWorkBots)) {
+    return 'maxWorkBots must be a positive integer or null';
+  }
+  return null;
+}
+
+/**
+ * Map the agent fields present in an input to column values
+ * @param {Object} input - Agent fields
+ * @returns {Object} - Values keyed by column
+ */
+function toColumns(input) {
+  const values = {};
+  for (const [field, column] of Object.entries(FIELDS)) {
+    if (input[field] !== undefined) {
+      values[column] = ARRAY_FIELDS.includes(field) && input[field] ? JSON.stringify(input[field]) : input[field];
+    }
+  }
+  return values;
+}
+
+/**
+ * Format an agent record for the API
+ * @param {Object} agent - Agent record
+ * @returns {Object} - Agent
+ */
+function formatAgent(agent) {
+  return {
+    agentId: agent.agent_id,
+    name: agent.name,
+    specialization: agent.specialization,
+    expertiseAreas: JSON.parse(agent.expertise_areas || '[]'),
+    systemPrompt: agent.system_prompt,
+    allowedBotTypes: agent.allowed_bot_types ? JSON.parse(agent.allowed_bot_types) : null,
+    llmProvider: agent.llm_provider,
+    llmModel: agent.llm_model,
+    maxCapacity: agent.max_capacity,
+    maxConcurrentBots: agent.max_concurrent_bots,
+    maxWorkBots: agent.max_work_bots,
+    manifest: agent.manifest_path,
+    status: agent.status,
+    currentLoad: agent.current_load,
+    performanceScore: agent.performance_score,
+    revision: agent.revision,
+    createdAt: agent.created_at,
+    updatedAt: agent.updated_at
+  };
+}
+
+/**
+ * Turn an agent name into an ID fragment
+ * @param {string} name - Agent name
+ * @returns {string} - Lowercase name with dashes
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is a string with non-whitespace content
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is an integer above zero
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+module.exports = AgentRegistry;
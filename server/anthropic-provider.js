@@ -0,0 +1,72 @@
+/**
+ * Anthropic Provider
+ * Adapter that gives the Anthropic Messages API the completion interface
+ * of the LLM router, with and without streaming
+ */
+
+class AnthropicProvider {
+  /**
+   * @param {Object} client - Anthropic SDK client
+   */
+  constructor(client) {
+    this.name = 'anthropic';
+    this.client = client;
+  }
+
+  /**
+   * Complete a conversation
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array} request.messages - Messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens in the response
+   * @returns {Promise<Object>} - Response text and token usage
+   */
+  async complete({ model, messages, maxTokens }) {
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      messages
+    });
+
+    const usage = response.usage || {};
+    return {
+      text: response.content[0].text,
+      usage: {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Complete a conversation as a stream of text deltas
+   * @param {Object} request - Completion request, as for complete
+   * @param {Function} onDelta - Called with each piece of text as it arrives
+   * @returns {Promise<Object>} - Full response text and token usage
+   */
+  async stream({ model, messages, maxTokens }, onDelta) {
+    const events = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      messages,
+      stream: true
+    });
+
+    let text = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    for await (const event of events) {
+      if (event.type === 'message_start') {
+        usage.inputTokens = (event.message.usage && event.message.usage.input_tokens) || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        usage.outputTokens = (event.usage && event.usage.output_tokens) || 0;
+      }
+    }
+
+    return { text, usage };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,199 @@
+/**
+ * Artifact Store
+ * Files that work bots produce, stored on disk with their metadata in the
+ * artifacts table. A bot that writes a path already produced within the task
+ * adds a new version of that file; earlier versions are kept
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+
+// Where artifact files are written unless ATLANTIS_ARTIFACT_DIR points elsewhere
+const DEFAULT_ARTIFACT_DIR = path.join(__dirname, '..', 'artifacts');
+
+// <artifact path="..." language="...">content</artifact> blocks in a work bot output
+const ARTIFACT_PATTERN = /<artifact\s+path="([^"]+)"(?:\s+language="([^"]*)")?\s*>\n?([\s\S]*?)\n?<\/artifact>/g;
+
+class ArtifactStore {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Store options
+   * @param {string} options.rootDir - Directory artifact files are written to (ATLANTIS_ARTIFACT_DIR)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.rootDir = options.rootDir || process.env.ATLANTIS_ARTIFACT_DIR || DEFAULT_ARTIFACT_DIR;
+  }
+
+  /**
+   * Store the artifacts declared in a work bot output
+   * @param {Object} bot - { botId, agentId } of the work bot; agentId is the agent record ID
+   * @param {number} taskId - Task record ID
+   * @param {string} output - Work bot output
+   * @returns {Array} - Stored artifacts as { artifactId, path, version }
+   */
+  saveFromOutput(bot, taskId, output) {
+    return extractArtifacts(output).map(artifact => this.save(bot, taskId, artifact));
+  }
+
+  /**
+   * Store a file as the next version of its path within a task
+   * @param {Object} bot - { botId, agentId } of the work bot that produced it
+   * @param {number} taskId - Task record ID
+   * @param {Object} artifact - { path, language, content }
+   * @returns {Object} - { artifactId, path, version }
+   */
+  save(bot, taskId, artifact) {
+    const task = this.db.prepare('SELECT task_id FROM tasks WHERE id = ?').get(taskId);
+    const { version } = this.db.prepare(`
+      SELECT COALESCE(MAX(version), 0) + 1 as version FROM artifacts WHERE task_id = ? AND path = ?
+    `).get(taskId, artifact.path);
+
+    // Files are named by artifact ID, so the declared path never reaches the file system
+    const artifactId = `artifact-${uuidv4()}`;
+    const storagePath = path.join(task.task_id, artifactId);
+    const content = Buffer.from(artifact.content, 'utf8');
+    fs.mkdirSync(path.join(this.rootDir, task.task_id), { recursive: true });
+    fs.writeFileSync(path.join(this.rootDir, storagePath), content);
+
+    this.db.prepare(`
+      INSERT INTO artifacts (
+        artifact_id, task_id, bot_id, agent_id, path, language, version, size, checksum, storage_path
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      artifactId, taskId, bot.botId, bot.agentId, artifact.path, artifact.language || null, version,
+      content.length, crypto.createHash('sha256').update(content).digest('hex'), storagePath
+    );
+
+    return { artifactId, path: artifact.path, version };
+  }
+
+  /**
+   * List the artifacts of a task
+   * @param {string} taskId - Task ID
+   * @param {Object} options - List options
+   * @param {boolean} options.allVersions - Include revised versions, not only the latest of each path
+   * @returns {Object} - { taskId, artifacts } or error
+   */
+  listArtifacts(taskId, options = {}) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const rows = this.db.prepare(`
+      SELECT a.*, sa.agent_id as agent
+      FROM artifacts a
+      LEFT JOIN sub_ai_agents sa ON a.agent_id = sa.id
+      WHERE a.task_id = ? AND (? OR a.version = (
+        SELECT MAX(version) FROM artifacts latest WHERE latest.task_id = a.task_id AND latest.path = a.path
+      ))
+      ORDER BY a.path, a.version
+    `).all(task.id, options.allVersions ? 1 : 0);
+
+    return { taskId, artifacts: rows.map(formatArtifact) };
+  }
+
+  /**
+   * Get an artifact with its content
+   * @param {string} taskId - Task ID
+   * @param {string} artifactId - Artifact ID
+   * @returns {Object} - { artifact, content } or error
+   */
+  getArtifact(taskId, artifactId) {
+    const row = this.db.prepare(`
+      SELECT a.*, sa.agent_id as agent
+      FROM artifacts a
+      JOIN tasks t ON a.task_id = t.id
+      LEFT JOIN sub_ai_agents sa ON a.agent_id = sa.id
+      WHERE t.task_id = ? AND a.artifact_id = ?
+    `).get(taskId, artifactId);
+    if (!row) {
+      return { error: 'Artifact not found' };
+    }
+
+    return {
+      artifact: formatArtifact(row),
+      content: fs.readFileSync(path.join(this.rootDir, row.storage_path))
+    };
+  }
+
+  /**
+   * Build a zip archive of the latest version of every artifact of a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} - { taskId, archive } or error
+   */
+  async createArchive(taskId) {
+    const result = this.listArtifacts(taskId);
+    if (result.error) {
+      return result;
+    }
+    if (result.artifacts.length === 0) {
+      return { error: 'Task has no artifacts' };
+    }
+
+    const zip = archiver('zip');
+    const chunks = [];
+    const written = new Promise((resolve, reject) => {
+      zip.on('data', chunk => chunks.push(chunk));
+      zip.on('end', resolve);
+      zip.on('error', reject);
+    });
+    result.artifacts.forEach((artifact) => {
+      zip.append(this.getArtifact(taskId, artifact.artifactId).content, {
+        name: artifact.path,
+        date: new Date(`${artifact.createdAt}Z`)
+      });
+    });
+    await zip.finalize();
+    await written;
+
+    return { taskId, archive: Buffer.concat(chunks) };
+  }
+}
+
+/**
+ * Extract the artifact blocks of a work bot output; blocks whose path is
+ * absolute or leaves the task's directory are skipped
+ * @param {string} output - Work bot output
+ * @returns {Array} - Artifacts as { path, language, content }
+ */
+function extractArtifacts(output) {
+  const artifacts = [];
+  for (const [, declaredPath, language, content] of output.matchAll(ARTIFACT_PATTERN)) {
+    const normalized = path.posix.normalize(declaredPath.trim().replace(/\\/g, '/'));
+    if (normalized.startsWith('/') || normalized.startsWith('../') || ['.', '..'].includes(normalized)) {
+      console.warn(`Skipping artifact with unsafe path: ${declaredPath}`);
+      continue;
+    }
+    artifacts.push({ path: normalized, language: language || null, content });
+  }
+  return artifacts;
+}
+
+/**
+ * Format an artifact row for the API
+ * @param {Object} row - Artifact row with the agent ID joined as agent
+ * @returns {Object} - Artifact metadata
+ */
+function formatArtifact(row) {
+  return {
+    artifactId: row.artifact_id,
+    path: row.path,
+    language: row.language,
+    version: row.version,
+    size: row.size,
+    checksum: row.checksum,
+    botId: row.bot_id,
+    agentId: row.agent,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  ArtifactStore,
+  extractArtifacts
+};
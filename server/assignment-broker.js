@@ -0,0 +1,275 @@
+/**
+ * Assignment Broker
+ * Routes work packages to sub-AI agents while respecting agent capacity.
+ * Falls back to agents with overlapping expertise when the requested agent
+ * is missing, saturated or performing poorly, queues work when no agent has
+ * capacity, and records why each routing decision was made
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getEventBus } = require('./event-bus');
+
+// Assignment statuses that occupy agent capacity
+const CAPACITY_STATUSES = ['assigned', 'in-progress'];
+
+// Below this performance score an agent is only used when no peer is available
+const MIN_PERFORMANCE_SCORE = parseFloat(process.env.ATLANTIS_MIN_PERFORMANCE_SCORE || 50);
+
+class AssignmentBroker {
+  constructor(db) {
+    this.db = db;
+    this.events = getEventBus(db);
+  }
+
+  /**
+   * Choose the agent for a work package and record the decision
+   * @param {number} taskId - Task ID
+   * @param {Object} workPackage - Work package from the project plan
+   * @returns {Object} - Selected agent record (null if unroutable), decision and reason
+   */
+  route(taskId, workPackage) {
+    const agents = this.getActiveAgents();
+    const requested = agents.find(a => a.agent_id === workPackage.assignedTo);
+    const candidates = this.rankCandidates(agents, requested, workPackage);
+
+    let result;
+    const underperforming = requested && requested.performance_score < MIN_PERFORMANCE_SCORE
+      && candidates.some(c => this.hasCapacity(c.agent) && c.agent.performance_score >= MIN_PERFORMANCE_SCORE);
+
+    if (requested && this.hasCapacity(requested) && !underperforming) {
+      result = {
+        agent: requested,
+        decision: 'primary',
+        reason: `${requested.name} was requested and has capacity (${formatLoad(requested)})`
+      };
+    } else {
+      const available = candidates.find(c => this.hasCapacity(c.agent));
+      let unavailable = `Agent ${workPackage.assignedTo} does not exist or is inactive`;
+      if (underperforming) {
+        const score = requested.performance_score;
+        unavailable = `${requested.name} performance score ${score} is below ${MIN_PERFORMANCE_SCORE}`;
+      } else if (requested) {
+        unavailable = `${requested.name} is at capacity (${formatLoad(requested)})`;
+      }
+
+      if (available) {
+        result = {
+          agent: available.agent,
+          decision: 'fallback',
+          reason: `${unavailable}; ${available.agent.name} shares expertise in ${available.overlap.join(', ')}`
+        };
+      } else if (requested || candidates.length > 0) {
+        const target = requested || candidates[0].agent;
+        result = {
+          agent: target,
+          decision: 'queued',
+          reason: `${unavailable} and no agent with overlapping expertise has capacity; queued for ${target.name}`
+        };
+      } else {
+        result = {
+          agent: null,
+          decision: 'unroutable',
+          reason: `${unavailable} and no agent has overlapping expertise`
+        };
+      }
+    }
+
+    this.recordDecision(taskId, workPackage, requested, result, candidates);
+
+    return result;
+  }
+
+  /**
+   * Rank agents that could take over a work package by expertise overlap,
+   * then performance score, then spare capacity
+   * @param {Array} agents - Active agent records
+   * @param {Object|undefined} requested - Requested agent record
+   * @param {Object} workPackage - Work package
+   * @returns {Array} - Candidates with their overlapping expertise, best first
+   */
+  rankCandidates(agents, requested, workPackage) {
+    const requestedAreas = requested ? requested.expertise.map(e => e.toLowerCase()) : [];
+    const packageText = [
+      workPackage.name,
+      workPackage.description,
+      ...(workPackage.elements || [])
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return agents
+      .filter(agent => !requested || agent.id !== requested.id)
+      .map(agent => ({
+        agent,
+        overlap: agent.expertise.filter(area => requestedAreas.includes(area.toLowerCase())
+          || packageText.includes(area.toLowerCase()))
+      }))
+      .filter(candidate => candidate.overlap.length > 0)
+      .sort((a, b) => b.overlap.length - a.overlap.length
+        || b.agent.performance_score - a.agent.performance_score
+        || loadRatio(a.agent) - loadRatio(b.agent));
+  }
+
+  /**
+   * Admit an assignment if its agent has capacity, otherwise queue it
+   * @param {number} assignmentId - Assignment database ID
+   * @returns {string} - Resulting status ('assigned' or 'queued')
+   */
+  admit(assignmentId) {
+    const admitTransaction = this.db.transaction(() => {
+      const assignment = this.db.prepare(
+        'SELECT agent_id FROM task_assignments WHERE id = ?'
+      ).get(assignmentId);
+      const agent = this.db.prepare(
+        'SELECT * FROM sub_ai_agents WHERE id = ?'
+      ).get(assignment.agent_id);
+
+      if (!this.hasCapacity(agent)) {
+        this.db.prepare(
+          "UPDATE task_assignments SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+        ).run(assignmentId);
+        return 'queued';
+      }
+
+      this.db.prepare(
+        "UPDATE task_assignments SET status = 'assigned', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+      ).run(assignmentId);
+      this.db.prepare(
+        'UPDATE sub_ai_agents SET current_load = current_load + 1 WHERE id = ?'
+      ).run(agent.id);
+      return 'assigned';
+    });
+
+    const status = admitTransaction();
+    this.events.assignmentStatusChanged(assignmentId);
+    return status;
+  }
+
+  /**
+   * Release one unit of agent capacity and admit queued assignments
+   * @param {number} agentRecordId - Agent database ID
+   * @returns {Array} - Assignment IDs admitted from the queue
+   */
+  releaseCapacity(agentRecordId) {
+    this.db.prepare(
+      'UPDATE sub_ai_agents SET current_load = MAX(current_load - 1, 0) WHERE id = ?'
+    ).run(agentRecordId);
+
+    return this.admitQueued(agentRecordId);
+  }
+
+  /**
+   * Admit queued assignments of an agent, oldest first, while it has capacity
+   * @param {number} agentRecordId - Agent database ID
+   * @returns {Array} - Assignment IDs admitted from the queue
+   */
+  admitQueued(agentRecordId) {
+    const admitted = [];
+    const queued = this.db.prepare(`
+      SELECT id, assignment_id FROM task_assignments
+      WHERE agent_id = ? AND status = 'queued'
+      ORDER BY id
+    `).all(agentRecordId);
+
+    for (const assignment of queued) {
+      if (this.admit(assignment.id) !== 'assigned') break;
+      admitted.push(assignment.assignment_id);
+    }
+
+    return admitted;
+  }
+
+  /**
+   * Check whether an assignment in this status occupies agent capacity
+   * @param {string} status - Assignment status
+   * @returns {boolean} - Whether capacity is held
+   */
+  holdsCapacity(status) {
+    return CAPACITY_STATUSES.includes(status);
+  }
+
+  /**
+   * Check whether an agent can take another assignment
+   * @param {Object} agent - Agent record
+   * @returns {boolean} - Whether the agent has spare capacity
+   */
+  hasCapacity(agent) {
+    return agent.current_load < agent.max_capacity;
+  }
+
+  /**
+   * Get all active agents with parsed expertise areas
+   * @returns {Array} - Agent records
+   */
+  getActiveAgents() {
+    return this.db.prepare(
+      "SELECT * FROM sub_ai_agents WHERE status = 'active' ORDER BY id"
+    ).all().map(agent => ({
+      ...agent,
+      expertise: JSON.parse(agent.expertise_areas || '[]')
+    }));
+  }
+
+  /**
+   * Record a routing decision
+   * @param {number} taskId - Task ID
+   * @param {Object} workPackage - Work package
+   * @param {Object|undefined} requested - Requested agent record
+   * @param {Object} result - Routing result
+   * @param {Array} candidates - Ranked fallback candidates
+   */
+  recordDecision(taskId, workPackage, requested, result, candidates) {
+    this.db.prepare(`
+      INSERT INTO routing_decisions (
+        decision_id, task_id, work_package_id, requested_agent_id,
+        selected_agent_id, decision, reason, candidates
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      `route-${uuidv4()}`,
+      taskId,
+      workPackage.id,
+      workPackage.assignedTo || null,
+      result.agent ? result.agent.agent_id : null,
+      result.decision,
+      result.reason,
+      JSON.stringify(candidates.map(c => ({
+        agentId: c.agent.agent_id,
+        overlap: c.overlap,
+        load: formatLoad(c.agent),
+        performanceScore: c.agent.performance_score
+      })))
+    );
+  }
+
+  /**
+   * Get the routing decisions made for a task
+   * @param {number} taskId - Task ID
+   * @returns {Array} - Routing decisions, oldest first
+   */
+  getDecisions(taskId) {
+    return this.db.prepare(
+      'SELECT * FROM routing_decisions WHERE task_id = ? ORDER BY id'
+    ).all(taskId).map(decision => ({
+      ...decision,
+      candidates: JSON.parse(decision.candidates || '[]')
+    }));
+  }
+}
+
+/**
+ * Fraction of an agent's capacity in use
+ * @param {Object} agent - Agent record
+ * @returns {number} - Load ratio
+ */
+function loadRatio(agent) {
+  return agent.max_capacity > 0 ? agent.current_load / agent.max_capacity : 1;
+}
+
+/**
+ * Format agent load for humans
+ * @param {Object} agent - Agent record
+ * @returns {string} - Load as "current/max"
+ */
+function formatLoad(agent) {
+  return `${agent.current_load}/${agent.max_capacity}`;
+}
+
+module.exports = AssignmentBroker;
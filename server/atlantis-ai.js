@@ -5,14 +5,74 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { topologicalSort } = require('./dependency-graph');
+const { diffPlans } = require('./plan-diff');
+const { ACTIVE_STATUSES, TaskScheduler, formatUpstreamOutputs } = require('./task-scheduler');
+const AssignmentBroker = require('./assignment-broker');
+const { requestStructuredOutput, recordOutputEvent } = require('./structured-output');
+const { formatRuns } = require('./code-sandbox');
+const { LLMRouter } = require('./llm-providers');
+const UsageTracker = require('./usage-tracker');
+const { BudgetManager } = require('./budget-manager');
+const BudgetExceededError = require('./budget-exceeded-error');
+const { getEventBus } = require('./event-bus');
+const ConversationMemory = require('./conversation-memory');
+const { TaskReports, assembleReport } = require('./task-reports');
+const { INTENT_SCHEMA, REPORT_SCHEMA, buildPlanSchema } = require('./output-schemas');
+
+// JSON structure every project plan is requested in
+const PLAN_FORMAT = `{
+  "overview": "...",
+  "workPackages": [
+    {
+      "id": "wp-1",
+      "name": "...",
+      "description": "...",
+      "assignedTo": "sub-ai-code",
+      "elements": ["element1", "element2"],
+      "estimatedEffort": "2 hours",
+      "dependencies": []
+    }
+  ],
+  "milestones": [],
+  "timeline": "..."
+}`;
+
+// Assignment statuses whose work is done and kept across re-plans
+const FINISHED_STATUSES = ['completed', 'partial'];
+
+// Assignment statuses that end an assignment; the task is finalized once all of them have one
+const TERMINAL_ASSIGNMENT_STATUSES = ['completed', 'partial', 'failed'];
+
+// Task statuses from which a task can no longer be cancelled
+const CLOSED_TASK_STATUSES = ['completed', 'rejected', 'cancelled', 'failed'];
+
+// Task statuses of tasks on hold that can be resumed
+const RESUMABLE_TASK_STATUSES = ['paused', 'budget-exceeded'];
 
 class AtlantisAI {
-  constructor(db, aiClients) {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} aiClients - AI clients ({ claude, openai })
+   * @param {Object} options - Coordinator options
+   * @param {LLMRouter} options.llm - Shared provider router; built from aiClients if omitted
+   */
+  constructor(db, aiClients, options = {}) {
     this.db = db;
     this.aiClients = aiClients; // { claude, openai }
+    this.llm = options.llm || new LLMRouter(aiClients);
+    this.events = getEventBus(db);
+    this.usage = new UsageTracker(db);
+    this.budgets = new BudgetManager(db);
+    this.conversations = new ConversationMemory(db);
+    this.reports = new TaskReports(db);
+    this.planning = null; // Planning restarted by resumePlanning, until it settles
+    this.finalizing = new Set(); // Tasks whose deliverable is being synthesized
     this.name = 'ATLANTIS';
     this.version = '1.0.0';
     this.maxSubAIs = 12;
+    this.scheduler = new TaskScheduler(db);
+    this.broker = new AssignmentBroker(db);
   }
 
   /**
@@ -23,37 +83,74 @@ class AtlantisAI {
   async receiveTask(taskInput) {
     console.log('🌟 ATLANTIS: Receiving new task...');
 
+    let task;
     try {
       // Step 1: Create task record
-      const task = await this.createTask(taskInput);
+      task = await this.createTask(taskInput);
 
-      // Step 2: Understand user intent
-      const understanding = await this.understandIntent(task);
+      return await this.processTask(task);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return {
+          success: false,
+          taskId: task.task_id,
+          status: 'budget-exceeded',
+          error: error.message
+        };
+      }
 
-      // Step 3: Create project plan
-      const projectPlan = await this.createProjectPlan(task, understanding);
+      console.error('❌ ATLANTIS Error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Understand, plan and delegate a created task
+   * @param {Object} task - Task object; an intent stored on it is reused
+   * @returns {Promise<Object>} - Task processing result
+   * @throws {BudgetExceededError} - If the task runs out of budget while planning
+   */
+  async processTask(task) {
+    // Step 2: Understand user intent
+    const understanding = task.intent ? JSON.parse(task.intent) : await this.understandIntent(task);
 
-      // Step 4: Delegate to sub-AIs
-      const assignments = await this.delegateToSubAIs(task, projectPlan);
+    // Step 3: Create project plan
+    const projectPlan = await this.createProjectPlan(task, understanding);
 
-      // Step 5: Start monitoring
-      this.monitorProgress(task.id);
+    // In approval mode, stop until a reviewer approves the plan
+    if (task.requireApproval) {
+      this.updateTaskStatus(task.id, 'awaiting-approval');
+      this.addProgressUpdate(task.id, 'atlantis', this.name,
+        'Project plan ready for review, awaiting approval', 5);
 
       return {
         success: true,
         taskId: task.task_id,
+        status: 'awaiting-approval',
         understanding,
         projectPlan,
-        assignments,
-        message: 'Task received and processing initiated'
-      };
-    } catch (error) {
-      console.error('❌ ATLANTIS Error:', error);
-      return {
-        success: false,
-        error: error.message
+        assignments: [],
+        message: 'Project plan created and awaiting approval'
       };
     }
+
+    // Step 4: Delegate to sub-AIs
+    const assignments = await this.delegateToSubAIs(task, projectPlan);
+
+    // Step 5: Start monitoring
+    this.monitorProgress(task.id);
+
+    return {
+      success: true,
+      taskId: task.task_id,
+      understanding,
+      projectPlan,
+      assignments,
+      message: 'Task received and processing initiated'
+    };
   }
 
   /**
@@ -67,10 +164,13 @@ class AtlantisAI {
     const stmt = this.db.prepare(`
       INSERT INTO tasks (
         task_id, user_id, title, description, intent, 
-        timeline, desired_outcomes, available_resources, priority
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        timeline, desired_outcomes, available_resources, priority,
+        approval_required, budget_tokens, budget_cost
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
+    const budget = input.budget || {};
+
     const result = stmt.run(
       taskId,
       input.userId,
@@ -80,8 +180,12 @@ class AtlantisAI {
       input.timeline || '',
       input.desiredOutcomes || '',
       JSON.stringify(input.availableResources || []),
-      input.priority || 'normal'
+      input.priority || 'normal',
+      input.requireApproval ? 1 : 0,
+      budget.tokens ?? null,
+      budget.cost ?? null
     );
+    this.events.taskCreated(result.lastInsertRowid);
 
     return {
       id: result.lastInsertRowid,
@@ -116,27 +220,37 @@ Provide a structured analysis including:
 7. Estimated Effort: Time and resource estimation
 8. Risk Factors: Potential challenges
 
-Return as JSON.`;
+Return as JSON with this structure:
+{
+  "primaryIntent": "...",
+  "secondaryGoals": ["..."],
+  "successCriteria": ["..."],
+  "constraints": ["..."],
+  "requiredExpertise": ["..."],
+  "complexity": "Moderate",
+  "estimatedEffort": "...",
+  "riskFactors": ["..."]
+}`;
 
     try {
-      const response = await this.aiClients.claude.messages.create({
-        model: 'claude-sonnet-4-5',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      const understanding = await requestStructuredOutput(this.llm, this.db, {
+        name: 'intent',
+        stage: 'intent',
+        context: { taskId: task.id },
+        schema: INTENT_SCHEMA,
+        prompt,
+        maxTokens: 2048
       });
 
-      const understanding = JSON.parse(response.content[0].text);
-
       // Update task with understanding
       const updateStmt = this.db.prepare('UPDATE tasks SET intent = ? WHERE id = ?');
       updateStmt.run(JSON.stringify(understanding), task.id);
 
       return understanding;
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.error('Error understanding intent:', error);
+      recordOutputEvent(this.db, 'intent', 'fallback', { taskId: task.task_id, error: error.message });
       // Fallback to basic understanding
       return {
         primaryIntent: task.description,
@@ -165,132 +279,758 @@ Create a detailed project plan with:
 1. Project Overview
 2. Breakdown of work packages
 3. Dependencies between packages
-4. Recommended sub-AI assignments (choose from: Code Architect, System Architect, Quality Assurance, Security Guardian, Documentation Expert, DevOps Engineer, Data Scientist, UI/UX Designer, Backend Specialist, Frontend Specialist, Database Expert, API Designer)
+4. Recommended sub-AI assignments, with the ID of one of these agents as "assignedTo":
+${this.describeAgents()}
 5. Milestones and deliverables
 6. Timeline estimates
 7. Risk mitigation strategies
 
 Return as JSON with this structure:
-{
-  "overview": "...",
-  "workPackages": [
-    {
-      "id": "wp-1",
-      "name": "...",
-      "description": "...",
-      "assignedTo": "sub-ai-code",
-      "elements": ["element1", "element2"],
-      "estimatedEffort": "2 hours",
-      "dependencies": []
-    }
-  ],
-  "milestones": [],
-  "timeline": "..."
-}`;
+${PLAN_FORMAT}`;
 
+    let plan;
     try {
-      const response = await this.aiClients.claude.messages.create({
-        model: 'claude-sonnet-4-5',
-        max_tokens: 4096,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      plan = await requestStructuredOutput(this.llm, this.db, {
+        name: 'plan',
+        stage: 'planning',
+        context: { taskId: task.id },
+        schema: this.getPlanSchema(),
+        prompt,
+        maxTokens: 4096
       });
-
-      const plan = JSON.parse(response.content[0].text);
-
-      // Save project plan
-      const planId = `plan-${uuidv4()}`;
-      const stmt = this.db.prepare(`
-        INSERT INTO project_plans (plan_id, task_id, plan_data)
-        VALUES (?, ?, ?)
-      `);
-      stmt.run(planId, task.id, JSON.stringify(plan));
-
-      return plan;
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.error('Error creating project plan:', error);
+      recordOutputEvent(this.db, 'plan', 'fallback', { taskId: task.task_id, error: error.message });
       // Fallback basic plan
-      return {
+      plan = {
         overview: 'Auto-generated basic plan',
         workPackages: [{
           id: 'wp-1',
           name: 'Complete task',
           assignedTo: 'sub-ai-code',
-          elements: ['Main implementation']
+          elements: ['Main implementation'],
+          dependencies: []
         }]
       };
     }
+
+    // Saved either way, so the plan can be reviewed, approved and revised
+    this.savePlanVersion(task.id, plan);
+
+    return plan;
+  }
+
+  /**
+   * Revise an existing project plan
+   * @param {Object} task - Task record
+   * @param {Object} currentPlan - Plan being revised
+   * @param {string} revisionContext - Why and how the plan should change
+   * @returns {Promise<Object>} - Revised plan
+   */
+  async revisePlan(task, currentPlan, revisionContext) {
+    console.log('📝 ATLANTIS: Revising project plan...');
+
+    const prompt = `You are ATLANTIS, a master AI project planner. Revise the current project plan.
+
+Task: ${task.title}
+Description: ${task.description}
+
+Current Plan:
+${JSON.stringify(currentPlan, null, 2)}
+
+${revisionContext}
+
+Keep the "id" of every work package that is still needed so its history can be tracked.
+Use new ids only for new work packages.
+
+Assign work packages to these agents, using their ID as "assignedTo":
+${this.describeAgents()}
+
+Return the complete revised plan as JSON with this structure:
+${PLAN_FORMAT}`;
+
+    return requestStructuredOutput(this.llm, this.db, {
+      name: 'plan-revision',
+      stage: 'planning',
+      context: { taskId: task.id },
+      schema: this.getPlanSchema(),
+      prompt,
+      maxTokens: 4096
+    });
+  }
+
+  /**
+   * List the active agents for a planning prompt
+   * @returns {string} - One line per agent with its ID, name, specialization and expertise
+   */
+  describeAgents() {
+    return this.broker.getActiveAgents()
+      .map(agent => `- ${agent.agent_id}: ${agent.name}, ${agent.specialization} (${agent.expertise.join(', ')})`)
+      .join('\n');
+  }
+
+  /**
+   * Get the project plan schema, restricting assignments to active agents
+   * @returns {Object} - JSON schema
+   */
+  getPlanSchema() {
+    return buildPlanSchema(this.broker.getActiveAgents().map(agent => agent.agent_id));
+  }
+
+  /**
+   * Store a new version of a task's project plan with a diff against the
+   * previous version
+   * @param {number} taskId - Task ID
+   * @param {Object} plan - Project plan
+   * @returns {Object} - Stored plan version
+   */
+  savePlanVersion(taskId, plan) {
+    const previous = this.getLatestPlan(taskId);
+    const version = previous ? previous.version + 1 : 1;
+    const diff = diffPlans(previous ? JSON.parse(previous.plan_data) : null, plan);
+
+    // Only the latest version can be under review
+    if (previous && previous.status === 'pending') {
+      this.db.prepare(
+        "UPDATE project_plans SET status = 'superseded' WHERE id = ?"
+      ).run(previous.id);
+    }
+
+    const planId = `plan-${uuidv4()}`;
+    this.db.prepare(`
+      INSERT INTO project_plans (plan_id, task_id, plan_data, version, status, diff)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `).run(planId, taskId, JSON.stringify(plan), version, JSON.stringify(diff));
+
+    return { planId, version, diff };
+  }
+
+  /**
+   * Get the latest project plan version of a task
+   * @param {number} taskId - Task ID
+   * @returns {Object|undefined} - Plan record
+   */
+  getLatestPlan(taskId) {
+    return this.db.prepare(
+      'SELECT * FROM project_plans WHERE task_id = ? ORDER BY version DESC LIMIT 1'
+    ).get(taskId);
+  }
+
+  /**
+   * Get every project plan version of a task
+   * @param {string} taskId - Task ID (UUID format)
+   * @returns {Object} - Plan versions, newest first
+   */
+  getPlanVersions(taskId) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const plans = this.db.prepare(
+      'SELECT * FROM project_plans WHERE task_id = ? ORDER BY version DESC'
+    ).all(task.id);
+
+    return {
+      plans: plans.map(plan => ({
+        ...plan,
+        approved: !!plan.approved,
+        plan_data: JSON.parse(plan.plan_data),
+        diff: plan.diff ? JSON.parse(plan.diff) : null
+      }))
+    };
+  }
+
+  /**
+   * Get a task that is waiting for plan review, with its latest plan
+   * @param {string} taskId - Task ID (UUID format)
+   * @returns {Object} - Task and plan, or an error
+   */
+  getTaskAwaitingApproval(taskId) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    if (task.status !== 'awaiting-approval') {
+      return { error: `Task is ${task.status}, not awaiting approval` };
+    }
+
+    const plan = this.getLatestPlan(task.id);
+    if (!plan) {
+      return { error: 'Task has no project plan' };
+    }
+
+    return { task, plan };
+  }
+
+  /**
+   * Approve the latest plan of a task and start delegation
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} reviewer - Who approved the plan
+   * @returns {Promise<Object>} - Approval result
+   */
+  async approvePlan(taskId, reviewer) {
+    const { task, plan, error } = this.getTaskAwaitingApproval(taskId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const planData = JSON.parse(plan.plan_data);
+
+    try {
+      // Reject invalid plans before recording the approval
+      this.orderWorkPackages(planData.workPackages || []);
+    } catch (validationError) {
+      return { success: false, error: validationError.message };
+    }
+
+    this.db.prepare(`
+      UPDATE project_plans
+      SET approved = 1, status = 'approved', reviewed_by = ?, approved_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(reviewer || null, plan.id);
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Plan version ${plan.version} approved${reviewer ? ` by ${reviewer}` : ''}`, 10);
+
+    const assignments = await this.delegateToSubAIs(task, planData);
+    this.monitorProgress(task.id);
+
+    return {
+      success: true,
+      taskId,
+      version: plan.version,
+      assignments
+    };
+  }
+
+  /**
+   * Reject the latest plan of a task; the task is not executed
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} reviewer - Who rejected the plan
+   * @param {string} reason - Why the plan was rejected
+   * @returns {Object} - Rejection result
+   */
+  rejectPlan(taskId, reviewer, reason) {
+    const { task, plan, error } = this.getTaskAwaitingApproval(taskId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.db.prepare(`
+      UPDATE project_plans SET status = 'rejected', reviewed_by = ?, feedback = ? WHERE id = ?
+    `).run(reviewer || null, reason || null, plan.id);
+
+    this.updateTaskStatus(task.id, 'rejected');
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Plan version ${plan.version} rejected${reason ? `: ${reason}` : ''}`, null);
+
+    return {
+      success: true,
+      taskId,
+      version: plan.version,
+      status: 'rejected'
+    };
+  }
+
+  /**
+   * Produce a new plan version from reviewer feedback
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} reviewer - Who requested the changes
+   * @param {string} feedback - Requested changes
+   * @returns {Promise<Object>} - New plan version
+   */
+  async requestPlanChanges(taskId, reviewer, feedback) {
+    const { task, plan, error } = this.getTaskAwaitingApproval(taskId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    let revisedPlan;
+    try {
+      revisedPlan = await this.revisePlan(task, JSON.parse(plan.plan_data),
+        `Reviewer feedback to address:\n${feedback}`);
+    } catch (revisionError) {
+      console.error('Error revising project plan:', revisionError);
+      return { success: false, error: `Could not revise plan: ${revisionError.message}` };
+    }
+
+    const saveRevision = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE project_plans SET status = 'changes-requested', reviewed_by = ?, feedback = ? WHERE id = ?
+      `).run(reviewer || null, feedback, plan.id);
+
+      return this.savePlanVersion(task.id, revisedPlan);
+    });
+    const saved = saveRevision();
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Changes requested on plan version ${plan.version}, version ${saved.version} awaiting approval`, 5);
+
+    return {
+      success: true,
+      taskId,
+      version: saved.version,
+      projectPlan: revisedPlan,
+      diff: saved.diff
+    };
+  }
+
+  /**
+   * Update task status
+   * @param {number} taskId - Task ID
+   * @param {string} status - New status
+   */
+  updateTaskStatus(taskId, status) {
+    this.db.prepare(
+      'UPDATE tasks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).run(status, taskId);
+    this.events.taskStatusChanged(taskId);
+  }
+
+  /**
+   * Re-plan a task that is already in progress
+   * Finished assignments are kept, assignments for removed or changed work
+   * packages are cancelled and new or changed packages are delegated
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} userInput - New input from the user
+   * @param {string} requestedBy - Who requested the re-plan
+   * @returns {Promise<Object>} - Re-plan result
+   */
+  async replanTask(taskId, userInput, requestedBy) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (task.status !== 'in-progress') {
+      return { success: false, error: `Task is ${task.status}, only in-progress tasks can be re-planned` };
+    }
+
+    const currentPlan = this.getLatestPlan(task.id);
+    if (!currentPlan) {
+      return { success: false, error: 'Task has no project plan' };
+    }
+
+    const existing = this.db.prepare(
+      'SELECT * FROM task_assignments WHERE task_id = ? ORDER BY id'
+    ).all(task.id);
+
+    // Summarize what has been done so far for the planner
+    const progress = existing
+      .filter(a => a.status !== 'cancelled')
+      .map(a => this.scheduler.getAssignmentOutputs(a.assignment_id));
+    const progressSummary = progress.map(p => `- ${p.workPackageId} (${p.workPackage}): ${p.status}`).join('\n');
+    const completedWork = formatUpstreamOutputs(progress.filter(p => FINISHED_STATUSES.includes(p.status)));
+
+    let revisedPlan;
+    try {
+      revisedPlan = await this.revisePlan(task, JSON.parse(currentPlan.plan_data), `Work package status:
+${progressSummary || '(no assignments yet)'}
+${completedWork}
+New input from the user:
+${userInput}
+
+Finished work packages cannot be undone; change them only if the new input requires redoing that work.`);
+
+      this.orderWorkPackages(revisedPlan.workPackages || []);
+    } catch (error) {
+      console.error('Error re-planning task:', error);
+      return { success: false, error: `Could not re-plan task: ${error.message}` };
+    }
+
+    const revisedPackages = new Map(
+      this.orderWorkPackages(revisedPlan.workPackages || []).map(wp => [wp.id, wp])
+    );
+    const saved = this.savePlanVersion(task.id, revisedPlan);
+    const changedIds = new Set(saved.diff.workPackages.changed.map(c => c.id));
+
+    // Re-plans take effect immediately
+    this.db.prepare(
+      "UPDATE project_plans SET status = 'superseded' WHERE task_id = ? AND version < ? AND status = 'approved'"
+    ).run(task.id, saved.version);
+    this.db.prepare(`
+      UPDATE project_plans
+      SET approved = 1, status = 'approved', reviewed_by = ?, feedback = ?, approved_at = CURRENT_TIMESTAMP
+      WHERE plan_id = ?
+    `).run(requestedBy || null, userInput, saved.planId);
+
+    const kept = [];
+    const cancelled = [];
+    const keptByPackage = new Map();
+
+    for (const assignment of existing) {
+      if (assignment.status === 'cancelled' || assignment.status === 'failed') continue;
+
+      const packageId = assignment.work_package_id;
+      const stillNeeded = revisedPackages.has(packageId) && !changedIds.has(packageId);
+
+      if (FINISHED_STATUSES.includes(assignment.status) || stillNeeded) {
+        // Finished work is kept even if its package was removed or changed
+        kept.push(assignment.assignment_id);
+        if (stillNeeded) keptByPackage.set(packageId, assignment);
+      } else {
+        this.scheduler.cancelAssignment(assignment);
+        cancelled.push(assignment.assignment_id);
+      }
+    }
+
+    const assignmentIdsByPackage = new Map(
+      [...keptByPackage].map(([packageId, assignment]) => [packageId, assignment.assignment_id])
+    );
+    const created = await this.delegateToSubAIs(task, revisedPlan, assignmentIdsByPackage);
+    created.forEach(a => assignmentIdsByPackage.set(a.workPackageId, a.assignmentId));
+
+    // Point kept, still blocked assignments at the current upstream assignments
+    for (const [packageId, assignment] of keptByPackage) {
+      if (assignment.status === 'blocked') {
+        const dependencies = revisedPackages.get(packageId).dependencies
+          .filter(d => assignmentIdsByPackage.has(d))
+          .map(d => assignmentIdsByPackage.get(d));
+        this.db.prepare(
+          'UPDATE task_assignments SET dependencies = ? WHERE id = ?'
+        ).run(JSON.stringify(dependencies), assignment.id);
+      }
+    }
+    this.scheduler.releaseBlockedAssignments(task.id);
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Re-planned to version ${saved.version}: ${kept.length} kept, ${cancelled.length} cancelled, `
+      + `${created.length} new assignment(s)`, null);
+
+    return {
+      success: true,
+      taskId,
+      version: saved.version,
+      diff: saved.diff,
+      kept,
+      cancelled,
+      created
+    };
+  }
+
+  /**
+   * Cancel a task; its unfinished assignments and work bots are cancelled
+   * and the agent capacity they held is released
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} requestedBy - Who cancelled the task
+   * @returns {Object} - Cancellation result
+   */
+  cancelTask(taskId, requestedBy) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (CLOSED_TASK_STATUSES.includes(task.status)) {
+      return { success: false, error: `Task is ${task.status} and cannot be cancelled` };
+    }
+
+    const cancelled = this.db.transaction(() => {
+      this.updateTaskStatus(task.id, 'cancelled');
+
+      const assignments = this.getTaskAssignments(task.id, [...ACTIVE_STATUSES, 'paused']);
+      for (const { id } of assignments) {
+        // Releasing capacity can admit a queued assignment of this task, so re-read it
+        this.scheduler.cancelAssignment(this.db.prepare('SELECT * FROM task_assignments WHERE id = ?').get(id));
+      }
+
+      const bots = this.db.prepare(`
+        UPDATE work_bots SET status = 'cancelled'
+        WHERE status IN ('created', 'running', 'retrying', 'paused', 'dead-letter')
+          AND assignment_id IN (SELECT id FROM task_assignments WHERE task_id = ?)
+        RETURNING bot_id
+      `).all(task.id);
+      this.events.botStatusChanged(...bots.map(b => b.bot_id));
+
+      return assignments.map(a => a.assignment_id);
+    })();
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Task cancelled${requestedBy ? ` by ${requestedBy}` : ''}: ${cancelled.length} assignment(s) stopped`, null);
+
+    return { success: true, taskId, status: 'cancelled', assignments: cancelled };
+  }
+
+  /**
+   * Pause an in-progress task; its assignments stop being picked up, running
+   * work bots finish but no new ones start, and held capacity is released
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} requestedBy - Who paused the task
+   * @returns {Object} - Pause result
+   */
+  pauseTask(taskId, requestedBy) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (task.status !== 'in-progress') {
+      return { success: false, error: `Task is ${task.status}, only in-progress tasks can be paused` };
+    }
+
+    const paused = this.db.transaction(() => {
+      this.updateTaskStatus(task.id, 'paused');
+      return this.scheduler.holdAssignments(task.id);
+    })();
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Task paused${requestedBy ? ` by ${requestedBy}` : ''}: ${paused.length} assignment(s) on hold`, null);
+
+    return { success: true, taskId, status: 'paused', assignments: paused };
+  }
+
+  /**
+   * Resume a paused or budget-exceeded task; assignments return to where
+   * they were paused, subject to agent capacity. A task that ran out of
+   * budget before it was delegated resumes planning in the background
+   * @param {string} taskId - Task ID (UUID format)
+   * @param {string} requestedBy - Who resumed the task
+   * @returns {Object} - Resume result
+   */
+  resumeTask(taskId, requestedBy) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (!RESUMABLE_TASK_STATUSES.includes(task.status)) {
+      return { success: false, error: `Task is ${task.status}, only paused tasks can be resumed` };
+    }
+
+    if (task.status === 'budget-exceeded') {
+      const exceeded = this.budgets.findExceeded(task.id);
+      if (exceeded) {
+        return {
+          success: false,
+          error: `The ${exceeded.scope} ${exceeded.unit} budget is still exhausted, raise it before resuming`
+        };
+      }
+
+      const delegated = this.db.prepare(
+        'SELECT COUNT(*) as count FROM task_assignments WHERE task_id = ?'
+      ).get(task.id).count > 0;
+      if (!delegated) {
+        return this.resumePlanning(task, requestedBy);
+      }
+    }
+
+    const resumed = this.db.transaction(() => {
+      this.updateTaskStatus(task.id, 'in-progress');
+      return this.scheduler.resumeHeldAssignments(task.id);
+    })();
+
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Task resumed${requestedBy ? ` by ${requestedBy}` : ''}: ${resumed.length} assignment(s) resumed`, null);
+
+    return { success: true, taskId, status: 'in-progress', assignments: resumed };
+  }
+
+  /**
+   * Restart planning of a task that ran out of budget before it was delegated
+   * @param {Object} task - Task record
+   * @param {string} requestedBy - Who resumed the task
+   * @returns {Object} - Resume result; planning continues in the background
+   */
+  resumePlanning(task, requestedBy) {
+    this.updateTaskStatus(task.id, 'pending');
+    this.addProgressUpdate(task.id, 'atlantis', this.name,
+      `Task resumed${requestedBy ? ` by ${requestedBy}` : ''}: planning restarted`, null);
+
+    this.planning = this.processTask({ ...task, requireApproval: Boolean(task.approval_required) })
+      .catch((error) => {
+        console.error(`❌ ATLANTIS: Planning of ${task.task_id} stopped:`, error.message);
+      });
+
+    return {
+      success: true, taskId: task.task_id, status: 'pending', assignments: []
+    };
+  }
+
+  /**
+   * Get the assignments of a task in the given statuses
+   * @param {number} taskId - Task ID
+   * @param {Array} statuses - Assignment statuses
+   * @returns {Array} - Assignment records, oldest first
+   */
+  getTaskAssignments(taskId, statuses) {
+    return this.db.prepare(`
+      SELECT * FROM task_assignments
+      WHERE task_id = ? AND status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY id
+    `).all(taskId, ...statuses);
   }
 
   /**
    * Delegate work packages to sub-AIs
+   * Packages are created in dependency order; packages with dependencies start
+   * out blocked until their upstream assignments complete. A package that
+   * cannot be routed is not assigned, and neither are the packages that depend on it
    * @param {Object} task - Task object
    * @param {Object} plan - Project plan
+   * @param {Map} existingAssignments - Work package ID to assignment ID of
+   * packages that already have an assignment and must not be delegated again;
+   * the caller releases assignments whose dependencies are already satisfied
    * @returns {Promise<Array>} - Assignment records
    */
-  async delegateToSubAIs(task, plan) {
+  async delegateToSubAIs(task, plan, existingAssignments = new Map()) {
     console.log('🎯 ATLANTIS: Delegating to sub-AIs...');
 
+    const workPackages = this.orderWorkPackages(plan.workPackages || []);
     const assignments = [];
+    const assignmentIdsByPackage = new Map(existingAssignments);
+    // Packages without an assignment; their dependents cannot run without the upstream output
+    const undelegated = new Map();
+
+    for (const workPackage of workPackages) {
+      if (existingAssignments.has(workPackage.id)) continue;
+
+      const missing = workPackage.dependencies.find(dependency => !assignmentIdsByPackage.has(dependency));
+      if (missing) {
+        const upstream = undelegated.get(missing) || missing;
+        console.warn(`Work package ${workPackage.id} depends on undelegated package ${missing}, not assigning it`);
+        this.addProgressUpdate(task.id, 'atlantis', this.name,
+          `Could not assign "${workPackage.name}": it depends on "${upstream}", which was not assigned`, null);
+        undelegated.set(workPackage.id, workPackage.name);
+        continue;
+      }
 
-    for (const workPackage of plan.workPackages) {
-      // Get sub-AI agent
-      const agent = this.db.prepare(
-        'SELECT * FROM sub_ai_agents WHERE agent_id = ?'
-      ).get(workPackage.assignedTo);
+      // Choose a sub-AI agent with capacity
+      const route = this.broker.route(task.id, workPackage);
+      const { agent } = route;
 
       if (!agent) {
-        console.warn(`Agent ${workPackage.assignedTo} not found, skipping`);
+        console.warn(`Work package ${workPackage.id} could not be routed: ${route.reason}`);
+        this.addProgressUpdate(task.id, 'atlantis', this.name,
+          `Could not assign "${workPackage.name}": ${route.reason}`, null);
+        undelegated.set(workPackage.id, workPackage.name);
         continue;
       }
 
-      // Create assignment
+      // Map package dependencies to the assignments created for them
+      const dependencies = workPackage.dependencies.map(dependency => assignmentIdsByPackage.get(dependency));
+
+      // Create assignment; it waits in the queue until the broker admits it
       const assignmentId = `assign-${uuidv4()}`;
       const stmt = this.db.prepare(`
         INSERT INTO task_assignments (
-          assignment_id, task_id, agent_id, assigned_elements, status
-        ) VALUES (?, ?, ?, ?, 'assigned')
+          assignment_id, task_id, agent_id, assigned_elements,
+          work_package_id, work_package_name, dependencies, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run(
         assignmentId,
         task.id,
         agent.id,
-        JSON.stringify(workPackage.elements)
+        JSON.stringify(workPackage.elements || []),
+        workPackage.id,
+        workPackage.name,
+        JSON.stringify(dependencies),
+        dependencies.length > 0 ? 'blocked' : 'queued'
       );
-
-      // Update agent load
-      this.db.prepare(
-        'UPDATE sub_ai_agents SET current_load = current_load + 1 WHERE id = ?'
-      ).run(agent.id);
+      assignmentIdsByPackage.set(workPackage.id, assignmentId);
+
+      // Blocked assignments take capacity only once their dependencies resolve
+      const status = dependencies.length > 0
+        ? 'blocked'
+        : this.broker.admit(this.getAssignmentRecordId(assignmentId));
+      if (status === 'blocked') {
+        this.events.assignmentStatusChanged(this.getAssignmentRecordId(assignmentId));
+      }
 
       assignments.push({
         assignmentId,
+        workPackageId: workPackage.id,
         agentName: agent.name,
         workPackage: workPackage.name,
-        elements: workPackage.elements
+        elements: workPackage.elements,
+        status,
+        dependencies,
+        routing: { decision: route.decision, reason: route.reason }
       });
 
       // Create progress update
-      this.addProgressUpdate(task.id, 'atlantis', this.name, 
-        `Assigned "${workPackage.name}" to ${agent.name}`, 10);
+      let note = '';
+      if (status === 'blocked') note = ` (waiting on ${dependencies.length} upstream assignment(s))`;
+      else if (status === 'queued') note = ` (queued, ${agent.name} is at capacity)`;
+      if (route.decision === 'fallback') note += `: ${route.reason}`;
+
+      this.addProgressUpdate(task.id, 'atlantis', this.name,
+        `Assigned "${workPackage.name}" to ${agent.name}${note}`, 10);
     }
 
     // Update task status
-    this.db.prepare(
-      'UPDATE tasks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
-    ).run('in-progress', task.id);
+    this.updateTaskStatus(task.id, 'in-progress');
 
     return assignments;
   }
 
   /**
-   * Monitor task progress
+   * Get the database ID of an assignment
+   * @param {string} assignmentId - Assignment ID (UUID format)
+   * @returns {number} - Assignment database ID
+   */
+  getAssignmentRecordId(assignmentId) {
+    return this.db.prepare(
+      'SELECT id FROM task_assignments WHERE assignment_id = ?'
+    ).get(assignmentId).id;
+  }
+
+  /**
+   * Get the routing decisions made for a task
+   * @param {string} taskId - Task ID (UUID format)
+   * @returns {Object} - Routing decisions
+   */
+  getRoutingDecisions(taskId) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    return { decisions: this.broker.getDecisions(task.id) };
+  }
+
+  /**
+   * Validate work package dependencies and order packages so that every
+   * package comes after the packages it depends on
+   * @param {Array} workPackages - Work packages from the project plan
+   * @returns {Array} - Normalized work packages in dependency order
+   * @throws {Error} - If the dependencies contain a cycle
+   */
+  orderWorkPackages(workPackages) {
+    const normalized = workPackages.map((workPackage, index) => ({
+      ...workPackage,
+      id: workPackage.id || `wp-${index + 1}`,
+      dependencies: Array.isArray(workPackage.dependencies) ? workPackage.dependencies : []
+    }));
+
+    const knownIds = new Set(normalized.map(wp => wp.id));
+    for (const workPackage of normalized) {
+      const unknown = workPackage.dependencies.filter(d => !knownIds.has(d));
+      if (unknown.length > 0) {
+        console.warn(`Work package ${workPackage.id} depends on unknown packages: ${unknown.join(', ')}`);
+        workPackage.dependencies = workPackage.dependencies.filter(d => knownIds.has(d));
+      }
+    }
+
+    return topologicalSort(normalized, wp => wp.id, wp => wp.dependencies);
+  }
+
+  /**
+   * Monitor task progress, and finalize an in-progress task once every
+   * assignment has finished. Assignments cancelled by a re-plan do not count.
+   * A task whose assignments all failed is marked failed instead. A completed
+   * task gets a new report version when a re-run revised the work of one of
+   * its assignments
    * @param {number} taskId - Task ID
+   * @param {Object} options - Monitoring options
+   * @param {boolean} options.revised - A re-run changed the work of a finished assignment
+   * @returns {Promise<Object>} - { completed, finished, total, progress }
    */
-  async monitorProgress(taskId) {
+  async monitorProgress(taskId, options = {}) {
     console.log('👀 ATLANTIS: Monitoring task progress...');
 
     // Check assignments
@@ -298,44 +1038,168 @@ Return as JSON with this structure:
       SELECT ta.*, sa.name as agent_name
       FROM task_assignments ta
       JOIN sub_ai_agents sa ON ta.agent_id = sa.id
-      WHERE ta.task_id = ?
+      WHERE ta.task_id = ? AND ta.status != 'cancelled'
     `).all(taskId);
 
     const completed = assignments.filter(a => a.status === 'completed').length;
+    const finished = assignments.filter(a => TERMINAL_ASSIGNMENT_STATUSES.includes(a.status)).length;
     const total = assignments.length;
-    const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
+    const progress = total > 0 ? Math.round((finished / total) * 100) : 0;
 
     // Update task progress
     this.addProgressUpdate(taskId, 'atlantis', this.name,
-      `Overall progress: ${completed}/${total} assignments completed`, progress);
+      `Overall progress: ${finished}/${total} assignments finished, ${completed} completed`, progress);
+
+    const task = this.db.prepare('SELECT status FROM tasks WHERE id = ?').get(taskId);
+    if (options.revised && task.status === 'completed' && finished === total && !this.finalizing.has(taskId)) {
+      this.finalizing.add(taskId);
+      try {
+        const report = await this.synthesizeDeliverable(taskId);
+        this.addProgressUpdate(taskId, 'atlantis', this.name,
+          `Work re-run after dead-letter review: deliverable report v${report.version} is ready.`, progress);
+      } finally {
+        this.finalizing.delete(taskId);
+      }
+      return { completed, finished, total, progress };
+    }
+
+    if (finished < total || total === 0 || task.status !== 'in-progress' || this.finalizing.has(taskId)) {
+      return { completed, finished, total, progress };
+    }
 
-    // Check if all completed
-    if (completed === total && total > 0) {
-      await this.finalizeTask(taskId);
+    if (assignments.some(a => FINISHED_STATUSES.includes(a.status))) {
+      this.finalizing.add(taskId);
+      try {
+        await this.finalizeTask(taskId);
+      } finally {
+        this.finalizing.delete(taskId);
+      }
+    } else {
+      this.updateTaskStatus(taskId, 'failed');
+      this.addProgressUpdate(taskId, 'atlantis', this.name,
+        'Task failed: every assignment failed, so there is no deliverable', progress);
     }
 
-    return { completed, total, progress };
+    return { completed, finished, total, progress };
   }
 
   /**
-   * Finalize completed task
+   * Finalize a task whose assignments have all finished
    * @param {number} taskId - Task ID
    */
   async finalizeTask(taskId) {
     console.log('🎉 ATLANTIS: Finalizing task...');
 
-    // Update task status
-    this.db.prepare(`
-      UPDATE tasks 
-      SET status = 'completed', 
-          completed_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(taskId);
+    const { report: deliverable, source } = await this.draftDeliverable(taskId);
+
+    // Update task status, unless the task was cancelled or paused while the report was written
+    const report = this.db.transaction(() => {
+      const update = this.db.prepare(`
+        UPDATE tasks
+        SET status = 'completed',
+            completed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'in-progress'
+      `).run(taskId);
+      return update.changes > 0 ? this.reports.save(taskId, deliverable, source) : null;
+    })();
+    if (!report) {
+      console.log(`ATLANTIS: Task ${taskId} is no longer in progress, discarding its report`);
+      return;
+    }
+    this.events.taskStatusChanged(taskId);
 
     // Add completion update
     this.addProgressUpdate(taskId, 'atlantis', this.name,
-      'Task completed successfully! All work packages finished.', 100);
+      `Task completed successfully! All work packages finished. Deliverable report v${report.version} is ready.`, 100);
+  }
+
+  /**
+   * Combine the work bot outputs of a task into a deliverable and store it
+   * as the next report version
+   * @param {number} taskId - Task record ID
+   * @returns {Promise<Object>} - Stored report record
+   */
+  async synthesizeDeliverable(taskId) {
+    const { report, source } = await this.draftDeliverable(taskId);
+    return this.reports.save(taskId, report, source);
+  }
+
+  /**
+   * Combine the work bot outputs of a task into a deliverable, without storing it
+   * @param {number} taskId - Task record ID
+   * @returns {Promise<Object>} - { report, source }
+   */
+  async draftDeliverable(taskId) {
+    console.log('📦 ATLANTIS: Synthesizing deliverable...');
+
+    const task = this.db.prepare('SELECT * FROM tasks WHERE id = ?').get(taskId);
+    const work = this.reports.collectWork(taskId);
+
+    // Sandbox runs follow the output of their bot, so failing tests can be reported as issues
+    const outputs = p => p.outputs.map(o => `--- ${o.description} [${o.botType}]\n${o.output}`
+      + (o.runs ? `\n\n${formatRuns(o.runs)}` : '')).join('\n\n');
+    const packages = work.packages.map(p => `Work package: ${p.workPackage} (${p.agent}, ${p.status})
+${outputs(p) || 'No output'}`);
+
+    const prompt = `You are ATLANTIS, the master AI coordinator. All work on this task has finished.
+Combine the outputs of the work bots into one coherent deliverable for the user.
+
+Task: ${task.title}
+Description: ${task.description || 'No description'}
+
+${packages.join('\n\n')}
+
+Known issues: ${work.issues.length > 0 ? work.issues.join('; ') : 'None'}
+
+Respond with JSON in this format:
+{
+  "executiveSummary": "What was delivered and how well it meets the task",
+  "deliverables": [
+    { "workPackage": "...", "summary": "...", "content": "The merged, cleaned-up output of the package" }
+  ],
+  "unresolvedIssues": ["Every known issue, plus gaps or conflicts found in the outputs"],
+  "nextSteps": ["..."]
+}`;
+
+    let report;
+    let source = 'model';
+    try {
+      report = await requestStructuredOutput(this.llm, this.db, {
+        name: 'report',
+        stage: 'synthesis',
+        context: { taskId },
+        schema: REPORT_SCHEMA,
+        prompt,
+        maxTokens: 8192
+      });
+    } catch (error) {
+      // The task is finished either way, so the outputs are kept as they are
+      console.error('Error synthesizing deliverable:', error);
+      recordOutputEvent(this.db, 'report', 'fallback', { taskId: task.task_id, error: error.message });
+      report = assembleReport(task, work);
+      source = 'fallback';
+    }
+
+    return { report, source };
+  }
+
+  /**
+   * Synthesize a new report version of a completed task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} - { success, report } or error
+   */
+  async regenerateReport(taskId) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+    if (task.status !== 'completed') {
+      return { success: false, error: `Task is ${task.status}, only completed tasks have a deliverable report` };
+    }
+
+    const { version } = await this.synthesizeDeliverable(task.id);
+    return { success: true, report: this.reports.getReport(taskId, version) };
   }
 
   /**
@@ -355,6 +1219,9 @@ Return as JSON with this structure:
     `);
 
     stmt.run(updateId, taskId, sourceType, sourceId, message, progress);
+    this.events.progressUpdate(taskId, {
+      updateId, sourceType, sourceId, message, progress
+    });
   }
 
   /**
@@ -390,16 +1257,22 @@ Return as JSON with this structure:
   }
 
   /**
-   * Interact with user - respond to queries
+   * Interact with user - respond to queries, continuing the task's chat thread
    * @param {string} taskId - Task ID
    * @param {string} userMessage - User's message
-   * @returns {Promise<string>} - ATLANTIS response
+   * @returns {Promise<Object>} - { success, response }, or error; status is budget-exceeded if the budget ran out
    */
   async interactWithUser(taskId, userMessage) {
     const status = this.getTaskStatus(taskId);
+    if (status.error) {
+      return { success: false, error: status.error };
+    }
 
-    const prompt = `You are ATLANTIS, the master AI coordinator. 
+    await this.summarizeConversation(status.task);
+    const { summary, history } = this.conversations.getContext(status.task.id);
 
+    const prompt = `You are ATLANTIS, the master AI coordinator. 
+${summary ? `\nSummary of the earlier conversation: ${summary}\n` : ''}
 Task Status: ${JSON.stringify(status, null, 2)}
 
 User Message: ${userMessage}
@@ -407,21 +1280,81 @@ User Message: ${userMessage}
 Provide a helpful, informative response about the task status, progress, or answer the user's question.
 Be concise but comprehensive.`;
 
+    let offset = 0;
+    const onDelta = (delta) => {
+      this.events.outputDelta(taskId, {
+        source: 'atlantis',
+        agentId: this.name,
+        botId: null,
+        offset,
+        delta
+      });
+      offset += delta.length;
+    };
+
+    let reply;
     try {
-      const response = await this.aiClients.claude.messages.create({
-        model: 'claude-sonnet-4-5',
-        max_tokens: 1024,
-        messages: [{
+      this.budgets.enforce(status.task.id);
+      const response = await this.llm.complete({
+        stage: 'conversation',
+        maxTokens: 1024,
+        messages: [...history, {
           role: 'user',
           content: prompt
-        }]
+        }],
+        // Only stream when a client follows the task
+        onDelta: this.events.hasSubscribers(`task:${taskId}`) ? onDelta : undefined
       });
+      this.usage.record({ stage: 'conversation', taskId: status.task.id }, response);
+
+      reply = response.text;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return { success: false, status: 'budget-exceeded', error: error.message };
+      }
+      // The canned reply is not part of the thread, so later turns and summaries
+      // never replay it as something ATLANTIS said
+      return { success: true, response: `I'm monitoring your task. Status: ${status.task.status}` };
+    }
+
+    this.conversations.addExchange(status.task, userMessage, reply);
+    return { success: true, response: reply };
+  }
+
+  /**
+   * Fold the older messages of a task's chat thread into its summary once
+   * the thread no longer fits in the replayed history
+   * @param {Object} task - Task record
+   */
+  async summarizeConversation(task) {
+    const overflow = this.conversations.getOverflow(task.id);
+    if (!overflow) return;
+
+    const transcript = overflow.messages
+      .map(message => `${message.role === 'user' ? 'User' : 'ATLANTIS'}: ${message.content}`)
+      .join('\n\n');
+
+    const prompt = `Summarize this conversation between a user and ATLANTIS about the task "${task.title}".
+Keep the requirements, decisions and open questions that later messages may refer to.
+${overflow.summary ? `\nSummary of the conversation before these messages: ${overflow.summary}\n` : ''}
+Conversation:
+${transcript}`;
 
-      return response.content[0].text;
+    try {
+      this.budgets.enforce(task.id);
+      const response = await this.llm.complete({
+        stage: 'conversation',
+        maxTokens: 512,
+        messages: [{ role: 'user', content: prompt }]
+      });
+      this.usage.record({ stage: 'conversation', taskId: task.id }, response);
+      this.conversations.saveSummary(task.id, response.text, overflow.summarizedCount);
     } catch (error) {
-      return `I'm monitoring your task. Status: ${status.task.status}`;
+      // The unsummarized messages are replayed in full until a summary succeeds
+      console.error('Error summarizing conversation:', error);
     }
   }
+
 }
 
 module.exports = AtlantisAI;
@@ -0,0 +1,368 @@
+/**
+ * Work Bot Types
+ * Registry of the work bot types sub-AIs can create. A type defines the
+ * prompt its bots are given, the schemas of the task it accepts and the
+ * result it returns, the tools that process its output and any further
+ * checks of that result. The result is checked before the tools run, and
+ * the tools only run on accepted results, so an attempt that is rejected and
+ * retried has stored nothing. Types a model makes up are resolved through the
+ * aliases of the registered types, and otherwise run as the default type
+ */
+
+const { validate } = require('./structured-output');
+const { extractArtifacts } = require('./artifact-store');
+
+// Type that bots of an unknown type run as
+const DEFAULT_BOT_TYPE = 'general';
+
+// Task of a work bot, as produced by the assignment analysis
+const TASK_SCHEMA = {
+  type: 'object',
+  required: ['description'],
+  properties: {
+    description: { type: 'string', minLength: 1 },
+    expectedOutput: { type: 'string' }
+  }
+};
+
+// Result of a work bot as checked, before its tools add their own fields
+const RESULT_SCHEMA = {
+  type: 'object',
+  required: ['output'],
+  properties: {
+    output: { type: 'string', minLength: 1 }
+  }
+};
+
+// How bots that produce files mark them, so they are stored as artifacts
+const ARTIFACT_INSTRUCTIONS = `
+Put every file you produce in its own artifact block, with its path relative to the project root:
+<artifact path="src/example.js" language="javascript">
+file content
+</artifact>
+When revising a file from an earlier step, reuse its path and give the complete new content.
+`;
+
+// What testing bots are told about where their files run
+const SANDBOX_INSTRUCTIONS = `
+Your test files are run in a sandbox next to the latest files of the task, at the same paths:
+- JavaScript tests use node:test and node:assert, in files named *.test.js
+- Python tests use unittest, in files named test_*.py
+Only the standard library is available, there is no network access and runs are time-limited.
+The tests cannot start other processes.
+`;
+
+// Tools available to every registry: each adds instructions to the prompt
+// and turns the model output into fields of the result
+const BUILT_IN_TOOLS = {
+  artifacts: {
+    instructions: ARTIFACT_INSTRUCTIONS,
+    run: ({ agent, bot, assignment }, output) => ({
+      artifacts: agent.artifacts.saveFromOutput(
+        { botId: bot.botId, agentId: agent.getAgentRecordId() }, assignment.task_id, output
+      )
+    })
+  },
+  // Runs the files the bot stored, so it needs the artifacts tool to run first
+  sandbox: {
+    instructions: SANDBOX_INSTRUCTIONS,
+    run: async ({ agent, task }, output, result) => {
+      if (!agent.sandbox.enabled || !result.artifacts || result.artifacts.length === 0) return {};
+
+      const { artifacts } = agent.artifacts.listArtifacts(task.task_id);
+      const files = artifacts.map(artifact => ({
+        path: artifact.path,
+        content: agent.artifacts.getArtifact(task.task_id, artifact.artifactId).content
+      }));
+      const runs = await agent.sandbox.runFiles(files, result.artifacts.map(artifact => artifact.path));
+      return { execution: { runs } };
+    }
+  },
+  // Commits the files of the output to the assignment's branch of the task repository
+  workspace: {
+    run: async ({ agent, bot, assignment }, output) => {
+      const files = extractArtifacts(output);
+      if (files.length === 0) return {};
+
+      try {
+        const commit = await agent.workspace.commitFiles(assignment, files, {
+          message: `${bot.description.split('\n')[0].slice(0, 72)}\n\nWork bot: ${bot.botId} (${bot.type})`,
+          author: { name: agent.name, email: `${agent.agentId}@atlantis.local` }
+        });
+        return commit ? { workspace: commit } : {};
+      } catch (error) {
+        // The files are still stored as artifacts, so the bot's work is not lost
+        console.error(`Workspace commit of work bot ${bot.botId} failed:`, error.message);
+        return { workspace: { error: error.message } };
+      }
+    }
+  }
+};
+
+// Types available to every registry
+const BUILT_IN_TYPES = [
+  {
+    type: DEFAULT_BOT_TYPE,
+    description: 'any task that fits none of the other types',
+    buildPrompt: context => workBotPrompt(context, `Execute this task and provide detailed results. Include:
+1. What was accomplished
+2. Output/deliverable
+3. Any issues encountered
+4. Recommendations`)
+  },
+  {
+    type: 'research',
+    description: 'gathers facts, options and prior art',
+    aliases: ['investigation', 'search'],
+    buildPrompt: context => workBotPrompt(context, `Research this topic and report what you found. Include:
+1. Key findings
+2. The sources or evidence behind each finding
+3. Open questions and uncertainties
+4. Recommendations`)
+  },
+  {
+    type: 'code-generation',
+    description: 'writes source code as complete files',
+    aliases: ['code', 'coding', 'implementation', 'development'],
+    tools: ['artifacts', 'workspace'],
+    validate: validateArtifactBlocks,
+    buildPrompt: context => workBotPrompt(context, `Write the code for this task. Include:
+1. The implementation, as complete files
+2. How the files fit together and how to run them
+3. Assumptions and known limitations`)
+  },
+  {
+    type: 'testing',
+    description: 'designs and writes tests',
+    aliases: ['test', 'tests', 'qa'],
+    tools: ['artifacts', 'sandbox'],
+    validate: validateArtifactBlocks,
+    buildPrompt: context => workBotPrompt(context, `Write and run the tests for this task. Include:
+1. The test cases, with their inputs and expected results
+2. The test code, as complete files
+3. Risks the tests do not cover`)
+  },
+  {
+    type: 'documentation',
+    description: 'writes documents as complete files',
+    aliases: ['docs', 'writing'],
+    tools: ['artifacts'],
+    validate: validateArtifactBlocks,
+    buildPrompt: context => workBotPrompt(context, `Write the documentation for this task. Include:
+1. The documents, complete and ready to publish
+2. Who they are written for
+3. Gaps that need input from the team`)
+  },
+  {
+    type: 'deployment',
+    description: 'prepares configuration, scripts and deployment steps',
+    aliases: ['deploy', 'devops', 'infrastructure'],
+    tools: ['artifacts'],
+    validate: validateArtifactBlocks,
+    buildPrompt: context => workBotPrompt(context, `Prepare the deployment for this task. Include:
+1. Configuration and scripts, as complete files
+2. The deployment steps, in order
+3. How to verify the deployment and how to roll it back`)
+  },
+  {
+    type: 'analysis',
+    description: 'evaluates designs, data or trade-offs',
+    aliases: ['review', 'design', 'evaluation'],
+    buildPrompt: context => workBotPrompt(context, `Analyze this subject. Include:
+1. Findings
+2. The reasoning or data behind them
+3. Risks and trade-offs
+4. Recommendations`)
+  }
+];
+
+class BotTypeRegistry {
+  constructor() {
+    this.types = new Map();
+    this.aliases = new Map();
+    this.tools = new Map();
+
+    for (const [name, tool] of Object.entries(BUILT_IN_TOOLS)) {
+      this.registerTool(name, tool);
+    }
+    for (const definition of BUILT_IN_TYPES) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Register a tool bot types can use
+   * @param {string} name - Tool name
+   * @param {Object} tool - { instructions, run }; run(context, output, result) receives
+   *   { agent, bot, assignment, task }, the model output and the result so far, and
+   *   returns fields to add to the result. Tools only run on results that passed the
+   *   checks of their type, in the order the type lists them
+   * @throws {Error} - If the tool is invalid
+   */
+  registerTool(name, tool) {
+    if (!name || typeof tool.run !== 'function') {
+      throw new Error('A tool needs a name and a run function');
+    }
+    this.tools.set(name, { instructions: '', ...tool, name });
+  }
+
+  /**
+   * Register a bot type, replacing a registered type of the same name
+   * @param {Object} definition - Bot type
+   * @param {string} definition.type - Type name
+   * @param {string} definition.description - What bots of the type do, shown to the analysis
+   * @param {Function} definition.buildPrompt - Builds the prompt from { type, agent, bot,
+   *   upstreamContext, dependencyContext, toolInstructions }
+   * @param {Array} definition.aliases - Other names models use for the type
+   * @param {Array} definition.tools - Names of the tools that process the output
+   * @param {Object} definition.inputSchema - JSON schema of the task
+   * @param {Object} definition.outputSchema - JSON schema of the result, checked before the tools run
+   * @param {Function} definition.validate - Further checks of a result before the tools run, returning errors
+   * @returns {Object} - Registered type
+   * @throws {Error} - If the definition is invalid
+   */
+  register(definition) {
+    if (!definition.type || typeof definition.buildPrompt !== 'function') {
+      throw new Error('A bot type needs a type and a buildPrompt function');
+    }
+    const unknownTools = (definition.tools || []).filter(name => !this.tools.has(name));
+    if (unknownTools.length > 0) {
+      throw new Error(`Bot type ${definition.type} uses unknown tools: ${unknownTools.join(', ')}`);
+    }
+
+    const registered = {
+      description: '',
+      aliases: [],
+      tools: [],
+      inputSchema: TASK_SCHEMA,
+      outputSchema: RESULT_SCHEMA,
+      validate: null,
+      ...definition
+    };
+    this.types.set(registered.type, registered);
+    for (const alias of registered.aliases) {
+      this.aliases.set(alias.toLowerCase(), registered.type);
+    }
+    return registered;
+  }
+
+  /**
+   * Resolve the type a bot runs as
+   * @param {string} type - Type name, as returned by a model
+   * @returns {string} - Registered type, its alias target, or the default type
+   */
+  resolve(type) {
+    if (this.types.has(type)) return type;
+
+    const normalized = String(type || '').trim().toLowerCase();
+    if (this.types.has(normalized)) return normalized;
+    return this.aliases.get(normalized) || DEFAULT_BOT_TYPE;
+  }
+
+  /**
+   * Get a bot type
+   * @param {string} type - Type name
+   * @returns {Object} - Bot type the name resolves to
+   */
+  get(type) {
+    return this.types.get(this.resolve(type));
+  }
+
+  /**
+   * List the registered bot types
+   * @returns {Array} - Bot types
+   */
+  list() {
+    return [...this.types.values()];
+  }
+
+  /**
+   * Get the tools of a bot type
+   * @param {Object} definition - Bot type
+   * @returns {Array} - Tools
+   */
+  getTools(definition) {
+    return definition.tools.map(name => this.tools.get(name));
+  }
+
+  /**
+   * Check a task against the input schema of its type
+   * @param {Object} definition - Bot type
+   * @param {Object} task - Task from the assignment analysis
+   * @returns {Array} - Validation errors
+   */
+  checkTask(definition, task) {
+    return validate(task, definition.inputSchema);
+  }
+
+  /**
+   * Check a result against the output schema and checks of its type
+   * @param {Object} definition - Bot type
+   * @param {Object} result - Work bot result { success, output }, before any tool ran
+   * @param {Object} bot - Work bot
+   * @returns {Array} - Validation errors
+   */
+  checkResult(definition, result, bot) {
+    const errors = validate(result, definition.outputSchema);
+    if (errors.length === 0 && definition.validate) {
+      errors.push(...definition.validate(result, bot));
+    }
+    return errors;
+  }
+}
+
+/**
+ * Build a work bot prompt around the instructions of its type
+ * @param {Object} context - { type, agent, bot, upstreamContext, dependencyContext, toolInstructions }
+ * @param {string} instructions - What the bot should do and deliver
+ * @returns {string} - Prompt
+ */
+function workBotPrompt(context, instructions) {
+  const { type, agent, bot } = context;
+  const expectedOutput = bot.expectedOutput ? `Expected output: ${bot.expectedOutput}\n` : '';
+
+  return `You are a specialized work bot of type: ${type}
+Created by: ${agent.name}
+${agent.systemPrompt ? `\nInstructions from ${agent.name}:\n${agent.systemPrompt}\n` : ''}
+Task: ${bot.description}
+${expectedOutput}${context.upstreamContext}${context.dependencyContext}
+${instructions}
+${context.toolInstructions}
+Be specific and actionable.`;
+}
+
+/**
+ * Catch artifact blocks that were started but could not be read, so the bot is retried
+ * @param {Object} result - Work bot result
+ * @returns {Array} - Validation errors
+ */
+function validateArtifactBlocks(result) {
+  if (result.output.includes('<artifact') && extractArtifacts(result.output).length === 0) {
+    return ['artifact blocks could not be read; each needs a path and a closing </artifact>'];
+  }
+  return [];
+}
+
+// Registry used unless a component is given its own
+let defaultRegistry = null;
+
+/**
+ * Get the shared bot type registry, creating it on first use. Types
+ * registered on it are available to every sub-AI
+ * @returns {BotTypeRegistry} - Shared registry
+ */
+function getBotTypes() {
+  if (!defaultRegistry) {
+    defaultRegistry = new BotTypeRegistry();
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  BotTypeRegistry,
+  DEFAULT_BOT_TYPE,
+  TASK_SCHEMA,
+  RESULT_SCHEMA,
+  getBotTypes,
+  workBotPrompt
+};
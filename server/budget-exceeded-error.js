@@ -0,0 +1,19 @@
+/**
+ * Budget Exceeded Error
+ * Thrown before a model call when the task or its user has reached a
+ * spending limit, so callers stop the work instead of falling back
+ */
+
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} exceeded - The limit that was reached ({ scope, unit, limit, used })
+   */
+  constructor(message, exceeded) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+  }
+}
+
+module.exports = BudgetExceededError;
@@ -0,0 +1,264 @@
+/**
+ * Budget Manager
+ * Spending limits in tokens or USD, set per task or per user. Budgets are
+ * checked before every model call; a task that reaches a limit is put on
+ * hold in the budget-exceeded state until the limit is raised
+ */
+
+const { TaskScheduler } = require('./task-scheduler');
+const { getEventBus } = require('./event-bus');
+const BudgetExceededError = require('./budget-exceeded-error');
+
+// Task statuses in which reaching a budget puts the task on hold
+const SUSPENDABLE_STATUSES = ['pending', 'in-progress'];
+
+class BudgetManager {
+  /**
+   * @param {Object} db - Database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.scheduler = new TaskScheduler(db);
+    this.events = getEventBus(db);
+  }
+
+  /**
+   * Set or clear the budget of a task
+   * @param {string} taskId - Task ID
+   * @param {Object} budget - { tokens, cost }; null clears a limit, omitted keeps it
+   * @returns {Object} - Updated budget status, or an error
+   */
+  setTaskBudget(taskId, budget) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const error = validateBudget(budget);
+    if (error) {
+      return { error };
+    }
+
+    const limits = mergeLimits(task, budget);
+    this.db.prepare(`
+      UPDATE tasks SET budget_tokens = ?, budget_cost = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(limits.tokens, limits.cost, task.id);
+
+    return this.getTaskBudget(taskId);
+  }
+
+  /**
+   * Set or clear the budget of a user, covering all their tasks
+   * @param {string} username - GitHub username
+   * @param {Object} budget - { tokens, cost }; null clears a limit, omitted keeps it
+   * @returns {Object} - Updated budget status, or an error
+   */
+  setUserBudget(username, budget) {
+    const user = this.db.prepare('SELECT * FROM users WHERE github_username = ?').get(username);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    const error = validateBudget(budget);
+    if (error) {
+      return { error };
+    }
+
+    const limits = mergeLimits(user, budget);
+    this.db.prepare(`
+      UPDATE users SET budget_tokens = ?, budget_cost = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(limits.tokens, limits.cost, user.id);
+
+    return this.getUserBudget(username);
+  }
+
+  /**
+   * Get the limits and spending of a task and of its user
+   * @param {string} taskId - Task ID
+   * @returns {Object} - Budget status, or an error if the task does not exist
+   */
+  getTaskBudget(taskId) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(task.user_id);
+    return {
+      taskId: task.task_id,
+      status: task.status,
+      task: this.describeBudget(task, this.getTaskSpending(task.id)),
+      user: this.describeBudget(user, this.getUserSpending(user.id))
+    };
+  }
+
+  /**
+   * Get the limits and spending of a user
+   * @param {string} username - GitHub username
+   * @returns {Object} - Budget status, or an error if the user does not exist
+   */
+  getUserBudget(username) {
+    const user = this.db.prepare('SELECT * FROM users WHERE github_username = ?').get(username);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    return {
+      user: user.github_username,
+      ...this.describeBudget(user, this.getUserSpending(user.id))
+    };
+  }
+
+  /**
+   * Find the first task or user limit a task has reached
+   * @param {number} taskId - Task record ID
+   * @returns {Object|null} - { scope, unit, limit, used }, null if the task is within budget
+   */
+  findExceeded(taskId) {
+    const task = this.db.prepare('SELECT * FROM tasks WHERE id = ?').get(taskId);
+    const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(task.user_id);
+
+    const scopes = [
+      ['task', task, () => this.getTaskSpending(task.id)],
+      ['user', user, () => this.getUserSpending(user.id)]
+    ];
+
+    for (const [scope, record, getSpending] of scopes) {
+      if (record.budget_tokens === null && record.budget_cost === null) continue;
+
+      const spending = getSpending();
+      if (record.budget_tokens !== null && spending.tokens >= record.budget_tokens) {
+        return {
+          scope, unit: 'tokens', limit: record.budget_tokens, used: spending.tokens
+        };
+      }
+      if (record.budget_cost !== null && spending.cost >= record.budget_cost) {
+        return {
+          scope, unit: 'cost', limit: record.budget_cost, used: spending.cost
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a task's budgets before a model call. A task that has reached a
+   * limit is put on hold in the budget-exceeded state with a progress update
+   * @param {number} taskId - Task record ID; calls without a task are not limited
+   * @throws {BudgetExceededError} - If the task or its user reached a limit
+   */
+  enforce(taskId) {
+    if (!taskId) return;
+
+    const exceeded = this.findExceeded(taskId);
+    if (!exceeded) return;
+
+    const message = describeExceeded(exceeded);
+    const task = this.db.prepare('SELECT status FROM tasks WHERE id = ?').get(taskId);
+
+    if (SUSPENDABLE_STATUSES.includes(task.status)) {
+      const held = this.db.transaction(() => {
+        this.db.prepare(`
+          UPDATE tasks SET status = 'budget-exceeded', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(taskId);
+        this.events.taskStatusChanged(taskId);
+        return this.scheduler.holdAssignments(taskId);
+      })();
+
+      console.warn(`💸 Task ${taskId} stopped: ${message}`);
+      this.scheduler.addProgressUpdate(taskId, 'ATLANTIS', `Task paused: ${message}. `
+        + `${held.length} assignment(s) on hold; raise the limit and resume the task to continue`);
+    }
+
+    throw new BudgetExceededError(message, exceeded);
+  }
+
+  /**
+   * Sum the tokens and cost spent on a task
+   * @param {number} taskId - Task record ID
+   * @returns {Object} - { tokens, cost }
+   */
+  getTaskSpending(taskId) {
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(input_tokens + output_tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost
+      FROM llm_usage WHERE task_id = ?
+    `).get(taskId);
+  }
+
+  /**
+   * Sum the tokens and cost spent on all tasks of a user
+   * @param {number} userId - User record ID
+   * @returns {Object} - { tokens, cost }
+   */
+  getUserSpending(userId) {
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(u.input_tokens + u.output_tokens), 0) as tokens, COALESCE(SUM(u.cost), 0) as cost
+      FROM llm_usage u JOIN tasks t ON u.task_id = t.id
+      WHERE t.user_id = ?
+    `).get(userId);
+  }
+
+  /**
+   * Describe the limits of a task or user next to its spending
+   * @param {Object} record - Task or user record with budget columns
+   * @param {Object} spending - { tokens, cost }
+   * @returns {Object} - Limit and usage per unit
+   */
+  describeBudget(record, spending) {
+    return {
+      tokens: { limit: record.budget_tokens, used: spending.tokens },
+      cost: { limit: record.budget_cost, used: Math.round(spending.cost * 1e6) / 1e6 }
+    };
+  }
+}
+
+/**
+ * Validate a budget
+ * @param {Object} budget - { tokens, cost }
+ * @returns {string|null} - Validation error, null if the budget is valid
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return 'Budget must be an object with tokens and/or cost';
+  }
+  for (const unit of ['tokens', 'cost']) {
+    const value = budget[unit];
+    if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+      return `Budget ${unit} must be a non-negative number or null`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a budget change to the current limits of a task or user
+ * @param {Object} record - Task or user record with budget columns
+ * @param {Object} budget - { tokens, cost }; null clears a limit, omitted keeps it
+ * @returns {Object} - New { tokens, cost } limits
+ */
+function mergeLimits(record, budget) {
+  return {
+    tokens: budget.tokens !== undefined ? budget.tokens : record.budget_tokens,
+    cost: budget.cost !== undefined ? budget.cost : record.budget_cost
+  };
+}
+
+/**
+ * Describe a reached limit for users
+ * @param {Object} exceeded - { scope, unit, limit, used }
+ * @returns {string} - Description
+ */
+function describeExceeded({
+  scope, unit, limit, used
+}) {
+  const amount = unit === 'cost'
+    ? `$${used.toFixed(4)} of $${limit}`
+    : `${used} of ${limit} tokens`;
+  return `${scope} budget reached (${amount} used)`;
+}
+
+module.exports = {
+  BudgetManager,
+  validateBudget
+};
@@ -0,0 +1,182 @@
+/**
+ * Channel Hub
+ * Tracks which event bus channels each WebSocket client subscribed to and
+ * delivers every published event only to the clients of its channels.
+ * Reconnecting clients can replay the events they missed, and clients that
+ * stop answering heartbeat pings are disconnected
+ */
+
+const WebSocket = require('ws');
+const { isValidChannel } = require('./event-bus');
+
+// How often clients are pinged; a client that has not answered the previous ping is dropped
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.ATLANTIS_WS_HEARTBEAT_MS || 30000, 10);
+
+class ChannelHub {
+  /**
+   * @param {EventBus} bus - Event bus whose events are delivered
+   */
+  constructor(bus) {
+    this.bus = bus;
+    // Connected clients and their state: { channels, isAlive }
+    this.clients = new Map();
+    this.heartbeat = null;
+    this.bus.on('event', event => this.deliver(event));
+  }
+
+  /**
+   * Start tracking a connected client; it receives nothing until it subscribes
+   * @param {WebSocket} ws - Client socket
+   */
+  addClient(ws) {
+    const client = { channels: new Set(), isAlive: true };
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+    this.clients.set(ws, client);
+  }
+
+  /**
+   * Stop tracking a disconnected client
+   * @param {WebSocket} ws - Client socket
+   */
+  removeClient(ws) {
+    const client = this.clients.get(ws);
+    if (!client) {
+      return;
+    }
+    for (const channel of client.channels) {
+      this.bus.unsubscribe(channel);
+    }
+    this.clients.delete(ws);
+  }
+
+  /**
+   * Handle a message from a client
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} data - Parsed message
+   */
+  handleMessage(ws, data) {
+    switch (data.type) {
+      case 'subscribe':
+      case 'unsubscribe': {
+        const channels = Array.isArray(data.channels) ? data.channels : [];
+        const invalid = channels.filter(channel => !isValidChannel(channel));
+        if (invalid.length > 0) {
+          this.send(ws, { type: 'error', message: `Invalid channel(s): ${invalid.join(', ')}` });
+          return;
+        }
+        const client = this.clients.get(ws);
+        for (const channel of channels) {
+          if (data.type === 'subscribe' && !client.channels.has(channel)) {
+            client.channels.add(channel);
+            this.bus.subscribe(channel);
+          } else if (data.type === 'unsubscribe' && client.channels.delete(channel)) {
+            this.bus.unsubscribe(channel);
+          }
+        }
+        this.send(ws, { type: 'subscribed', channels: [...client.channels] });
+        break;
+      }
+      // Shorthand kept for clients that follow a single task
+      case 'subscribe-task':
+        this.handleMessage(ws, { type: 'subscribe', channels: [`task:${data.taskId}`] });
+        break;
+      case 'resume-from':
+        this.resume(ws, data);
+        break;
+      default:
+        this.send(ws, { type: 'error', message: `Unknown message type: ${data.type}` });
+    }
+  }
+
+  /**
+   * Replay the events a reconnecting client missed on its channels, then
+   * report where the replay ended; live events follow from there
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} data - { lastSeq, channels }; channels are subscribed before replaying
+   */
+  resume(ws, data) {
+    if (!Number.isInteger(data.lastSeq) || data.lastSeq < 0) {
+      this.send(ws, { type: 'error', message: 'lastSeq must be a non-negative integer' });
+      return;
+    }
+    if (data.channels) {
+      this.handleMessage(ws, { type: 'subscribe', channels: data.channels });
+    }
+
+    const { channels } = this.clients.get(ws);
+    const { oldest, latest } = this.bus.getSeqRange();
+    const missed = this.bus.getEventsSince(data.lastSeq)
+      .filter(event => event.channels.some(channel => channels.has(channel)));
+    for (const event of missed) {
+      this.send(ws, event);
+    }
+
+    this.send(ws, {
+      type: 'replay-complete',
+      lastSeq: latest,
+      replayed: missed.length,
+      // Events after lastSeq were pruned, or lastSeq is from another database
+      truncated: oldest > data.lastSeq + 1 || data.lastSeq > latest
+    });
+  }
+
+  /**
+   * Drop clients that did not answer the previous ping and ping the others
+   */
+  checkHeartbeats() {
+    for (const [ws, client] of this.clients) {
+      if (!client.isAlive) {
+        this.removeClient(ws);
+        ws.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Ping clients periodically
+   * @param {number} intervalMs - Time between pings
+   */
+  startHeartbeat(intervalMs = HEARTBEAT_INTERVAL_MS) {
+    this.stopHeartbeat();
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), intervalMs);
+  }
+
+  /**
+   * Stop pinging clients
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Send an event to every client subscribed to one of its channels
+   * @param {Object} event - Published event
+   */
+  deliver(event) {
+    const message = JSON.stringify(event);
+    for (const [ws, { channels }] of this.clients) {
+      if (event.channels.some(channel => channels.has(channel))) {
+        this.send(ws, message);
+      }
+    }
+  }
+
+  /**
+   * Send a message to a client if its socket is open
+   * @param {WebSocket} ws - Client socket
+   * @param {Object|string} message - Message, or an already serialized message
+   */
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = ChannelHub;
@@ -0,0 +1,374 @@
+/**
+ * Code Sandbox
+ * Runs generated JavaScript and Python, scripts or test files, in a child
+ * process started in a temporary directory. The process gets CPU time, data
+ * size and file size limits and a wall-clock timeout, and has no network, as
+ * it runs in its own network namespace. JavaScript runs under the Node.js
+ * permission model, which keeps file access to the directory and refuses to
+ * start other processes. Python runs under an audit hook that refuses the
+ * same, but can be bypassed, so Python code is only held back by the
+ * namespace and the limits. Running code is opt-in, and the sandbox stays
+ * disabled where the namespace or the permission model is not available
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Guard and test runner copied into every sandbox directory, which is all sandboxed code may read
+const GUARD_DIR = path.join(__dirname, 'sandbox');
+
+// Flags that turn on the Node.js permission model, stable name first
+const PERMISSION_FLAGS = ['--permission', '--experimental-permission'];
+
+// Default limits, overridden by ATLANTIS_SANDBOX_* settings
+const DEFAULT_LIMITS = {
+  timeoutMs: parseInt(process.env.ATLANTIS_SANDBOX_TIMEOUT_MS || 20000, 10),
+  cpuSeconds: parseInt(process.env.ATLANTIS_SANDBOX_CPU_SECONDS || 10, 10),
+  memoryMb: parseInt(process.env.ATLANTIS_SANDBOX_MEMORY_MB || 512, 10),
+  maxFileMb: parseInt(process.env.ATLANTIS_SANDBOX_MAX_FILE_MB || 16, 10)
+};
+
+// Characters of stdout and stderr kept per run
+const MAX_OUTPUT_CHARS = 20000;
+
+// Script runs per sandbox call when there are no test files
+const MAX_SCRIPTS = 5;
+
+// How files of each language are recognized and run
+const RUNTIMES = {
+  javascript: {
+    pattern: /\.[cm]?js$/,
+    testPattern: /(^|\/)(test|tests|__tests__)\/.*\.[cm]?js$|\.(test|spec)\.[cm]?js$/
+  },
+  python: {
+    pattern: /\.py$/,
+    testPattern: /(^|\/)test_[^/]*\.py$|_test\.py$/
+  }
+};
+
+// Whether unshare can give a child its own network namespace, probed on first use
+let namespaceSupport = null;
+
+// Permission model flag this Node.js accepts, or false if it has none; probed on first use
+let permissionFlag = null;
+
+// Whether the reason the sandbox cannot run was logged, as every agent creates a sandbox
+let warned = false;
+
+class CodeSandbox {
+  /**
+   * @param {Object} options - Sandbox options
+   * @param {boolean} options.enabled - Whether code is run at all (ATLANTIS_SANDBOX_ENABLED, off by default)
+   * @param {Object} options.limits - { timeoutMs, cpuSeconds, memoryMb, maxFileMb }
+   * @param {string} options.python - Python interpreter (ATLANTIS_SANDBOX_PYTHON)
+   */
+  constructor(options = {}) {
+    const requested = options.enabled !== undefined
+      ? options.enabled
+      : process.env.ATLANTIS_SANDBOX_ENABLED === 'true';
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.python = options.python || process.env.ATLANTIS_SANDBOX_PYTHON || 'python3';
+    this.permissionFlag = null;
+    this.enabled = false;
+
+    if (!requested) return;
+    if (!supportsNetworkNamespaces()) {
+      warnDisabled('unshare cannot create a network namespace on this host');
+      return;
+    }
+    this.permissionFlag = detectPermissionFlag();
+    if (!this.permissionFlag) {
+      warnDisabled(`Node.js ${process.version} has no permission model`);
+      return;
+    }
+    this.enabled = true;
+  }
+
+  /**
+   * Run the test files among some paths, or run the paths as scripts if none of them are tests
+   * @param {Array} files - Files as { path, content } that make up the directory; paths are relative
+   * @param {Array} paths - Paths of the files to run
+   * @returns {Promise<Array>} - Run results
+   */
+  async runFiles(files, paths) {
+    const runs = [];
+    for (const [language, runtime] of Object.entries(RUNTIMES)) {
+      const tests = paths.filter(p => runtime.testPattern.test(p));
+      if (tests.length > 0) {
+        runs.push({ language, mode: 'test', entries: tests });
+      }
+    }
+    if (runs.length === 0) {
+      for (const script of paths.slice(0, MAX_SCRIPTS)) {
+        const language = languageOf(script);
+        if (language) runs.push({ language, mode: 'script', entries: [script] });
+      }
+    }
+
+    const results = [];
+    for (const run of runs) {
+      results.push(await this.run({ ...run, files }));
+    }
+    return results;
+  }
+
+  /**
+   * Run files in a fresh sandbox directory
+   * @param {Object} request - Run request
+   * @param {string} request.language - 'javascript' or 'python'
+   * @param {string} request.mode - 'test' to run test files, 'script' to run one script
+   * @param {Array} request.files - Files as { path, content } written to the directory
+   * @param {Array} request.entries - Paths of the test files or of the script
+   * @returns {Promise<Object>} - { language, mode, entries, command, exitCode, signal,
+   *   timedOut, durationMs, stdout, stderr, tests }
+   */
+  async run({ language, mode, files, entries }) {
+    // Resolved, since the permission model compares real paths
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'atlantis-sandbox-')));
+    try {
+      writeFiles(dir, files);
+      const {
+        command, args, env, label
+      } = this.buildCommand(dir, language, mode, entries);
+      const outcome = await this.execute(dir, command, args, env);
+      const output = `${outcome.stdout}\n${outcome.stderr}`;
+
+      return {
+        language,
+        mode,
+        entries,
+        command: label,
+        ...outcome,
+        tests: mode === 'test' ? parseTestReport(language, output) : null
+      };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Build the command line of a run
+   * @param {string} dir - Sandbox directory
+   * @param {string} language - 'javascript' or 'python'
+   * @param {string} mode - 'test' or 'script'
+   * @param {Array} entries - Test files or script
+   * @returns {Object} - { command, args, env, label }; label is the command as reported, without the sandbox setup
+   */
+  buildCommand(dir, language, mode, entries) {
+    const env = {
+      PATH: process.env.PATH,
+      HOME: dir,
+      TMPDIR: dir,
+      LANG: 'C.UTF-8'
+    };
+
+    fs.mkdirSync(path.join(dir, '.sandbox'));
+    if (language === 'python') {
+      fs.copyFileSync(path.join(GUARD_DIR, 'guard.py'), path.join(dir, '.sandbox', 'guard.py'));
+      const args = mode === 'test' ? ['-m', 'unittest', '-v', ...entries] : entries;
+      return {
+        command: this.python,
+        args: ['-I', '-B', '.sandbox/guard.py', ...args],
+        env,
+        label: [path.basename(this.python), ...args].join(' ')
+      };
+    }
+
+    // Child processes stay refused, so test files are loaded into this one
+    // process instead of being started by the node --test runner
+    const options = [
+      this.permissionFlag,
+      `--allow-fs-read=${dir}`,
+      `--allow-fs-write=${dir}`,
+      `--max-old-space-size=${this.limits.memoryMb}`,
+      '--no-warnings'
+    ];
+    if (mode === 'script') {
+      return {
+        command: process.execPath, args: [...options, ...entries], env, label: ['node', ...entries].join(' ')
+      };
+    }
+
+    fs.copyFileSync(path.join(GUARD_DIR, 'run-tests.js'), path.join(dir, '.sandbox', 'run-tests.js'));
+    return {
+      command: process.execPath,
+      args: [...options, '--test-reporter=tap', '.sandbox/run-tests.js', ...entries],
+      env,
+      label: ['node', '--test-reporter=tap', ...entries].join(' ')
+    };
+  }
+
+  /**
+   * Start a command under the sandbox limits and collect its output
+   * @param {string} dir - Working directory
+   * @param {string} command - Executable
+   * @param {Array} args - Arguments
+   * @param {Object} env - Environment; nothing of the server's environment is passed on
+   * @returns {Promise<Object>} - { exitCode, signal, timedOut, durationMs, stdout, stderr }
+   */
+  execute(dir, command, args, env) {
+    const { cpuSeconds, memoryMb, maxFileMb, timeoutMs } = this.limits;
+    // File sizes are counted in 512-byte blocks
+    const limits = `ulimit -t ${cpuSeconds}; ulimit -d ${memoryMb * 1024}; ulimit -f ${maxFileMb * 2048}`;
+    const shellArgs = ['-rn', '/bin/sh', '-c', `${limits}; exec "$@"`, 'sandbox', command, ...args];
+
+    return new Promise((resolve) => {
+      const started = Date.now();
+      const stdout = [];
+      const stderr = [];
+      let timedOut = false;
+
+      // A process group of its own, so the timeout also stops whatever the code started
+      const child = spawn('unshare', shellArgs, { cwd: dir, env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // The process group already exited
+        }
+      }, timeoutMs);
+
+      const finish = (exitCode, signal, error) => {
+        clearTimeout(timer);
+        resolve({
+          exitCode,
+          signal,
+          timedOut,
+          durationMs: Date.now() - started,
+          stdout: truncate(Buffer.concat(stdout).toString('utf8')),
+          stderr: truncate(Buffer.concat(stderr).toString('utf8') + (error ? error.message : ''))
+        });
+      };
+      child.on('error', error => finish(null, null, error));
+      child.on('close', (exitCode, signal) => finish(exitCode, signal));
+    });
+  }
+}
+
+/**
+ * Check once whether unshare can create a network namespace without privileges
+ * @returns {boolean} - Whether network namespaces are available
+ */
+function supportsNetworkNamespaces() {
+  if (namespaceSupport === null) {
+    const probe = spawnSync('unshare', ['-rn', 'true'], { stdio: 'ignore', timeout: 5000 });
+    namespaceSupport = probe.status === 0;
+  }
+  return namespaceSupport;
+}
+
+/**
+ * Find the flag that turns on the permission model of this Node.js, checked once
+ * @returns {string|false} - --permission or --experimental-permission, false if neither is accepted
+ */
+function detectPermissionFlag() {
+  if (permissionFlag === null) {
+    permissionFlag = PERMISSION_FLAGS.find(flag => spawnSync(process.execPath, [flag, '-e', ''], {
+      stdio: 'ignore', timeout: 5000
+    }).status === 0) || false;
+  }
+  return permissionFlag;
+}
+
+/**
+ * Log once why a sandbox that was turned on stays disabled
+ * @param {string} reason - Missing isolation
+ */
+function warnDisabled(reason) {
+  if (warned) return;
+  warned = true;
+  console.warn(`⚠️  Code sandbox disabled: ${reason}. Testing bots only store their tests`);
+}
+
+/**
+ * Write files into the sandbox directory; paths that would leave it are skipped
+ * @param {string} dir - Sandbox directory
+ * @param {Array} files - Files as { path, content }
+ */
+function writeFiles(dir, files) {
+  for (const file of files) {
+    const target = path.resolve(dir, file.path);
+    if (!target.startsWith(dir + path.sep) || file.path.startsWith('.sandbox')) {
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content);
+  }
+}
+
+/**
+ * Get the language a file is run with
+ * @param {string} filePath - File path
+ * @returns {string|null} - Language, null if files like it are not run
+ */
+function languageOf(filePath) {
+  const entry = Object.entries(RUNTIMES).find(([, runtime]) => runtime.pattern.test(filePath));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Count the tests in the report of a test run
+ * @param {string} language - 'javascript' (TAP from node --test) or 'python' (unittest)
+ * @param {string} output - Combined stdout and stderr
+ * @returns {Object|null} - { total, passed, failed, skipped }, null if no report was found
+ */
+function parseTestReport(language, output) {
+  if (language === 'javascript') {
+    const count = name => parseInt((output.match(new RegExp(`^# ${name} (\\d+)$`, 'm')) || [])[1] || 0, 10);
+    if (!/^# tests \d+$/m.test(output)) return null;
+    return { total: count('tests'), passed: count('pass'), failed: count('fail'), skipped: count('skipped') };
+  }
+
+  const ran = output.match(/^Ran (\d+) tests? in/m);
+  if (!ran) return null;
+  const summary = (output.match(/^(?:OK|FAILED)(?: \((.*)\))?$/m) || [])[1] || '';
+  const count = name => parseInt((summary.match(new RegExp(`${name}=(\\d+)`)) || [])[1] || 0, 10);
+  const total = parseInt(ran[1], 10);
+  const failed = count('failures') + count('errors');
+  const skipped = count('skipped');
+  return { total, passed: total - failed - skipped, failed, skipped };
+}
+
+/**
+ * Summarize sandbox runs for a work bot output
+ * @param {Array} runs - Run results
+ * @returns {string} - Markdown summary with the output of failed runs
+ */
+function formatRuns(runs) {
+  if (runs.length === 0) {
+    return '## Sandbox Execution\n\nNo JavaScript or Python files to run.';
+  }
+
+  const sections = runs.map((run) => {
+    let outcome = run.timedOut ? 'timed out' : `exit code ${run.exitCode}`;
+    if (run.tests) {
+      outcome += `, ${run.tests.passed}/${run.tests.total} tests passed`
+        + `${run.tests.failed ? `, ${run.tests.failed} failed` : ''}`;
+    }
+    const succeeded = run.exitCode === 0 && !run.timedOut;
+    const log = `${run.stdout}\n${run.stderr}`.trim().slice(-2000);
+    return `- \`${run.command}\`: ${outcome}${succeeded || !log ? '' : `\n\n\`\`\`\n${log}\n\`\`\``}`;
+  });
+  return `## Sandbox Execution\n\n${sections.join('\n')}`;
+}
+
+/**
+ * Cap captured output
+ * @param {string} text - Output
+ * @returns {string} - Output, truncated to MAX_OUTPUT_CHARS
+ */
+function truncate(text) {
+  return text.length > MAX_OUTPUT_CHARS ? `${text.slice(0, MAX_OUTPUT_CHARS)}\n[output truncated]` : text;
+}
+
+module.exports = {
+  CodeSandbox,
+  formatRuns,
+  parseTestReport
+};
@@ -0,0 +1,146 @@
+/**
+ * Conversation Memory
+ * Keeps one chat thread per task in the conversations table. Every message is
+ * stored so the chat can be restored, while only the latest messages are
+ * replayed to the model; older ones are folded into a running summary
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Messages replayed verbatim; once more have accumulated, the older half is summarized
+const HISTORY_LIMIT = parseInt(process.env.ATLANTIS_CONVERSATION_HISTORY || 20, 10);
+
+// AI system that owns the task threads
+const AI_SYSTEM = 'atlantis';
+
+class ConversationMemory {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Memory options
+   * @param {number} options.historyLimit - Messages replayed verbatim (ATLANTIS_CONVERSATION_HISTORY)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.historyLimit = options.historyLimit || HISTORY_LIMIT;
+  }
+
+  /**
+   * Get the chat thread of a task
+   * @param {number} taskId - Task record ID
+   * @returns {Object|null} - { id, conversationId, messages, summary, summarizedCount }
+   */
+  getThread(taskId) {
+    const row = this.db.prepare(`
+      SELECT * FROM conversations WHERE task_id = ? AND ai_system = ?
+    `).get(taskId, AI_SYSTEM);
+    if (!row) return null;
+
+    const metadata = JSON.parse(row.metadata || '{}');
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      messages: JSON.parse(row.messages),
+      summary: metadata.summary || null,
+      summarizedCount: metadata.summarizedCount || 0
+    };
+  }
+
+  /**
+   * Get what the model is shown of a thread
+   * @param {number} taskId - Task record ID
+   * @returns {Object} - { summary, history }; history holds role and content only
+   */
+  getContext(taskId) {
+    const thread = this.getThread(taskId);
+    if (!thread) return { summary: null, history: [] };
+
+    return {
+      summary: thread.summary,
+      history: thread.messages.slice(thread.summarizedCount).map(({ role, content }) => ({ role, content }))
+    };
+  }
+
+  /**
+   * Get the messages that should be folded into the summary before the next turn
+   * @param {number} taskId - Task record ID
+   * @returns {Object|null} - { summary, messages, summarizedCount } or null if the history still fits
+   */
+  getOverflow(taskId) {
+    const thread = this.getThread(taskId);
+    if (!thread || thread.messages.length - thread.summarizedCount <= this.historyLimit) {
+      return null;
+    }
+
+    // Keep whole exchanges, so the replayed history still starts with a user message
+    const keep = Math.floor(this.historyLimit / 4) * 2;
+    const summarizedCount = thread.messages.length - keep;
+    return {
+      summary: thread.summary,
+      messages: thread.messages.slice(thread.summarizedCount, summarizedCount),
+      summarizedCount
+    };
+  }
+
+  /**
+   * Store an exchange between the user and ATLANTIS, starting the thread on the first one
+   * @param {Object} task - Task record with id and user_id
+   * @param {string} userMessage - Message of the user
+   * @param {string} reply - Reply of ATLANTIS
+   * @returns {string} - Conversation ID
+   */
+  addExchange(task, userMessage, reply) {
+    const timestamp = new Date().toISOString();
+    const exchange = [
+      { role: 'user', content: userMessage, timestamp },
+      { role: 'assistant', content: reply, timestamp }
+    ];
+
+    const thread = this.getThread(task.id);
+    if (!thread) {
+      const conversationId = `conv-${uuidv4()}`;
+      this.db.prepare(`
+        INSERT INTO conversations (conversation_id, user_id, task_id, ai_system, messages, metadata)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(conversationId, task.user_id, task.id, AI_SYSTEM, JSON.stringify(exchange), JSON.stringify({}));
+      return conversationId;
+    }
+
+    this.db.prepare('UPDATE conversations SET messages = ? WHERE id = ?')
+      .run(JSON.stringify([...thread.messages, ...exchange]), thread.id);
+    return thread.conversationId;
+  }
+
+  /**
+   * Replace the summary of a thread
+   * @param {number} taskId - Task record ID
+   * @param {string} summary - Summary of every message before summarizedCount
+   * @param {number} summarizedCount - Number of messages the summary covers
+   */
+  saveSummary(taskId, summary, summarizedCount) {
+    this.db.prepare(`
+      UPDATE conversations SET metadata = ? WHERE task_id = ? AND ai_system = ?
+    `).run(JSON.stringify({ summary, summarizedCount }), taskId, AI_SYSTEM);
+  }
+
+  /**
+   * Get the full thread of a task for display
+   * @param {string} taskId - Task ID
+   * @returns {Object} - { taskId, conversationId, summary, messages } or error
+   */
+  getConversation(taskId) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const thread = this.getThread(task.id);
+    return {
+      taskId,
+      conversationId: thread ? thread.conversationId : null,
+      summary: thread ? thread.summary : null,
+      messages: thread ? thread.messages : []
+    };
+  }
+}
+
+module.exports = ConversationMemory;
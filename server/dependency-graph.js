@@ -0,0 +1,68 @@
+/**
+ * Dependency Graph Utilities
+ * Validates and orders items (work packages, work bot tasks) that declare
+ * dependencies on each other
+ */
+
+/**
+ * Topologically sort items so that every item comes after its dependencies
+ * @param {Array} items - Items to order
+ * @param {Function} getId - Returns the identifier of an item
+ * @param {Function} getDependencies - Returns the identifiers an item depends on
+ * @returns {Array} - Items in dependency order
+ * @throws {Error} - If identifiers are duplicated, unknown or form a cycle
+ */
+function topologicalSort(items, getId, getDependencies) {
+  const byId = new Map();
+
+  for (const item of items) {
+    const id = getId(item);
+    if (byId.has(id)) {
+      throw new Error(`Duplicate identifier in dependency graph: ${id}`);
+    }
+    byId.set(id, item);
+  }
+
+  for (const item of items) {
+    for (const dependency of getDependencies(item)) {
+      if (!byId.has(dependency)) {
+        throw new Error(`${getId(item)} depends on unknown item ${dependency}`);
+      }
+    }
+  }
+
+  const ordered = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const path = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return;
+
+    if (state.get(id) === 'visiting') {
+      const cycle = path.slice(path.indexOf(id)).concat(id);
+      throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+    }
+
+    state.set(id, 'visiting');
+    path.push(id);
+
+    const item = byId.get(id);
+    for (const dependency of getDependencies(item)) {
+      visit(dependency);
+    }
+
+    path.pop();
+    state.set(id, 'done');
+    ordered.push(item);
+  };
+
+  for (const item of items) {
+    visit(getId(item));
+  }
+
+  return ordered;
+}
+
+module.exports = {
+  topologicalSort
+};
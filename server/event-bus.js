@@ -0,0 +1,306 @@
+/**
+ * Event Bus
+ * Publishes typed events about tasks, assignments, work bots and progress on
+ * channels that WebSocket clients subscribe to: one channel per task, user
+ * and agent, plus the system channel. Each database connection has a single
+ * bus, so every component that changes state publishes to the same listeners.
+ * Events are numbered and stored so that reconnecting clients can replay
+ * what they missed, except streamed output, which is only sent live
+ */
+
+const EventEmitter = require('events');
+
+// Channel names: task:<taskId>, user:<githubUsername>, agent:<agentId> or system
+const CHANNEL_PATTERN = /^((task|user|agent):[\w.@-]+|system)$/;
+
+// How many of the latest events are kept for replay
+const EVENT_RETENTION = parseInt(process.env.ATLANTIS_EVENT_RETENTION || 10000, 10);
+
+// Events older than the retention window are deleted once per this many events
+const PRUNE_INTERVAL = 100;
+
+// One bus per database connection
+const buses = new WeakMap();
+
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Bus options
+   * @param {number} options.retention - Events kept for replay (ATLANTIS_EVENT_RETENTION)
+   */
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.retention = options.retention || EVENT_RETENTION;
+    // Number of clients subscribed to each channel
+    this.subscriptions = new Map();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Store an event, number it and publish it to its channels
+   * @param {string} type - Event type
+   * @param {Array} channels - Channels the event is delivered on
+   * @param {Object} data - Event payload
+   * @param {number} progressUpdateId - Progress update the payload is read from on replay
+   * @returns {Object} - Published event with its sequence number
+   */
+  publish(type, channels, data, progressUpdateId = null) {
+    const timestamp = new Date().toISOString();
+    // Progress updates are already stored, so only the task is kept with the event
+    const payload = progressUpdateId ? { timestamp, taskId: data.taskId } : { timestamp, ...data };
+
+    const result = this.db.prepare(`
+      INSERT INTO events (type, channels, payload, progress_update_id) VALUES (?, ?, ?, ?)
+    `).run(type, JSON.stringify(channels), JSON.stringify(payload), progressUpdateId);
+    const seq = Number(result.lastInsertRowid);
+
+    if (seq % PRUNE_INTERVAL === 0) {
+      this.db.prepare('DELETE FROM events WHERE id <= ?').run(seq - this.retention);
+    }
+
+    const event = {
+      seq,
+      type,
+      channels,
+      timestamp,
+      ...data
+    };
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Get the stored events published after a sequence number
+   * @param {number} seq - Last sequence number the caller has seen
+   * @returns {Array} - Events in publication order
+   */
+  getEventsSince(seq) {
+    const rows = this.db.prepare(`
+      SELECT e.*, p.update_id, p.source_type, p.source_id, p.message, p.progress_percentage
+      FROM events e
+      LEFT JOIN progress_updates p ON e.progress_update_id = p.id
+      WHERE e.id > ?
+      ORDER BY e.id
+    `).all(seq);
+
+    return rows.map(row => ({
+      seq: row.id,
+      type: row.type,
+      channels: JSON.parse(row.channels),
+      ...JSON.parse(row.payload),
+      ...(row.progress_update_id && {
+        updateId: row.update_id,
+        sourceType: row.source_type,
+        sourceId: row.source_id,
+        message: row.message,
+        progress: row.progress_percentage
+      })
+    }));
+  }
+
+  /**
+   * Get the range of sequence numbers that can still be replayed
+   * @returns {Object} - { oldest, latest }; both 0 before the first event
+   */
+  getSeqRange() {
+    const range = this.db.prepare('SELECT MIN(id) as oldest, MAX(id) as latest FROM events').get();
+    return { oldest: range.oldest || 0, latest: range.latest || 0 };
+  }
+
+  /**
+   * Record that a client subscribed to a channel
+   * @param {string} channel - Channel name
+   */
+  subscribe(channel) {
+    this.subscriptions.set(channel, (this.subscriptions.get(channel) || 0) + 1);
+  }
+
+  /**
+   * Record that a client unsubscribed from a channel or disconnected
+   * @param {string} channel - Channel name
+   */
+  unsubscribe(channel) {
+    const count = (this.subscriptions.get(channel) || 0) - 1;
+    if (count > 0) {
+      this.subscriptions.set(channel, count);
+    } else {
+      this.subscriptions.delete(channel);
+    }
+  }
+
+  /**
+   * Check whether any client receives the events of a channel, so expensive ones can be skipped
+   * @param {string} channel - Channel name
+   * @returns {boolean} - Whether a client is subscribed to the channel
+   */
+  hasSubscribers(channel) {
+    return this.subscriptions.has(channel);
+  }
+
+  /**
+   * Publish the creation of a task
+   * @param {number} taskId - Task record ID
+   */
+  taskCreated(taskId) {
+    const task = this.getTask(taskId);
+    this.publish('task-created', [...taskChannels(task), 'system'], {
+      taskId: task.task_id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      userId: task.github_username
+    });
+  }
+
+  /**
+   * Publish the current status of a task after it changed
+   * @param {number} taskId - Task record ID
+   */
+  taskStatusChanged(taskId) {
+    const task = this.getTask(taskId);
+    this.publish('task-status-changed', [...taskChannels(task), 'system'], {
+      taskId: task.task_id,
+      status: task.status
+    });
+  }
+
+  /**
+   * Publish the current status of assignments after they changed
+   * @param {...number} assignmentIds - Assignment record IDs
+   */
+  assignmentStatusChanged(...assignmentIds) {
+    const lookup = this.db.prepare(`
+      SELECT ta.assignment_id, ta.work_package_name, ta.status, sa.agent_id, t.task_id, u.github_username
+      FROM task_assignments ta
+      JOIN sub_ai_agents sa ON ta.agent_id = sa.id
+      JOIN tasks t ON ta.task_id = t.id
+      JOIN users u ON t.user_id = u.id
+      WHERE ta.id = ?
+    `);
+
+    for (const id of assignmentIds) {
+      const assignment = lookup.get(id);
+      this.publish('assignment-status-changed', [...taskChannels(assignment), `agent:${assignment.agent_id}`], {
+        taskId: assignment.task_id,
+        assignmentId: assignment.assignment_id,
+        workPackage: assignment.work_package_name,
+        agentId: assignment.agent_id,
+        status: assignment.status
+      });
+    }
+  }
+
+  /**
+   * Publish the current status of work bots after they changed
+   * @param {...string} botIds - Work bot IDs
+   */
+  botStatusChanged(...botIds) {
+    const lookup = this.db.prepare(`
+      SELECT wb.bot_id, wb.bot_type, wb.status, wb.attempts, ta.assignment_id, sa.agent_id,
+             t.task_id, u.github_username
+      FROM work_bots wb
+      JOIN task_assignments ta ON wb.assignment_id = ta.id
+      JOIN sub_ai_agents sa ON wb.agent_id = sa.id
+      JOIN tasks t ON ta.task_id = t.id
+      JOIN users u ON t.user_id = u.id
+      WHERE wb.bot_id = ?
+    `);
+
+    for (const botId of botIds) {
+      const bot = lookup.get(botId);
+      this.publish('bot-status-changed', [...taskChannels(bot), `agent:${bot.agent_id}`], {
+        taskId: bot.task_id,
+        assignmentId: bot.assignment_id,
+        agentId: bot.agent_id,
+        botId: bot.bot_id,
+        botType: bot.bot_type,
+        status: bot.status,
+        attempts: bot.attempts
+      });
+    }
+  }
+
+  /**
+   * Publish a progress update that was added to a task
+   * @param {number} taskId - Task record ID
+   * @param {Object} update - { updateId, sourceType, sourceId, message, progress }
+   */
+  progressUpdate(taskId, update) {
+    const task = this.getTask(taskId);
+    const record = this.db.prepare('SELECT id FROM progress_updates WHERE update_id = ?').get(update.updateId);
+    this.publish('progress-update', taskChannels(task), {
+      taskId: task.task_id,
+      updateId: update.updateId,
+      sourceType: update.sourceType,
+      sourceId: update.sourceId,
+      message: update.message,
+      progress: update.progress === undefined ? null : update.progress
+    }, record.id);
+  }
+
+  /**
+   * Publish a piece of streamed model output; only the task's subscribers
+   * receive it, as it is too frequent for the user and agent channels.
+   * Deltas are neither numbered nor stored, so they cannot push other events
+   * out of the replay window; a client that missed some reads the saved result
+   * @param {string} taskId - Task ID
+   * @param {Object} delta - { source, agentId, botId, offset, delta }
+   */
+  outputDelta(taskId, delta) {
+    this.emit('event', {
+      type: 'bot-output-delta',
+      channels: [`task:${taskId}`],
+      timestamp: new Date().toISOString(),
+      taskId,
+      ...delta
+    });
+  }
+
+  /**
+   * Get a task with the username of its owner
+   * @param {number} taskId - Task record ID
+   * @returns {Object} - Task record with github_username
+   */
+  getTask(taskId) {
+    return this.db.prepare(`
+      SELECT t.*, u.github_username FROM tasks t JOIN users u ON t.user_id = u.id WHERE t.id = ?
+    `).get(taskId);
+  }
+}
+
+/**
+ * Get the event bus of a database connection, creating it on first use
+ * @param {Object} db - Database instance
+ * @returns {EventBus} - Event bus shared by every component using the connection
+ */
+function getEventBus(db) {
+  if (!buses.has(db)) {
+    buses.set(db, new EventBus(db));
+  }
+  return buses.get(db);
+}
+
+/**
+ * Channels of everything that happens within a task
+ * @param {Object} record - Row with task_id and github_username
+ * @returns {Array} - Task and user channels
+ */
+function taskChannels(record) {
+  return [`task:${record.task_id}`, `user:${record.github_username}`];
+}
+
+/**
+ * Check whether a channel name is valid
+ * @param {string} channel - Channel name
+ * @returns {boolean} - Whether clients may subscribe to the channel
+ */
+function isValidChannel(channel) {
+  return typeof channel === 'string' && CHANNEL_PATTERN.test(channel);
+}
+
+module.exports = {
+  EventBus,
+  getEventBus,
+  isValidChannel
+};
@@ -16,9 +16,22 @@ const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const fs = require('fs');
 
-const { initializeDatabase, seedSubAIAgents } = require('../scripts/init-database');
+const { initializeDatabase } = require('../scripts/init-database');
 const AtlantisAI = require('./atlantis-ai');
 const { SubAIManager } = require('./sub-ai-agents');
+const { getOutputStats } = require('./structured-output');
+const { LLMRouter } = require('./llm-providers');
+const PerformanceTracker = require('./performance-tracker');
+const UsageTracker = require('./usage-tracker');
+const { BudgetManager, validateBudget } = require('./budget-manager');
+const { getEventBus } = require('./event-bus');
+const ChannelHub = require('./channel-hub');
+const { renderMarkdown } = require('./task-reports');
+const { ArtifactStore } = require('./artifact-store');
+const TaskWorkspace = require('./task-workspace');
+const AgentRegistry = require('./agent-registry');
+const { AgentManifestSync } = require('./agent-manifests');
+const { getBotTypes } = require('./bot-types');
 const GitHubWebhookHandler = require('./github-webhook-handler');
 const GitHubProjectsIntegration = require('./github-projects-integration');
 
@@ -33,7 +46,11 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 
 // Initialize database
 const db = initializeDatabase(process.env.DATABASE_PATH);
-seedSubAIAgents(db);
+
+// Agents are defined by the manifests in ATLANTIS_AGENT_DIR; edits are applied while running
+const agentManifests = new AgentManifestSync(db);
+agentManifests.reconcile();
+agentManifests.watch();
 
 // Initialize AI clients
 const aiClients = {
@@ -59,9 +76,25 @@ if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_ap
   console.log('✅ OpenAI client initialized');
 }
 
+// One provider router, so a provider that is down is avoided by every stage
+const llm = new LLMRouter(aiClients);
+if (llm.mode !== 'live') {
+  console.log(`🧪 LLM providers running in ${llm.mode} mode`);
+}
+
 // Initialize ATLANTIS and Sub-AI Manager
-const atlantis = new AtlantisAI(db, aiClients);
-const subAIManager = new SubAIManager(db, aiClients);
+const atlantis = new AtlantisAI(db, aiClients, { llm });
+// ATLANTIS finalizes a task once its last assignment has finished
+const subAIManager = new SubAIManager(db, aiClients, {
+  llm,
+  onAssignmentFinished: (taskId, details) => atlantis.monitorProgress(taskId, details)
+});
+const performanceTracker = new PerformanceTracker(db);
+const usageTracker = new UsageTracker(db);
+const budgetManager = new BudgetManager(db);
+const artifactStore = new ArtifactStore(db);
+const taskWorkspace = new TaskWorkspace(db);
+const agentRegistry = new AgentRegistry(db);
 
 // Initialize GitHub integrations
 const webhookHandler = new GitHubWebhookHandler(
@@ -147,22 +180,31 @@ app.get('/api/health', (req, res) => {
     version: '1.0.0',
     atlantis: 'online',
     subAIs: subAIManager.agents.size,
+    jobs: subAIManager.jobQueue.getStats(),
     aiClients: {
       claude: !!aiClients.claude,
       openai: !!aiClients.openai
-    }
+    },
+    llm: llm.getStatus()
   });
 });
 
 // Create new task
 app.post('/api/tasks', async (req, res) => {
   try {
-    const { userId, title, description, timeline, desiredOutcomes, availableResources, priority } = req.body;
+    const {
+      userId, title, description, timeline, desiredOutcomes, availableResources, priority, requireApproval, budget
+    } = req.body;
 
     if (!userId || !title) {
       return res.status(400).json({ error: 'userId and title are required' });
     }
 
+    const budgetError = budget !== undefined && validateBudget(budget);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
     // Get or create user
     let user = db.prepare('SELECT * FROM users WHERE github_username = ?').get(userId);
     if (!user) {
@@ -178,13 +220,9 @@ app.post('/api/tasks', async (req, res) => {
       timeline,
       desiredOutcomes,
       availableResources,
-      priority
-    });
-
-    // Broadcast to WebSocket clients
-    broadcastToClients({
-      type: 'task-created',
-      data: result
+      priority,
+      requireApproval: requireApproval ?? process.env.ATLANTIS_REQUIRE_PLAN_APPROVAL === 'true',
+      budget
     });
 
     // Sync to GitHub Projects if enabled
@@ -212,6 +250,161 @@ app.get('/api/tasks/:taskId', (req, res) => {
   }
 });
 
+// Get all project plan versions of a task
+app.get('/api/tasks/:taskId/plans', (req, res) => {
+  try {
+    const result = atlantis.getPlanVersions(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result.plans);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get token usage and cost of a task by stage, agent and work bot
+app.get('/api/tasks/:taskId/usage', (req, res) => {
+  try {
+    const result = usageTracker.getTaskUsage(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the budget and spending of a task and its user
+app.get('/api/tasks/:taskId/budget', (req, res) => {
+  try {
+    const result = budgetManager.getTaskBudget(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or raise the budget of a task; a budget-exceeded task is resumed separately
+app.put('/api/tasks/:taskId/budget', (req, res) => {
+  try {
+    const result = budgetManager.setTaskBudget(req.params.taskId, req.body);
+    if (result.error) {
+      return res.status(result.error === 'Task not found' ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve the pending project plan and start execution
+app.post('/api/tasks/:taskId/plan/approve', async (req, res) => {
+  try {
+    const result = await atlantis.approvePlan(req.params.taskId, req.body.reviewer);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject the pending project plan
+app.post('/api/tasks/:taskId/plan/reject', (req, res) => {
+  try {
+    const result = atlantis.rejectPlan(req.params.taskId, req.body.reviewer, req.body.reason);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Request changes to the pending project plan
+app.post('/api/tasks/:taskId/plan/request-changes', async (req, res) => {
+  try {
+    const { reviewer, feedback } = req.body;
+    if (!feedback) {
+      return res.status(400).json({ error: 'feedback is required' });
+    }
+
+    const result = await atlantis.requestPlanChanges(req.params.taskId, reviewer, feedback);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get routing decisions for a task
+app.get('/api/tasks/:taskId/routing', (req, res) => {
+  try {
+    const result = atlantis.getRoutingDecisions(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result.decisions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-plan an in-progress task with new input
+app.post('/api/tasks/:taskId/replan', async (req, res) => {
+  try {
+    const { input, requestedBy } = req.body;
+    if (!input) {
+      return res.status(400).json({ error: 'input is required' });
+    }
+
+    const result = await atlantis.replanTask(req.params.taskId, input, requestedBy);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a task and release its agents
+app.post('/api/tasks/:taskId/cancel', (req, res) => {
+  try {
+    const result = atlantis.cancelTask(req.params.taskId, req.body.requestedBy);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause an in-progress task
+app.post('/api/tasks/:taskId/pause', (req, res) => {
+  try {
+    const result = atlantis.pauseTask(req.params.taskId, req.body.requestedBy);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused task
+app.post('/api/tasks/:taskId/resume', (req, res) => {
+  try {
+    const result = atlantis.resumeTask(req.params.taskId, req.body.requestedBy);
+    res.status(planReviewStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Map a plan review, re-plan, lifecycle or chat result to an HTTP status code
+ * @param {Object} result - Result of a task operation
+ * @returns {number} - HTTP status code
+ */
+function planReviewStatus(result) {
+  if (result.success) return 200;
+  return result.error === 'Task not found' ? 404 : 409;
+}
+
 // Get all tasks for a user
 app.get('/api/users/:userId/tasks', (req, res) => {
   try {
@@ -230,27 +423,355 @@ app.get('/api/users/:userId/tasks', (req, res) => {
   }
 });
 
+// Get token usage and cost of a user's tasks
+app.get('/api/users/:userId/usage', (req, res) => {
+  try {
+    const result = usageTracker.getUserUsage(req.params.userId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the budget and spending of a user
+app.get('/api/users/:userId/budget', (req, res) => {
+  try {
+    const result = budgetManager.getUserBudget(req.params.userId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or raise the budget of a user, covering all their tasks
+app.put('/api/users/:userId/budget', (req, res) => {
+  try {
+    const result = budgetManager.setUserBudget(req.params.userId, req.body);
+    if (result.error) {
+      return res.status(result.error === 'User not found' ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Interact with ATLANTIS
 app.post('/api/tasks/:taskId/interact', async (req, res) => {
   try {
     const { message } = req.body;
-    const response = await atlantis.interactWithUser(req.params.taskId, message);
-    res.json({ response });
+    const result = await atlantis.interactWithUser(req.params.taskId, message);
+    if (!result.success) {
+      return res.status(planReviewStatus(result)).json(result);
+    }
+    res.json({ response: result.response });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the deliverable report of a task; ?version=N for an earlier one, ?format=markdown for a document
+app.get('/api/tasks/:taskId/report', (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : undefined;
+    const report = atlantis.reports.getReport(req.params.taskId, version);
+    if (report.error) {
+      return res.status(404).json(report);
+    }
+    if (req.query.format === 'markdown') {
+      return res.type('text/markdown').send(renderMarkdown(report));
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the report versions of a task
+app.get('/api/tasks/:taskId/reports', (req, res) => {
+  try {
+    const result = atlantis.reports.listReports(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Synthesize a new report version of a completed task
+app.post('/api/tasks/:taskId/report', async (req, res) => {
+  try {
+    const result = await atlantis.regenerateReport(req.params.taskId);
+    res.status(planReviewStatus(result)).json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get sub-AI agents status
+// List the files produced for a task; ?versions=all includes revised versions, ?format=zip downloads them
+app.get('/api/tasks/:taskId/artifacts', async (req, res) => {
+  try {
+    if (req.query.format === 'zip') {
+      const result = await artifactStore.createArchive(req.params.taskId);
+      if (result.error) {
+        return res.status(404).json(result);
+      }
+      return res.attachment(`${req.params.taskId}-artifacts.zip`).send(result.archive);
+    }
+
+    const result = artifactStore.listArtifacts(req.params.taskId, { allVersions: req.query.versions === 'all' });
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a single artifact version
+app.get('/api/tasks/:taskId/artifacts/:artifactId', (req, res) => {
+  try {
+    const result = artifactStore.getArtifact(req.params.taskId, req.params.artifactId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.attachment(path.posix.basename(result.artifact.path)).send(result.content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the assignment branches of a task's workspace repository
+app.get('/api/tasks/:taskId/workspace', async (req, res) => {
+  try {
+    const result = await taskWorkspace.listBranches(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unified diff of the workspace branches against main; ?assignment= limits it to one
+// branch, ?format=patch downloads the commits for git am
+app.get('/api/tasks/:taskId/workspace/diff', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const assignmentId = req.query.assignment;
+    if (req.query.format === 'patch') {
+      const result = await taskWorkspace.getPatch(taskId, assignmentId);
+      if (result.error) {
+        return res.status(404).json(result);
+      }
+      return res.attachment(`${assignmentId || taskId}.patch`).type('text/x-patch').send(result.patch);
+    }
+
+    const result = await taskWorkspace.getDiff(taskId, assignmentId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.type('text/x-diff').send(result.diff);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the chat thread of a task
+app.get('/api/tasks/:taskId/conversation', (req, res) => {
+  try {
+    const result = atlantis.conversations.getConversation(req.params.taskId);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List sub-AI agents with their configuration and load; ?includeRetired=true adds retired ones
 app.get('/api/agents', (req, res) => {
   try {
-    const agents = subAIManager.getAgentsStatus();
-    res.json(agents);
+    res.json(agentRegistry.listAgents({ includeRetired: req.query.includeRetired === 'true' }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get token usage and cost per agent
+app.get('/api/agents/usage', (req, res) => {
+  try {
+    res.json(usageTracker.getAgentUsage());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a sub-AI agent; running managers pick it up on their next tick
+app.post('/api/agents', (req, res) => {
+  try {
+    const result = agentRegistry.createAgent(req.body);
+    res.status(result.success ? 201 : agentStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the full configuration of an agent, including retired ones
+app.get('/api/agents/:agentId', (req, res) => {
+  try {
+    const agent = agentRegistry.getAgent(req.params.agentId);
+    if (agent.error) {
+      return res.status(404).json(agent);
+    }
+    res.json(agent);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an agent; omitted fields keep their value
+app.put('/api/agents/:agentId', (req, res) => {
+  try {
+    const result = agentRegistry.updateAgent(req.params.agentId, req.body);
+    res.status(agentStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retire an agent; its history is kept
+app.delete('/api/agents/:agentId', (req, res) => {
+  try {
+    const result = agentRegistry.retireAgent(req.params.agentId);
+    res.status(agentStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Map an agent registry result to an HTTP status code
+ * @param {Object} result - Result of an agent operation
+ * @returns {number} - HTTP status code
+ */
+function agentStatus(result) {
+  if (result.success) return 200;
+  if (result.error === 'Agent not found') return 404;
+  return result.conflict ? 409 : 400;
+}
+
+// Score history entries returned by default and at most
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+// Get performance score history of an agent; ?limit= caps the entries
+app.get('/api/agents/:agentId/performance', (req, res) => {
+  try {
+    const requested = parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT;
+    const limit = Math.min(Math.max(requested, 1), MAX_HISTORY_LIMIT);
+    const result = performanceTracker.getHistory(req.params.agentId, limit);
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rate the deliverables of an assignment
+app.post('/api/assignments/:assignmentId/rating', (req, res) => {
+  try {
+    const { userId, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'rating must be an integer from 1 to 5' });
+    }
+
+    const user = userId
+      ? db.prepare('SELECT id FROM users WHERE github_username = ?').get(userId)
+      : null;
+
+    const result = performanceTracker.rateAssignment(req.params.assignmentId, user?.id || null, rating, comment);
+    if (!result.success) {
+      return res.status(result.error === 'Assignment not found' ? 404 : 409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the work bot types sub-AIs can create
+app.get('/api/bot-types', (req, res) => {
+  try {
+    res.json({
+      botTypes: getBotTypes().list().map(definition => ({
+        type: definition.type,
+        description: definition.description,
+        aliases: definition.aliases,
+        tools: definition.tools,
+        inputSchema: definition.inputSchema,
+        outputSchema: definition.outputSchema
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List work bots that exhausted their retries
+app.get('/api/work-bots/dead-letter', (req, res) => {
+  try {
+    res.json(subAIManager.getDeadLetterBots(req.query.taskId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run a dead-lettered work bot
+app.post('/api/work-bots/:botId/rerun', async (req, res) => {
+  try {
+    const result = await subAIManager.rerunWorkBot(req.params.botId);
+    res.status(workBotStatus(result)).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a dead-lettered work bot
+app.post('/api/work-bots/:botId/discard', (req, res) => {
+  try {
+    const result = subAIManager.discardWorkBot(req.params.botId, req.body.reason);
+    res.status(workBotStatus(result)).json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Map a dead-letter operation result to an HTTP status code
+ * @param {Object} result - Result of a re-run or discard
+ * @returns {number} - HTTP status code
+ */
+function workBotStatus(result) {
+  if (result.success || result.status === 'dead-letter') return 200;
+  return result.error === 'Work bot not found' ? 404 : 409;
+}
+
 // Get progress updates for a task
 app.get('/api/tasks/:taskId/progress', (req, res) => {
   try {
@@ -326,8 +847,8 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
 app.get('/api/metrics', (req, res) => {
   try {
     const totalTasks = db.prepare('SELECT COUNT(*) as count FROM tasks').get();
-    const completedTasks = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE status = "completed"').get();
-    const activeTasks = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE status = "in-progress"').get();
+    const completedTasks = db.prepare("SELECT COUNT(*) as count FROM tasks WHERE status = 'completed'").get();
+    const activeTasks = db.prepare("SELECT COUNT(*) as count FROM tasks WHERE status = 'in-progress'").get();
     const totalWorkBots = db.prepare('SELECT COUNT(*) as count FROM work_bots').get();
     const agentLoad = db.prepare('SELECT SUM(current_load) as total FROM sub_ai_agents').get();
 
@@ -338,28 +859,38 @@ app.get('/api/metrics', (req, res) => {
         active: activeTasks.count
       },
       workBots: totalWorkBots.count,
-      agentLoad: agentLoad.total || 0
+      agentLoad: agentLoad.total || 0,
+      llmUsage: usageTracker.getTotals()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get how often model output failed validation, was repaired or fell back
+app.get('/api/metrics/structured-output', (req, res) => {
+  try {
+    res.json(getOutputStats(db));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===== WebSocket Handler =====
-const clients = new Set();
+// Clients subscribe to task, user, agent and system channels of the event bus
+const eventBus = getEventBus(db);
+const channelHub = new ChannelHub(eventBus);
+channelHub.startHeartbeat();
 
 wss.on('connection', (ws) => {
   console.log('🔌 New WebSocket client connected');
-  clients.add(ws);
+  channelHub.addClient(ws);
 
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
       console.log('📨 WebSocket message:', data.type);
-
-      if (data.type === 'subscribe-task') {
-        ws.taskId = data.taskId;
-      }
+      channelHub.handleMessage(ws, data);
     } catch (error) {
       console.error('WebSocket message error:', error);
     }
@@ -367,26 +898,25 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     console.log('🔌 WebSocket client disconnected');
-    clients.delete(ws);
+    channelHub.removeClient(ws);
   });
 
-  // Send welcome message
+  // Send welcome message; lastSeq is where a client without history starts from
   ws.send(JSON.stringify({
     type: 'connected',
-    message: 'Connected to ATLANTIS-AI WebSocket'
+    message: 'Connected to ATLANTIS-AI WebSocket',
+    lastSeq: eventBus.getSeqRange().latest
   }));
 });
 
-function broadcastToClients(data) {
-  const message = JSON.stringify(data);
-  clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
+// Requeue assignments left in progress by a previous run without a job
+const orphaned = subAIManager.recoverOrphanedAssignments();
+if (orphaned.length > 0) {
+  console.log(`♻️  Requeued ${orphaned.length} interrupted assignment(s)`);
 }
 
-// Background task processor
+// Background task processor; a tick still running when the next one is due
+// makes that tick a no-op, and expired job leases are reclaimed every tick
 setInterval(async () => {
   try {
     await subAIManager.processPendingAssignments();
@@ -395,6 +925,15 @@ setInterval(async () => {
   }
 }, 10000); // Every 10 seconds
 
+// Let agent performance scores decay towards the baseline
+setInterval(() => {
+  try {
+    performanceTracker.recomputeAll('Scheduled decay');
+  } catch (error) {
+    console.error('Performance decay error:', error);
+  }
+}, 60 * 60 * 1000); // Every hour
+
 // Catch-all route - serve index.html for SPA
 // Note: This route is not rate-limited as it serves static content
 // and is necessary for client-side routing in single-page applications
@@ -0,0 +1,196 @@
+/**
+ * Job Queue
+ * Durable, SQLite-backed queue of background jobs. A worker leases a job
+ * for a limited time and keeps the lease alive with heartbeats; jobs whose
+ * lease expires (because their worker died) become visible to workers again
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// How long a leased job stays invisible to other workers without a heartbeat
+const DEFAULT_LEASE_MS = parseInt(process.env.ATLANTIS_JOB_LEASE_MS || 300000, 10);
+
+// Attempts before a job is given up on
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.ATLANTIS_JOB_MAX_ATTEMPTS || 3, 10);
+
+// Delay before a failed job becomes available again, doubled per attempt
+const RETRY_DELAY_MS = 5000;
+
+class JobQueue {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Queue options
+   * @param {number} options.leaseMs - Visibility timeout of a leased job
+   * @param {number} options.maxAttempts - Attempts before a job fails for good
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @param {string} dedupeKey - Optional key; only one unfinished job may exist per key
+   * @returns {string|null} - Job ID, null if an unfinished job with the same key exists
+   */
+  enqueue(type, payload, dedupeKey = null) {
+    const jobId = `job-${uuidv4()}`;
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO jobs (job_id, type, payload, dedupe_key, max_attempts, available_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(jobId, type, JSON.stringify(payload), dedupeKey, this.maxAttempts, Date.now());
+
+    return result.changes > 0 ? jobId : null;
+  }
+
+  /**
+   * Lease the oldest available job
+   * @param {string} workerId - ID of the claiming worker
+   * @returns {Object|null} - Leased job with parsed payload, null if none is available
+   */
+  claim(workerId) {
+    const claimTransaction = this.db.transaction(() => {
+      const now = Date.now();
+      const job = this.db.prepare(`
+        SELECT * FROM jobs
+        WHERE status = 'pending' AND available_at <= ?
+        ORDER BY id LIMIT 1
+      `).get(now);
+
+      if (!job) return null;
+
+      this.db.prepare(`
+        UPDATE jobs
+        SET status = 'leased', lease_owner = ?, lease_expires_at = ?, attempts = attempts + 1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(workerId, now + this.leaseMs, job.id);
+
+      return this.getJob(job.job_id);
+    });
+
+    return claimTransaction();
+  }
+
+  /**
+   * Extend the lease of a job the worker still owns
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Lease owner
+   * @returns {boolean} - Whether the lease was extended
+   */
+  heartbeat(jobId, workerId) {
+    const result = this.db.prepare(`
+      UPDATE jobs SET lease_expires_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND lease_owner = ? AND status = 'leased'
+    `).run(Date.now() + this.leaseMs, jobId, workerId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Mark a leased job as done
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Lease owner
+   * @returns {boolean} - Whether the worker still owned the job
+   */
+  complete(jobId, workerId) {
+    const result = this.db.prepare(`
+      UPDATE jobs SET status = 'completed', lease_owner = NULL, lease_expires_at = NULL,
+                      updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND lease_owner = ? AND status = 'leased'
+    `).run(jobId, workerId);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Record a failed attempt; the job is retried later unless it is out of attempts
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Lease owner
+   * @param {string} error - Error message
+   * @returns {string|null} - New job status, null if the worker no longer owned the job
+   */
+  fail(jobId, workerId, error) {
+    const job = this.getJob(jobId);
+    if (!job || job.status !== 'leased' || job.lease_owner !== workerId) return null;
+
+    return this.release(job, error, RETRY_DELAY_MS * (2 ** (job.attempts - 1)));
+  }
+
+  /**
+   * Return jobs whose lease expired to the queue, or fail them if they are out of attempts
+   * @returns {Array} - Reclaimed jobs with their new status
+   */
+  reclaimExpired() {
+    const expired = this.db.prepare(`
+      SELECT * FROM jobs WHERE status = 'leased' AND lease_expires_at < ?
+      ORDER BY id
+    `).all(Date.now());
+
+    return expired.map(job => ({
+      ...job,
+      payload: JSON.parse(job.payload),
+      // The job already stayed invisible for a whole lease, so it is retried at once
+      status: this.release(job, `Lease held by ${job.lease_owner} expired`, 0)
+    }));
+  }
+
+  /**
+   * Release a leased job after a failed or abandoned attempt
+   * @param {Object} job - Job record
+   * @param {string} error - Why the attempt did not complete
+   * @param {number} delayMs - Delay before the job becomes available again
+   * @returns {string} - New job status
+   */
+  release(job, error, delayMs) {
+    const status = job.attempts >= job.max_attempts ? 'failed' : 'pending';
+    const availableAt = Date.now() + delayMs;
+
+    this.db.prepare(`
+      UPDATE jobs
+      SET status = ?, last_error = ?, available_at = ?, lease_owner = NULL, lease_expires_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, error, availableAt, job.id);
+
+    return status;
+  }
+
+  /**
+   * Check whether a job with the given key is pending or leased
+   * @param {string} dedupeKey - Job key
+   * @returns {boolean} - Whether an unfinished job exists
+   */
+  hasActiveJob(dedupeKey) {
+    return Boolean(this.db.prepare(
+      "SELECT 1 FROM jobs WHERE dedupe_key = ? AND status IN ('pending', 'leased')"
+    ).get(dedupeKey));
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} - Job with parsed payload
+   */
+  getJob(jobId) {
+    const job = this.db.prepare('SELECT * FROM jobs WHERE job_id = ?').get(jobId);
+    return job ? { ...job, payload: JSON.parse(job.payload) } : undefined;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} - Number of jobs per status
+   */
+  getStats() {
+    const rows = this.db.prepare(
+      'SELECT status, COUNT(*) as count FROM jobs GROUP BY status'
+    ).all();
+
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+}
+
+module.exports = JobQueue;
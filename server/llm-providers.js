@@ -0,0 +1,298 @@
+/**
+ * LLM Providers
+ * Router that puts the Anthropic and OpenAI adapters behind one completion
+ * interface, picks the provider and model for each pipeline stage and fails
+ * over to another provider when one is down
+ */
+
+const AnthropicProvider = require('./anthropic-provider');
+const OpenAIProvider = require('./openai-provider');
+const RecordingProvider = require('./recording-provider');
+const ReplayProvider = require('./replay-provider');
+const ScriptedProvider = require('./scripted-provider');
+const { DEFAULT_FIXTURE_DIR, loadScript } = require('./mock-providers');
+
+// Pipeline stages a provider and model can be configured for
+const STAGES = ['intent', 'planning', 'analysis', 'execution', 'conversation', 'synthesis'];
+
+// Model used when neither the stage nor the agent names one
+const DEFAULT_MODELS = {
+  anthropic: process.env.ATLANTIS_ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+  openai: process.env.ATLANTIS_OPENAI_MODEL || 'gpt-4o'
+};
+
+// Model names of each provider, so a model configured without its provider goes to the API that serves it
+const MODEL_PATTERNS = {
+  anthropic: /^claude-/i,
+  openai: /^(gpt-|chatgpt-|o\d)/i
+};
+
+// live calls the real APIs, record calls them and saves the exchanges,
+// replay answers from saved exchanges and scripted from canned responses
+const MODES = ['live', 'record', 'replay', 'scripted'];
+
+// How long a provider that failed is tried only after the others
+const PROVIDER_COOLDOWN_MS = parseInt(process.env.ATLANTIS_PROVIDER_COOLDOWN_MS || 60000, 10);
+
+// HTTP statuses below 500 that mean the provider is unusable (bad key, overloaded, timed out)
+// rather than the request being wrong
+const FAILOVER_STATUSES = [401, 403, 408, 409, 429];
+
+class LLMRouter {
+  /**
+   * @param {Object} aiClients - SDK clients ({ claude, openai }); missing clients are skipped
+   * @param {Object} options - Router options
+   * @param {string} options.defaultProvider - Provider tried first when nothing else is configured
+   * @param {Object} options.stages - Per-stage { provider, model }, overriding ATLANTIS_LLM_<STAGE>
+   * @param {number} options.cooldownMs - How long a failed provider is deprioritized
+   * @param {string} options.mode - live, record, replay or scripted (ATLANTIS_LLM_MODE)
+   * @param {string} options.fixtureDir - Fixture directory of record and replay (ATLANTIS_LLM_FIXTURES)
+   * @param {Object} options.script - Scripted responses per stage (ATLANTIS_LLM_SCRIPT names a JSON file)
+   */
+  constructor(aiClients = {}, options = {}) {
+    this.providers = new Map();
+    if (aiClients.claude) {
+      this.providers.set('anthropic', new AnthropicProvider(aiClients.claude));
+    }
+    if (aiClients.openai) {
+      this.providers.set('openai', new OpenAIProvider(aiClients.openai));
+    }
+
+    this.mode = options.mode || process.env.ATLANTIS_LLM_MODE || 'live';
+    this.applyMode(options);
+
+    this.defaultProvider = options.defaultProvider || process.env.ATLANTIS_LLM_PROVIDER || 'anthropic';
+    this.stages = {};
+    for (const stage of STAGES) {
+      this.stages[stage] = (options.stages && options.stages[stage])
+        || parseModelSpec(process.env[`ATLANTIS_LLM_${stage.toUpperCase()}`]);
+    }
+    this.cooldownMs = options.cooldownMs !== undefined ? options.cooldownMs : PROVIDER_COOLDOWN_MS;
+    this.failedAt = new Map();
+  }
+
+  /**
+   * Swap the live providers for their recording, replaying or scripted stand-ins.
+   * Stand-ins keep the provider names so stage and agent routing work unchanged
+   * @param {Object} options - Router options
+   * @throws {Error} - If the mode is unknown
+   */
+  applyMode(options) {
+    const fixtureDir = options.fixtureDir || process.env.ATLANTIS_LLM_FIXTURES || DEFAULT_FIXTURE_DIR;
+
+    switch (this.mode) {
+      case 'live':
+        break;
+      case 'record':
+        for (const [name, provider] of this.providers) {
+          this.providers.set(name, new RecordingProvider(provider, fixtureDir));
+        }
+        break;
+      case 'replay':
+        for (const name of Object.keys(DEFAULT_MODELS)) {
+          this.providers.set(name, new ReplayProvider(name, fixtureDir));
+        }
+        break;
+      case 'scripted': {
+        const script = options.script
+          || (process.env.ATLANTIS_LLM_SCRIPT ? loadScript(process.env.ATLANTIS_LLM_SCRIPT) : {});
+        for (const name of Object.keys(DEFAULT_MODELS)) {
+          this.providers.set(name, new ScriptedProvider(name, script));
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown LLM mode "${this.mode}", expected one of ${MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Resolve the provider and model of a stage
+   * @param {string} stage - Pipeline stage
+   * @param {Object} override - Agent-level { provider, model }, taking precedence over the stage;
+   *   a layer naming only a model uses the provider the model belongs to
+   * @returns {Object} - { provider, model }
+   */
+  resolve(stage, override = {}) {
+    let provider = this.defaultProvider;
+    let model = null;
+
+    for (const layer of [this.stages[stage], override]) {
+      if (!layer) continue;
+      const layerProvider = layer.provider || inferProvider(layer.model);
+      if (layerProvider && layerProvider !== provider) {
+        provider = layerProvider;
+        model = null;
+      }
+      if (layer.model) {
+        model = layer.model;
+      }
+    }
+
+    return { provider, model: model || DEFAULT_MODELS[provider] };
+  }
+
+  /**
+   * Complete a conversation with the configured provider, failing over to the others
+   * @param {Object} request - Completion request
+   * @param {string} request.stage - Pipeline stage
+   * @param {Array} request.messages - Messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens in the response
+   * @param {Object} request.override - Agent-level { provider, model }
+   * @param {Function} request.onDelta - Streams the response: called with each piece of
+   *   text as it arrives; the returned text is the concatenation of the pieces
+   * @returns {Promise<Object>} - { text, usage, provider, model }
+   * @throws {Error} - If no provider is configured or every provider failed
+   */
+  async complete({
+    stage, messages, maxTokens, override, onDelta
+  }) {
+    const candidates = this.getCandidates(this.resolve(stage, override));
+    if (candidates.length === 0) {
+      throw new Error('No LLM provider is configured');
+    }
+
+    let lastError;
+    for (const { provider, model } of candidates) {
+      let streamed = false;
+      try {
+        const request = {
+          stage, model, messages, maxTokens
+        };
+        const result = onDelta
+          ? await streamCompletion(this.providers.get(provider), request, (delta) => {
+            streamed = true;
+            onDelta(delta);
+          })
+          : await this.providers.get(provider).complete(request);
+        this.failedAt.delete(provider);
+        return { ...result, provider, model };
+      } catch (error) {
+        // Another provider would repeat text the caller already received
+        if (!isProviderFailure(error) || streamed) {
+          throw error;
+        }
+        console.warn(`LLM provider ${provider} failed during ${stage}: ${error.message}`);
+        this.failedAt.set(provider, Date.now());
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Order the configured providers to try; the resolved provider goes first
+   * unless it failed recently, and the others fall back to their default model
+   * @param {Object} preferred - Resolved { provider, model }
+   * @returns {Array} - Candidate { provider, model } pairs
+   */
+  getCandidates(preferred) {
+    const candidates = [];
+    if (this.providers.has(preferred.provider)) {
+      candidates.push(preferred);
+    }
+    for (const provider of this.providers.keys()) {
+      if (provider !== preferred.provider) {
+        candidates.push({ provider, model: DEFAULT_MODELS[provider] });
+      }
+    }
+
+    const now = Date.now();
+    const coolingDown = c => this.failedAt.has(c.provider)
+      && now - this.failedAt.get(c.provider) < this.cooldownMs;
+    return [
+      ...candidates.filter(c => !coolingDown(c)),
+      ...candidates.filter(coolingDown)
+    ];
+  }
+
+  /**
+   * Describe the configured providers and stage routing
+   * @returns {Object} - Provider availability and the resolved model per stage
+   */
+  getStatus() {
+    const now = Date.now();
+    const providers = {};
+    for (const name of Object.keys(DEFAULT_MODELS)) {
+      const failedAt = this.failedAt.get(name);
+      providers[name] = {
+        configured: this.providers.has(name),
+        healthy: !failedAt || now - failedAt >= this.cooldownMs
+      };
+    }
+
+    return {
+      mode: this.mode,
+      providers,
+      stages: Object.fromEntries(STAGES.map(stage => [stage, this.resolve(stage)]))
+    };
+  }
+}
+
+/**
+ * Parse a "provider:model" setting; either part may be omitted ("openai", ":gpt-4o")
+ * @param {string} spec - Setting value
+ * @returns {Object|null} - { provider, model }, null if the setting is empty
+ */
+function parseModelSpec(spec) {
+  if (!spec) return null;
+  const [provider, ...model] = spec.split(':');
+  return {
+    provider: provider || null,
+    model: model.join(':') || null
+  };
+}
+
+/**
+ * Find the provider a model belongs to from its name
+ * @param {string} model - Model name
+ * @returns {string|null} - Provider name, null if the name is not recognized
+ */
+function inferProvider(model) {
+  if (!model) return null;
+  const entry = Object.entries(MODEL_PATTERNS).find(([, pattern]) => pattern.test(model));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Stream a completion from a provider; providers that cannot stream, such as
+ * the replay and scripted stand-ins, deliver their whole response as one delta
+ * @param {Object} provider - Provider adapter
+ * @param {Object} request - Completion request
+ * @param {Function} onDelta - Called with each piece of text
+ * @returns {Promise<Object>} - Response text and token usage
+ */
+async function streamCompletion(provider, request, onDelta) {
+  if (provider.stream) {
+    return provider.stream(request, onDelta);
+  }
+
+  const result = await provider.complete(request);
+  if (result.text) {
+    onDelta(result.text);
+  }
+  return result;
+}
+
+/**
+ * Check whether an error means the provider is unavailable, as opposed to
+ * the request being rejected (which another provider would reject too)
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - Whether another provider should be tried
+ */
+function isProviderFailure(error) {
+  const status = error.status || (error.response && error.response.status);
+  if (!status) return true;
+  return status >= 500 || FAILOVER_STATUSES.includes(status);
+}
+
+module.exports = {
+  STAGES,
+  MODES,
+  AnthropicProvider,
+  OpenAIProvider,
+  LLMRouter,
+  inferProvider,
+  parseModelSpec
+};
@@ -0,0 +1,103 @@
+/**
+ * Mock LLM Providers
+ * What the offline stand-ins for the real providers share: the fixture
+ * directory and prompt hash of the recording and replay providers, and the
+ * canned responses of the scripted provider
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where recorded exchanges are stored unless ATLANTIS_LLM_FIXTURES points elsewhere
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Canned responses of the scripted provider, per pipeline stage
+const DEFAULT_SCRIPT = {
+  intent: {
+    primaryIntent: 'Deliver the requested work',
+    secondaryGoals: ['Keep the result maintainable'],
+    successCriteria: ['All work packages are completed'],
+    constraints: [],
+    requiredExpertise: ['Databases', 'Software Development'],
+    complexity: 'Moderate',
+    estimatedEffort: '2 hours',
+    riskFactors: []
+  },
+  planning: {
+    overview: 'Scripted plan: design the data model, then build on it',
+    workPackages: [
+      {
+        id: 'wp-1',
+        name: 'Data model',
+        description: 'Design the data model',
+        assignedTo: 'sub-ai-database',
+        elements: ['Schema design'],
+        estimatedEffort: '1 hour',
+        dependencies: []
+      },
+      {
+        id: 'wp-2',
+        name: 'Implementation',
+        description: 'Implement the solution on top of the data model',
+        assignedTo: 'sub-ai-code',
+        elements: ['Core implementation'],
+        estimatedEffort: '1 hour',
+        dependencies: ['wp-1']
+      }
+    ],
+    milestones: [],
+    timeline: '2 hours'
+  },
+  analysis: {
+    tasks: [
+      {
+        id: 't1',
+        description: 'Complete the assigned elements',
+        botType: 'code-generation',
+        expectedOutput: 'Working deliverable',
+        dependencies: []
+      }
+    ],
+    strategy: 'Scripted single-step strategy'
+  },
+  execution: ({ messages }) => {
+    const task = messages[0].content.match(/^Task: (.*)$/m);
+    return `Scripted work bot output for: ${task ? task[1] : 'task'}`;
+  },
+  conversation: 'Scripted response: the task is being processed.',
+  synthesis: {
+    executiveSummary: 'Scripted deliverable: every work package was completed',
+    deliverables: [
+      { workPackage: 'Data model', summary: 'Schema designed', content: 'Scripted data model' },
+      { workPackage: 'Implementation', summary: 'Solution implemented', content: 'Scripted implementation' }
+    ],
+    unresolvedIssues: [],
+    nextSteps: ['Review the deliverables']
+  }
+};
+
+/**
+ * Hash the messages of a request; replay matches on this key
+ * @param {Array} messages - Messages with role and content
+ * @returns {string} - Hex digest
+ */
+function promptKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+/**
+ * Load a scripted provider script from a JSON file
+ * @param {string} file - Path of the script file
+ * @returns {Object} - Responses per stage
+ */
+function loadScript(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  DEFAULT_SCRIPT,
+  promptKey,
+  loadScript
+};
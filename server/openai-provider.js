@@ -0,0 +1,75 @@
+/**
+ * OpenAI Provider
+ * Adapter that gives the OpenAI Chat Completions API the completion
+ * interface of the LLM router, with and without streaming
+ */
+
+class OpenAIProvider {
+  /**
+   * @param {Object} client - OpenAI SDK client
+   */
+  constructor(client) {
+    this.name = 'openai';
+    this.client = client;
+  }
+
+  /**
+   * Complete a conversation
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array} request.messages - Messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens in the response
+   * @returns {Promise<Object>} - Response text and token usage
+   */
+  async complete({ model, messages, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      max_tokens: maxTokens,
+      messages
+    });
+
+    const usage = response.usage || {};
+    return {
+      text: response.choices[0].message.content,
+      usage: {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Complete a conversation as a stream of text deltas
+   * @param {Object} request - Completion request, as for complete
+   * @param {Function} onDelta - Called with each piece of text as it arrives
+   * @returns {Promise<Object>} - Full response text and token usage
+   */
+  async stream({ model, messages, maxTokens }, onDelta) {
+    const chunks = await this.client.chat.completions.create({
+      model,
+      max_tokens: maxTokens,
+      messages,
+      stream: true,
+      // Usage arrives in a final chunk without choices
+      stream_options: { include_usage: true }
+    });
+
+    let text = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    for await (const chunk of chunks) {
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) {
+        text += delta.content;
+        onDelta(delta.content);
+      }
+      if (chunk.usage) {
+        usage.inputTokens = chunk.usage.prompt_tokens || 0;
+        usage.outputTokens = chunk.usage.completion_tokens || 0;
+      }
+    }
+
+    return { text, usage };
+  }
+}
+
+module.exports = OpenAIProvider;
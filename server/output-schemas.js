@@ -0,0 +1,113 @@
+/**
+ * Output Schemas
+ * JSON schemas of the structured output requested from models
+ */
+
+// Intent analysis of a new task
+const INTENT_SCHEMA = {
+  type: 'object',
+  required: ['primaryIntent', 'complexity', 'requiredExpertise'],
+  properties: {
+    primaryIntent: { type: 'string', minLength: 1 },
+    secondaryGoals: { type: 'array', items: { type: 'string' } },
+    successCriteria: { type: 'array', items: { type: 'string' } },
+    constraints: { type: 'array', items: { type: 'string' } },
+    requiredExpertise: { type: 'array', items: { type: 'string' } },
+    complexity: { type: 'string', enum: ['Simple', 'Moderate', 'Complex', 'Advanced'] },
+    estimatedEffort: { type: 'string' },
+    riskFactors: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Build the project plan schema
+ * @param {Array} agentIds - IDs of the agents work packages may be assigned to
+ * @returns {Object} - JSON schema
+ */
+function buildPlanSchema(agentIds) {
+  const assignedTo = { type: 'string', minLength: 1 };
+  if (agentIds && agentIds.length > 0) {
+    assignedTo.enum = agentIds;
+  }
+
+  return {
+    type: 'object',
+    required: ['overview', 'workPackages'],
+    properties: {
+      overview: { type: 'string' },
+      workPackages: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'assignedTo', 'elements'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            assignedTo,
+            elements: { type: 'array', minItems: 1, items: { type: 'string' } },
+            estimatedEffort: { type: 'string' },
+            dependencies: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      milestones: { type: 'array' },
+      timeline: { type: 'string' }
+    }
+  };
+}
+
+// Breakdown of an assignment into work bot tasks
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'description', 'botType'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          botType: { type: 'string', minLength: 1 },
+          expectedOutput: { type: 'string' },
+          dependencies: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    strategy: { type: 'string' }
+  }
+};
+
+// Final deliverable combining the work bot outputs of a task
+const REPORT_SCHEMA = {
+  type: 'object',
+  required: ['executiveSummary', 'deliverables', 'unresolvedIssues', 'nextSteps'],
+  properties: {
+    executiveSummary: { type: 'string', minLength: 1 },
+    deliverables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['workPackage', 'summary', 'content'],
+        properties: {
+          workPackage: { type: 'string', minLength: 1 },
+          summary: { type: 'string' },
+          content: { type: 'string' }
+        }
+      }
+    },
+    unresolvedIssues: { type: 'array', items: { type: 'string' } },
+    nextSteps: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+module.exports = {
+  INTENT_SCHEMA,
+  ANALYSIS_SCHEMA,
+  REPORT_SCHEMA,
+  buildPlanSchema
+};
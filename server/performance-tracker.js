@@ -0,0 +1,247 @@
+/**
+ * Agent Performance Tracker
+ * Computes sub-AI agent performance scores from real outcomes: work bot
+ * success ratios, retries, time to complete and user ratings. Older outcomes
+ * count less, so scores drift back towards the baseline without new evidence
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Score of an agent without evidence, matching the schema default
+const BASELINE_SCORE = 100;
+
+// How much the baseline counts, in number of fresh assignments
+const BASELINE_WEIGHT = 1;
+
+// Weight of each outcome component in an assignment score
+const COMPONENT_WEIGHTS = {
+  success: 0.5,
+  retries: 0.15,
+  speed: 0.15,
+  rating: 0.2
+};
+
+// Assignment statuses that have an outcome
+const FINISHED_STATUSES = ['completed', 'partial', 'failed'];
+
+class PerformanceTracker {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Scoring options
+   * @param {number} options.halfLifeDays - Age at which an outcome counts half
+   * @param {number} options.targetMinutes - Assignment duration that earns full speed credit
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.halfLifeDays = options.halfLifeDays || parseFloat(process.env.ATLANTIS_SCORE_HALF_LIFE_DAYS || 14);
+    this.targetMinutes = options.targetMinutes || parseFloat(process.env.ATLANTIS_TARGET_ASSIGNMENT_MINUTES || 30);
+  }
+
+  /**
+   * Score a single finished assignment
+   * @param {Object} assignment - Assignment record
+   * @returns {Object} - Score (0-100) and its components (0-1)
+   */
+  scoreAssignment(assignment) {
+    const bots = this.db.prepare(
+      'SELECT status, attempts FROM work_bots WHERE assignment_id = ?'
+    ).all(assignment.id);
+
+    const components = {};
+
+    if (assignment.status === 'failed') {
+      components.success = 0;
+    } else {
+      const completed = bots.filter(b => b.status === 'completed').length;
+      components.success = bots.length > 0 ? completed / bots.length : 1;
+    }
+
+    if (bots.length > 0) {
+      const retries = bots.reduce((sum, b) => sum + Math.max((b.attempts || 1) - 1, 0), 0);
+      components.retries = 1 / (1 + retries / bots.length);
+    }
+
+    const minutes = durationMinutes(assignment.started_at, assignment.completed_at);
+    if (minutes !== null) {
+      components.speed = Math.min(1, this.targetMinutes / Math.max(minutes, 0.01));
+    }
+
+    const rating = this.db.prepare(
+      'SELECT AVG(rating) as average FROM assignment_ratings WHERE assignment_id = ?'
+    ).get(assignment.id);
+    if (rating.average !== null) {
+      components.rating = (rating.average - 1) / 4;
+    }
+
+    // Components without data do not count
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, value] of Object.entries(components)) {
+      weighted += value * COMPONENT_WEIGHTS[name];
+      totalWeight += COMPONENT_WEIGHTS[name];
+    }
+
+    return {
+      score: totalWeight > 0 ? (weighted / totalWeight) * 100 : BASELINE_SCORE,
+      components
+    };
+  }
+
+  /**
+   * Recompute an agent's score from its finished assignments and record it
+   * @param {number} agentRecordId - Agent database ID
+   * @param {string} reason - Why the score is being recomputed
+   * @returns {Object} - New score and summary
+   */
+  recomputeScore(agentRecordId, reason) {
+    const assignments = this.db.prepare(`
+      SELECT * FROM task_assignments
+      WHERE agent_id = ? AND status IN (${FINISHED_STATUSES.map(() => '?').join(', ')})
+    `).all(agentRecordId, ...FINISHED_STATUSES);
+
+    const now = Date.now();
+    let weightedScore = BASELINE_SCORE * BASELINE_WEIGHT;
+    let totalWeight = BASELINE_WEIGHT;
+
+    const averages = { success: [], retries: [], speed: [], rating: [] };
+
+    for (const assignment of assignments) {
+      const { score, components } = this.scoreAssignment(assignment);
+      const finishedAt = parseTimestamp(assignment.completed_at || assignment.updated_at || assignment.assigned_at);
+      const ageDays = finishedAt ? Math.max(now - finishedAt, 0) / 86400000 : 0;
+      const weight = 0.5 ** (ageDays / this.halfLifeDays);
+
+      weightedScore += score * weight;
+      totalWeight += weight;
+
+      for (const [name, value] of Object.entries(components)) {
+        averages[name].push(value);
+      }
+    }
+
+    const score = Math.round((weightedScore / totalWeight) * 10) / 10;
+    const summary = {
+      assignments: assignments.length,
+      evidenceWeight: Math.round((totalWeight - BASELINE_WEIGHT) * 100) / 100
+    };
+    for (const [name, values] of Object.entries(averages)) {
+      summary[name] = values.length > 0
+        ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 1000) / 1000
+        : null;
+    }
+
+    this.db.prepare(
+      'UPDATE sub_ai_agents SET performance_score = ? WHERE id = ?'
+    ).run(score, agentRecordId);
+
+    this.db.prepare(`
+      INSERT INTO agent_performance_history (agent_id, score, components, reason)
+      VALUES (?, ?, ?, ?)
+    `).run(agentRecordId, score, JSON.stringify(summary), reason);
+
+    return { score, summary };
+  }
+
+  /**
+   * Recompute every active agent's score, applying time decay
+   * @param {string} reason - Why scores are being recomputed
+   */
+  recomputeAll(reason) {
+    const agents = this.db.prepare(
+      "SELECT id FROM sub_ai_agents WHERE status = 'active'"
+    ).all();
+
+    for (const agent of agents) {
+      this.recomputeScore(agent.id, reason);
+    }
+  }
+
+  /**
+   * Record a user rating of an assignment's deliverables
+   * @param {string} assignmentId - Assignment ID (UUID format)
+   * @param {number|null} userId - Rating user's database ID
+   * @param {number} rating - Rating from 1 to 5
+   * @param {string} comment - Optional comment
+   * @returns {Object} - Rating result with the agent's new score
+   */
+  rateAssignment(assignmentId, userId, rating, comment) {
+    const assignment = this.db.prepare(
+      'SELECT * FROM task_assignments WHERE assignment_id = ?'
+    ).get(assignmentId);
+
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
+    if (!FINISHED_STATUSES.includes(assignment.status)) {
+      return { success: false, error: `Assignment is ${assignment.status}, only finished assignments can be rated` };
+    }
+
+    const ratingId = `rating-${uuidv4()}`;
+    this.db.prepare(`
+      INSERT INTO assignment_ratings (rating_id, assignment_id, user_id, rating, comment)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(ratingId, assignment.id, userId, rating, comment || null);
+
+    const { score } = this.recomputeScore(assignment.agent_id, `Rated ${rating}/5 on ${assignmentId}`);
+
+    return {
+      success: true,
+      ratingId,
+      performanceScore: score
+    };
+  }
+
+  /**
+   * Get an agent's score history
+   * @param {string} agentId - Agent ID (e.g. sub-ai-code)
+   * @param {number} limit - Maximum number of entries
+   * @returns {Object} - Score history, newest first
+   */
+  getHistory(agentId, limit = 100) {
+    const agent = this.db.prepare(
+      'SELECT id, agent_id, name, performance_score FROM sub_ai_agents WHERE agent_id = ?'
+    ).get(agentId);
+
+    if (!agent) {
+      return { error: 'Agent not found' };
+    }
+
+    const history = this.db.prepare(`
+      SELECT score, components, reason, recorded_at FROM agent_performance_history
+      WHERE agent_id = ? ORDER BY id DESC LIMIT ?
+    `).all(agent.id, limit);
+
+    return {
+      agentId: agent.agent_id,
+      name: agent.name,
+      performanceScore: agent.performance_score,
+      history: history.map(h => ({ ...h, components: JSON.parse(h.components) }))
+    };
+  }
+}
+
+/**
+ * Parse an SQLite timestamp (UTC, without zone) to milliseconds
+ * @param {string} value - Timestamp
+ * @returns {number|null} - Milliseconds since epoch
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Minutes between two SQLite timestamps
+ * @param {string} start - Start timestamp
+ * @param {string} end - End timestamp
+ * @returns {number|null} - Duration in minutes
+ */
+function durationMinutes(start, end) {
+  const from = parseTimestamp(start);
+  const to = parseTimestamp(end);
+  return from !== null && to !== null ? Math.max(to - from, 0) / 60000 : null;
+}
+
+module.exports = PerformanceTracker;
@@ -0,0 +1,113 @@
+/**
+ * Project Plan Diff
+ * Produces a structured diff between two versions of a project plan
+ */
+
+// Work package fields compared between versions
+const WORK_PACKAGE_FIELDS = [
+  'name',
+  'description',
+  'assignedTo',
+  'elements',
+  'estimatedEffort',
+  'dependencies'
+];
+
+/**
+ * Compare two project plans
+ * @param {Object|null} previous - Previous plan version (null for the first version)
+ * @param {Object} next - New plan version
+ * @returns {Object} - Structured diff
+ */
+function diffPlans(previous, next) {
+  const previousPlan = previous || {};
+  const nextPlan = next || {};
+
+  // Top-level fields other than work packages
+  const fields = {};
+  const keys = new Set([...Object.keys(previousPlan), ...Object.keys(nextPlan)]);
+  keys.delete('workPackages');
+
+  for (const key of keys) {
+    if (!isEqual(previousPlan[key], nextPlan[key])) {
+      fields[key] = { from: previousPlan[key], to: nextPlan[key] };
+    }
+  }
+
+  const previousPackages = indexPackages(previousPlan.workPackages);
+  const nextPackages = indexPackages(nextPlan.workPackages);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, workPackage] of nextPackages) {
+    if (!previousPackages.has(id)) {
+      added.push(workPackage);
+      continue;
+    }
+
+    const packageChanges = diffWorkPackage(previousPackages.get(id), workPackage);
+    if (Object.keys(packageChanges).length > 0) {
+      changed.push({ id, changes: packageChanges });
+    }
+  }
+
+  for (const [id, workPackage] of previousPackages) {
+    if (!nextPackages.has(id)) {
+      removed.push(workPackage);
+    }
+  }
+
+  return {
+    fields,
+    workPackages: { added, removed, changed },
+    hasChanges: Object.keys(fields).length > 0 || added.length > 0 || removed.length > 0 || changed.length > 0
+  };
+}
+
+/**
+ * Compare the tracked fields of two versions of a work package
+ * @param {Object} previous - Previous work package
+ * @param {Object} next - New work package
+ * @returns {Object} - Changed fields with their old and new values
+ */
+function diffWorkPackage(previous, next) {
+  const changes = {};
+
+  for (const field of WORK_PACKAGE_FIELDS) {
+    if (!isEqual(previous[field], next[field])) {
+      changes[field] = { from: previous[field], to: next[field] };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Index work packages by ID
+ * @param {Array} workPackages - Work packages
+ * @returns {Map} - Work packages keyed by ID
+ */
+function indexPackages(workPackages) {
+  const index = new Map();
+  (workPackages || []).forEach((workPackage, i) => {
+    index.set(workPackage.id || `wp-${i + 1}`, workPackage);
+  });
+  return index;
+}
+
+/**
+ * Structural equality for JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether both values serialize identically
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  diffPlans,
+  diffWorkPackage
+};
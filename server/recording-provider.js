@@ -0,0 +1,65 @@
+/**
+ * Recording Provider
+ * Wraps a live provider and saves every exchange as a fixture file keyed by
+ * a hash of the prompt, for the replay provider to answer from later
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FIXTURE_DIR, promptKey } = require('./mock-providers');
+
+class RecordingProvider {
+  /**
+   * @param {Object} provider - Live provider whose exchanges are recorded
+   * @param {string} fixtureDir - Directory fixture files are written to
+   */
+  constructor(provider, fixtureDir = DEFAULT_FIXTURE_DIR) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.fixtureDir = fixtureDir;
+  }
+
+  /**
+   * Complete a conversation with the live provider and save the exchange
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} - Live response
+   */
+  async complete(request) {
+    const result = await this.provider.complete(request);
+    this.save(request, result);
+    return result;
+  }
+
+  /**
+   * Stream a conversation from the live provider and save the complete exchange
+   * @param {Object} request - Completion request
+   * @param {Function} onDelta - Called with each piece of text
+   * @returns {Promise<Object>} - Live response
+   */
+  async stream(request, onDelta) {
+    const result = await this.provider.stream(request, onDelta);
+    this.save(request, result);
+    return result;
+  }
+
+  /**
+   * Write an exchange to its fixture file
+   * @param {Object} request - Completion request
+   * @param {Object} result - Provider response
+   */
+  save(request, result) {
+    const key = promptKey(request.messages);
+
+    fs.mkdirSync(this.fixtureDir, { recursive: true });
+    fs.writeFileSync(path.join(this.fixtureDir, `${key}.json`), JSON.stringify({
+      key,
+      stage: request.stage,
+      provider: this.name,
+      model: request.model,
+      messages: request.messages,
+      response: result
+    }, null, 2));
+  }
+}
+
+module.exports = RecordingProvider;
@@ -0,0 +1,42 @@
+/**
+ * Replay Provider
+ * Answers from the fixtures the recording provider saved, matched by a hash
+ * of the prompt, so a run can be repeated without network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FIXTURE_DIR, promptKey } = require('./mock-providers');
+
+class ReplayProvider {
+  /**
+   * @param {string} name - Provider name this replayer stands in for
+   * @param {string} fixtureDir - Directory fixture files are read from
+   */
+  constructor(name, fixtureDir = DEFAULT_FIXTURE_DIR) {
+    this.name = name;
+    this.fixtureDir = fixtureDir;
+  }
+
+  /**
+   * Answer from the fixture recorded for the same messages
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} - Recorded response
+   * @throws {Error} - If nothing was recorded for the messages
+   */
+  async complete(request) {
+    const key = promptKey(request.messages);
+    const file = path.join(this.fixtureDir, `${key}.json`);
+
+    if (!fs.existsSync(file)) {
+      // A 404 status keeps the router from failing over to a provider that has no fixture either
+      const error = new Error(`No recorded ${request.stage || 'LLM'} response for prompt ${key} in ${this.fixtureDir}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,53 @@
+/**
+ * Work Bot Retry Policy
+ * Decides how often a failed work bot is retried and how long to wait
+ * between attempts, per bot type
+ */
+
+// Defaults for bot types without their own policy
+const DEFAULT_POLICY = {
+  maxAttempts: parseInt(process.env.ATLANTIS_BOT_MAX_ATTEMPTS || 3, 10),
+  baseDelayMs: parseInt(process.env.ATLANTIS_BOT_RETRY_BASE_DELAY_MS || 2000, 10),
+  maxDelayMs: 60000
+};
+
+// Per bot type adjustments: research and analysis calls are cheap to repeat,
+// deployments are not and should reach a human sooner
+const BOT_TYPE_POLICIES = {
+  research: { maxAttempts: 4 },
+  analysis: { maxAttempts: 4 },
+  'code-generation': { maxAttempts: 3 },
+  testing: { maxAttempts: 3 },
+  documentation: { maxAttempts: 3 },
+  deployment: { maxAttempts: 2, baseDelayMs: 10000 }
+};
+
+/**
+ * Get the retry policy of a bot type
+ * @param {string} botType - Work bot type
+ * @param {Object} overrides - Policy overrides, keyed by bot type or 'default'
+ * @returns {Object} - Policy with maxAttempts, baseDelayMs and maxDelayMs
+ */
+function getRetryPolicy(botType, overrides = {}) {
+  return {
+    ...DEFAULT_POLICY,
+    ...BOT_TYPE_POLICIES[botType],
+    ...overrides.default,
+    ...overrides[botType]
+  };
+}
+
+/**
+ * Delay before the next attempt, doubling after every failed attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} failedAttempts - Number of attempts that have failed so far
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(policy, failedAttempts) {
+  return Math.min(policy.baseDelayMs * (2 ** (failedAttempts - 1)), policy.maxDelayMs);
+}
+
+module.exports = {
+  getRetryPolicy,
+  backoffDelay
+};
@@ -0,0 +1,67 @@
+"""
+Sandbox Guard
+Runs a Python script or module with an audit hook that refuses to write
+outside the sandbox directory, to read outside it and the Python
+installation, and to use sockets, subprocesses or ctypes. The hook only catches mistakes:
+code that means to can get past it, for example through _posixsubprocess or
+os functions that raise no audit event. It is not isolation; what the code
+can do beyond it is limited only by the network namespace and the ulimits
+the sandbox starts it with.
+
+Usage: python3 -I guard.py script.py [args] | python3 -I guard.py -m module [args]
+"""
+
+import os
+import runpy
+import sys
+
+ROOT = os.path.realpath(os.getcwd())
+
+# The interpreter keeps reading its standard library while the code runs
+READABLE = tuple({os.path.realpath(p) for p in (sys.prefix, sys.base_prefix, sys.exec_prefix, sys.base_exec_prefix)})
+
+# Audit events refused outright, by prefix
+REFUSED_EVENTS = ('socket.', 'subprocess.', 'os.system', 'os.exec', 'os.posix_spawn', 'os.spawn', 'os.fork', 'ctypes.')
+
+# Audit events that change the paths among their arguments
+PATH_EVENTS = ('os.remove', 'os.rmdir', 'os.mkdir', 'os.rename', 'os.link', 'os.symlink',
+               'os.chmod', 'os.chown', 'os.truncate', 'os.utime', 'shutil.rmtree')
+
+# open() flags that write to a file
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_APPEND | os.O_CREAT | os.O_TRUNC
+
+
+def inside(path, roots):
+    """Check whether a path lies within one of the roots."""
+    path = os.path.realpath(os.fsdecode(path))
+    return any(path == root or path.startswith(root + os.sep) for root in roots)
+
+
+def audit(event, args):
+    """Refuse the audit events the sandbox does not allow."""
+    if event.startswith(REFUSED_EVENTS):
+        raise PermissionError(f'{event} is not allowed in the sandbox')
+
+    if event == 'open' and isinstance(args[0], (str, bytes)):
+        writing = bool((args[2] or 0) & WRITE_FLAGS) or any(c in (args[1] or '') for c in 'wax+')
+        if not inside(args[0], (ROOT,)) and (writing or not inside(args[0], READABLE)):
+            raise PermissionError(f'{os.fsdecode(args[0])} is outside the sandbox')
+
+    if event in PATH_EVENTS:
+        for arg in args:
+            if isinstance(arg, (str, bytes)) and not inside(arg, (ROOT,)):
+                raise PermissionError(f'{os.fsdecode(arg)} is outside the sandbox')
+
+
+sys.addaudithook(audit)
+
+# Like python -m and python script.py, imports resolve from the working
+# directory or the script's directory instead of the guard's
+if sys.argv[1] == '-m':
+    sys.argv = sys.argv[2:]
+    sys.path[0] = ROOT
+    runpy.run_module(sys.argv[0], run_name='__main__', alter_sys=True)
+else:
+    sys.argv = sys.argv[1:]
+    sys.path[0] = os.path.dirname(os.path.abspath(sys.argv[0]))
+    runpy.run_path(sys.argv[0], run_name='__main__')
@@ -0,0 +1,29 @@
+/**
+ * Sandbox Test Runner
+ * Loads the test files of a sandboxed run into a single process, one after
+ * the other, so node:test runs their tests without the node --test runner
+ * starting a child process per file
+ *
+ * Usage: node --test-reporter=tap .sandbox/run-tests.js sum.test.js [more.test.js ...]
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Import every test file named on the command line
+ * @returns {Promise<void>}
+ */
+async function loadTestFiles() {
+  for (const entry of process.argv.slice(2)) {
+    try {
+      await import(pathToFileURL(path.resolve(entry)).href);
+    } catch (error) {
+      // A file that cannot be loaded fails the run, and the other files still run
+      console.error(`Could not load ${entry}:`, error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+loadTestFiles();
@@ -0,0 +1,44 @@
+/**
+ * Scripted Provider
+ * Answers every pipeline stage with a canned response, so a task can run
+ * from intake to completion without any provider
+ */
+
+const { DEFAULT_SCRIPT } = require('./mock-providers');
+
+class ScriptedProvider {
+  /**
+   * @param {string} name - Provider name this script stands in for
+   * @param {Object} script - Responses per stage overriding the defaults; each is a string,
+   *   an object returned as JSON, or a function of the request returning either
+   */
+  constructor(name, script = {}) {
+    this.name = name;
+    this.script = { ...DEFAULT_SCRIPT, ...script };
+  }
+
+  /**
+   * Answer with the scripted response of the request's stage
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} - Scripted response
+   * @throws {Error} - If the stage has no scripted response
+   */
+  async complete(request) {
+    let response = this.script[request.stage];
+    if (typeof response === 'function') {
+      response = response(request);
+    }
+    if (response === undefined) {
+      const error = new Error(`No scripted response for stage ${request.stage}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      text: typeof response === 'string' ? response : JSON.stringify(response),
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  }
+}
+
+module.exports = ScriptedProvider;
@@ -0,0 +1,242 @@
+/**
+ * Structured LLM Output
+ * Requests JSON from a model, validates it against a schema and re-prompts
+ * the model with the validation errors when the output is invalid. Every
+ * validation failure, repair and fallback is recorded in system_metrics
+ */
+
+const UsageTracker = require('./usage-tracker');
+const { BudgetManager } = require('./budget-manager');
+
+// Repair re-prompts after the first invalid response
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.ATLANTIS_MAX_REPAIR_ATTEMPTS || 2, 10);
+
+// system_metrics type of structured output events
+const METRIC_TYPE = 'structured-output';
+
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array} errors - Validation errors of the last response
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Request schema-valid JSON from a model, repairing invalid responses
+ * @param {LLMRouter} llm - LLM provider router
+ * @param {Object} db - Database instance for recording failures
+ * @param {Object} options - Request options
+ * @param {string} options.name - Output name used in metrics (e.g. 'plan')
+ * @param {string} options.stage - Pipeline stage the provider and model are configured for
+ * @param {Object} options.override - Agent-level { provider, model }
+ * @param {Object} options.context - Task, agent and bot the usage of every call is recorded for
+ * @param {Object} options.schema - JSON schema the output must satisfy
+ * @param {string} options.prompt - Prompt asking for JSON
+ * @param {number} options.maxTokens - Maximum tokens per response
+ * @param {number} options.maxRepairs - Repair re-prompts allowed
+ * @returns {Promise<Object>} - Validated output
+ * @throws {StructuredOutputError} - If no valid output was produced
+ * @throws {BudgetExceededError} - If the task of the context ran out of budget
+ */
+async function requestStructuredOutput(llm, db, options) {
+  const {
+    name, stage, override, context = {}, schema, prompt, maxTokens, maxRepairs = MAX_REPAIR_ATTEMPTS
+  } = options;
+  const usage = new UsageTracker(db);
+  const budgets = new BudgetManager(db);
+  const messages = [{ role: 'user', content: prompt }];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    budgets.enforce(context.taskId);
+    const response = await llm.complete({
+      stage,
+      messages,
+      maxTokens,
+      override
+    });
+    usage.record({ ...context, stage }, response);
+    const { text } = response;
+
+    let value;
+    try {
+      value = parseJson(text);
+      errors = validate(value, schema);
+    } catch (error) {
+      errors = [`$: response is not valid JSON (${error.message})`];
+    }
+
+    if (errors.length === 0) {
+      if (attempt > 0) {
+        recordOutputEvent(db, name, 'repaired', { attempts: attempt + 1 });
+      }
+      return value;
+    }
+
+    console.warn(`Invalid ${name} output (attempt ${attempt + 1}):`, errors.join('; '));
+    recordOutputEvent(db, name, 'validation-failed', { attempt: attempt + 1, errors });
+
+    messages.push(
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `Your response did not match the required JSON schema:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with only the corrected JSON object, without prose or code fences.`
+      }
+    );
+  }
+
+  throw new StructuredOutputError(`No valid ${name} output after ${maxRepairs + 1} attempts`, errors);
+}
+
+/**
+ * Parse JSON from a model response, tolerating prose and code fences around it
+ * @param {string} text - Model response
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - If no JSON object can be parsed
+ */
+function parseJson(text) {
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall through to extraction
+  }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    return JSON.parse(fenced[1]);
+  }
+
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new SyntaxError('no JSON object found');
+  }
+  return JSON.parse(trimmed.slice(start, end + 1));
+}
+
+/**
+ * Validate a value against a JSON schema subset: type, properties,
+ * required, items, enum, minItems and minLength
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array} - Validation errors, empty if the value is valid
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${describeType(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON schema type
+ * @returns {boolean} - Whether the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Record a structured output event in system_metrics
+ * @param {Object} db - Database instance
+ * @param {string} name - Output name
+ * @param {string} event - validation-failed, repaired or fallback
+ * @param {Object} details - Event details
+ */
+function recordOutputEvent(db, name, event, details = {}) {
+  db.prepare(
+    'INSERT INTO system_metrics (metric_type, metric_name, metric_value) VALUES (?, ?, ?)'
+  ).run(METRIC_TYPE, `${name}:${event}`, JSON.stringify(details));
+}
+
+/**
+ * Count structured output events per output and event
+ * @param {Object} db - Database instance
+ * @returns {Object} - Counts keyed by output name, then event
+ */
+function getOutputStats(db) {
+  const rows = db.prepare(`
+    SELECT metric_name, COUNT(*) as count FROM system_metrics
+    WHERE metric_type = ? GROUP BY metric_name
+  `).all(METRIC_TYPE);
+
+  const stats = {};
+  for (const row of rows) {
+    const [name, event] = row.metric_name.split(':');
+    stats[name] = { ...stats[name], [event]: row.count };
+  }
+  return stats;
+}
+
+module.exports = {
+  StructuredOutputError,
+  requestStructuredOutput,
+  parseJson,
+  validate,
+  recordOutputEvent,
+  getOutputStats
+};
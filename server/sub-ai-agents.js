@@ -5,16 +5,80 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { TaskScheduler, formatUpstreamOutputs } = require('./task-scheduler');
+const { topologicalSort } = require('./dependency-graph');
+const { getRetryPolicy, backoffDelay } = require('./retry-policy');
+const AssignmentBroker = require('./assignment-broker');
+const PerformanceTracker = require('./performance-tracker');
+const JobQueue = require('./job-queue');
+const { requestStructuredOutput, recordOutputEvent } = require('./structured-output');
+const { ANALYSIS_SCHEMA } = require('./output-schemas');
+const { LLMRouter } = require('./llm-providers');
+const UsageTracker = require('./usage-tracker');
+const { BudgetManager } = require('./budget-manager');
+const BudgetExceededError = require('./budget-exceeded-error');
+const { getEventBus } = require('./event-bus');
+const { ArtifactStore } = require('./artifact-store');
+const { getBotTypes, DEFAULT_BOT_TYPE } = require('./bot-types');
+const { CodeSandbox } = require('./code-sandbox');
+const TaskWorkspace = require('./task-workspace');
+
+// Work bot statuses that will not run again during an assignment
+const FINISHED_BOT_STATUSES = ['failed', 'dead-letter', 'discarded', 'cancelled'];
+
+// Work bots created per assignment unless the agent sets max_work_bots
+const DEFAULT_MAX_WORK_BOTS = 5;
+
+// Assignment statuses that stop an agent from starting more work bots
+const HALTED_STATUSES = ['paused', 'cancelled'];
+
+// Assignment statuses an agent has reported its work to ATLANTIS with
+const REPORTED_ASSIGNMENT_STATUSES = ['completed', 'partial'];
 
 class SubAIAgent {
-  constructor(db, agentData, aiClients) {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} agentData - Agent record
+   * @param {Object} aiClients - AI clients
+   * @param {Object} options - Agent options
+   * @param {Object} options.retryPolicies - Work bot retry policy overrides, keyed by bot type or 'default'
+   * @param {LLMRouter} options.llm - Shared provider router; built from aiClients if omitted
+   * @param {string} options.artifactDir - Directory work bot artifacts are written to
+   * @param {BotTypeRegistry} options.botTypes - Work bot types; the shared registry if omitted
+   * @param {CodeSandbox} options.sandbox - Sandbox testing bots run code in
+   * @param {string} options.workspaceDir - Directory the task repositories of code-generation bots are kept in
+   * @param {Function} options.onAssignmentFinished - Called with the task record ID once an assignment has
+   *   finished, and with { revised: true } as well when a re-run changed the work of a finished assignment
+   */
+  constructor(db, agentData, aiClients, options = {}) {
     this.db = db;
     this.agentId = agentData.agent_id;
     this.name = agentData.name;
     this.specialization = agentData.specialization;
-    this.expertiseAreas = JSON.parse(agentData.expertise_areas);
+    this.expertiseAreas = JSON.parse(agentData.expertise_areas || '[]');
+    this.systemPrompt = agentData.system_prompt || null;
+    // Bot types this agent may create, null for any
+    this.allowedBotTypes = agentData.allowed_bot_types ? JSON.parse(agentData.allowed_bot_types) : null;
+    this.revision = agentData.revision;
     this.aiClients = aiClients;
-    this.maxWorkBots = 5;
+    this.llm = options.llm || new LLMRouter(aiClients);
+    // Provider and model this agent's analysis and work bots run on, overriding the stage settings
+    this.llmOverride = { provider: agentData.llm_provider, model: agentData.llm_model };
+    this.maxWorkBots = agentData.max_work_bots || DEFAULT_MAX_WORK_BOTS;
+    this.maxConcurrentBots = agentData.max_concurrent_bots
+      || parseInt(process.env.ATLANTIS_MAX_CONCURRENT_BOTS || 3, 10);
+    this.retryPolicies = options.retryPolicies || {};
+    this.scheduler = new TaskScheduler(db);
+    this.broker = new AssignmentBroker(db);
+    this.performance = new PerformanceTracker(db);
+    this.usage = new UsageTracker(db);
+    this.budgets = new BudgetManager(db);
+    this.events = getEventBus(db);
+    this.artifacts = new ArtifactStore(db, { rootDir: options.artifactDir });
+    this.botTypes = options.botTypes || getBotTypes();
+    this.sandbox = options.sandbox || new CodeSandbox();
+    this.workspace = new TaskWorkspace(db, { rootDir: options.workspaceDir });
+    this.onAssignmentFinished = options.onAssignmentFinished || null;
   }
 
   /**
@@ -29,14 +93,31 @@ class SubAIAgent {
       // Update assignment status
       this.updateAssignmentStatus(assignment.id, 'in-progress');
 
-      // Analyze the assignment
-      const analysis = await this.analyzeAssignment(assignment);
+      // Gather outputs of the assignments this one depends on
+      const upstreamContext = formatUpstreamOutputs(this.scheduler.getUpstreamOutputs(assignment));
 
-      // Create work bots based on analysis
-      const workBots = await this.createWorkBots(assignment, analysis);
+      // A resumed assignment continues with the work bots it already has
+      let workBots = this.loadWorkBots(assignment.id);
+      if (workBots.length === 0) {
+        // Analyze the assignment
+        const analysis = await this.analyzeAssignment(assignment, upstreamContext);
+
+        // Create work bots based on analysis
+        workBots = await this.createWorkBots(assignment, analysis);
+      }
 
       // Execute work bots
-      await this.executeWorkBots(workBots, assignment);
+      await this.executeWorkBots(workBots, assignment, upstreamContext);
+
+      const halted = this.getHaltedStatus(assignment.id);
+      if (halted) {
+        console.log(`${this.name}: Assignment ${assignment.assignment_id} was ${halted}, stopping`);
+        return {
+          success: true,
+          workBots: workBots.length,
+          message: `${this.name} stopped: assignment ${halted}`
+        };
+      }
 
       // Report back to ATLANTIS
       await this.reportToAtlantis(assignment);
@@ -47,8 +128,36 @@ class SubAIAgent {
         message: `${this.name} completed assignment`
       };
     } catch (error) {
+      // The task ran out of budget and holds this assignment until it is resumed
+      if (error instanceof BudgetExceededError) {
+        console.log(`${this.name}: Assignment ${assignment.assignment_id} stopped: ${error.message}`);
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+
       console.error(`❌ ${this.name} Error:`, error);
-      this.updateAssignmentStatus(assignment.id, 'failed');
+
+      // Cancelled and paused assignments have already released their capacity. They keep
+      // their status when an error ends them, such as an aborted model call, so a paused
+      // assignment can still be resumed
+      const current = this.db.prepare(
+        'SELECT status FROM task_assignments WHERE id = ?'
+      ).get(assignment.id);
+      const halted = HALTED_STATUSES.includes(current.status);
+      if (!halted) {
+        this.updateAssignmentStatus(assignment.id, 'failed');
+        if (this.broker.holdsCapacity(current.status)) {
+          this.broker.releaseCapacity(this.getAgentRecordId());
+        }
+        this.performance.recomputeScore(this.getAgentRecordId(),
+          `Assignment ${assignment.assignment_id} failed`);
+      }
+      this.scheduler.releaseBlockedAssignments(assignment.task_id);
+      if (!halted) {
+        await notifyAssignmentFinished(this.onAssignmentFinished, assignment.task_id);
+      }
       return {
         success: false,
         error: error.message
@@ -59,30 +168,34 @@ class SubAIAgent {
   /**
    * Analyze assignment to determine work breakdown
    * @param {Object} assignment - Assignment object
+   * @param {string} upstreamContext - Formatted outputs of upstream assignments
    * @returns {Promise<Object>} - Analysis result
    */
-  async analyzeAssignment(assignment) {
+  async analyzeAssignment(assignment, upstreamContext = '') {
     const elements = JSON.parse(assignment.assigned_elements);
 
     const prompt = `You are ${this.name}, a specialized AI agent with expertise in ${this.specialization}.
 
 Your areas of expertise: ${this.expertiseAreas.join(', ')}
-
+${this.systemPrompt ? `\n${this.systemPrompt}\n` : ''}
 You've been assigned the following work elements:
 ${elements.map((e, i) => `${i + 1}. ${e}`).join('\n')}
-
+${upstreamContext}
 Analyze these elements and break them down into specific, actionable tasks that can be executed by work bots.
 
 For each task, specify:
-1. Task description
-2. Bot type needed (research, code-generation, testing, documentation, deployment, analysis)
-3. Expected output
-4. Dependencies on other tasks
+1. A short unique ID (e.g. "t1")
+2. Task description
+3. Bot type needed, one of:
+${this.describeBotTypes()}
+4. Expected output
+5. Dependencies: IDs of the tasks whose output it needs (tasks without dependencies run in parallel)
 
 Return as JSON:
 {
   "tasks": [
     {
+      "id": "t1",
       "description": "...",
       "botType": "code-generation",
       "expectedOutput": "...",
@@ -93,161 +206,544 @@ Return as JSON:
 }`;
 
     try {
-      const response = await this.aiClients.claude.messages.create({
-        model: 'claude-sonnet-4-5',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      return await requestStructuredOutput(this.llm, this.db, {
+        name: 'analysis',
+        stage: 'analysis',
+        override: this.llmOverride,
+        context: { taskId: assignment.task_id, agentId: this.getAgentRecordId() },
+        schema: ANALYSIS_SCHEMA,
+        prompt,
+        maxTokens: 2048
       });
-
-      return JSON.parse(response.content[0].text);
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.error('Analysis error:', error);
+      recordOutputEvent(this.db, 'analysis', 'fallback', {
+        assignmentId: assignment.assignment_id,
+        error: error.message
+      });
       // Fallback
       return {
-        tasks: elements.map(e => ({
+        tasks: elements.map((e, i) => ({
+          id: `t${i + 1}`,
           description: e,
           botType: 'general',
-          expectedOutput: `Complete: ${e}`
+          expectedOutput: `Complete: ${e}`,
+          dependencies: []
         })),
-        strategy: 'Sequential execution'
+        strategy: 'Parallel execution'
       };
     }
   }
 
+  /**
+   * Describe the bot types this agent may create, for the analysis prompt
+   * @returns {string} - One line per bot type
+   */
+  describeBotTypes() {
+    return this.botTypes.list()
+      .filter(definition => (this.allowedBotTypes
+        ? this.allowedBotTypes.includes(definition.type)
+        : definition.type !== DEFAULT_BOT_TYPE))
+      .map(definition => `   - ${definition.type}: ${definition.description}`)
+      .join('\n');
+  }
+
   /**
    * Create work bots based on analysis
    * @param {Object} assignment - Assignment object
    * @param {Object} analysis - Analysis result
-   * @returns {Promise<Array>} - Created work bots
+   * @returns {Promise<Array>} - Created work bots in dependency order
+   * @throws {Error} - If the task dependencies contain a cycle
    */
   async createWorkBots(assignment, analysis) {
     console.log(`🔧 ${this.name}: Creating work bots...`);
 
-    const workBots = [];
+    const tasks = this.orderAnalysisTasks(analysis.tasks.slice(0, this.maxWorkBots));
+    const agentRecordId = this.getAgentRecordId();
+    const botIds = new Map(tasks.map(task => [task.id, `bot-${uuidv4()}`]));
 
-    for (const task of analysis.tasks.slice(0, this.maxWorkBots)) {
-      const botId = `bot-${uuidv4()}`;
-
-      const stmt = this.db.prepare(`
-        INSERT INTO work_bots (
-          bot_id, assignment_id, agent_id, bot_type, task_description, status
-        ) VALUES (?, ?, ?, ?, ?, 'created')
-      `);
+    const stmt = this.db.prepare(`
+      INSERT INTO work_bots (
+        bot_id, assignment_id, agent_id, bot_type, task_description, task_key, dependencies, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'created')
+    `);
 
-      const agentRecord = this.db.prepare(
-        'SELECT id FROM sub_ai_agents WHERE agent_id = ?'
-      ).get(this.agentId);
+    return tasks.map(task => {
+      const botId = botIds.get(task.id);
+      const dependencies = task.dependencies.map(d => botIds.get(d));
 
       stmt.run(
         botId,
         assignment.id,
-        agentRecord.id,
+        agentRecordId,
         task.botType,
-        task.description
+        task.description,
+        task.id,
+        JSON.stringify(dependencies)
       );
+      this.events.botStatusChanged(botId);
 
-      workBots.push({
+      return {
         botId,
+        taskKey: task.id,
         type: task.botType,
         description: task.description,
-        expectedOutput: task.expectedOutput
-      });
+        expectedOutput: task.expectedOutput,
+        dependencies
+      };
+    });
+  }
+
+  /**
+   * Normalize analysis task IDs and bot types, and order tasks after the
+   * tasks they depend on
+   * @param {Array} tasks - Tasks from the assignment analysis
+   * @returns {Array} - Normalized tasks in dependency order
+   * @throws {Error} - If the dependencies contain a cycle
+   */
+  orderAnalysisTasks(tasks) {
+    const normalized = tasks.map((task, index) => ({
+      ...task,
+      id: task.id ? String(task.id) : `t${index + 1}`,
+      botType: this.resolveBotType(task),
+      dependencies: Array.isArray(task.dependencies) ? task.dependencies.map(String) : []
+    }));
+
+    // Dependencies on tasks beyond the work bot limit cannot be honoured
+    const knownIds = new Set(normalized.map(task => task.id));
+    for (const task of normalized) {
+      const unknown = task.dependencies.filter(d => !knownIds.has(d));
+      if (unknown.length > 0) {
+        console.warn(`${this.name}: task ${task.id} depends on unknown tasks: ${unknown.join(', ')}`);
+        task.dependencies = task.dependencies.filter(d => knownIds.has(d));
+      }
+    }
+
+    return topologicalSort(normalized, task => task.id, task => task.dependencies);
+  }
+
+  /**
+   * Resolve the registered bot type of an analysis task. A task that does
+   * not fit the input schema of its type, or whose type the agent may not
+   * create, falls back to the default type or the first type the agent may create
+   * @param {Object} task - Task from the assignment analysis
+   * @returns {string} - Bot type
+   */
+  resolveBotType(task) {
+    let type = this.botTypes.resolve(task.botType);
+    const errors = this.botTypes.checkTask(this.botTypes.get(type), task);
+    if (errors.length > 0) {
+      console.warn(`${this.name}: task does not fit bot type ${type}: ${errors.join('; ')}`);
+      type = DEFAULT_BOT_TYPE;
+    }
+    if (this.allowedBotTypes && !this.allowedBotTypes.includes(type)) {
+      type = this.allowedBotTypes[0];
     }
+    return type;
+  }
 
-    return workBots;
+  /**
+   * Load the work bots already created for an assignment
+   * @param {number} assignmentId - Assignment database ID
+   * @returns {Array} - Work bots in dependency order, with their status and result
+   */
+  loadWorkBots(assignmentId) {
+    return this.db.prepare(
+      'SELECT * FROM work_bots WHERE assignment_id = ? ORDER BY id'
+    ).all(assignmentId).map(record => ({
+      botId: record.bot_id,
+      taskKey: record.task_key,
+      type: record.bot_type,
+      description: record.task_description,
+      dependencies: JSON.parse(record.dependencies || '[]'),
+      status: record.status,
+      result: record.result
+    }));
   }
 
   /**
-   * Execute work bots
-   * @param {Array} workBots - Work bots to execute
+   * Check whether an assignment was paused or cancelled
+   * @param {number} assignmentId - Assignment database ID
+   * @returns {string|null} - Halted status, null if the assignment may continue
+   */
+  getHaltedStatus(assignmentId) {
+    const { status } = this.db.prepare(
+      'SELECT status FROM task_assignments WHERE id = ?'
+    ).get(assignmentId);
+    return HALTED_STATUSES.includes(status) ? status : null;
+  }
+
+  /**
+   * Execute work bots concurrently, up to the agent's concurrency limit,
+   * starting each bot once the bots it depends on have completed. Bots that
+   * already completed (when an assignment is resumed) are not run again.
+   * No further bots are started once the assignment is paused or cancelled
+   * @param {Array} workBots - Work bots in dependency order
    * @param {Object} assignment - Assignment object
+   * @param {string} upstreamContext - Formatted outputs of upstream assignments
    */
-  async executeWorkBots(workBots, assignment) {
-    console.log(`⚡ ${this.name}: Executing ${workBots.length} work bots...`);
+  async executeWorkBots(workBots, assignment, upstreamContext = '') {
+    console.log(`⚡ ${this.name}: Executing ${workBots.length} work bots ` +
+      `(up to ${this.maxConcurrentBots} at a time)...`);
+
+    const results = new Map();
+    const failed = new Set();
+    const running = new Map();
 
     for (const bot of workBots) {
-      try {
-        // Update bot status
+      if (bot.status === 'completed') {
+        results.set(bot.botId, { description: bot.description, output: JSON.parse(bot.result).output });
+      } else if (FINISHED_BOT_STATUSES.includes(bot.status)) {
+        failed.add(bot.botId);
+      }
+    }
+    let pending = workBots.filter(b => !results.has(b.botId) && !failed.has(b.botId));
+
+    while (pending.length > 0 || running.size > 0) {
+      // A bot cannot run once a bot it depends on has failed for good
+      for (const bot of pending.filter(b => b.dependencies.some(d => failed.has(d)))) {
         this.db.prepare(
-          'UPDATE work_bots SET status = ?, started_at = CURRENT_TIMESTAMP WHERE bot_id = ?'
-        ).run('running', bot.botId);
+          'UPDATE work_bots SET status = ?, result = ? WHERE bot_id = ?'
+        ).run('failed', JSON.stringify({ error: 'A work bot it depends on failed' }), bot.botId);
+        this.events.botStatusChanged(bot.botId);
+        failed.add(bot.botId);
+      }
+      pending = pending.filter(b => !failed.has(b.botId));
 
-        // Execute bot task
-        const result = await this.executeWorkBot(bot);
+      // Let running bots finish, but start no new ones
+      const ready = this.getHaltedStatus(assignment.id)
+        ? []
+        : pending.filter(b => b.dependencies.every(d => results.has(d)));
+      for (const bot of ready.slice(0, this.maxConcurrentBots - running.size)) {
+        const dependencyOutputs = bot.dependencies.map(d => results.get(d));
+        running.set(bot.botId, this.runWorkBot(bot, assignment, upstreamContext, dependencyOutputs)
+          .then(result => ({ bot, result })));
+        pending = pending.filter(b => b !== bot);
+      }
+
+      if (running.size === 0) break;
+
+      const { bot, result } = await Promise.race(running.values());
+      running.delete(bot.botId);
+      if (result) {
+        results.set(bot.botId, { description: bot.description, output: result.output });
+      } else if (!this.getHaltedStatus(assignment.id)) {
+        failed.add(bot.botId);
+      }
+    }
+
+    // Update assignment progress
+    const completedBots = this.db.prepare(
+      "SELECT COUNT(*) as count FROM work_bots WHERE assignment_id = ? AND status = 'completed'"
+    ).get(assignment.id);
+
+    const progress = workBots.length > 0 ? Math.round((completedBots.count / workBots.length) * 100) : 100;
+    this.db.prepare(
+      'UPDATE task_assignments SET progress = ? WHERE id = ?'
+    ).run(progress, assignment.id);
+  }
+
+  /**
+   * Run a single work bot and record its outcome, retrying failed attempts
+   * with exponential backoff. A bot that exhausts its retries is moved to
+   * the dead-letter queue for a user to re-run or discard
+   * @param {Object} bot - Work bot
+   * @param {Object} assignment - Assignment object
+   * @param {string} upstreamContext - Formatted outputs of upstream assignments
+   * @param {Array} dependencyOutputs - Outputs of the bots this bot depends on
+   * @param {number} priorAttempts - Attempts made before this run
+   * @returns {Promise<Object|null>} - Execution result, or null if the bot was dead-lettered
+   */
+  async runWorkBot(bot, assignment, upstreamContext, dependencyOutputs, priorAttempts = 0) {
+    const policy = getRetryPolicy(bot.type, this.retryPolicies);
 
-        // Save result
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      // A bot waiting to retry stops when its assignment is paused or cancelled
+      const halted = attempt > 1 && this.getHaltedStatus(assignment.id);
+      if (halted) {
         this.db.prepare(
-          'UPDATE work_bots SET status = ?, result = ?, completed_at = CURRENT_TIMESTAMP WHERE bot_id = ?'
-        ).run('completed', JSON.stringify(result), bot.botId);
+          'UPDATE work_bots SET status = ? WHERE bot_id = ?'
+        ).run(halted, bot.botId);
+        this.events.botStatusChanged(bot.botId);
+        return null;
+      }
+
+      // Update bot status
+      this.db.prepare(`
+        UPDATE work_bots SET status = 'running', attempts = ?, started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+        WHERE bot_id = ?
+      `).run(priorAttempts + attempt, bot.botId);
+      this.events.botStatusChanged(bot.botId);
+
+      try {
+        // Execute bot task
+        const result = await this.executeWorkBot(bot, upstreamContext, dependencyOutputs, assignment);
+
+        // Save result, unless the bot was cancelled while running
+        this.db.prepare(`
+          UPDATE work_bots SET status = ?, result = ?, completed_at = CURRENT_TIMESTAMP
+          WHERE bot_id = ? AND status != 'cancelled'
+        `).run('completed', JSON.stringify(result), bot.botId);
+        this.events.botStatusChanged(bot.botId);
 
         // Add progress update
         this.addProgressUpdate(assignment.task_id, bot.botId, 
           `Work bot completed: ${bot.description.substring(0, 50)}...`);
 
+        return result;
       } catch (error) {
-        console.error(`Work bot ${bot.botId} failed:`, error);
-        this.db.prepare(
-          'UPDATE work_bots SET status = ?, result = ? WHERE bot_id = ?'
-        ).run('failed', JSON.stringify({ error: error.message }), bot.botId);
+        // Out of budget: the bot waits with its held assignment instead of retrying
+        if (error instanceof BudgetExceededError) {
+          this.db.prepare(
+            "UPDATE work_bots SET status = 'paused' WHERE bot_id = ? AND status = 'running'"
+          ).run(bot.botId);
+          this.events.botStatusChanged(bot.botId);
+          return null;
+        }
+
+        console.error(`Work bot ${bot.botId} attempt ${attempt}/${policy.maxAttempts} failed:`, error.message);
+
+        if (attempt < policy.maxAttempts) {
+          const delay = backoffDelay(policy, attempt);
+          this.db.prepare(
+            'UPDATE work_bots SET status = ?, result = ? WHERE bot_id = ?'
+          ).run('retrying', JSON.stringify({ error: error.message, retryInMs: delay }), bot.botId);
+          this.events.botStatusChanged(bot.botId);
+          await new Promise((resolve) => { setTimeout(resolve, delay); });
+        } else {
+          this.db.prepare(
+            'UPDATE work_bots SET status = ?, result = ? WHERE bot_id = ?'
+          ).run('dead-letter', JSON.stringify({ error: error.message }), bot.botId);
+          this.events.botStatusChanged(bot.botId);
+          this.addProgressUpdate(assignment.task_id, bot.botId,
+            `Work bot failed after ${priorAttempts + attempt} attempts and awaits review: ` +
+            `${bot.description.substring(0, 50)}...`);
+        }
       }
     }
 
-    // Update assignment progress
-    const completedBots = this.db.prepare(
-      'SELECT COUNT(*) as count FROM work_bots WHERE assignment_id = ? AND status = "completed"'
-    ).get(assignment.id);
+    return null;
+  }
+
+  /**
+   * Re-run a dead-lettered work bot with a fresh set of retries. Once it
+   * succeeds, the bots that failed because they depend on it run again, and
+   * ATLANTIS is told that the work of the assignment changed
+   * @param {string} botId - Work bot ID
+   * @returns {Promise<Object>} - Re-run result
+   */
+  async rerunWorkBot(botId) {
+    const record = this.db.prepare('SELECT * FROM work_bots WHERE bot_id = ?').get(botId);
+    if (!record) {
+      return { success: false, error: 'Work bot not found' };
+    }
+    if (record.status !== 'dead-letter') {
+      return { success: false, error: `Work bot is ${record.status}, only dead-lettered bots can be re-run` };
+    }
+
+    const assignment = this.db.prepare(
+      'SELECT * FROM task_assignments WHERE id = ?'
+    ).get(record.assignment_id);
+    if (assignment.status === 'cancelled') {
+      return { success: false, error: 'Assignment is cancelled' };
+    }
+
+    const dependencies = JSON.parse(record.dependencies || '[]');
+    const dependencyOutputs = dependencies
+      .map(d => this.db.prepare(
+        "SELECT task_description, result FROM work_bots WHERE bot_id = ? AND status = 'completed'"
+      ).get(d))
+      .filter(Boolean)
+      .map(d => ({ description: d.task_description, output: JSON.parse(d.result).output }));
+
+    const bot = {
+      botId,
+      taskKey: record.task_key,
+      type: record.bot_type,
+      description: record.task_description,
+      dependencies
+    };
+    const upstreamContext = formatUpstreamOutputs(this.scheduler.getUpstreamOutputs(assignment));
+
+    const result = await this.runWorkBot(bot, assignment, upstreamContext, dependencyOutputs, record.attempts);
+    // An assignment still in progress runs the rest of its bots itself
+    if (result && assignment.status !== 'in-progress') {
+      await this.rerunDependents(botId, assignment, upstreamContext);
+    }
+    this.refreshAssignmentOutcome(assignment);
+
+    const outcome = this.db.prepare('SELECT status FROM task_assignments WHERE id = ?').get(assignment.id);
+    if (result && REPORTED_ASSIGNMENT_STATUSES.includes(outcome.status)) {
+      await notifyAssignmentFinished(this.onAssignmentFinished, assignment.task_id, { revised: true });
+    }
+
+    const updated = this.db.prepare('SELECT status, attempts FROM work_bots WHERE bot_id = ?').get(botId);
+    return {
+      success: Boolean(result),
+      botId,
+      status: updated.status,
+      attempts: updated.attempts,
+      ...(result ? { output: result.output } : { error: 'Work bot failed again' })
+    };
+  }
 
-    const progress = Math.round((completedBots.count / workBots.length) * 100);
+  /**
+   * Run the work bots again that failed because a bot they depend on, directly
+   * or through other bots, had failed before it was re-run
+   * @param {string} botId - ID of the re-run work bot
+   * @param {Object} assignment - Assignment object
+   * @param {string} upstreamContext - Formatted outputs of upstream assignments
+   */
+  async rerunDependents(botId, assignment, upstreamContext) {
+    // Bots are stored in dependency order, so one pass finds every dependent
+    const reset = new Set([botId]);
+    for (const bot of this.loadWorkBots(assignment.id)) {
+      if (bot.status === 'failed' && bot.dependencies.some(d => reset.has(d))) {
+        reset.add(bot.botId);
+      }
+    }
+    reset.delete(botId);
+    if (reset.size === 0) return;
+
+    const resetBot = this.db.prepare("UPDATE work_bots SET status = 'created', result = NULL WHERE bot_id = ?");
+    for (const dependent of reset) {
+      resetBot.run(dependent);
+      this.events.botStatusChanged(dependent);
+    }
+    await this.executeWorkBots(this.loadWorkBots(assignment.id), assignment, upstreamContext);
+  }
+
+  /**
+   * Discard a dead-lettered work bot so it no longer counts against its assignment
+   * @param {string} botId - Work bot ID
+   * @param {string} reason - Why the bot is discarded
+   * @returns {Object} - Discard result
+   */
+  discardWorkBot(botId, reason) {
+    const record = this.db.prepare('SELECT * FROM work_bots WHERE bot_id = ?').get(botId);
+    if (!record) {
+      return { success: false, error: 'Work bot not found' };
+    }
+    if (record.status !== 'dead-letter') {
+      return { success: false, error: `Work bot is ${record.status}, only dead-lettered bots can be discarded` };
+    }
+
+    const lastError = JSON.parse(record.result || '{}').error;
     this.db.prepare(
-      'UPDATE task_assignments SET progress = ? WHERE id = ?'
-    ).run(progress, assignment.id);
+      'UPDATE work_bots SET status = ?, result = ?, completed_at = CURRENT_TIMESTAMP WHERE bot_id = ?'
+    ).run('discarded', JSON.stringify({ error: lastError, discardReason: reason || null }), botId);
+    this.events.botStatusChanged(botId);
+
+    const assignment = this.db.prepare(
+      'SELECT * FROM task_assignments WHERE id = ?'
+    ).get(record.assignment_id);
+    this.addProgressUpdate(assignment.task_id, botId,
+      `Work bot discarded${reason ? `: ${reason}` : ''}`);
+    this.refreshAssignmentOutcome(assignment);
+
+    return { success: true, botId, status: 'discarded' };
   }
 
   /**
-   * Execute individual work bot
+   * Recompute assignment progress after a dead-lettered bot was handled, and
+   * complete a partial assignment once none of its bots are outstanding
+   * @param {Object} assignment - Assignment object
+   */
+  refreshAssignmentOutcome(assignment) {
+    const bots = this.db.prepare(
+      "SELECT status FROM work_bots WHERE assignment_id = ? AND status != 'discarded'"
+    ).all(assignment.id);
+    const completed = bots.filter(b => b.status === 'completed').length;
+
+    const progress = bots.length > 0 ? Math.round((completed / bots.length) * 100) : 100;
+    this.db.prepare(`
+      UPDATE task_assignments
+      SET progress = ?, status = CASE WHEN status = 'partial' AND ? THEN 'completed' ELSE status END
+      WHERE id = ?
+    `).run(progress, completed === bots.length ? 1 : 0, assignment.id);
+
+    const current = this.db.prepare('SELECT status FROM task_assignments WHERE id = ?').get(assignment.id);
+    if (assignment.status === 'partial' && current.status === 'completed') {
+      this.events.assignmentStatusChanged(assignment.id);
+      this.performance.recomputeScore(this.getAgentRecordId(),
+        `Assignment ${assignment.assignment_id} completed after dead-letter review`);
+      this.addProgressUpdate(assignment.task_id, this.agentId,
+        `${this.name} completed assignment after dead-letter review`);
+    }
+  }
+
+  /**
+   * Execute individual work bot with the prompt, tools and result checks of its type
    * @param {Object} bot - Work bot
+   * @param {string} upstreamContext - Formatted outputs of upstream assignments
+   * @param {Array} dependencyOutputs - Outputs of the bots this bot depends on
+   * @param {Object} assignment - Assignment the bot works on, for usage accounting and tools
    * @returns {Promise<Object>} - Execution result
+   * @throws {Error} - If the result fails the checks of the bot type
    */
-  async executeWorkBot(bot) {
+  async executeWorkBot(bot, upstreamContext = '', dependencyOutputs = [], assignment = null) {
     console.log(`🤖 Executing work bot: ${bot.type}`);
 
-    const prompt = `You are a specialized work bot of type: ${bot.type}
-Created by: ${this.name}
-
-Task: ${bot.description}
+    const definition = this.botTypes.get(bot.type);
+    // Tools store what they produce with the task, so they need an assignment
+    const tools = assignment ? this.botTypes.getTools(definition) : [];
+    const prompt = definition.buildPrompt({
+      type: definition.type,
+      agent: { name: this.name, systemPrompt: this.systemPrompt },
+      bot,
+      upstreamContext,
+      dependencyContext: formatDependencyOutputs(dependencyOutputs),
+      toolInstructions: tools.map(tool => tool.instructions).join('')
+    });
 
-Execute this task and provide detailed results. Include:
-1. What was accomplished
-2. Output/deliverable
-3. Any issues encountered
-4. Recommendations
+    // Partial output goes to the task's subscribers; offset 0 starts a new attempt
+    const task = assignment && this.db.prepare('SELECT task_id FROM tasks WHERE id = ?').get(assignment.task_id);
+    let offset = 0;
+    const onDelta = (delta) => {
+      this.events.outputDelta(task.task_id, {
+        source: 'work-bot',
+        agentId: this.agentId,
+        botId: bot.botId,
+        offset,
+        delta
+      });
+      offset += delta.length;
+    };
 
-Be specific and actionable.`;
+    // Errors propagate so that runWorkBot can retry the attempt
+    this.budgets.enforce(assignment && assignment.task_id);
+    const response = await this.llm.complete({
+      stage: 'execution',
+      override: this.llmOverride,
+      maxTokens: 2048,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }],
+      // Only stream when a client follows the task
+      onDelta: task && this.events.hasSubscribers(`task:${task.task_id}`) ? onDelta : undefined
+    });
+    this.usage.record({
+      stage: 'execution',
+      taskId: assignment && assignment.task_id,
+      agentId: this.getAgentRecordId(),
+      botId: bot.botId
+    }, response);
 
-    try {
-      const response = await this.aiClients.claude.messages.create({
-        model: 'claude-sonnet-4-5',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+    // Check the output before the tools store or commit anything, so a
+    // rejected attempt that is retried leaves no artifacts behind
+    const result = { success: true, output: response.text };
+    const errors = this.botTypes.checkResult(definition, result, bot);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${definition.type} result: ${errors.join('; ')}`);
+    }
 
-      return {
-        success: true,
-        output: response.content[0].text,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+    for (const tool of tools) {
+      Object.assign(result, await tool.run({ agent: this, bot, assignment, task }, response.text, result));
     }
+
+    return { ...result, timestamp: new Date().toISOString() };
   }
 
   /**
@@ -265,24 +761,45 @@ Be specific and actionable.`;
     const completed = results.filter(r => r.status === 'completed').length;
     const total = results.length;
 
-    // Update assignment status
+    // Update assignment status, unless it was cancelled or paused while running
     const status = completed === total ? 'completed' : 'partial';
-    this.db.prepare(
-      'UPDATE task_assignments SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?'
-    ).run(status, assignment.id);
+    const update = this.db.prepare(`
+      UPDATE task_assignments SET status = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status NOT IN ('cancelled', 'paused')
+    `).run(status, assignment.id);
 
-    // Decrease agent load
-    const agentRecord = this.db.prepare(
-      'SELECT id FROM sub_ai_agents WHERE agent_id = ?'
-    ).get(this.agentId);
+    // Cancelling or pausing already released the agent load
+    if (update.changes === 0) {
+      console.log(`${this.name}: Assignment ${assignment.assignment_id} was halted, discarding report`);
+      return;
+    }
+    this.events.assignmentStatusChanged(assignment.id);
 
-    this.db.prepare(
-      'UPDATE sub_ai_agents SET current_load = current_load - 1 WHERE id = ?'
-    ).run(agentRecord.id);
+    // Decrease agent load and admit queued work
+    this.broker.releaseCapacity(this.getAgentRecordId());
+
+    // Update performance score with the outcome
+    this.performance.recomputeScore(this.getAgentRecordId(),
+      `Assignment ${assignment.assignment_id} ${status}`);
 
     // Add progress update
     this.addProgressUpdate(assignment.task_id, this.agentId,
       `${this.name} completed assignment: ${completed}/${total} work bots successful`);
+
+    // Unblock downstream assignments that were waiting on this one
+    this.scheduler.releaseBlockedAssignments(assignment.task_id);
+
+    await notifyAssignmentFinished(this.onAssignmentFinished, assignment.task_id);
+  }
+
+  /**
+   * Get the database ID of this agent
+   * @returns {number} - Agent database ID
+   */
+  getAgentRecordId() {
+    return this.db.prepare(
+      'SELECT id FROM sub_ai_agents WHERE agent_id = ?'
+    ).get(this.agentId).id;
   }
 
   /**
@@ -302,6 +819,7 @@ Be specific and actionable.`;
     }
 
     updateStmt.run(status, assignmentId);
+    this.events.assignmentStatusChanged(assignmentId);
   }
 
   /**
@@ -319,6 +837,9 @@ Be specific and actionable.`;
     `);
 
     stmt.run(updateId, taskId, 'sub-ai', sourceId, message);
+    this.events.progressUpdate(taskId, {
+      updateId, sourceType: 'sub-ai', sourceId, message
+    });
   }
 }
 
@@ -326,9 +847,27 @@ Be specific and actionable.`;
  * Sub-AI Manager - Manages all sub-AI agents
  */
 class SubAIManager {
-  constructor(db, aiClients) {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} aiClients - AI clients
+   * @param {Object} options - Options passed to every agent
+   * @param {Object} options.jobQueue - Job queue options (leaseMs, maxAttempts)
+   * @param {string} options.workerId - ID this process leases jobs under
+   * @param {LLMRouter} options.llm - Provider router shared by every agent
+   * @param {Function} options.onAssignmentFinished - Called with the task record ID once an assignment has
+   *   finished, and with { revised: true } as well when a re-run changed the work of a finished assignment
+   */
+  constructor(db, aiClients, options = {}) {
     this.db = db;
     this.aiClients = aiClients;
+    this.llm = options.llm || new LLMRouter(aiClients);
+    this.options = { ...options, llm: this.llm };
+    this.jobQueue = new JobQueue(db, options.jobQueue);
+    this.workerId = options.workerId || `worker-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.broker = new AssignmentBroker(db);
+    this.scheduler = new TaskScheduler(db);
+    this.events = getEventBus(db);
+    this.processing = false;
     this.agents = new Map();
     this.initializeAgents();
   }
@@ -337,16 +876,34 @@ class SubAIManager {
    * Initialize all sub-AI agents
    */
   initializeAgents() {
+    this.syncAgents();
+    console.log(`✅ Initialized ${this.agents.size} sub-AI agents`);
+  }
+
+  /**
+   * Bring the agents in line with the sub_ai_agents table: agents created or
+   * changed since the last sync are (re)built and retired ones are dropped.
+   * Work already running keeps the agent instance it started with
+   */
+  syncAgents() {
     const agentRecords = this.db.prepare(
-      'SELECT * FROM sub_ai_agents WHERE status = "active"'
+      "SELECT * FROM sub_ai_agents WHERE status = 'active'"
     ).all();
 
+    const active = new Set();
     for (const agentData of agentRecords) {
-      const agent = new SubAIAgent(this.db, agentData, this.aiClients);
-      this.agents.set(agentData.agent_id, agent);
+      active.add(agentData.agent_id);
+      const current = this.agents.get(agentData.agent_id);
+      if (!current || current.revision !== agentData.revision) {
+        this.agents.set(agentData.agent_id, new SubAIAgent(this.db, agentData, this.aiClients, this.options));
+      }
     }
 
-    console.log(`✅ Initialized ${this.agents.size} sub-AI agents`);
+    for (const agentId of this.agents.keys()) {
+      if (!active.has(agentId)) {
+        this.agents.delete(agentId);
+      }
+    }
   }
 
   /**
@@ -355,46 +912,271 @@ class SubAIManager {
    * @returns {SubAIAgent} - Sub-AI agent
    */
   getAgent(agentId) {
+    this.syncAgents();
     return this.agents.get(agentId);
   }
 
   /**
-   * Process pending assignments
+   * Process pending assignments through the job queue. Expired leases are
+   * reclaimed first, then every assigned assignment gets a job and jobs are
+   * run one at a time. A tick that starts while another is still running
+   * returns immediately
+   * @returns {Promise<Object>} - Number of jobs processed, or whether the tick was skipped
    */
   async processPendingAssignments() {
-    const pending = this.db.prepare(`
+    if (this.processing) {
+      return { skipped: true };
+    }
+
+    this.processing = true;
+    try {
+      this.reclaimExpiredJobs();
+      this.enqueueAssignedWork();
+
+      let processed = 0;
+      let job = this.jobQueue.claim(this.workerId);
+      while (job) {
+        await this.runJob(job);
+        processed++;
+        job = this.jobQueue.claim(this.workerId);
+      }
+
+      return { skipped: false, processed };
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Create a job for every assigned assignment that does not have one yet
+   */
+  enqueueAssignedWork() {
+    const assigned = this.db.prepare(`
+      SELECT ta.assignment_id
+      FROM task_assignments ta
+      JOIN tasks t ON ta.task_id = t.id
+      WHERE ta.status = 'assigned' AND t.status NOT IN ('paused', 'cancelled')
+      ORDER BY ta.id
+    `).all();
+
+    for (const { assignment_id: assignmentId } of assigned) {
+      this.jobQueue.enqueue('process-assignment', { assignmentId }, `assignment:${assignmentId}`);
+    }
+  }
+
+  /**
+   * Run a leased job, keeping its lease alive while the assignment is processed
+   * @param {Object} job - Leased job
+   */
+  async runJob(job) {
+    const assignment = this.db.prepare(`
       SELECT ta.*, sa.agent_id
       FROM task_assignments ta
       JOIN sub_ai_agents sa ON ta.agent_id = sa.id
-      WHERE ta.status = 'assigned'
-    `).all();
+      WHERE ta.assignment_id = ?
+    `).get(job.payload.assignmentId);
+
+    // Cancelled, paused or already processed since the job was queued
+    if (!assignment || assignment.status !== 'assigned') {
+      this.jobQueue.complete(job.job_id, this.workerId);
+      return;
+    }
+
+    const agent = this.getAgent(assignment.agent_id);
+    if (!agent) {
+      this.jobQueue.fail(job.job_id, this.workerId, `Agent ${assignment.agent_id} is not active`);
+      return;
+    }
 
-    for (const assignment of pending) {
-      const agent = this.getAgent(assignment.agent_id);
-      if (agent) {
-        await agent.processAssignment(assignment);
+    const heartbeat = setInterval(() => {
+      if (!this.jobQueue.heartbeat(job.job_id, this.workerId)) {
+        console.warn(`Lost the lease on job ${job.job_id}`);
       }
+    }, this.jobQueue.leaseMs / 3);
+    heartbeat.unref();
+
+    try {
+      await agent.processAssignment(assignment);
+      this.jobQueue.complete(job.job_id, this.workerId);
+    } catch (error) {
+      console.error(`Job ${job.job_id} failed:`, error);
+      this.jobQueue.fail(job.job_id, this.workerId, error.message);
+    } finally {
+      clearInterval(heartbeat);
     }
   }
 
   /**
-   * Get all agents status
-   * @returns {Array} - Agents status
+   * Return jobs abandoned by dead workers to the queue and reset their assignments
+   * @returns {Array} - Reclaimed jobs
    */
-  getAgentsStatus() {
-    const agentsStatus = this.db.prepare(`
-      SELECT 
-        agent_id, 
-        name, 
-        specialization, 
-        current_load, 
-        max_capacity,
-        performance_score
-      FROM sub_ai_agents
-      WHERE status = 'active'
-    `).all();
+  reclaimExpiredJobs() {
+    const reclaimed = this.jobQueue.reclaimExpired();
+
+    for (const job of reclaimed) {
+      console.warn(`♻️  Reclaimed job ${job.job_id} (${job.status})`);
+      if (job.type === 'process-assignment') {
+        this.recoverAssignment(job.payload.assignmentId, job.status === 'failed');
+      }
+    }
+
+    return reclaimed;
+  }
+
+  /**
+   * Reset an assignment whose worker died so it can run again. Work bots that
+   * were interrupted start over; completed ones are kept. When the job is out
+   * of attempts the assignment fails and its capacity is released instead
+   * @param {string} assignmentId - Assignment ID (UUID format)
+   * @param {boolean} exhausted - Whether the job will not be retried
+   */
+  recoverAssignment(assignmentId, exhausted) {
+    const assignment = this.db.prepare(
+      'SELECT * FROM task_assignments WHERE assignment_id = ?'
+    ).get(assignmentId);
+    if (!assignment || assignment.status !== 'in-progress') return;
+
+    const bots = this.db.prepare(`
+      UPDATE work_bots SET status = 'created'
+      WHERE assignment_id = ? AND status IN ('running', 'retrying')
+      RETURNING bot_id
+    `).all(assignment.id);
+    this.events.botStatusChanged(...bots.map(b => b.bot_id));
+
+    if (exhausted) {
+      this.db.prepare(`
+        UPDATE task_assignments SET status = 'failed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(assignment.id);
+      this.events.assignmentStatusChanged(assignment.id);
+      this.broker.releaseCapacity(assignment.agent_id);
+      this.scheduler.addProgressUpdate(assignment.task_id, assignmentId,
+        'Assignment failed: its worker stopped responding too many times');
+      this.scheduler.releaseBlockedAssignments(assignment.task_id);
+      // Runs in the background, like the rest of the finished task's work
+      notifyAssignmentFinished(this.options.onAssignmentFinished, assignment.task_id);
+      return;
+    }
+
+    // 'assigned' holds capacity just like 'in-progress', so the load stays as it is
+    this.db.prepare(
+      "UPDATE task_assignments SET status = 'assigned', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+    ).run(assignment.id);
+    this.events.assignmentStatusChanged(assignment.id);
+    this.scheduler.addProgressUpdate(assignment.task_id, assignmentId,
+      'Assignment interrupted by a worker failure and queued to run again');
+  }
+
+  /**
+   * Requeue in-progress assignments that no job is working on, such as
+   * assignments left behind by a crash before jobs existed
+   * @returns {Array} - Recovered assignment IDs
+   */
+  recoverOrphanedAssignments() {
+    const orphaned = this.db.prepare(
+      "SELECT assignment_id FROM task_assignments WHERE status = 'in-progress' ORDER BY id"
+    ).all().filter(a => !this.jobQueue.hasActiveJob(`assignment:${a.assignment_id}`));
+
+    for (const { assignment_id: assignmentId } of orphaned) {
+      this.recoverAssignment(assignmentId, false);
+    }
+
+    return orphaned.map(a => a.assignment_id);
+  }
+
+  /**
+   * Get work bots that exhausted their retries
+   * @param {string} taskId - Optional task ID (UUID format) to filter by
+   * @returns {Array} - Dead-lettered work bots, oldest first
+   */
+  getDeadLetterBots(taskId) {
+    const bots = this.db.prepare(`
+      SELECT wb.bot_id, wb.bot_type, wb.task_description, wb.attempts, wb.result,
+             wb.started_at, t.task_id, ta.assignment_id, ta.work_package_name,
+             sa.agent_id, sa.name as agent_name
+      FROM work_bots wb
+      JOIN task_assignments ta ON wb.assignment_id = ta.id
+      JOIN tasks t ON ta.task_id = t.id
+      JOIN sub_ai_agents sa ON wb.agent_id = sa.id
+      WHERE wb.status = 'dead-letter' AND (? IS NULL OR t.task_id = ?)
+      ORDER BY wb.id
+    `).all(taskId || null, taskId || null);
+
+    return bots.map(({ result, ...bot }) => ({
+      ...bot,
+      lastError: JSON.parse(result || '{}').error || null
+    }));
+  }
+
+  /**
+   * Re-run a dead-lettered work bot on the agent that created it
+   * @param {string} botId - Work bot ID
+   * @returns {Promise<Object>} - Re-run result
+   */
+  async rerunWorkBot(botId) {
+    const agent = this.getBotAgent(botId);
+    if (!agent) {
+      return { success: false, error: 'Work bot not found' };
+    }
+    return agent.rerunWorkBot(botId);
+  }
+
+  /**
+   * Discard a dead-lettered work bot
+   * @param {string} botId - Work bot ID
+   * @param {string} reason - Why the bot is discarded
+   * @returns {Object} - Discard result
+   */
+  discardWorkBot(botId, reason) {
+    const agent = this.getBotAgent(botId);
+    if (!agent) {
+      return { success: false, error: 'Work bot not found' };
+    }
+    return agent.discardWorkBot(botId, reason);
+  }
+
+  /**
+   * Get the agent that created a work bot
+   * @param {string} botId - Work bot ID
+   * @returns {SubAIAgent|undefined} - Sub-AI agent
+   */
+  getBotAgent(botId) {
+    const record = this.db.prepare(`
+      SELECT sa.agent_id FROM work_bots wb
+      JOIN sub_ai_agents sa ON wb.agent_id = sa.id
+      WHERE wb.bot_id = ?
+    `).get(botId);
+
+    return record ? this.getAgent(record.agent_id) : undefined;
+  }
+}
+
+/**
+ * Format the outputs of the work bots a bot depends on as a prompt section
+ * @param {Array} dependencyOutputs - Descriptions and outputs of completed bots
+ * @returns {string} - Prompt section, empty if there are no dependencies
+ */
+function formatDependencyOutputs(dependencyOutputs) {
+  if (!dependencyOutputs || dependencyOutputs.length === 0) return '';
+
+  const sections = dependencyOutputs.map(d => `### ${d.description}\n${d.output || '(no output)'}`);
+  return `\nOutputs from the work bots this task depends on:\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Tell ATLANTIS that an assignment of a task has finished, so it can finalize
+ * the task. A failing hook is logged, as the assignment itself is done
+ * @param {Function|null} hook - onAssignmentFinished option, if set
+ * @param {number} taskId - Task record ID
+ * @param {Object} details - { revised: true } when a re-run changed the work of a finished assignment
+ */
+async function notifyAssignmentFinished(hook, taskId, details = {}) {
+  if (!hook) return;
 
-    return agentsStatus;
+  try {
+    await hook(taskId, details);
+  } catch (error) {
+    console.error(`Error finishing task ${taskId}:`, error);
   }
 }
 
@@ -0,0 +1,186 @@
+/**
+ * Task Reports
+ * Gathers the work bot outputs of a task by work package and stores the
+ * deliverable synthesized from them as a numbered report version
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { formatRuns } = require('./code-sandbox');
+
+// Characters of a single work bot output passed on to synthesis
+const MAX_OUTPUT_CHARS = 8000;
+
+// Work bot statuses whose output is missing from the deliverable
+const UNFINISHED_BOT_STATUSES = ['failed', 'dead-letter', 'discarded', 'cancelled', 'paused'];
+
+class TaskReports {
+  /**
+   * @param {Object} db - Database instance
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Collect the work of a task grouped by work package, with the problems
+   * that remained when it finished. Outputs carry the sandbox runs of their
+   * bot as runs, null if the bot ran nothing
+   * @param {number} taskId - Task record ID
+   * @returns {Object} - { packages, issues }
+   */
+  collectWork(taskId) {
+    const assignments = this.db.prepare(`
+      SELECT ta.id, ta.work_package_id, ta.work_package_name, ta.status, sa.name as agent_name
+      FROM task_assignments ta
+      JOIN sub_ai_agents sa ON ta.agent_id = sa.id
+      WHERE ta.task_id = ? AND ta.status != 'cancelled'
+      ORDER BY ta.id
+    `).all(taskId);
+    const botsOf = this.db.prepare(`
+      SELECT bot_id, bot_type, task_description, status, result FROM work_bots WHERE assignment_id = ? ORDER BY id
+    `);
+
+    const issues = [];
+    const packages = assignments.map((assignment) => {
+      const name = assignment.work_package_name || assignment.work_package_id;
+      if (assignment.status !== 'completed') {
+        issues.push(`${name} finished as ${assignment.status}`);
+      }
+
+      const outputs = [];
+      for (const bot of botsOf.all(assignment.id)) {
+        const result = bot.result ? JSON.parse(bot.result) : {};
+        if (UNFINISHED_BOT_STATUSES.includes(bot.status)) {
+          issues.push(`${name}: "${bot.task_description}" is ${bot.status}${result.error ? ` (${result.error})` : ''}`);
+        } else if (result.output) {
+          outputs.push({
+            botId: bot.bot_id,
+            botType: bot.bot_type,
+            description: bot.task_description,
+            output: result.output.slice(0, MAX_OUTPUT_CHARS),
+            runs: result.execution ? result.execution.runs : null
+          });
+        }
+      }
+
+      return { workPackage: name, agent: assignment.agent_name, status: assignment.status, outputs };
+    });
+
+    return { packages, issues };
+  }
+
+  /**
+   * Store a deliverable as the next report version of a task
+   * @param {number} taskId - Task record ID
+   * @param {Object} report - { executiveSummary, deliverables, unresolvedIssues, nextSteps }
+   * @param {string} source - 'model', or 'fallback' when it was assembled without a model
+   * @returns {Object} - Stored report
+   */
+  save(taskId, report, source) {
+    const { version } = this.db.prepare(`
+      SELECT COALESCE(MAX(version), 0) + 1 as version FROM task_reports WHERE task_id = ?
+    `).get(taskId);
+
+    const reportId = `report-${uuidv4()}`;
+    this.db.prepare(`
+      INSERT INTO task_reports (report_id, task_id, version, report_data, source) VALUES (?, ?, ?, ?, ?)
+    `).run(reportId, taskId, version, JSON.stringify(report), source);
+
+    return this.db.prepare('SELECT * FROM task_reports WHERE report_id = ?').get(reportId);
+  }
+
+  /**
+   * Get a report version of a task
+   * @param {string} taskId - Task ID
+   * @param {number} version - Report version; the latest if omitted
+   * @returns {Object} - Report with its version details, or error
+   */
+  getReport(taskId, version) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const row = version
+      ? this.db.prepare('SELECT * FROM task_reports WHERE task_id = ? AND version = ?').get(task.id, version)
+      : this.db.prepare('SELECT * FROM task_reports WHERE task_id = ? ORDER BY version DESC LIMIT 1').get(task.id);
+    if (!row) {
+      return { error: version ? `Report version ${version} not found` : 'Task has no report' };
+    }
+
+    return {
+      reportId: row.report_id,
+      taskId,
+      version: row.version,
+      source: row.source,
+      createdAt: row.created_at,
+      ...JSON.parse(row.report_data)
+    };
+  }
+
+  /**
+   * List the report versions of a task
+   * @param {string} taskId - Task ID
+   * @returns {Object} - { taskId, reports } or error
+   */
+  listReports(taskId) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const reports = this.db.prepare(`
+      SELECT report_id as reportId, version, source, created_at as createdAt
+      FROM task_reports WHERE task_id = ? ORDER BY version
+    `).all(task.id);
+    return { taskId, reports };
+  }
+}
+
+/**
+ * Assemble a deliverable from the collected work without a model, used when synthesis fails
+ * @param {Object} task - Task record
+ * @param {Object} work - { packages, issues } as returned by collectWork
+ * @returns {Object} - { executiveSummary, deliverables, unresolvedIssues, nextSteps }
+ */
+function assembleReport(task, { packages, issues }) {
+  const completed = packages.filter(p => p.status === 'completed').length;
+
+  return {
+    executiveSummary: `${task.title}: ${completed} of ${packages.length} work packages completed.`,
+    deliverables: packages.map(p => ({
+      workPackage: p.workPackage,
+      summary: `Produced by ${p.agent}`,
+      content: p.outputs.map(o => (o.runs ? `${o.output}\n\n${formatRuns(o.runs)}` : o.output)).join('\n\n')
+    })),
+    unresolvedIssues: issues,
+    nextSteps: [issues.length > 0 ? 'Resolve the unresolved issues' : 'Review the deliverables']
+  };
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Report as returned by getReport
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(report) {
+  const list = items => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '_None_');
+
+  return [
+    `# Deliverable Report (version ${report.version})`,
+    '## Executive Summary',
+    report.executiveSummary,
+    '## Deliverables',
+    ...report.deliverables.map(d => `### ${d.workPackage}\n\n${d.summary}\n\n${d.content}`.trim()),
+    '## Unresolved Issues',
+    list(report.unresolvedIssues),
+    '## Next Steps',
+    list(report.nextSteps)
+  ].join('\n\n') + '\n';
+}
+
+module.exports = {
+  TaskReports,
+  assembleReport,
+  renderMarkdown
+};
@@ -0,0 +1,296 @@
+/**
+ * Task Scheduler
+ * Tracks dependencies between the assignments of a task, releases blocked
+ * assignments once their upstream work is done and collects upstream outputs
+ * for downstream agents
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const AssignmentBroker = require('./assignment-broker');
+const { getEventBus } = require('./event-bus');
+
+// Upstream statuses that satisfy a dependency
+const SATISFIED_STATUSES = ['completed', 'partial'];
+
+// Upstream statuses that can never satisfy a dependency
+const BROKEN_STATUSES = ['failed', 'cancelled'];
+
+// Assignment statuses that can still be put on hold or cancelled
+const ACTIVE_STATUSES = ['blocked', 'queued', 'assigned', 'in-progress'];
+
+// Maximum characters of a single upstream output passed downstream
+const MAX_OUTPUT_LENGTH = 4000;
+
+class TaskScheduler {
+  constructor(db) {
+    this.db = db;
+    this.broker = new AssignmentBroker(db);
+    this.events = getEventBus(db);
+  }
+
+  /**
+   * Release blocked assignments whose dependencies have been resolved
+   * @param {number} taskId - Task ID
+   * @returns {Array} - Assignment IDs moved out of the blocked state
+   */
+  releaseBlockedAssignments(taskId) {
+    const released = [];
+    let changed = true;
+
+    // Repeat until stable so failures cascade through the whole graph
+    while (changed) {
+      changed = false;
+
+      const blocked = this.db.prepare(`
+        SELECT * FROM task_assignments
+        WHERE task_id = ? AND status = 'blocked'
+        ORDER BY id
+      `).all(taskId);
+
+      for (const assignment of blocked) {
+        const upstream = this.getDependencyStatuses(assignment);
+        const label = assignment.work_package_name || assignment.assignment_id;
+
+        if (upstream.some(u => BROKEN_STATUSES.includes(u.status))) {
+          this.db.prepare(
+            "UPDATE task_assignments SET status = 'failed', completed_at = CURRENT_TIMESTAMP WHERE id = ?"
+          ).run(assignment.id);
+          this.events.assignmentStatusChanged(assignment.id);
+          this.addProgressUpdate(taskId, assignment.assignment_id,
+            `Assignment "${label}" cannot run: an upstream dependency failed`);
+          changed = true;
+        } else if (upstream.every(u => SATISFIED_STATUSES.includes(u.status))) {
+          const status = this.broker.admit(assignment.id);
+          this.addProgressUpdate(taskId, assignment.assignment_id, status === 'queued'
+            ? `Dependencies resolved, "${label}" is queued until its agent has capacity`
+            : `Dependencies resolved, "${label}" is ready to start`);
+          released.push(assignment.assignment_id);
+          changed = true;
+        }
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Get the status of every assignment an assignment depends on
+   * @param {Object} assignment - Assignment record
+   * @returns {Array} - Upstream assignment IDs and statuses
+   */
+  getDependencyStatuses(assignment) {
+    const dependencies = JSON.parse(assignment.dependencies || '[]');
+    const stmt = this.db.prepare(
+      'SELECT assignment_id, status FROM task_assignments WHERE assignment_id = ?'
+    );
+
+    // A dependency that no longer exists is treated as failed
+    return dependencies.map(id => stmt.get(id) || { assignment_id: id, status: 'failed' });
+  }
+
+  /**
+   * Collect the work bot outputs of every assignment an assignment depends on
+   * @param {Object} assignment - Assignment record
+   * @returns {Array} - Upstream outputs grouped by assignment
+   */
+  getUpstreamOutputs(assignment) {
+    const dependencies = JSON.parse(assignment.dependencies || '[]');
+
+    return dependencies
+      .map(dependencyId => this.getAssignmentOutputs(dependencyId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Collect the completed work bot outputs of an assignment
+   * @param {string} assignmentId - Assignment ID (UUID format)
+   * @returns {Object|null} - Assignment outputs, null if the assignment does not exist
+   */
+  getAssignmentOutputs(assignmentId) {
+    const assignment = this.db.prepare(`
+      SELECT ta.id, ta.assignment_id, ta.work_package_id, ta.work_package_name, ta.status,
+             sa.name as agent_name
+      FROM task_assignments ta
+      JOIN sub_ai_agents sa ON ta.agent_id = sa.id
+      WHERE ta.assignment_id = ?
+    `).get(assignmentId);
+
+    if (!assignment) return null;
+
+    const bots = this.db.prepare(`
+      SELECT task_description, result FROM work_bots
+      WHERE assignment_id = ? AND status = 'completed'
+      ORDER BY id
+    `).all(assignment.id);
+
+    return {
+      assignmentId: assignment.assignment_id,
+      workPackageId: assignment.work_package_id,
+      workPackage: assignment.work_package_name,
+      agentName: assignment.agent_name,
+      status: assignment.status,
+      outputs: bots.map(bot => ({
+        task: bot.task_description,
+        output: extractOutput(bot.result)
+      }))
+    };
+  }
+
+  /**
+   * Cancel an assignment that is no longer needed
+   * @param {Object} assignment - Assignment record
+   */
+  cancelAssignment(assignment) {
+    this.db.prepare(`
+      UPDATE task_assignments
+      SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(assignment.id);
+    this.events.assignmentStatusChanged(assignment.id);
+
+    if (this.broker.holdsCapacity(assignment.status)) {
+      this.broker.releaseCapacity(assignment.agent_id);
+    }
+  }
+
+  /**
+   * Put the active assignments of a task on hold: they stop being picked up,
+   * running work bots finish but no new ones start, and held capacity is released
+   * @param {number} taskId - Task ID
+   * @returns {Array} - Assignment IDs put on hold
+   */
+  holdAssignments(taskId) {
+    const assignments = this.db.prepare(`
+      SELECT * FROM task_assignments
+      WHERE task_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+      ORDER BY id
+    `).all(taskId, ...ACTIVE_STATUSES);
+
+    for (const { id } of assignments) {
+      // Releasing capacity can admit a queued assignment of this task, so re-read it
+      const current = this.db.prepare('SELECT * FROM task_assignments WHERE id = ?').get(id);
+      this.db.prepare(`
+        UPDATE task_assignments SET status = 'paused', paused_status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(current.status, id);
+      this.events.assignmentStatusChanged(id);
+
+      if (this.broker.holdsCapacity(current.status)) {
+        this.broker.releaseCapacity(current.agent_id);
+      }
+    }
+
+    const bots = this.db.prepare(`
+      UPDATE work_bots SET status = 'paused'
+      WHERE status IN ('created', 'retrying')
+        AND assignment_id IN (SELECT id FROM task_assignments WHERE task_id = ?)
+      RETURNING bot_id
+    `).all(taskId);
+    this.events.botStatusChanged(...bots.map(b => b.bot_id));
+
+    return assignments.map(a => a.assignment_id);
+  }
+
+  /**
+   * Return held assignments of a task to where they were, subject to agent capacity
+   * @param {number} taskId - Task ID
+   * @returns {Array} - Resumed assignments with their new status
+   */
+  resumeHeldAssignments(taskId) {
+    const resumed = this.db.transaction(() => {
+      const bots = this.db.prepare(`
+        UPDATE work_bots SET status = 'created'
+        WHERE status = 'paused'
+          AND assignment_id IN (SELECT id FROM task_assignments WHERE task_id = ?)
+        RETURNING bot_id
+      `).all(taskId);
+      this.events.botStatusChanged(...bots.map(b => b.bot_id));
+
+      const held = this.db.prepare(
+        "SELECT * FROM task_assignments WHERE task_id = ? AND status = 'paused' ORDER BY id"
+      ).all(taskId);
+
+      return held.map((assignment) => {
+        if (assignment.paused_status === 'blocked') {
+          this.db.prepare(`
+            UPDATE task_assignments SET status = 'blocked', paused_status = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `).run(assignment.id);
+          this.events.assignmentStatusChanged(assignment.id);
+          return { assignmentId: assignment.assignment_id, status: 'blocked' };
+        }
+
+        this.db.prepare(
+          'UPDATE task_assignments SET paused_status = NULL WHERE id = ?'
+        ).run(assignment.id);
+        return { assignmentId: assignment.assignment_id, status: this.broker.admit(assignment.id) };
+      });
+    })();
+
+    // Upstream work may have finished while the assignments were on hold
+    this.releaseBlockedAssignments(taskId);
+
+    return resumed;
+  }
+
+  /**
+   * Add progress update
+   * @param {number} taskId - Task ID
+   * @param {string} sourceId - Source identifier
+   * @param {string} message - Progress message
+   */
+  addProgressUpdate(taskId, sourceId, message) {
+    const updateId = `update-${uuidv4()}`;
+    this.db.prepare(`
+      INSERT INTO progress_updates (
+        update_id, task_id, source_type, source_id, message
+      ) VALUES (?, ?, ?, ?, ?)
+    `).run(updateId, taskId, 'atlantis', sourceId, message);
+    this.events.progressUpdate(taskId, {
+      updateId, sourceType: 'atlantis', sourceId, message
+    });
+  }
+}
+
+/**
+ * Extract the textual output from a stored work bot result
+ * @param {string} result - JSON encoded work bot result
+ * @returns {string} - Output text, truncated for prompting
+ */
+function extractOutput(result) {
+  let output = result || '';
+  try {
+    const parsed = JSON.parse(result);
+    output = parsed.output || parsed.error || '';
+  } catch (error) {
+    // Not JSON, use the raw value
+  }
+
+  return output.length > MAX_OUTPUT_LENGTH
+    ? `${output.substring(0, MAX_OUTPUT_LENGTH)}\n[truncated]`
+    : output;
+}
+
+/**
+ * Format upstream outputs as a prompt section
+ * @param {Array} upstreamOutputs - Result of getUpstreamOutputs
+ * @returns {string} - Prompt section, empty if there are no upstream outputs
+ */
+function formatUpstreamOutputs(upstreamOutputs) {
+  if (!upstreamOutputs || upstreamOutputs.length === 0) return '';
+
+  const sections = upstreamOutputs.map((upstream) => {
+    const outputs = upstream.outputs.length > 0
+      ? upstream.outputs.map(o => `- ${o.task}:\n${o.output}`).join('\n\n')
+      : '(no outputs)';
+    return `### ${upstream.workPackage || upstream.assignmentId} (by ${upstream.agentName})\n${outputs}`;
+  });
+
+  return `\nOutputs from upstream work packages you depend on:\n${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  TaskScheduler,
+  formatUpstreamOutputs
+};
@@ -0,0 +1,289 @@
+/**
+ * Task Workspace
+ * A local git repository per task that code-generation bots commit their
+ * files to. Each assignment works on its own branch, checked out in a git
+ * worktree of the task repository, so the agents of a task do not change
+ * each other's files. The branches are compared with main to review the
+ * work as a unified diff or as patches for git am
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+
+const execFileAsync = promisify(execFile);
+
+// Where task repositories are created unless ATLANTIS_WORKSPACE_DIR points elsewhere
+const DEFAULT_WORKSPACE_DIR = path.join(__dirname, '..', 'workspaces');
+
+// Branch every assignment branch starts from
+const BASE_BRANCH = 'main';
+
+// Largest diff or patch read from git, in bytes
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+// Identity of the commits made by ATLANTIS itself rather than by an agent
+const ATLANTIS_IDENTITY = { name: 'ATLANTIS', email: 'atlantis@atlantis.local' };
+
+// Last queued change of each task repository, by repository path. Module-wide,
+// since every sub-AI has a workspace instance of its own
+const repositoryQueues = new Map();
+
+class TaskWorkspace {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Workspace options
+   * @param {string} options.rootDir - Directory task repositories are created in (ATLANTIS_WORKSPACE_DIR)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    // Absolute, so file paths can be checked against the worktree they are written to
+    this.rootDir = path.resolve(options.rootDir || process.env.ATLANTIS_WORKSPACE_DIR || DEFAULT_WORKSPACE_DIR);
+  }
+
+  /**
+   * Write files to the branch of an assignment and commit them. The assignments
+   * of a task run side by side, so the changes to its repository are queued
+   * and made one at a time
+   * @param {Object} assignment - Assignment row
+   * @param {Array} files - Files as { path, content }; paths are relative to the repository
+   * @param {Object} commit - { message, author: { name, email } }
+   * @returns {Promise<Object|null>} - { branch, commit, files }, null if the files changed nothing
+   */
+  async commitFiles(assignment, files, commit) {
+    const task = this.db.prepare('SELECT task_id FROM tasks WHERE id = ?').get(assignment.task_id);
+    return inQueue(this.repositoryPath(task.task_id), async () => {
+      const worktree = await this.ensureWorktree(task.task_id, assignment.assignment_id);
+
+      const written = [];
+      for (const file of files) {
+        const target = path.resolve(worktree, file.path);
+        if (!target.startsWith(worktree + path.sep) || file.path.split('/').includes('.git')) {
+          console.warn(`Skipping workspace file with unsafe path: ${file.path}`);
+          continue;
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+        written.push(file.path);
+      }
+      if (written.length === 0) {
+        return null;
+      }
+
+      await git(worktree, ['add', '--', ...written]);
+      const changed = (await git(worktree, ['diff', '--cached', '--name-only'])).split('\n').filter(Boolean);
+      if (changed.length === 0) {
+        return null;
+      }
+
+      await git(worktree, ['commit', '-q', '-m', commit.message], commit.author);
+      return {
+        branch: branchName(assignment.assignment_id),
+        commit: (await git(worktree, ['rev-parse', 'HEAD'])).trim(),
+        files: changed
+      };
+    });
+  }
+
+  /**
+   * List the assignment branches of a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} - { taskId, branches } or error
+   */
+  async listBranches(taskId) {
+    const result = await this.getBranches(taskId);
+    if (result.error) {
+      return result;
+    }
+
+    const branches = await Promise.all(result.branches.map(async ({ assignmentId, agentId, branch }) => {
+      const [head, commits, files] = await Promise.all([
+        git(result.repo, ['rev-parse', branch]),
+        git(result.repo, ['rev-list', '--count', `${BASE_BRANCH}..${branch}`]),
+        git(result.repo, ['diff', '--name-only', `${BASE_BRANCH}...${branch}`])
+      ]);
+      return {
+        assignmentId,
+        agentId,
+        branch,
+        head: head.trim(),
+        commits: parseInt(commits, 10),
+        files: files.split('\n').filter(Boolean)
+      };
+    }));
+    return { taskId, branches };
+  }
+
+  /**
+   * Get the changes of a task's branches against main as a unified diff
+   * @param {string} taskId - Task ID
+   * @param {string} assignmentId - Only this assignment's branch; every branch if omitted
+   * @returns {Promise<Object>} - { taskId, diff } or error
+   */
+  async getDiff(taskId, assignmentId) {
+    const result = await this.getBranches(taskId, assignmentId);
+    if (result.error) {
+      return result;
+    }
+
+    const diffs = await Promise.all(result.branches
+      .map(({ branch }) => git(result.repo, ['diff', '--binary', `${BASE_BRANCH}...${branch}`])));
+    return { taskId, diff: diffs.join('') };
+  }
+
+  /**
+   * Get the commits of a task's branches as an mbox of patches for git am.
+   * Branches follow each other in assignment order, so branches that change
+   * the same file may not apply on top of each other
+   * @param {string} taskId - Task ID
+   * @param {string} assignmentId - Only this assignment's commits; every branch if omitted
+   * @returns {Promise<Object>} - { taskId, patch } or error
+   */
+  async getPatch(taskId, assignmentId) {
+    const result = await this.getBranches(taskId, assignmentId);
+    if (result.error) {
+      return result;
+    }
+
+    const patches = await Promise.all(result.branches
+      .map(({ branch }) => git(result.repo, ['format-patch', '--stdout', `${BASE_BRANCH}..${branch}`])));
+    return { taskId, patch: patches.join('') };
+  }
+
+  /**
+   * Find the assignment branches of a task that exist in its repository
+   * @param {string} taskId - Task ID
+   * @param {string} assignmentId - Only this assignment's branch; every branch if omitted
+   * @returns {Promise<Object>} - { repo, branches } with branches as { assignmentId, agentId, branch }, or error
+   */
+  async getBranches(taskId, assignmentId) {
+    const task = this.db.prepare('SELECT id FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+    const repo = this.repositoryPath(taskId);
+    if (!fs.existsSync(repo)) {
+      return { error: 'Task has no workspace' };
+    }
+
+    const refs = await git(repo, ['for-each-ref', '--format=%(refname:short)', 'refs/heads/assignment/']);
+    const existing = new Set(refs.split('\n').filter(Boolean));
+    const branches = this.db.prepare(`
+      SELECT ta.assignment_id, sa.agent_id
+      FROM task_assignments ta
+      JOIN sub_ai_agents sa ON ta.agent_id = sa.id
+      WHERE ta.task_id = ? AND (? IS NULL OR ta.assignment_id = ?)
+      ORDER BY ta.id
+    `).all(task.id, assignmentId || null, assignmentId || null)
+      .map(row => ({ assignmentId: row.assignment_id, agentId: row.agent_id, branch: branchName(row.assignment_id) }))
+      .filter(row => existing.has(row.branch));
+
+    if (assignmentId && branches.length === 0) {
+      return { error: 'Assignment has no workspace branch' };
+    }
+    return { repo, branches };
+  }
+
+  /**
+   * Create the repository of a task, with an empty first commit on main
+   * @param {string} taskId - Task ID
+   * @returns {Promise<string>} - Repository path
+   */
+  async ensureRepository(taskId) {
+    const repo = this.repositoryPath(taskId);
+    if (!fs.existsSync(path.join(repo, '.git'))) {
+      fs.mkdirSync(repo, { recursive: true });
+      await git(repo, ['init', '-q', '-b', BASE_BRANCH]);
+      await git(repo, ['commit', '-q', '--allow-empty', '-m', `Start workspace of task ${taskId}`], ATLANTIS_IDENTITY);
+    }
+    return repo;
+  }
+
+  /**
+   * Check out the branch of an assignment in its own worktree, creating the branch from main
+   * @param {string} taskId - Task ID
+   * @param {string} assignmentId - Assignment ID
+   * @returns {Promise<string>} - Worktree path
+   */
+  async ensureWorktree(taskId, assignmentId) {
+    const repo = await this.ensureRepository(taskId);
+    const worktree = path.join(this.rootDir, taskId, 'worktrees', assignmentId);
+    if (fs.existsSync(worktree)) {
+      return worktree;
+    }
+
+    const branch = branchName(assignmentId);
+    // A worktree directory deleted by hand is still registered until pruned
+    await git(repo, ['worktree', 'prune']);
+    const exists = (await git(repo, ['branch', '--list', branch])).trim() !== '';
+    const target = exists ? [worktree, branch] : ['-b', branch, worktree, BASE_BRANCH];
+    await git(repo, ['worktree', 'add', '-q', ...target]);
+    return worktree;
+  }
+
+  /**
+   * Get the path of a task's repository
+   * @param {string} taskId - Task ID
+   * @returns {string} - Repository path
+   */
+  repositoryPath(taskId) {
+    return path.join(this.rootDir, taskId, 'repo');
+  }
+}
+
+/**
+ * Get the branch name of an assignment
+ * @param {string} assignmentId - Assignment ID
+ * @returns {string} - Branch name
+ */
+function branchName(assignmentId) {
+  return `assignment/${assignmentId}`;
+}
+
+/**
+ * Run a change to a repository after the changes queued before it have finished
+ * @param {string} repo - Repository path
+ * @param {Function} change - Async function making the change
+ * @returns {Promise<*>} - Result of the change
+ */
+function inQueue(repo, change) {
+  const previous = repositoryQueues.get(repo) || Promise.resolve();
+  const result = previous.then(change);
+  // A failed change does not stop the changes queued after it
+  const settled = result.catch(() => {});
+  repositoryQueues.set(repo, settled);
+  settled.then(() => {
+    if (repositoryQueues.get(repo) === settled) {
+      repositoryQueues.delete(repo);
+    }
+  });
+  return result;
+}
+
+/**
+ * Run a git command, independent of the user's git configuration and hooks
+ * @param {string} cwd - Repository or worktree
+ * @param {Array} args - Git arguments
+ * @param {Object} identity - { name, email } of the commit author and committer
+ * @returns {Promise<string>} - Standard output
+ */
+async function git(cwd, args, identity = ATLANTIS_IDENTITY) {
+  const options = ['-c', 'core.hooksPath=/dev/null', '-c', 'commit.gpgsign=false'];
+  const { stdout } = await execFileAsync('git', [...options, ...args], {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: MAX_GIT_OUTPUT,
+    env: {
+      ...process.env,
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_AUTHOR_NAME: identity.name,
+      GIT_AUTHOR_EMAIL: identity.email,
+      GIT_COMMITTER_NAME: identity.name,
+      GIT_COMMITTER_EMAIL: identity.email
+    }
+  });
+  return stdout;
+}
+
+module.exports = TaskWorkspace;
@@ -0,0 +1,202 @@
+/**
+ * LLM Usage Tracker
+ * Records the tokens of every model call, prices them with a configurable
+ * price table and rolls the totals up per task, agent and user
+ */
+
+// USD per million tokens; ATLANTIS_LLM_PRICES (JSON of the same shape) adds or overrides models
+const DEFAULT_PRICES = {
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+// Aggregate columns shared by every rollup
+const TOTALS_SQL = `
+  COUNT(*) as calls,
+  COALESCE(SUM(u.input_tokens), 0) as inputTokens,
+  COALESCE(SUM(u.output_tokens), 0) as outputTokens,
+  COALESCE(SUM(u.cost), 0) as cost
+`;
+
+class UsageTracker {
+  /**
+   * @param {Object} db - Database instance
+   * @param {Object} options - Tracker options
+   * @param {Object} options.prices - Price table overriding the defaults and ATLANTIS_LLM_PRICES
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.prices = {
+      ...DEFAULT_PRICES,
+      ...(process.env.ATLANTIS_LLM_PRICES ? JSON.parse(process.env.ATLANTIS_LLM_PRICES) : {}),
+      ...options.prices
+    };
+  }
+
+  /**
+   * Record the usage of a model call
+   * @param {Object} context - What the call was made for
+   * @param {string} context.stage - Pipeline stage
+   * @param {number} context.taskId - Task record ID
+   * @param {number} context.agentId - Agent record ID, for calls made by a sub-AI
+   * @param {string} context.botId - Work bot ID, for work bot calls
+   * @param {Object} response - Router response with provider, model and usage
+   * @returns {Object} - Recorded tokens and cost
+   */
+  record(context, response) {
+    const usage = response.usage || {};
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const cost = this.calculateCost(response.model, inputTokens, outputTokens);
+
+    this.db.prepare(`
+      INSERT INTO llm_usage (
+        task_id, agent_id, bot_id, stage, provider, model, input_tokens, output_tokens, cost
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      context.taskId || null,
+      context.agentId || null,
+      context.botId || null,
+      context.stage,
+      response.provider,
+      response.model,
+      inputTokens,
+      outputTokens,
+      cost
+    );
+
+    return { inputTokens, outputTokens, cost };
+  }
+
+  /**
+   * Price a call; models missing from the price table cost nothing
+   * @param {string} model - Model name
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Response tokens
+   * @returns {number} - Cost in USD
+   */
+  calculateCost(model, inputTokens, outputTokens) {
+    const price = this.prices[model];
+    if (!price) return 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Get the usage of a task by stage, agent and work bot
+   * @param {string} taskId - Task ID
+   * @returns {Object} - Task usage, or an error if the task does not exist
+   */
+  getTaskUsage(taskId) {
+    const task = this.db.prepare('SELECT id, task_id, title FROM tasks WHERE task_id = ?').get(taskId);
+    if (!task) {
+      return { error: 'Task not found' };
+    }
+
+    const byStage = this.db.prepare(`
+      SELECT u.stage, ${TOTALS_SQL} FROM llm_usage u
+      WHERE u.task_id = ? GROUP BY u.stage ORDER BY u.stage
+    `).all(task.id);
+
+    const byAgent = this.db.prepare(`
+      SELECT sa.agent_id as agentId, sa.name, ${TOTALS_SQL} FROM llm_usage u
+      JOIN sub_ai_agents sa ON u.agent_id = sa.id
+      WHERE u.task_id = ? GROUP BY u.agent_id ORDER BY sa.agent_id
+    `).all(task.id);
+
+    const byBot = this.db.prepare(`
+      SELECT u.bot_id as botId, ${TOTALS_SQL} FROM llm_usage u
+      WHERE u.task_id = ? AND u.bot_id IS NOT NULL GROUP BY u.bot_id ORDER BY MIN(u.id)
+    `).all(task.id);
+
+    return {
+      taskId: task.task_id,
+      title: task.title,
+      totals: this.getTotalsWhere('u.task_id = ?', task.id),
+      byStage: byStage.map(roundCost),
+      byAgent: byAgent.map(roundCost),
+      byBot: byBot.map(roundCost)
+    };
+  }
+
+  /**
+   * Get the usage of every agent
+   * @returns {Array} - Usage per agent, including agents without usage
+   */
+  getAgentUsage() {
+    return this.db.prepare(`
+      SELECT sa.agent_id as agentId, sa.name,
+        COUNT(u.id) as calls,
+        COALESCE(SUM(u.input_tokens), 0) as inputTokens,
+        COALESCE(SUM(u.output_tokens), 0) as outputTokens,
+        COALESCE(SUM(u.cost), 0) as cost
+      FROM sub_ai_agents sa
+      LEFT JOIN llm_usage u ON u.agent_id = sa.id
+      GROUP BY sa.id ORDER BY cost DESC, sa.agent_id
+    `).all().map(roundCost);
+  }
+
+  /**
+   * Get the usage of a user's tasks
+   * @param {string} username - GitHub username
+   * @returns {Object} - User usage with a breakdown per task, or an error if the user does not exist
+   */
+  getUserUsage(username) {
+    const user = this.db.prepare('SELECT id, github_username FROM users WHERE github_username = ?').get(username);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    const byTask = this.db.prepare(`
+      SELECT t.task_id as taskId, t.title, ${TOTALS_SQL} FROM llm_usage u
+      JOIN tasks t ON u.task_id = t.id
+      WHERE t.user_id = ? GROUP BY t.id ORDER BY t.id DESC
+    `).all(user.id);
+
+    return {
+      user: user.github_username,
+      totals: this.getTotalsWhere('u.task_id IN (SELECT id FROM tasks WHERE user_id = ?)', user.id),
+      byTask: byTask.map(roundCost)
+    };
+  }
+
+  /**
+   * Get system-wide usage with a breakdown per model
+   * @returns {Object} - Totals and usage per provider and model
+   */
+  getTotals() {
+    const byModel = this.db.prepare(`
+      SELECT u.provider, u.model, ${TOTALS_SQL} FROM llm_usage u
+      GROUP BY u.provider, u.model ORDER BY cost DESC
+    `).all();
+
+    return {
+      ...this.getTotalsWhere('1 = 1'),
+      byModel: byModel.map(roundCost)
+    };
+  }
+
+  /**
+   * Sum the usage rows matching a condition
+   * @param {string} where - SQL condition on llm_usage aliased as u
+   * @param {...*} params - Condition parameters
+   * @returns {Object} - Calls, tokens and cost
+   */
+  getTotalsWhere(where, ...params) {
+    return roundCost(this.db.prepare(`SELECT ${TOTALS_SQL} FROM llm_usage u WHERE ${where}`).get(...params));
+  }
+}
+
+/**
+ * Round the cost of a rollup row to a millionth of a dollar
+ * @param {Object} row - Rollup row
+ * @returns {Object} - Row with rounded cost
+ */
+function roundCost(row) {
+  return { ...row, cost: Math.round(row.cost * 1e6) / 1e6 };
+}
+
+module.exports = UsageTracker;